@@ -0,0 +1,89 @@
+/**
+ * Engine - Headless game simulation
+ * Runs games frame by frame without a DOM, clock or animation frames,
+ * for bots, statistics and regression tests in Node.
+ *
+ * Input frames describe which actions are held during a frame, e.g.
+ * { [ACTIONS.MOVE_LEFT]: true, [ACTIONS.ROTATE_CW]: true }. Presses and
+ * releases are derived from the previous frame, so holding an action
+ * behaves exactly like holding its key.
+ */
+
+import { initGame, startNewGame, updateGame } from './gameController.js';
+import {
+  createInputState,
+  handleKeyDown,
+  handleKeyUp,
+  clearTransientKeys,
+  KEY_MAPPINGS,
+  ACTIONS
+} from './inputController.js';
+import { DEFAULT_RULES } from '../domain/rules.js';
+import { DEFAULT_GAME_MODE } from '../domain/gameMode.js';
+
+/**
+ * Key standing in for each action (the first mapped key)
+ */
+const ACTION_KEYS = Object.fromEntries(
+  Object.keys(KEY_MAPPINGS).map(name => [ACTIONS[name], KEY_MAPPINGS[name][0]])
+);
+
+/**
+ * Applies the held actions of an input frame to the input state
+ * @param {Object} inputState - Input state of the previous frame (transient keys cleared)
+ * @param {Object} inputFrame - Held actions keyed by ACTIONS values
+ * @returns {Object} Input state for this frame
+ */
+export function applyInputFrame(inputState, inputFrame) {
+  let newInput = inputState;
+
+  for (const [action, key] of Object.entries(ACTION_KEYS)) {
+    const held = !!inputFrame[action];
+    if (held && !newInput.keysPressed.has(key)) {
+      newInput = handleKeyDown(newInput, key);
+    } else if (!held && newInput.keysPressed.has(key)) {
+      newInput = handleKeyUp(newInput, key);
+    }
+  }
+
+  return newInput;
+}
+
+/**
+ * Creates a headless engine running a new game
+ * @param {Object} options - { seed, startLevel, rules, mode }
+ * @param {number|null} options.seed - Randomizer seed (default: random)
+ * @param {number} options.startLevel - Starting level (default 0)
+ * @param {Object} options.rules - Rule set from createRules (default: NES rules)
+ * @param {Object} options.mode - Game mode from createGameMode (default: A-Type)
+ * @returns {Object} Engine { step(inputFrame), getState() }
+ */
+export function createEngine({ seed = null, startLevel = 0, rules = DEFAULT_RULES, mode = DEFAULT_GAME_MODE } = {}) {
+  let state = startNewGame(initGame(startLevel, rules, mode), startLevel, seed);
+  let inputState = createInputState();
+
+  return {
+    /**
+     * Simulates one frame
+     * @param {Object} inputFrame - Held actions keyed by ACTIONS values (default: none)
+     * @returns {Object} { state: Object, events: Array }
+     */
+    step(inputFrame = {}) {
+      const frameInput = applyInputFrame(inputState, inputFrame);
+      const result = updateGame(state, frameInput);
+
+      state = result.gameState;
+      inputState = clearTransientKeys(frameInput);
+
+      return { state, events: result.events };
+    },
+
+    /**
+     * Gets the current game state
+     * @returns {Object} Game state
+     */
+    getState() {
+      return state;
+    }
+  };
+}
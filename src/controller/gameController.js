@@ -1,100 +1,193 @@
 /**
  * Game Controller - Orchestrates game flow
- * Handles: start game, spawn pieces, locking, line clears, scoring, game over
+ * Handles: start game, spawn pieces, hold, drops, the per-frame pipeline, locking,
+ * line clears, scoring, game over
  */
 
 import { createPiece, PIECE_TYPES } from '../domain/piece.js';
-import { createEmptyBoard, placePiece, clearLines } from '../domain/board.js';
-import { canSpawnPiece, canMovePiece, checkCollision } from '../domain/collision.js';
+import { createEmptyBoard, placePiece, clearLines, getCompletedRows } from '../domain/board.js';
+import { canSpawnPiece, canMovePiece, checkCollision, getDropDistance } from '../domain/collision.js';
 import { tryRotate } from '../domain/rotation.js';
 import { nextPiece } from '../domain/randomizer.js';
-import { shouldLock, lockPiece, lockAndClear } from '../domain/lock.js';
-import { addLineClearScore, addSoftDropScore } from '../domain/scoring.js';
+import { fillNextQueue, takeNextPiece } from '../domain/nextQueue.js';
+import { countPiece } from '../domain/statistics.js';
+import { shouldLock, lockPiece, markLocked, tickLockDelay, resetLockDelay } from '../domain/lock.js';
+import {
+  addLineClearScore,
+  addSoftDropScore,
+  addHardDropScore,
+  addPushDownScore,
+  SOFT_DROP_SCORING
+} from '../domain/scoring.js';
 import { updateAfterClear } from '../domain/level.js';
-import { createDAS, moveLeft, moveRight, DIRECTION_LEFT, DIRECTION_RIGHT } from '../domain/das.js';
+import { isBType, addSplits } from '../domain/gameMode.js';
+import { tick as gravityTick, isInstantGravity } from '../domain/gravity.js';
+import {
+  createDAS,
+  moveLeft,
+  moveRight,
+  setDirection,
+  tick as dasTick,
+  DIRECTION_LEFT,
+  DIRECTION_RIGHT
+} from '../domain/das.js';
 import { 
   createGameState, 
   startGame, 
   spawnPiece as spawnPieceState, 
-  setNextPiece,
+  setNextQueue,
   updateCurrentPiece,
   updateBoard,
   updateScore,
   updateLevel,
   updateRandomizer,
   updateDAS,
+  updateLock,
+  updateHold,
+  updatePieceStats,
+  releaseHold,
   isPlaying,
+  startLineClear,
+  startEntryDelay,
+  tickPhase,
+  isInPhase,
+  getEntryDelay,
+  PLAY_PHASES,
   GAME_STATES
 } from '../domain/gameState.js';
 import { 
   checkGameOver, 
   triggerGameOver, 
+  checkGoalReached,
+  checkTimeUp,
+  triggerGameComplete,
   advanceGameOverAnimation,
   isGameOverAnimationActive 
 } from '../domain/gameOver.js';
 import { resetGravity, shouldApplyGravity, shouldApplyDAS } from './gameLoop.js';
-import { getNextAction, consumeAction, isSoftDropping, ACTIONS } from './inputController.js';
+import { getNextAction, consumeAction, isSoftDropping, getDASDirection, ACTIONS } from './inputController.js';
+
+/**
+ * Events emitted by the frame pipeline
+ */
+export const EVENTS = Object.freeze({
+  PIECE_SHIFTED: 'PIECE_SHIFTED',
+  PIECE_ROTATED: 'PIECE_ROTATED',
+  PIECE_HELD: 'PIECE_HELD',
+  SOFT_DROP: 'SOFT_DROP',
+  HARD_DROP: 'HARD_DROP',
+  SONIC_DROP: 'SONIC_DROP',
+  PIECE_FELL: 'PIECE_FELL',
+  PIECE_LOCKED: 'PIECE_LOCKED',
+  LINES_CLEARED: 'LINES_CLEARED',
+  PIECE_SPAWNED: 'PIECE_SPAWNED',
+  GAME_OVER: 'GAME_OVER',
+  GOAL_REACHED: 'GOAL_REACHED',
+  TIME_UP: 'TIME_UP',
+  GAME_OVER_ANIMATION_COMPLETE: 'GAME_OVER_ANIMATION_COMPLETE'
+});
 
 /**
  * Initializes a new game
  * @param {number} startLevel - Starting level (default 0)
+ * @param {Object} rules - Rule set from createRules (default: NES rules)
+ * @param {Object} mode - Game mode from createGameMode (default: A-Type)
  * @returns {Object} Initial game state
  */
-export function initGame(startLevel = 0) {
-  return createGameState(startLevel);
+export function initGame(startLevel = 0, rules, mode) {
+  return createGameState(startLevel, rules, mode);
 }
 
 /**
  * Starts a new game session
  * @param {Object} gameState - Current game state
  * @param {number} startLevel - Starting level
+ * @param {number|null} seed - Randomizer seed (default: random)
  * @returns {Object} New game state ready to play
  */
-export function startNewGame(gameState, startLevel = 0) {
-  let newState = startGame(gameState, startLevel);
+export function startNewGame(gameState, startLevel = 0, seed = null) {
+  let newState = startGame(gameState, startLevel, seed);
   
   // Get first piece from randomizer
   const firstPieceResult = nextPiece(newState.randomizer);
-  const firstPiece = createPiece(firstPieceResult.pieceType);
+  const firstPiece = createPiece(firstPieceResult.pieceType, newState.rules.rotationSystem);
   
-  // Get next piece
-  const nextPieceResult = nextPiece(firstPieceResult.randomizer);
+  // Fill the next queue
+  const queueResult = fillNextQueue([], firstPieceResult.randomizer, newState.rules.previews);
   
   newState = spawnPieceState(newState, firstPiece);
-  newState = setNextPiece(newState, nextPieceResult.pieceType);
-  newState = updateRandomizer(newState, nextPieceResult.randomizer);
+  newState = updatePieceStats(newState, countPiece(newState.pieceStats, firstPiece.type));
+  newState = setNextQueue(newState, queueResult.queue);
+  newState = updateRandomizer(newState, queueResult.randomizer);
   
   return newState;
 }
 
 /**
- * Spawns a new piece
- * Checks for game over condition
+ * Spawns a piece of the given type, or ends the game if it does not fit
  * @param {Object} gameState - Current game state
+ * @param {number} pieceType - Piece type to spawn (1-7)
  * @returns {Object} { gameState: Object, gameOver: boolean }
  */
-export function spawnNewPiece(gameState) {
-  const nextPieceType = gameState.nextPiece;
+function spawnPieceType(gameState, pieceType) {
+  const rotationSystem = gameState.rules.rotationSystem;
+  if (checkGameOver(gameState.board, pieceType, rotationSystem)) {
+    return { gameState: triggerGameOver(gameState), gameOver: true };
+  }
   
-  // Check if we can spawn
-  if (checkGameOver(gameState.board, nextPieceType)) {
-    const gameOverState = triggerGameOver(gameState);
-    return { gameState: gameOverState, gameOver: true };
+  // Spawn the piece and reset gravity for it
+  const newState = spawnPieceState(gameState, createPiece(pieceType, rotationSystem));
+  return { gameState: resetGravity(newState), gameOver: false };
+}
+
+/**
+ * Spawns a new piece from the front of the next queue
+ * Checks for game over condition and counts the piece in the statistics
+ * @param {Object} gameState - Current game state
+ * @returns {Object} { gameState: Object, gameOver: boolean }
+ */
+export function spawnNewPiece(gameState) {
+  const queueResult = takeNextPiece(gameState.nextQueue, gameState.randomizer, gameState.rules.previews);
+  const spawnResult = spawnPieceType(gameState, queueResult.pieceType);
+  if (spawnResult.gameOver) {
+    return spawnResult;
   }
   
-  // Spawn the piece
-  const newPiece = createPiece(nextPieceType);
-  let newState = spawnPieceState(gameState, newPiece);
+  // Refill the queue from the randomizer
+  let newState = setNextQueue(spawnResult.gameState, queueResult.queue);
+  newState = updatePieceStats(newState, countPiece(newState.pieceStats, queueResult.pieceType));
+  newState = updateRandomizer(newState, queueResult.randomizer);
   
-  // Get next piece from randomizer
-  const randomizerResult = nextPiece(gameState.randomizer);
-  newState = setNextPiece(newState, randomizerResult.pieceType);
-  newState = updateRandomizer(newState, randomizerResult.randomizer);
+  return { gameState: newState, gameOver: false };
+}
+
+/**
+ * Moves the current piece into the hold slot (hold rule only)
+ * Allowed once per piece until it locks. An empty slot brings in the next
+ * piece from the randomizer queue; otherwise the held piece comes back at
+ * its spawn position. The DAS charge carries over and a soft drop streak
+ * on the held piece is dropped.
+ * @param {Object} gameState - Current game state
+ * @returns {Object} { gameState: Object, held: boolean, gameOver: boolean }
+ */
+export function holdPiece(gameState) {
+  const { currentPiece, hold } = gameState;
+  if (!gameState.rules.hold || !currentPiece || !isPlaying(gameState) || hold.used) {
+    return { gameState, held: false, gameOver: false };
+  }
   
-  // Reset gravity for new piece
-  newState = resetGravity(newState);
+  const heldState = {
+    ...updateHold(updateCurrentPiece(gameState, null), { pieceType: currentPiece.type, used: true }),
+    pushDownRows: 0
+  };
+  const spawnResult = hold.pieceType === null
+    ? spawnNewPiece(heldState)
+    : spawnPieceType(heldState, hold.pieceType);
   
-  return { gameState: newState, gameOver: false };
+  if (spawnResult.gameOver) {
+    return { gameState: spawnResult.gameState, held: true, gameOver: true };
+  }
+  return { gameState: updateDAS(spawnResult.gameState, gameState.das), held: true, gameOver: false };
 }
 
 /**
@@ -161,6 +254,8 @@ export function rotatePieceCounterClockwise(gameState) {
 
 /**
  * Attempts to soft drop piece
+ * Per-cell scoring scores the cell now; push-down scoring extends the
+ * streak credited when the piece locks.
  * @param {Object} gameState - Current game state
  * @returns {Object} { gameState: Object, dropped: boolean, cellsDropped: number }
  */
@@ -177,8 +272,9 @@ export function softDrop(gameState) {
     };
     
     // Add soft drop score
-    const newScore = addSoftDropScore(gameState.score, 1);
-    let newState = updateScore(gameState, newScore);
+    let newState = gameState.rules.softDropScoring === SOFT_DROP_SCORING.PER_CELL
+      ? updateScore(gameState, addSoftDropScore(gameState.score, 1))
+      : { ...gameState, pushDownRows: gameState.pushDownRows + 1 };
     newState = updateCurrentPiece(newState, movedPiece);
     
     return { gameState: newState, dropped: true, cellsDropped: 1 };
@@ -187,8 +283,61 @@ export function softDrop(gameState) {
   return { gameState, dropped: false, cellsDropped: 0 };
 }
 
+/**
+ * Drops the piece straight to its landing position (hardDrop rule only)
+ * Scores 2 points per cell; the piece locks in the lock stage of the same frame.
+ * @param {Object} gameState - Current game state
+ * @returns {Object} { gameState: Object, dropped: boolean, cellsDropped: number }
+ */
+export function hardDrop(gameState) {
+  const piece = gameState.currentPiece;
+  if (!gameState.rules.hardDrop || !piece || !isPlaying(gameState)) {
+    return { gameState, dropped: false, cellsDropped: 0 };
+  }
+  
+  const cellsDropped = getDropDistance(gameState.board, piece);
+  const newState = updateScore(
+    updateCurrentPiece(gameState, { ...piece, y: piece.y + cellsDropped }),
+    addHardDropScore(gameState.score, cellsDropped)
+  );
+  
+  return { gameState: newState, dropped: true, cellsDropped };
+}
+
+/**
+ * Drops the piece straight to its landing position without locking it
+ * (sonicDrop rule only). The piece still locks through gravity.
+ * @param {Object} gameState - Current game state
+ * @returns {Object} { gameState: Object, dropped: boolean, cellsDropped: number }
+ */
+export function sonicDrop(gameState) {
+  const piece = gameState.currentPiece;
+  if (!gameState.rules.sonicDrop || !piece || !isPlaying(gameState)) {
+    return { gameState, dropped: false, cellsDropped: 0 };
+  }
+  
+  const cellsDropped = getDropDistance(gameState.board, piece);
+  if (cellsDropped === 0) {
+    return { gameState, dropped: false, cellsDropped: 0 };
+  }
+  
+  const newState = updateCurrentPiece(gameState, { ...piece, y: piece.y + cellsDropped });
+  return { gameState: newState, dropped: true, cellsDropped };
+}
+
+/**
+ * Restarts the lock delay after the piece moved or rotated (lockDelay rule only)
+ * @param {Object} gameState - Game state with the moved piece
+ * @returns {Object} Game state with the lock delay restarted
+ */
+function restartLockDelay(gameState) {
+  const delay = gameState.rules.lockDelay;
+  return delay > 0 ? updateLock(gameState, resetLockDelay(gameState.lock, delay)) : gameState;
+}
+
 /**
  * Attempts to move piece down (gravity)
+ * 20G drops the piece all the way onto the stack.
  * @param {Object} gameState - Current game state
  * @returns {Object} { gameState: Object, fell: boolean }
  */
@@ -197,6 +346,12 @@ export function applyGravity(gameState) {
     return { gameState, fell: false };
   }
   
+  if (isInstantGravity(gameState.gravity)) {
+    const rows = getDropDistance(gameState.board, gameState.currentPiece);
+    const movedPiece = { ...gameState.currentPiece, y: gameState.currentPiece.y + rows };
+    return rows > 0 ? { gameState: updateCurrentPiece(gameState, movedPiece), fell: true } : { gameState, fell: false };
+  }
+  
   if (canMovePiece(gameState.board, gameState.currentPiece, 0, 1)) {
     const movedPiece = {
       ...gameState.currentPiece,
@@ -208,9 +363,70 @@ export function applyGravity(gameState) {
   return { gameState, fell: false };
 }
 
+/**
+ * Clears completed rows and applies their score and level progression
+ * @param {Object} gameState - Game state with the locked piece on the board
+ * @returns {Object} { gameState: Object, linesCleared: number }
+ */
+export function clearCompletedLines(gameState) {
+  const clearResult = clearLines(gameState.board);
+  const linesCleared = clearResult.clearedLines;
+
+  if (linesCleared === 0) {
+    return { gameState, linesCleared };
+  }
+
+  let newState = updateBoard(gameState, clearResult.board);
+
+  // Update score with line clears
+  const newScore = addLineClearScore(newState.score, linesCleared, newState.level.currentLevel);
+  newState = updateScore(newState, newScore);
+  
+  // Sprint splits are timed on the frame the lines disappear
+  newState = {
+    ...newState,
+    splits: addSplits(newState.mode, newState.splits, newScore.linesCleared, newState.frameCount)
+  };
+
+  // B-Type stays at its start level
+  if (isBType(newState.mode)) {
+    return { gameState: newState, linesCleared };
+  }
+  
+  // Update level
+  const levelResult = updateAfterClear(newState.level, linesCleared, newState.rules.gravityCurve);
+  newState = updateLevel(newState, levelResult.levelState);
+
+  // Update gravity if level changed
+  if (levelResult.leveledUp) {
+    newState = {
+      ...newState,
+      gravity: levelResult.levelState.gravity
+    };
+  }
+
+  return { gameState: newState, linesCleared };
+}
+
+/**
+ * Credits the push-down streak for a lock and ends it
+ * @param {Object} gameState - Game state of the locking frame
+ * @returns {Object} { gameState: Object, points: number }
+ */
+export function creditPushDown(gameState) {
+  if (gameState.pushDownRows === 0) {
+    return { gameState, points: 0 };
+  }
+  
+  const newScore = addPushDownScore(gameState.score, gameState.pushDownRows);
+  const newState = { ...updateScore(gameState, newScore), pushDownRows: 0 };
+  
+  return { gameState: newState, points: newScore.totalScore - gameState.score.totalScore };
+}
+
 /**
  * Attempts to lock piece to board
- * Handles line clearing, scoring, and level progression
+ * Handles push-down points, line clearing, scoring, and level progression
  * @param {Object} gameState - Current game state
  * @returns {Object} { gameState: Object, locked: boolean, linesCleared: number }
  */
@@ -224,47 +440,30 @@ export function lockCurrentPiece(gameState) {
     return { gameState, locked: false, linesCleared: 0 };
   }
   
-  // Lock and clear lines
-  const lockResult = lockAndClear(gameState.board, gameState.currentPiece);
+  const lockResult = lockPiece(gameState.board, gameState.currentPiece);
   
   if (!lockResult.locked) {
     return { gameState, locked: false, linesCleared: 0, error: lockResult.error };
   }
   
-  // Update board
-  let newState = updateBoard(gameState, lockResult.board);
-  
-  // Update score with line clears
-  const linesCleared = lockResult.clearedLines;
-  if (linesCleared > 0) {
-    const newScore = addLineClearScore(newState.score, linesCleared, newState.level.currentLevel);
-    newState = updateScore(newState, newScore);
-    
-    // Update level
-    const levelResult = updateAfterClear(newState.level, linesCleared);
-    newState = updateLevel(newState, levelResult.levelState);
-    
-    // Update gravity if level changed
-    if (levelResult.leveledUp) {
-      newState = {
-        ...newState,
-        gravity: levelResult.levelState.gravity
-      };
-    }
-  }
+  // Update board and credit push-down, then clear lines
+  const lockedState = releaseHold(creditPushDown(updateBoard(gameState, lockResult.board)).gameState);
+  const clearResult = clearCompletedLines(lockedState);
   
-  return { gameState: newState, locked: true, linesCleared };
+  return { gameState: clearResult.gameState, locked: true, linesCleared: clearResult.linesCleared };
 }
 
 /**
  * Processes input actions
  * @param {Object} gameState - Current game state
  * @param {Object} inputState - Current input state
- * @returns {Object} { gameState: Object, inputState: Object }
+ * @returns {Object} { gameState: Object, inputState: Object, drops: Array }
+ *                   drops: HARD_DROP and SONIC_DROP events, in input order
  */
 export function processInput(gameState, inputState) {
   let newState = gameState;
   let newInput = inputState;
+  const drops = [];
   
   // Process all queued actions
   let action = getNextAction(inputState);
@@ -285,6 +484,25 @@ export function processInput(gameState, inputState) {
       case ACTIONS.SOFT_DROP:
         // Handled by soft drop check
         break;
+      case ACTIONS.HOLD:
+        newState = holdPiece(newState).gameState;
+        break;
+      case ACTIONS.HARD_DROP: {
+        const dropResult = hardDrop(newState);
+        newState = dropResult.gameState;
+        if (dropResult.dropped) {
+          drops.push({ type: EVENTS.HARD_DROP, cells: dropResult.cellsDropped });
+        }
+        break;
+      }
+      case ACTIONS.SONIC_DROP: {
+        const dropResult = sonicDrop(newState);
+        newState = dropResult.gameState;
+        if (dropResult.dropped) {
+          drops.push({ type: EVENTS.SONIC_DROP, cells: dropResult.cellsDropped });
+        }
+        break;
+      }
       case ACTIONS.PAUSE:
         // Handled by game controller
         break;
@@ -299,83 +517,322 @@ export function processInput(gameState, inputState) {
     action = getNextAction(newInput);
   }
   
-  return { gameState: newState, inputState: newInput };
+  return { gameState: newState, inputState: newInput, drops };
 }
 
 /**
- * Main game update - processes one frame of game logic
- * Should be called once per frame
- * 
- * @param {Object} gameState - Current game state
- * @param {Object} inputState - Current input state
- * @returns {Object} { gameState: Object, events: Array }
+ * Creates the context passed through the frame stages
+ * @param {Object} gameState - Game state at the start of the frame
+ * @param {Object} inputState - Input state for this frame
+ * @returns {Object} Frame { gameState, inputState, events, landed, hardDropped, locked }
+ *                   landed: a hard drop or gravity found the piece resting this frame
+ *                   hardDropped: the piece was hard dropped this frame
+ *                   locked: the piece locked this frame
  */
-export function updateGame(gameState, inputState) {
-  const events = [];
-  let newState = gameState;
+export function createFrame(gameState, inputState) {
+  return { gameState, inputState, events: [], landed: false, hardDropped: false, locked: false };
+}
+
+/**
+ * Input stage: counts the frame and latches the held direction for DAS
+ * @param {Object} frame - Frame context
+ * @returns {Object} Frame context
+ */
+export function inputStage(frame) {
+  const { gameState, inputState } = frame;
   
-  // Skip if not playing
-  if (!isPlaying(newState)) {
-    // Handle game over animation
-    if (isGameOverAnimationActive(newState)) {
-      const animationResult = advanceGameOverAnimation(newState);
-      newState = animationResult.gameState;
-      if (animationResult.completed) {
-        events.push({ type: 'GAME_OVER_ANIMATION_COMPLETE' });
-      }
+  return {
+    ...frame,
+    gameState: {
+      ...gameState,
+      das: setDirection(gameState.das, getDASDirection(inputState)),
+      frameCount: gameState.frameCount + 1
     }
-    return { gameState: newState, events };
+  };
+}
+
+/**
+ * DAS stage: ticks the auto shift and moves the piece when it fires
+ * A shift restarts the lock delay.
+ * @param {Object} frame - Frame context
+ * @returns {Object} Frame context (emits PIECE_SHIFTED)
+ */
+export function dasStage(frame) {
+  const dasResult = dasTick(frame.gameState.das, frame.gameState.frameCount);
+  const tickedState = updateDAS(frame.gameState, dasResult.das);
+  
+  if (!shouldApplyDAS(tickedState)) {
+    return { ...frame, gameState: tickedState };
   }
   
-  // Process input actions
-  const inputResult = processInput(newState, inputState);
-  newState = inputResult.gameState;
+  const direction = tickedState.das.direction;
+  const movedState = direction === DIRECTION_LEFT ? movePieceLeft(tickedState) : movePieceRight(tickedState);
+  if (movedState.currentPiece === tickedState.currentPiece) {
+    return { ...frame, gameState: movedState };
+  }
+  
+  return {
+    ...frame,
+    gameState: restartLockDelay(movedState),
+    events: [...frame.events, { type: EVENTS.PIECE_SHIFTED, direction }]
+  };
+}
+
+/**
+ * Rotate stage: applies the rotations, hold and instant drops pressed this frame
+ * A rotation restarts the lock delay. A hard drop marks the frame as landed
+ * so the piece locks in the lock stage, even with a lock delay.
+ * @param {Object} frame - Frame context
+ * @returns {Object} Frame context (emits PIECE_ROTATED, PIECE_HELD, GAME_OVER,
+ *                   HARD_DROP, SONIC_DROP)
+ */
+export function rotateStage(frame) {
+  const inputResult = processInput(frame.gameState, frame.inputState);
+  const before = frame.gameState.currentPiece;
+  const after = inputResult.gameState.currentPiece;
+  const hold = inputResult.gameState.hold;
+  let newState = inputResult.gameState;
+  let events = frame.events;
   
-  // Apply DAS movement
-  if (shouldApplyDAS(newState)) {
-    if (newState.das.direction === DIRECTION_LEFT) {
-      newState = movePieceLeft(newState);
-    } else if (newState.das.direction === DIRECTION_RIGHT) {
-      newState = movePieceRight(newState);
+  if (hold !== frame.gameState.hold) {
+    events = [...events, { type: EVENTS.PIECE_HELD, pieceType: hold.pieceType }];
+    if (!isPlaying(newState)) {
+      events = [...events, { type: EVENTS.GAME_OVER }];
     }
+  } else if (after && after.rotation !== before.rotation) {
+    newState = restartLockDelay(newState);
+    events = [...events, { type: EVENTS.PIECE_ROTATED, rotation: after.rotation }];
+  }
+  
+  const { drops } = inputResult;
+  const hardDropped = frame.hardDropped || drops.some(drop => drop.type === EVENTS.HARD_DROP);
+  
+  return {
+    ...frame,
+    gameState: newState,
+    inputState: inputResult.inputState,
+    events: [...events, ...drops],
+    landed: frame.landed || hardDropped,
+    hardDropped
+  };
+}
+
+/**
+ * Drop stage: soft drop, then gravity
+ * Marks the frame as landed when gravity finds the piece resting (a hard
+ * drop earlier in the frame has already marked it).
+ * @param {Object} frame - Frame context
+ * @returns {Object} Frame context (emits SOFT_DROP, PIECE_FELL)
+ */
+export function dropStage(frame) {
+  if (!frame.gameState.currentPiece) {
+    return frame;
   }
   
-  // Apply soft drop if active
-  if (isSoftDropping(inputState)) {
+  let newState = frame.gameState;
+  const events = [...frame.events];
+  
+  // Apply soft drop if active; releasing down ends the push-down streak
+  if (isSoftDropping(frame.inputState)) {
     const softDropResult = softDrop(newState);
     newState = softDropResult.gameState;
     if (softDropResult.dropped) {
-      events.push({ type: 'SOFT_DROP', cells: softDropResult.cellsDropped });
+      events.push({ type: EVENTS.SOFT_DROP, cells: softDropResult.cellsDropped });
     }
+  } else if (newState.pushDownRows > 0) {
+    newState = { ...newState, pushDownRows: 0 };
   }
   
-  // Apply gravity
+  // Tick and apply gravity
+  newState = { ...newState, gravity: gravityTick(newState.gravity).gravity };
+  let landed = false;
   if (shouldApplyGravity(newState)) {
     const gravityResult = applyGravity(newState);
     newState = gravityResult.gameState;
-    if (!gravityResult.fell) {
-      // Piece couldn't fall, check if should lock
-      const lockResult = lockCurrentPiece(newState);
-      if (lockResult.locked) {
-        newState = lockResult.gameState;
-        events.push({ type: 'PIECE_LOCKED', linesCleared: lockResult.linesCleared });
-        
-        // Spawn new piece
-        const spawnResult = spawnNewPiece(newState);
-        newState = spawnResult.gameState;
-        
-        if (spawnResult.gameOver) {
-          events.push({ type: 'GAME_OVER' });
-        } else {
-          events.push({ type: 'PIECE_SPAWNED' });
-        }
-      }
+    if (gravityResult.fell) {
+      events.push({ type: EVENTS.PIECE_FELL });
     } else {
-      events.push({ type: 'PIECE_FELL' });
+      landed = true;
+    }
+  }
+  
+  return { ...frame, gameState: newState, events, landed: frame.landed || landed };
+}
+
+/**
+ * Lock stage: locks a landed piece into the board
+ * NES rules lock as soon as gravity lands the piece; with a lock delay the
+ * piece locks when the delay runs out, or at once after a hard drop.
+ * Starts the line clear animation when rows are completed, otherwise the
+ * entry delay for the lock height. Completed rows stay on the board until
+ * the animation ends. The lock frees the hold slot for the next piece.
+ * @param {Object} frame - Frame context
+ * @returns {Object} Frame context (emits PIECE_LOCKED)
+ */
+export function lockStage(frame) {
+  const { gameState } = frame;
+  const piece = gameState.currentPiece;
+  const delay = gameState.rules.lockDelay;
+  
+  if (!piece) {
+    return frame;
+  }
+  
+  let lock;
+  if (delay > 0 && !frame.hardDropped) {
+    const tickResult = tickLockDelay(gameState.lock, gameState.board, piece, delay, gameState.frameCount);
+    if (!tickResult.lock) {
+      return { ...frame, gameState: updateLock(gameState, tickResult.lockState) };
     }
+    lock = tickResult.lockState;
+  } else if (!frame.landed || !shouldLock(gameState.board, piece)) {
+    return frame;
+  } else {
+    lock = markLocked(gameState.lock, piece, gameState.frameCount);
   }
   
-  return { gameState: newState, events };
+  const lockResult = lockPiece(gameState.board, piece);
+  if (!lockResult.locked) {
+    return frame;
+  }
+  
+  const rows = getCompletedRows(lockResult.board);
+  const lockRow = Math.max(...piece.cells.map(cell => piece.y + cell.y));
+  const entryDelay = getEntryDelay(lockRow);
+  const pushDown = creditPushDown(updateLock(gameState, lock));
+  
+  let newState = updateCurrentPiece(updateBoard(releaseHold(pushDown.gameState), lockResult.board), null);
+  newState = rows.length > 0
+    ? startLineClear(newState, rows, entryDelay)
+    : startEntryDelay(newState, entryDelay);
+  
+  return {
+    ...frame,
+    gameState: newState,
+    events: [
+      ...frame.events,
+      { type: EVENTS.PIECE_LOCKED, linesCleared: rows.length, pushDownPoints: pushDown.points }
+    ],
+    locked: true
+  };
+}
+
+/**
+ * ARE stage: counts down the entry delay and brings in the next piece
+ * The DAS charge carries over to the new piece, as on the NES.
+ * Phases started this frame count from the next frame.
+ * @param {Object} frame - Frame context
+ * @returns {Object} Frame context (emits PIECE_SPAWNED or GAME_OVER)
+ */
+export function areStage(frame) {
+  if (frame.locked || !isInPhase(frame.gameState, PLAY_PHASES.ARE)) {
+    return frame;
+  }
+  
+  const tickResult = tickPhase(frame.gameState);
+  if (!tickResult.finished) {
+    return { ...frame, gameState: tickResult.gameState };
+  }
+  
+  const spawnResult = spawnNewPiece(tickResult.gameState);
+  const event = { type: spawnResult.gameOver ? EVENTS.GAME_OVER : EVENTS.PIECE_SPAWNED };
+  const newState = spawnResult.gameOver
+    ? spawnResult.gameState
+    : updateDAS(spawnResult.gameState, frame.gameState.das);
+  
+  return { ...frame, gameState: newState, events: [...frame.events, event] };
+}
+
+/**
+ * Line clear stage: runs the line clear animation
+ * When it ends, removes the rows, scores them and starts the entry delay,
+ * or ends a B-Type game whose goal is reached.
+ * @param {Object} frame - Frame context
+ * @returns {Object} Frame context (emits LINES_CLEARED, GOAL_REACHED)
+ */
+export function lineClearStage(frame) {
+  if (frame.locked || !isInPhase(frame.gameState, PLAY_PHASES.LINE_CLEAR)) {
+    return frame;
+  }
+  
+  const tickResult = tickPhase(frame.gameState);
+  if (!tickResult.finished) {
+    return { ...frame, gameState: tickResult.gameState };
+  }
+  
+  const clearResult = clearCompletedLines(tickResult.gameState);
+  const events = [...frame.events, { type: EVENTS.LINES_CLEARED, lines: clearResult.linesCleared }];
+  
+  if (checkGoalReached(clearResult.gameState)) {
+    return {
+      ...frame,
+      gameState: triggerGameComplete(clearResult.gameState),
+      events: [...events, { type: EVENTS.GOAL_REACHED }]
+    };
+  }
+  
+  const newState = startEntryDelay(clearResult.gameState, frame.gameState.phase.entryDelay);
+  
+  return { ...frame, gameState: newState, events };
+}
+
+/**
+ * Time limit stage: ends an Ultra game on its frame deadline
+ * Runs last so the final frame is played out in full.
+ * @param {Object} frame - Frame context
+ * @returns {Object} Frame context (emits TIME_UP)
+ */
+export function timeLimitStage(frame) {
+  if (!isPlaying(frame.gameState) || !checkTimeUp(frame.gameState)) {
+    return frame;
+  }
+  
+  return {
+    ...frame,
+    gameState: triggerGameComplete(frame.gameState),
+    events: [...frame.events, { type: EVENTS.TIME_UP }]
+  };
+}
+
+/**
+ * Frame stages in NES order
+ */
+export const FRAME_STAGES = [
+  inputStage,
+  dasStage,
+  rotateStage,
+  dropStage,
+  lockStage,
+  areStage,
+  lineClearStage,
+  timeLimitStage
+];
+
+/**
+ * Main game update - simulates one frame
+ * Runs the frame stages in order while playing; otherwise only advances
+ * the game over animation, so pausing freezes DAS and gravity.
+ * Pure and clock-free: the same state and input always give the same frame.
+ * 
+ * @param {Object} gameState - Current game state
+ * @param {Object} inputState - Input state for this frame
+ * @param {Array} stages - Frame stages to run (default FRAME_STAGES)
+ * @returns {Object} { gameState: Object, events: Array }
+ */
+export function updateGame(gameState, inputState, stages = FRAME_STAGES) {
+  if (!isPlaying(gameState)) {
+    // Handle game over animation
+    if (isGameOverAnimationActive(gameState)) {
+      const animationResult = advanceGameOverAnimation(gameState);
+      const events = animationResult.completed ? [{ type: EVENTS.GAME_OVER_ANIMATION_COMPLETE }] : [];
+      return { gameState: animationResult.gameState, events };
+    }
+    return { gameState, events: [] };
+  }
+  
+  const frame = stages.reduce((current, stage) => stage(current), createFrame(gameState, inputState));
+  
+  return { gameState: frame.gameState, events: frame.events };
 }
 
 /**
@@ -419,7 +876,7 @@ export function getGameStatus(gameState) {
     highScore: gameState.score.highScore,
     level: gameState.level.currentLevel,
     lines: gameState.score.linesCleared,
-    nextPiece: gameState.nextPiece,
+    nextQueue: gameState.nextQueue,
     hasCurrentPiece: !!gameState.currentPiece,
     piecePosition: gameState.currentPiece ? 
       { x: gameState.currentPiece.x, y: gameState.currentPiece.y } : null
@@ -1,11 +1,9 @@
 /**
- * Game Loop - 60 FPS timing and game update orchestration
- * Handles frame timing, DAS, gravity, and state updates
+ * Game Loop - 60 FPS timing
+ * Handles fixed-timestep frame timing and the DAS and gravity timing checks
  */
 
-import { tick as gravityTick, resetCounter } from '../domain/gravity.js';
-import { tick as dasTick, setDirection } from '../domain/das.js';
-import { getDASDirection, isSoftDropping, clearTransientKeys } from './inputController.js';
+import { resetCounter } from '../domain/gravity.js';
 
 /**
  * Target frame rate (NES: 60 FPS)
@@ -13,6 +11,17 @@ import { getDASDirection, isSoftDropping, clearTransientKeys } from './inputCont
 export const TARGET_FPS = 60;
 export const FRAME_DURATION_MS = 1000 / TARGET_FPS;
 
+/**
+ * Exact NES (NTSC) frame rate used for the fixed simulation timestep
+ */
+export const NES_FRAME_RATE = 60.0988;
+export const NES_FRAME_DURATION_MS = 1000 / NES_FRAME_RATE;
+
+/**
+ * Most simulation frames run for one animation frame; older time is dropped
+ */
+export const MAX_CATCHUP_FRAMES = 5;
+
 /**
  * Creates initial game loop state
  * @returns {Object} Game loop state
@@ -23,6 +32,7 @@ export function createGameLoop() {
     lastFrameTime: 0,
     accumulator: 0,
     frameCount: 0,
+    droppedFrames: 0,
     frameCallbacks: [],
     rafId: null
   };
@@ -32,9 +42,10 @@ export function createGameLoop() {
  * Starts the game loop
  * @param {Object} gameLoop - Game loop state
  * @param {Function} updateCallback - Callback for each frame: (deltaTime, frameCount) => void
+ * @param {number} startTime - Timestamp the loop starts at in ms (default: performance.now())
  * @returns {Object} Running game loop state
  */
-export function startGameLoop(gameLoop, updateCallback) {
+export function startGameLoop(gameLoop, updateCallback, startTime = performance.now()) {
   if (gameLoop.isRunning) {
     return gameLoop;
   }
@@ -47,7 +58,7 @@ export function startGameLoop(gameLoop, updateCallback) {
   return {
     ...gameLoop,
     isRunning: true,
-    lastFrameTime: performance.now(),
+    lastFrameTime: startTime,
     frameCallbacks: newCallbacks
   };
 }
@@ -70,75 +81,50 @@ export function stopGameLoop(gameLoop) {
 }
 
 /**
- * Main update function called each frame
- * Handles timing, DAS, gravity, and invokes callbacks
- * 
+ * Advances the fixed timestep clock to a new timestamp
+ * Adds the elapsed time to the accumulator and takes out whole NES frames.
+ * Frames beyond the catch-up cap (e.g. after a background tab) are dropped
+ * instead of simulated, so the game never fast-forwards.
+ * Pure: the caller supplies the timestamp and runs the simulation frames.
  * @param {Object} gameLoop - Game loop state
- * @param {Object} gameState - Current game state
- * @param {Object} inputState - Current input state
- * @returns {Object} { gameLoop: Object, gameState: Object, inputState: Object }
+ * @param {number} now - Current timestamp in ms
+ * @param {number} maxFrames - Catch-up cap (default MAX_CATCHUP_FRAMES)
+ * @returns {Object} { gameLoop: Object, frames: number, droppedFrames: number }
  */
-export function updateFrame(gameLoop, gameState, inputState) {
+export function advanceLoop(gameLoop, now, maxFrames = MAX_CATCHUP_FRAMES) {
   if (!gameLoop.isRunning) {
-    return { gameLoop, gameState, inputState };
+    return { gameLoop, frames: 0, droppedFrames: 0 };
   }
 
-  const currentTime = performance.now();
-  // Handle initial frame where lastFrameTime might be 0
-  const deltaTime = gameLoop.lastFrameTime > 0 ? currentTime - gameLoop.lastFrameTime : FRAME_DURATION_MS;
-  
-  let newGameLoop = {
-    ...gameLoop,
-    lastFrameTime: currentTime,
-    accumulator: gameLoop.accumulator + deltaTime,
-    frameCount: gameLoop.frameCount + 1
-  };
-
-  // Process all accumulated frames (for catch-up if frame rate drops)
-  let newGameState = gameState;
-  let newInputState = inputState;
-  
-  while (newGameLoop.accumulator >= FRAME_DURATION_MS) {
-    // Tick DAS
-    const dasDirection = getDASDirection(newInputState);
-    const dasWithDirection = setDirection(newGameState.das, dasDirection);
-    const dasResult = dasTick(dasWithDirection, newGameLoop.frameCount);
-    
-    newGameState = {
-      ...newGameState,
-      das: dasResult.das
-    };
-
-    // Tick gravity
-    const gravityResult = gravityTick(newGameState.gravity);
-    
-    newGameState = {
-      ...newGameState,
-      gravity: gravityResult.gravity
-    };
-
-    // Increment frame counter
-    newGameState = {
-      ...newGameState,
-      frameCount: newGameState.frameCount + 1
-    };
-
-    // Clear transient input keys
-    newInputState = clearTransientKeys(newInputState);
-
-    newGameLoop = {
-      ...newGameLoop,
-      accumulator: newGameLoop.accumulator - FRAME_DURATION_MS
-    };
-  }
+  // Clocks can step backwards (e.g. suspended devices); never rewind
+  const elapsed = Math.max(0, now - gameLoop.lastFrameTime);
+  const accumulator = gameLoop.accumulator + elapsed;
+  const dueFrames = Math.floor(accumulator / NES_FRAME_DURATION_MS);
+  const frames = Math.min(dueFrames, maxFrames);
+  const droppedFrames = dueFrames - frames;
 
   return {
-    gameLoop: newGameLoop,
-    gameState: newGameState,
-    inputState: newInputState
+    gameLoop: {
+      ...gameLoop,
+      lastFrameTime: now,
+      accumulator: accumulator - dueFrames * NES_FRAME_DURATION_MS,
+      frameCount: gameLoop.frameCount + frames,
+      droppedFrames: gameLoop.droppedFrames + droppedFrames
+    },
+    frames,
+    droppedFrames
   };
 }
 
+/**
+ * Gets how far rendering is between the last and the next simulation frame
+ * @param {Object} gameLoop - Game loop state
+ * @returns {number} Interpolation factor in [0, 1)
+ */
+export function getRenderAlpha(gameLoop) {
+  return gameLoop.accumulator / NES_FRAME_DURATION_MS;
+}
+
 /**
  * Checks if gravity should apply this frame
  * (Convenience function for controller)
@@ -222,6 +208,15 @@ export function getFrameCount(gameLoop) {
   return gameLoop.frameCount;
 }
 
+/**
+ * Gets the number of frames dropped by the catch-up cap
+ * @param {Object} gameLoop - Game loop state
+ * @returns {number} Total dropped frames
+ */
+export function getDroppedFrames(gameLoop) {
+  return gameLoop.droppedFrames;
+}
+
 /**
  * Checks if loop is running
  * @param {Object} gameLoop - Game loop state
@@ -1,6 +1,9 @@
 // Controller - Game orchestration and I/O handling
-// Contains: input handling, game loop, game controller
+// Contains: input handling, game loop, runtime, game controller, engine, replay
 
 export * from './inputController.js';
 export * from './gameLoop.js';
+export * from './runtime.js';
 export * from './gameController.js';
+export * from './engine.js';
+export * from './replay.js';
@@ -8,6 +8,9 @@
  * - Left Arrow: Rotate counter-clockwise
  * - Right Arrow: Rotate clockwise
  * - Down Arrow: Soft drop
+ * - C/Shift: Hold (only with the hold rule)
+ * - Up Arrow: Hard drop (only with the hardDrop rule)
+ * - W: Sonic drop (only with the sonicDrop rule)
  * - P: Pause/Resume
  * - Enter/Space: Start/Confirm
  * - R: Reset/Return to title
@@ -30,6 +33,11 @@ export const KEY_MAPPINGS = {
   // Soft drop
   SOFT_DROP: ['ArrowDown'],
   
+  // Hold and instant drops (optional rules)
+  HOLD: ['c', 'C', 'Shift'],
+  HARD_DROP: ['ArrowUp'],
+  SONIC_DROP: ['w', 'W'],
+  
   // Game control
   PAUSE: ['p', 'P'],
   START: ['Enter', ' '],
@@ -46,6 +54,9 @@ export const ACTIONS = {
   ROTATE_CCW: 'rotateCCW',
   ROTATE_CW: 'rotateCW',
   SOFT_DROP: 'softDrop',
+  HOLD: 'hold',
+  HARD_DROP: 'hardDrop',
+  SONIC_DROP: 'sonicDrop',
   PAUSE: 'pause',
   START: 'start',
   RESET: 'reset'
@@ -105,6 +116,12 @@ export function handleKeyDown(inputState, key) {
     actionQueue.push(ACTIONS.ROTATE_CCW);
   } else if (KEY_MAPPINGS.ROTATE_CW.includes(key)) {
     actionQueue.push(ACTIONS.ROTATE_CW);
+  } else if (KEY_MAPPINGS.HOLD.includes(key)) {
+    actionQueue.push(ACTIONS.HOLD);
+  } else if (KEY_MAPPINGS.HARD_DROP.includes(key)) {
+    actionQueue.push(ACTIONS.HARD_DROP);
+  } else if (KEY_MAPPINGS.SONIC_DROP.includes(key)) {
+    actionQueue.push(ACTIONS.SONIC_DROP);
   } else if (KEY_MAPPINGS.PAUSE.includes(key)) {
     actionQueue.push(ACTIONS.PAUSE);
   } else if (KEY_MAPPINGS.START.includes(key)) {
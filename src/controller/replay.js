@@ -0,0 +1,343 @@
+/**
+ * Replay - Records and plays back games frame by frame
+ * A replay is the randomizer seed, the start level, the rules, the game mode and a sparse per-frame
+ * input log built from keysJustPressed/keysJustReleased.
+ * Playback rebuilds the input state and runs it through updateGame,
+ * so the same seed and inputs reproduce the same game exactly.
+ */
+
+import { initGame, startNewGame, updateGame } from './gameController.js';
+import { createInputState, handleKeyDown, handleKeyUp, clearTransientKeys, KEY_MAPPINGS } from './inputController.js';
+import { DEFAULT_RULES, isValidRules } from '../domain/rules.js';
+import { DEFAULT_GAME_MODE, isValidGameMode } from '../domain/gameMode.js';
+import { validateStartLevel } from '../domain/level.js';
+
+/**
+ * Replay format version
+ */
+export const REPLAY_VERSION = 1;
+
+/**
+ * Supported playback speeds (frames simulated per displayed frame)
+ */
+export const PLAYBACK_SPEEDS = [1, 2, 4, 8];
+
+/**
+ * Keys bound to a game action; other keys do not affect the game and are not recorded
+ */
+const REPLAY_KEYS = new Set(Object.values(KEY_MAPPINGS).flat());
+
+/**
+ * Creates an empty replay ready for recording
+ * @param {number} seed - Randomizer seed used to start the game
+ * @param {number} startLevel - Starting level (default 0)
+ * @param {Object} rules - Rule set the game is played with (default: NES rules)
+ * @param {Object} mode - Game mode the game is played in (default: A-Type)
+ * @returns {Object} Replay being recorded
+ */
+export function createReplay(seed, startLevel = 0, rules = DEFAULT_RULES, mode = DEFAULT_GAME_MODE) {
+  return {
+    version: REPLAY_VERSION,
+    seed,
+    startLevel,
+    rules,
+    mode,
+    length: 0,
+    frames: [],
+    held: []
+  };
+}
+
+/**
+ * Records the input of one game frame
+ * Only frames with changes to mapped keys are stored. Keys pressed or released while
+ * no frame was recorded (e.g. during pause) are reconciled against the
+ * currently held keys so playback never drifts.
+ * The frames array belongs to the recorder and is appended in place, so
+ * recording stays linear in the game length; finishReplay freezes a copy.
+ * @param {Object} replay - Replay being recorded
+ * @param {Object} inputState - Input state for this frame (before clearing)
+ * @returns {Object} Replay with the frame appended
+ */
+export function recordFrame(replay, inputState) {
+  const pressed = Array.from(inputState.keysJustPressed).filter(key => REPLAY_KEYS.has(key));
+  const released = Array.from(inputState.keysJustReleased).filter(key => REPLAY_KEYS.has(key));
+  const held = Array.from(inputState.keysPressed).filter(key => REPLAY_KEYS.has(key));
+
+  for (const key of held) {
+    if (!replay.held.includes(key) && !pressed.includes(key)) {
+      pressed.push(key);
+    }
+  }
+  for (const key of replay.held) {
+    if (!held.includes(key) && !released.includes(key)) {
+      released.push(key);
+    }
+  }
+
+  if (pressed.length > 0 || released.length > 0) {
+    replay.frames.push({ frame: replay.length, pressed, released });
+  }
+
+  return {
+    ...replay,
+    length: replay.length + 1,
+    held
+  };
+}
+
+/**
+ * Finishes recording, dropping recorder bookkeeping
+ * @param {Object} replay - Replay being recorded
+ * @returns {Object} Finished replay
+ */
+export function finishReplay(replay) {
+  return {
+    version: replay.version,
+    seed: replay.seed,
+    startLevel: replay.startLevel,
+    rules: replay.rules,
+    mode: replay.mode,
+    length: replay.length,
+    frames: Object.freeze([...replay.frames])
+  };
+}
+
+/**
+ * Serializes a replay to a JSON string (for bug reports)
+ * @param {Object} replay - Finished replay
+ * @returns {string} JSON string
+ */
+export function exportReplay(replay) {
+  return JSON.stringify(finishReplay(replay));
+}
+
+/**
+ * Checks if a recorded key list only holds mapped keys
+ * @param {*} keys - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidKeyList(keys) {
+  return Array.isArray(keys) && keys.every(key => REPLAY_KEYS.has(key));
+}
+
+/**
+ * Checks if recorded frames are in increasing frame order within the replay length
+ * @param {*} frames - Value to check
+ * @param {number} length - Replay length in frames
+ * @returns {boolean} True if valid
+ */
+function isValidFrameLog(frames, length) {
+  return Array.isArray(frames) && frames.every((entry, index) =>
+    !!entry && typeof entry === 'object' &&
+    Number.isInteger(entry.frame) && entry.frame >= 0 && entry.frame < length &&
+    (index === 0 || entry.frame > frames[index - 1].frame) &&
+    isValidKeyList(entry.pressed) && isValidKeyList(entry.released));
+}
+
+/**
+ * Parses a replay from a JSON string
+ * @param {string} json - JSON string from exportReplay
+ * @returns {Object} { replay: Object|null, error: string|null }
+ */
+export function importReplay(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    return { replay: null, error: 'Invalid JSON' };
+  }
+
+  if (!data || data.version !== REPLAY_VERSION) {
+    return { replay: null, error: 'Unsupported replay version' };
+  }
+
+  if (typeof data.seed !== 'number' ||
+      !Number.isInteger(data.startLevel) || validateStartLevel(data.startLevel) !== data.startLevel ||
+      !Number.isInteger(data.length) || data.length < 0 || !isValidFrameLog(data.frames, data.length) ||
+      !isValidRules(data.rules) || !isValidGameMode(data.mode)) {
+    return { replay: null, error: 'Malformed replay' };
+  }
+
+  return { replay: finishReplay(data), error: null };
+}
+
+/**
+ * Creates a replay player positioned at the first frame
+ * @param {Object} replay - Finished replay
+ * @returns {Object} Player state
+ */
+export function createReplayPlayer(replay) {
+  const gameState = startNewGame(initGame(replay.startLevel, replay.rules, replay.mode), replay.startLevel, replay.seed);
+
+  return {
+    replay,
+    gameState,
+    inputState: createInputState(),
+    frame: 0,
+    cursor: 0,
+    paused: false,
+    speed: PLAYBACK_SPEEDS[0]
+  };
+}
+
+/**
+ * Applies the recorded key changes of a frame to the input state
+ * Keys held before the frame are released first, then new presses are
+ * applied, then keys tapped within the frame are released.
+ * @param {Object} inputState - Input state
+ * @param {Object} entry - Recorded frame { pressed, released }
+ * @returns {Object} Updated input state
+ */
+function applyFrameInput(inputState, entry) {
+  const heldBefore = new Set(inputState.keysPressed);
+  let newInput = inputState;
+
+  for (const key of entry.released) {
+    if (heldBefore.has(key)) {
+      newInput = handleKeyUp(newInput, key);
+    }
+  }
+  for (const key of entry.pressed) {
+    newInput = handleKeyDown(newInput, key);
+  }
+  for (const key of entry.released) {
+    if (!heldBefore.has(key)) {
+      newInput = handleKeyUp(newInput, key);
+    }
+  }
+
+  return newInput;
+}
+
+/**
+ * Simulates exactly one recorded frame
+ * @param {Object} player - Player state
+ * @returns {Object} { player: Object, events: Array }
+ */
+export function stepReplay(player) {
+  if (isReplayFinished(player)) {
+    return { player, events: [] };
+  }
+
+  let inputState = player.inputState;
+  let cursor = player.cursor;
+  const entry = player.replay.frames[cursor];
+
+  if (entry && entry.frame === player.frame) {
+    inputState = applyFrameInput(inputState, entry);
+    cursor++;
+  }
+
+  const result = updateGame(player.gameState, inputState);
+
+  return {
+    player: {
+      ...player,
+      gameState: result.gameState,
+      inputState: clearTransientKeys(inputState),
+      frame: player.frame + 1,
+      cursor
+    },
+    events: result.events
+  };
+}
+
+/**
+ * Advances playback for one displayed frame
+ * Simulates `speed` frames, or none while paused
+ * @param {Object} player - Player state
+ * @returns {Object} { player: Object, events: Array }
+ */
+export function advanceReplay(player) {
+  if (player.paused) {
+    return { player, events: [] };
+  }
+
+  let newPlayer = player;
+  const events = [];
+
+  for (let i = 0; i < player.speed && !isReplayFinished(newPlayer); i++) {
+    const result = stepReplay(newPlayer);
+    newPlayer = result.player;
+    events.push(...result.events);
+  }
+
+  return { player: newPlayer, events };
+}
+
+/**
+ * Steps a single frame while paused
+ * @param {Object} player - Player state
+ * @returns {Object} { player: Object, events: Array }
+ */
+export function stepReplayFrame(player) {
+  if (!player.paused) {
+    return { player, events: [] };
+  }
+  return stepReplay(player);
+}
+
+/**
+ * Pauses or resumes playback
+ * @param {Object} player - Player state
+ * @returns {Object} Player with toggled pause
+ */
+export function toggleReplayPause(player) {
+  return {
+    ...player,
+    paused: !player.paused
+  };
+}
+
+/**
+ * Sets playback speed
+ * @param {Object} player - Player state
+ * @param {number} speed - One of PLAYBACK_SPEEDS
+ * @returns {Object} Player with updated speed (unchanged if unsupported)
+ */
+export function setReplaySpeed(player, speed) {
+  if (!PLAYBACK_SPEEDS.includes(speed)) {
+    return player;
+  }
+  return {
+    ...player,
+    speed
+  };
+}
+
+/**
+ * Moves to the next or previous playback speed
+ * @param {Object} player - Player state
+ * @param {number} delta - +1 for faster, -1 for slower
+ * @returns {Object} Player with updated speed (clamped)
+ */
+export function changeReplaySpeed(player, delta) {
+  const index = PLAYBACK_SPEEDS.indexOf(player.speed);
+  const newIndex = Math.max(0, Math.min(PLAYBACK_SPEEDS.length - 1, index + delta));
+  return setReplaySpeed(player, PLAYBACK_SPEEDS[newIndex]);
+}
+
+/**
+ * Checks if all recorded frames were played
+ * @param {Object} player - Player state
+ * @returns {boolean} True if playback reached the end
+ */
+export function isReplayFinished(player) {
+  return player.frame >= player.replay.length;
+}
+
+/**
+ * Gets playback info for display
+ * @param {Object} player - Player state
+ * @returns {Object} { frame, totalFrames, speed, paused, finished }
+ */
+export function getReplayStatus(player) {
+  return {
+    frame: player.frame,
+    totalFrames: player.replay.length,
+    speed: player.speed,
+    paused: player.paused,
+    finished: isReplayFinished(player)
+  };
+}
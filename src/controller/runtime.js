@@ -0,0 +1,98 @@
+/**
+ * Runtime - Drives the game loop from animation frames
+ * Schedules itself every display refresh, runs a fixed number of NES frames
+ * from the elapsed time and renders once per refresh. The simulation only
+ * depends on elapsed time, so 60, 120 and 144 Hz displays play the same.
+ * Frames skipped after a stall are counted in the loop state (getLoop).
+ *
+ * Clock and scheduler are injectable for tests.
+ */
+
+import {
+  createGameLoop,
+  startGameLoop,
+  stopGameLoop,
+  advanceLoop,
+  getRenderAlpha,
+  MAX_CATCHUP_FRAMES
+} from './gameLoop.js';
+
+/**
+ * Creates a runtime
+ * @param {Object} options - Runtime options
+ * @param {Function} options.update - Runs one simulation frame: () => void
+ * @param {Function} options.render - Draws the latest state: (alpha) => void
+ * @param {number} options.maxCatchUpFrames - Simulation frames allowed per refresh (default MAX_CATCHUP_FRAMES)
+ * @param {Function} options.now - Clock in ms (default: performance.now)
+ * @param {Function} options.schedule - Schedules a callback for the next refresh (default: requestAnimationFrame)
+ * @param {Function} options.cancel - Cancels a scheduled callback (default: cancelAnimationFrame)
+ * @returns {Object} Runtime { start(), stop(), isRunning(), getLoop() }
+ */
+export function createRuntime({
+  update,
+  render,
+  maxCatchUpFrames = MAX_CATCHUP_FRAMES,
+  now = () => performance.now(),
+  schedule = callback => requestAnimationFrame(callback),
+  cancel = id => cancelAnimationFrame(id)
+}) {
+  let loop = createGameLoop();
+
+  /**
+   * Handles one animation frame
+   */
+  function onFrame() {
+    const result = advanceLoop(loop, now(), maxCatchUpFrames);
+    loop = result.gameLoop;
+
+    for (let i = 0; i < result.frames; i++) {
+      update();
+    }
+
+    render(getRenderAlpha(loop));
+
+    // update or render may have stopped the runtime
+    if (loop.isRunning) {
+      loop = { ...loop, rafId: schedule(onFrame) };
+    }
+  }
+
+  return {
+    /**
+     * Starts scheduling frames (no-op when running)
+     */
+    start() {
+      if (loop.isRunning) {
+        return;
+      }
+      loop = startGameLoop(loop, null, now());
+      loop = { ...loop, rafId: schedule(onFrame) };
+    },
+
+    /**
+     * Stops scheduling frames
+     */
+    stop() {
+      if (loop.rafId !== null) {
+        cancel(loop.rafId);
+      }
+      loop = stopGameLoop({ ...loop, rafId: null });
+    },
+
+    /**
+     * Checks if the runtime is scheduling frames
+     * @returns {boolean} True if running
+     */
+    isRunning() {
+      return loop.isRunning;
+    },
+
+    /**
+     * Gets the game loop state (timing, frame and dropped frame counts)
+     * @returns {Object} Game loop state
+     */
+    getLoop() {
+      return loop;
+    }
+  };
+}
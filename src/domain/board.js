@@ -3,11 +3,20 @@
  * NES Tetris: 10 columns × 20 visible rows + 2 hidden rows at top
  */
 
+import { nesLfsrStep, NES_INITIAL_SEED } from './randomizer.js';
+
 export const BOARD_WIDTH = 10;
 export const BOARD_HEIGHT = 20;
 export const HIDDEN_ROWS = 2;
 export const TOTAL_ROWS = BOARD_HEIGHT + HIDDEN_ROWS;
 
+/**
+ * Garbage cell for each 3-bit random value (0 = empty), as the NES B-Type
+ * tile table: half the cells are filled with one of three block colors
+ * (T, J and Z piece colors)
+ */
+const GARBAGE_CELLS = [0, 3, 0, 6, 5, 5, 0, 0];
+
 /**
  * Creates an empty board
  * Returns a 2D array: rows × columns
@@ -64,6 +73,19 @@ export function isRowComplete(board, rowIndex) {
   return board[rowIndex].every(cell => cell !== 0);
 }
 
+/**
+ * Gets the indices of all completely filled rows, top to bottom
+ */
+export function getCompletedRows(board) {
+  const rows = [];
+  for (let i = 0; i < TOTAL_ROWS; i++) {
+    if (isRowComplete(board, i)) {
+      rows.push(i);
+    }
+  }
+  return rows;
+}
+
 /**
  * Clears completed lines and returns new board with lines removed
  * Also returns count of cleared lines
@@ -121,6 +143,35 @@ export function getVisibleBoard(board) {
   return board.slice(HIDDEN_ROWS);
 }
 
+/**
+ * Creates a board with B-Type garbage rows at the bottom
+ * Like the NES, every cell is drawn from the 16-bit LFSR, then one random
+ * column per row is emptied so no garbage row starts complete.
+ * @param {number} rows - Number of garbage rows (0-20)
+ * @param {number} seed - Seed for the garbage (low 16 bits are used)
+ * @returns {Array} New board
+ */
+export function createGarbageBoard(rows, seed) {
+  let board = createEmptyBoard();
+  let random = (seed & 0xFFFF) || NES_INITIAL_SEED;
+
+  for (let y = TOTAL_ROWS - 1; y >= TOTAL_ROWS - rows; y--) {
+    for (let x = 0; x < BOARD_WIDTH; x++) {
+      random = nesLfsrStep(random);
+      board = setCell(board, x, y, GARBAGE_CELLS[(random >> 8) & 7]);
+    }
+
+    let hole;
+    do {
+      random = nesLfsrStep(random);
+      hole = (random >> 8) & 0x0F;
+    } while (hole >= BOARD_WIDTH);
+    board = setCell(board, hole, y, 0);
+  }
+
+  return board;
+}
+
 /**
  * Checks if spawn area (hidden rows) is clear for new piece
  */
@@ -4,7 +4,8 @@
  */
 
 import { BOARD_WIDTH, TOTAL_ROWS, getCell } from './board.js';
-import { getPieceCells } from './piece.js';
+import { getPieceCells, movePiece } from './piece.js';
+import { getSystemPieces } from './rotationSystems.js';
 
 /**
  * Checks if a position is valid for placing a piece
@@ -14,10 +15,11 @@ import { getPieceCells } from './piece.js';
  * @param {number} x - X position
  * @param {number} y - Y position
  * @param {number} rotation - Rotation state (0-3)
+ * @param {string} system - Rotation system (default: nes)
  * @returns {boolean} True if position is valid, false if collision
  */
-export function checkCollision(board, pieceType, x, y, rotation) {
-  const cells = getPieceCells(pieceType, x, y, rotation);
+export function checkCollision(board, pieceType, x, y, rotation, system) {
+  const cells = getPieceCells(pieceType, x, y, rotation, system);
   
   if (!cells) {
     return true; // Invalid piece type = collision
@@ -49,7 +51,8 @@ export function canMovePiece(board, piece, deltaX, deltaY) {
     piece.type,
     piece.x + deltaX,
     piece.y + deltaY,
-    piece.rotation
+    piece.rotation,
+    piece.system
   );
 }
 
@@ -63,7 +66,8 @@ export function canRotatePiece(board, piece, newRotation) {
     piece.type,
     piece.x,
     piece.y,
-    newRotation
+    newRotation,
+    piece.system
   );
 }
 
@@ -77,49 +81,59 @@ export function isPieceTouchingFloor(board, piece) {
     piece.type,
     piece.x,
     piece.y + 1,
-    piece.rotation
+    piece.rotation,
+    piece.system
   );
 }
 
+/**
+ * Gets how many rows a piece can fall before it lands
+ * Used by hard and sonic drop to find the landing position
+ * @param {Array} board - Game board
+ * @param {Object} piece - Piece to drop
+ * @returns {number} Rows to the landing position (0 if resting)
+ */
+export function getDropDistance(board, piece) {
+  let distance = 0;
+  while (!checkCollision(board, piece.type, piece.x, piece.y + distance + 1, piece.rotation, piece.system)) {
+    distance++;
+  }
+  return distance;
+}
+
+/**
+ * Gets the ghost of a piece: the piece moved down to where it would land
+ * @param {Array} board - Game board
+ * @param {Object} piece - Current piece
+ * @returns {Object} Piece at its landing position
+ */
+export function getGhostPiece(board, piece) {
+  let ghost = piece;
+  while (canMovePiece(board, ghost, 0, 1)) {
+    ghost = movePiece(ghost, 0, 1);
+  }
+  return ghost;
+}
+
 /**
  * Checks if spawn position is clear
  * Used for game over detection
+ * @param {Array} board - Game board
+ * @param {number} pieceType - Piece type (1-7)
+ * @param {string} system - Rotation system (default: nes)
  */
-export function canSpawnPiece(board, pieceType) {
+export function canSpawnPiece(board, pieceType, system) {
   // Validate piece type first
   if (!pieceType || pieceType < 1 || pieceType > 7) {
     return false;
   }
   
   // Check spawn position (rotation 0)
+  const pieceDef = getSystemPieces(system)[pieceType];
   return !checkCollision(board, pieceType, 
-    getPieceSpawnX(pieceType),
-    getPieceSpawnY(pieceType),
-    0
+    pieceDef.spawnX,
+    pieceDef.spawnY,
+    0,
+    system
   );
 }
-
-/**
- * Helper to get spawn X from piece type
- */
-function getPieceSpawnX(pieceType) {
-  // Import from piece.js would create circular dependency
-  // Hardcoded for now based on piece.js definitions
-  const spawnPositions = {
-    1: 3, // I
-    2: 4, // O
-    3: 3, // T
-    4: 3, // S
-    5: 3, // Z
-    6: 3, // J
-    7: 3  // L
-  };
-  return spawnPositions[pieceType];
-}
-
-/**
- * Helper to get spawn Y from piece type
- */
-function getPieceSpawnY(pieceType) {
-  return 0; // All pieces spawn at y=0
-}
@@ -0,0 +1,258 @@
+/**
+ * Game Mode module - A-Type, B-Type and Sprint play
+ * A-Type: endless marathon from an empty board
+ * B-Type: clear 25 lines from a board with garbage, at a fixed level
+ * Sprint: clear 40 lines as fast as possible, timed in frames with splits
+ * Ultra: score as much as possible before a 2 or 3 minute deadline
+ */
+
+/**
+ * Game modes
+ */
+export const GAME_MODES = {
+  A_TYPE: 'aType',
+  B_TYPE: 'bType',
+  SPRINT: 'sprint',
+  ULTRA: 'ultra'
+};
+
+/**
+ * Lines to clear to win a B-Type game
+ */
+export const B_TYPE_LINE_GOAL = 25;
+
+/**
+ * Lines to clear to finish a Sprint
+ */
+export const SPRINT_LINE_GOAL = 40;
+
+/**
+ * Lines between Sprint splits
+ */
+export const SPRINT_SPLIT_LINES = 10;
+
+/**
+ * Ultra time limits in minutes
+ */
+export const ULTRA_MINUTES = [2, 3];
+
+/**
+ * Default Ultra time limit in minutes
+ */
+export const DEFAULT_ULTRA_MINUTES = 3;
+
+/**
+ * NES frames per minute (60.0988 FPS × 60, rounded to whole frames)
+ */
+export const FRAMES_PER_MINUTE = 3606;
+
+/**
+ * Garbage rows for each B-Type height setting (NES)
+ */
+export const GARBAGE_HEIGHTS = [0, 3, 5, 8, 10, 12];
+
+/**
+ * Highest B-Type height setting
+ */
+export const MAX_GARBAGE_HEIGHT = GARBAGE_HEIGHTS.length - 1;
+
+/**
+ * Creates a game mode
+ * Unknown types fall back to A-Type; the height is clamped to 0-5
+ * and only kept for B-Type. Ultra adds its time limit in minutes.
+ * @param {string} type - Mode from GAME_MODES (default A-Type)
+ * @param {number} garbageHeight - B-Type height setting 0-5 (default 0)
+ * @param {number} minutes - Ultra time limit from ULTRA_MINUTES (default 3)
+ * @returns {Object} Game mode { type, garbageHeight, minutes? }
+ */
+export function createGameMode(type = GAME_MODES.A_TYPE, garbageHeight = 0, minutes = DEFAULT_ULTRA_MINUTES) {
+  if (type === GAME_MODES.ULTRA) {
+    return {
+      type,
+      garbageHeight: 0,
+      minutes: ULTRA_MINUTES.includes(minutes) ? minutes : DEFAULT_ULTRA_MINUTES
+    };
+  }
+
+  if (type !== GAME_MODES.B_TYPE) {
+    const known = Object.values(GAME_MODES).includes(type);
+    return { type: known ? type : GAME_MODES.A_TYPE, garbageHeight: 0 };
+  }
+
+  const height = Number.isInteger(garbageHeight) ? garbageHeight : 0;
+  return {
+    type,
+    garbageHeight: Math.max(0, Math.min(MAX_GARBAGE_HEIGHT, height))
+  };
+}
+
+/**
+ * Default game mode (A-Type)
+ */
+export const DEFAULT_GAME_MODE = createGameMode();
+
+/**
+ * Checks if a game mode object only holds supported values
+ * @param {Object} mode - Game mode
+ * @returns {boolean} True if valid
+ */
+export function isValidGameMode(mode) {
+  return !!mode && typeof mode === 'object' &&
+    Object.values(GAME_MODES).includes(mode.type) &&
+    Number.isInteger(mode.garbageHeight) &&
+    mode.garbageHeight >= 0 && mode.garbageHeight <= MAX_GARBAGE_HEIGHT &&
+    (mode.type === GAME_MODES.B_TYPE || mode.garbageHeight === 0) &&
+    (mode.type === GAME_MODES.ULTRA ? ULTRA_MINUTES.includes(mode.minutes) : mode.minutes === undefined);
+}
+
+/**
+ * Checks if a mode is B-Type
+ * @param {Object} mode - Game mode
+ * @returns {boolean} True for B-Type
+ */
+export function isBType(mode) {
+  return mode.type === GAME_MODES.B_TYPE;
+}
+
+/**
+ * Checks if a mode is Sprint
+ * @param {Object} mode - Game mode
+ * @returns {boolean} True for Sprint
+ */
+export function isSprint(mode) {
+  return mode.type === GAME_MODES.SPRINT;
+}
+
+/**
+ * Checks if a mode is Ultra
+ * @param {Object} mode - Game mode
+ * @returns {boolean} True for Ultra
+ */
+export function isUltra(mode) {
+  return mode.type === GAME_MODES.ULTRA;
+}
+
+/**
+ * Gets the lines a mode has to clear to finish
+ * @param {Object} mode - Game mode
+ * @returns {number|null} Line goal, or null for A-Type
+ */
+export function getLineGoal(mode) {
+  if (isBType(mode)) {
+    return B_TYPE_LINE_GOAL;
+  }
+  return isSprint(mode) ? SPRINT_LINE_GOAL : null;
+}
+
+/**
+ * Gets the number of garbage rows a game starts with
+ * @param {Object} mode - Game mode
+ * @returns {number} Garbage rows (0 for A-Type)
+ */
+export function getGarbageRows(mode) {
+  return isBType(mode) ? GARBAGE_HEIGHTS[mode.garbageHeight] : 0;
+}
+
+/**
+ * Gets the lines left to clear in a B-Type or Sprint game
+ * @param {Object} mode - Game mode
+ * @param {number} linesCleared - Lines cleared so far
+ * @returns {number|null} Lines remaining, or null for A-Type
+ */
+export function getLinesRemaining(mode, linesCleared) {
+  const goal = getLineGoal(mode);
+  return goal === null ? null : Math.max(0, goal - linesCleared);
+}
+
+/**
+ * Checks if the mode's goal has been reached
+ * @param {Object} mode - Game mode
+ * @param {number} linesCleared - Lines cleared so far
+ * @returns {boolean} True once a B-Type game has cleared 25 lines or a Sprint 40
+ */
+export function hasReachedGoal(mode, linesCleared) {
+  return getLinesRemaining(mode, linesCleared) === 0;
+}
+
+/**
+ * Records the Sprint splits passed by a line clear
+ * A clear crossing several split marks (e.g. a tetris from 8 to 12 lines)
+ * records the same frame for each of them.
+ * @param {Object} mode - Game mode
+ * @param {Array} splits - Frame counts of the splits recorded so far
+ * @param {number} linesCleared - Lines cleared after the clear
+ * @param {number} frameCount - Frame the clear finished on
+ * @returns {Array} Splits (unchanged outside Sprint)
+ */
+export function addSplits(mode, splits, linesCleared, frameCount) {
+  if (!isSprint(mode)) {
+    return splits;
+  }
+
+  const passed = Math.floor(Math.min(linesCleared, SPRINT_LINE_GOAL) / SPRINT_SPLIT_LINES);
+  if (passed <= splits.length) {
+    return splits;
+  }
+
+  return [...splits, ...new Array(passed - splits.length).fill(frameCount)];
+}
+
+/**
+ * Gets the completion time of a finished Sprint
+ * @param {Array} splits - Frame counts of the splits
+ * @returns {number|null} Frames to clear 40 lines, or null if unfinished
+ */
+export function getSprintTime(splits) {
+  return splits.length === SPRINT_LINE_GOAL / SPRINT_SPLIT_LINES ? splits[splits.length - 1] : null;
+}
+
+/**
+ * Checks if a finished Sprint beats a personal best
+ * @param {Object|null} best - Personal best { frames, splits }, or null
+ * @param {Array} splits - Splits of the finished Sprint
+ * @returns {boolean} True if the run is finished and faster
+ */
+export function isSprintBest(best, splits) {
+  const frames = getSprintTime(splits);
+  return frames !== null && (!best || frames < best.frames);
+}
+
+/**
+ * Gets the frame deadline of a mode
+ * @param {Object} mode - Game mode
+ * @returns {number|null} Frames an Ultra game lasts, or null without a deadline
+ */
+export function getTimeLimit(mode) {
+  return isUltra(mode) ? mode.minutes * FRAMES_PER_MINUTE : null;
+}
+
+/**
+ * Gets the frames left before the deadline
+ * @param {Object} mode - Game mode
+ * @param {number} frameCount - Frames played
+ * @returns {number|null} Frames remaining, or null without a deadline
+ */
+export function getFramesRemaining(mode, frameCount) {
+  const limit = getTimeLimit(mode);
+  return limit === null ? null : Math.max(0, limit - frameCount);
+}
+
+/**
+ * Checks if the mode's deadline has passed
+ * @param {Object} mode - Game mode
+ * @param {number} frameCount - Frames played
+ * @returns {boolean} True once an Ultra game has used all its frames
+ */
+export function isTimeUp(mode, frameCount) {
+  return getFramesRemaining(mode, frameCount) === 0;
+}
+
+/**
+ * Gets the scoring rate of a game
+ * @param {number} totalScore - Score so far
+ * @param {number} frameCount - Frames played
+ * @returns {number} Points per minute (0 before the first frame)
+ */
+export function getScorePerMinute(totalScore, frameCount) {
+  return frameCount > 0 ? Math.round(totalScore * FRAMES_PER_MINUTE / frameCount) : 0;
+}
@@ -5,16 +5,18 @@
 
 import { canSpawnPiece } from './collision.js';
 import { setCell, createEmptyBoard, BOARD_WIDTH, TOTAL_ROWS, HIDDEN_ROWS } from './board.js';
-import { setGameOver, GAME_STATES } from './gameState.js';
+import { setGameOver, setGameComplete, GAME_STATES } from './gameState.js';
+import { hasReachedGoal, isTimeUp } from './gameMode.js';
 
 /**
  * Checks if game over should trigger (spawn collision)
  * @param {Array} board - Game board
  * @param {number} pieceType - Piece type trying to spawn
+ * @param {string} system - Rotation system (default: nes)
  * @returns {boolean} True if game over (spawn blocked)
  */
-export function checkGameOver(board, pieceType) {
-  return !canSpawnPiece(board, pieceType);
+export function checkGameOver(board, pieceType, system) {
+  return !canSpawnPiece(board, pieceType, system);
 }
 
 /**
@@ -26,6 +28,33 @@ export function triggerGameOver(gameState) {
   return setGameOver(gameState);
 }
 
+/**
+ * Checks if the mode's win condition is met (B-Type: 25 lines cleared)
+ * @param {Object} gameState - Current game state
+ * @returns {boolean} True if the goal was reached
+ */
+export function checkGoalReached(gameState) {
+  return hasReachedGoal(gameState.mode, gameState.score.linesCleared);
+}
+
+/**
+ * Checks if the mode's deadline has passed (Ultra: time limit used up)
+ * @param {Object} gameState - Current game state
+ * @returns {boolean} True if time is up
+ */
+export function checkTimeUp(gameState) {
+  return isTimeUp(gameState.mode, gameState.frameCount);
+}
+
+/**
+ * Triggers game complete state
+ * @param {Object} gameState - Current game state
+ * @returns {Object} Game state with the game won
+ */
+export function triggerGameComplete(gameState) {
+  return setGameComplete(gameState);
+}
+
 /**
  * Advances the game over stack animation
  * Fills board from bottom up, one row per frame/call
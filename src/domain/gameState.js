@@ -1,15 +1,19 @@
 /**
  * Game State module - Manages game state and data
- * Tracks: game mode, pieces, score, level, lines
+ * Tracks: game mode, play phase, pieces, next queue, hold, piece statistics, score, level, lines
  */
 
-import { createEmptyBoard } from './board.js';
+import { createEmptyBoard, createGarbageBoard, TOTAL_ROWS } from './board.js';
 import { createScoreState } from './scoring.js';
+import { createPieceStats } from './statistics.js';
 import { createLevelState } from './level.js';
 import { createRandomizer, nextPiece } from './randomizer.js';
+import { fillNextQueue } from './nextQueue.js';
 import { createGravity } from './gravity.js';
 import { createDAS } from './das.js';
 import { createLockState } from './lock.js';
+import { DEFAULT_RULES } from './rules.js';
+import { DEFAULT_GAME_MODE, getGarbageRows } from './gameMode.js';
 
 /**
  * Game states
@@ -18,26 +22,95 @@ export const GAME_STATES = {
   TITLE: 'title',
   PLAYING: 'playing',
   GAMEOVER: 'gameover',
-  PAUSED: 'paused'
+  PAUSED: 'paused',
+  COMPLETE: 'complete'
 };
 
+/**
+ * Phases of play (while PLAYING)
+ * ACTIVE: a piece is falling
+ * LINE_CLEAR: completed rows are animating out, no piece is active
+ * ARE: entry delay before the next piece appears
+ */
+export const PLAY_PHASES = {
+  ACTIVE: 'active',
+  LINE_CLEAR: 'lineClear',
+  ARE: 'are'
+};
+
+/**
+ * NES line clear animation length in frames
+ */
+export const LINE_CLEAR_FRAMES = 17;
+
+/**
+ * NES entry delay (ARE) bounds in frames
+ */
+export const MIN_ENTRY_DELAY = 10;
+export const MAX_ENTRY_DELAY = 18;
+
+/**
+ * Gets the NES entry delay for a piece locked at a given height
+ * 10 frames in the bottom two rows, 2 more for each 4 rows above, up to 18
+ * @param {number} lockRow - Lowest board row of the locked piece (0-21)
+ * @returns {number} Entry delay in frames
+ */
+export function getEntryDelay(lockRow) {
+  const rowsAboveFloor = Math.max(0, TOTAL_ROWS - 1 - lockRow);
+  return Math.min(MIN_ENTRY_DELAY + 2 * Math.floor((rowsAboveFloor + 2) / 4), MAX_ENTRY_DELAY);
+}
+
+/**
+ * Creates the active play phase
+ * @returns {Object} Phase { name, framesLeft, clearingRows, entryDelay }
+ */
+export function createPhase() {
+  return {
+    name: PLAY_PHASES.ACTIVE,
+    framesLeft: 0,
+    clearingRows: [],
+    entryDelay: 0
+  };
+}
+
+/**
+ * Creates an empty hold slot
+ * Only used when the hold rule is enabled.
+ * @returns {Object} Hold { pieceType, used }
+ */
+export function createHoldState() {
+  return {
+    pieceType: null,
+    used: false
+  };
+}
+
 /**
  * Creates initial game state
  * @param {number} startLevel - Starting level (default 0)
+ * @param {Object} rules - Rule set from createRules (default: NES rules)
+ * @param {Object} mode - Game mode from createGameMode (default: A-Type)
  * @returns {Object} Game state object
  */
-export function createGameState(startLevel = 0) {
+export function createGameState(startLevel = 0, rules = DEFAULT_RULES, mode = DEFAULT_GAME_MODE) {
   return {
     state: GAME_STATES.TITLE,
+    rules,
+    mode,
     board: createEmptyBoard(),
     currentPiece: null,
-    nextPiece: null,
+    nextQueue: [],
+    hold: createHoldState(),
+    pieceStats: createPieceStats(),
     score: createScoreState(),
-    level: createLevelState(startLevel),
-    randomizer: createRandomizer(),
-    gravity: createGravity(startLevel),
+    level: createLevelState(startLevel, rules.gravityCurve),
+    randomizer: createRandomizer(null, rules.randomizer),
+    gravity: createGravity(startLevel, rules.gravityCurve),
     das: createDAS(),
     lock: createLockState(),
+    phase: createPhase(),
+    pushDownRows: 0,
+    splits: [],
     frameCount: 0,
     gameOverAnimation: null
   };
@@ -45,27 +118,34 @@ export function createGameState(startLevel = 0) {
 
 /**
  * Starts a new game
+ * B-Type games start with garbage drawn from the game seed.
  * @param {Object} gameState - Current game state
  * @param {number} startLevel - Starting level
+ * @param {number|null} seed - Randomizer seed (default: random)
  * @returns {Object} New game state ready to play
  */
-export function startGame(gameState, startLevel = 0) {
-  const newRandomizer = createRandomizer();
+export function startGame(gameState, startLevel = 0, seed = null) {
+  const newRandomizer = createRandomizer(seed, gameState.rules.randomizer);
   const firstPieceResult = nextPiece(newRandomizer);
-  const secondPieceResult = nextPiece(firstPieceResult.randomizer);
+  const queueResult = fillNextQueue([], firstPieceResult.randomizer, gameState.rules.previews);
 
   return {
     ...gameState,
     state: GAME_STATES.PLAYING,
-    board: createEmptyBoard(),
+    board: createGarbageBoard(getGarbageRows(gameState.mode), newRandomizer.seed),
     currentPiece: null, // Will be spawned by controller
-    nextPiece: secondPieceResult.pieceType,
+    nextQueue: queueResult.queue,
+    hold: createHoldState(),
+    pieceStats: createPieceStats(),
     score: createScoreState(),
-    level: createLevelState(startLevel),
-    randomizer: secondPieceResult.randomizer,
-    gravity: createGravity(startLevel),
+    level: createLevelState(startLevel, gameState.rules.gravityCurve),
+    randomizer: queueResult.randomizer,
+    gravity: createGravity(startLevel, gameState.rules.gravityCurve),
     das: createDAS(),
     lock: createLockState(),
+    phase: createPhase(),
+    pushDownRows: 0,
+    splits: [],
     frameCount: 0,
     gameOverAnimation: null
   };
@@ -88,6 +168,19 @@ export function setGameOver(gameState) {
   };
 }
 
+/**
+ * Transitions game to complete state (B-Type goal reached)
+ * @param {Object} gameState - Current game state
+ * @returns {Object} Game state with complete status
+ */
+export function setGameComplete(gameState) {
+  return {
+    ...gameState,
+    state: GAME_STATES.COMPLETE,
+    currentPiece: null
+  };
+}
+
 /**
  * Pauses the game
  * @param {Object} gameState - Current game state
@@ -128,7 +221,7 @@ export function returnToTitle(gameState) {
     ...gameState,
     state: GAME_STATES.TITLE,
     currentPiece: null,
-    nextPiece: null,
+    nextQueue: [],
     gameOverAnimation: null
   };
 }
@@ -144,20 +237,120 @@ export function spawnPiece(gameState, piece) {
     ...gameState,
     currentPiece: piece,
     das: createDAS(), // Reset DAS for new piece
-    lock: createLockState() // Reset lock state
+    lock: createLockState(), // Reset lock state
+    phase: createPhase()
   };
 }
 
 /**
- * Sets the next piece type
+ * Starts the line clear animation after a lock
  * @param {Object} gameState - Current game state
- * @param {number} pieceType - Next piece type (1-7)
- * @returns {Object} Game state with updated next piece
+ * @param {Array} rows - Completed board rows being cleared
+ * @param {number} entryDelay - Entry delay to run once the rows are gone
+ * @returns {Object} Game state in the line clear phase
  */
-export function setNextPiece(gameState, pieceType) {
+export function startLineClear(gameState, rows, entryDelay) {
   return {
     ...gameState,
-    nextPiece: pieceType
+    phase: {
+      name: PLAY_PHASES.LINE_CLEAR,
+      framesLeft: LINE_CLEAR_FRAMES,
+      clearingRows: rows,
+      entryDelay
+    }
+  };
+}
+
+/**
+ * Starts the entry delay before the next piece
+ * @param {Object} gameState - Current game state
+ * @param {number} frames - Entry delay in frames
+ * @returns {Object} Game state in the ARE phase
+ */
+export function startEntryDelay(gameState, frames) {
+  return {
+    ...gameState,
+    phase: {
+      name: PLAY_PHASES.ARE,
+      framesLeft: frames,
+      clearingRows: [],
+      entryDelay: frames
+    }
+  };
+}
+
+/**
+ * Counts down the current phase by one frame
+ * @param {Object} gameState - Current game state
+ * @returns {Object} { gameState: Object, finished: boolean }
+ */
+export function tickPhase(gameState) {
+  const framesLeft = Math.max(0, gameState.phase.framesLeft - 1);
+
+  return {
+    gameState: { ...gameState, phase: { ...gameState.phase, framesLeft } },
+    finished: framesLeft === 0
+  };
+}
+
+/**
+ * Checks the current play phase
+ * @param {Object} gameState - Game state
+ * @param {string} name - Phase from PLAY_PHASES
+ * @returns {boolean} True if in that phase
+ */
+export function isInPhase(gameState, name) {
+  return gameState.phase.name === name;
+}
+
+/**
+ * Sets the next queue
+ * @param {Object} gameState - Current game state
+ * @param {Array<number>} queue - Upcoming piece types, nearest first
+ * @returns {Object} Game state with updated next queue
+ */
+export function setNextQueue(gameState, queue) {
+  return {
+    ...gameState,
+    nextQueue: queue
+  };
+}
+
+/**
+ * Updates the hold slot
+ * @param {Object} gameState - Current game state
+ * @param {Object} hold - New hold state
+ * @returns {Object} Game state with updated hold
+ */
+export function updateHold(gameState, hold) {
+  return {
+    ...gameState,
+    hold
+  };
+}
+
+/**
+ * Frees the hold slot for the next piece after a lock
+ * @param {Object} gameState - Current game state
+ * @returns {Object} Game state whose hold can be used again
+ */
+export function releaseHold(gameState) {
+  if (!gameState.hold.used) {
+    return gameState;
+  }
+  return updateHold(gameState, { ...gameState.hold, used: false });
+}
+
+/**
+ * Updates the piece statistics
+ * @param {Object} gameState - Current game state
+ * @param {Object} pieceStats - New piece statistics
+ * @returns {Object} Game state with updated piece statistics
+ */
+export function updatePieceStats(gameState, pieceStats) {
+  return {
+    ...gameState,
+    pieceStats
   };
 }
 
@@ -304,6 +497,15 @@ export function isPaused(gameState) {
   return gameState.state === GAME_STATES.PAUSED;
 }
 
+/**
+ * Checks if the game was won
+ * @param {Object} gameState - Game state
+ * @returns {boolean} True if complete
+ */
+export function isComplete(gameState) {
+  return gameState.state === GAME_STATES.COMPLETE;
+}
+
 /**
  * Checks if at title screen
  * @param {Object} gameState - Game state
@@ -325,7 +527,7 @@ export function getGameInfo(gameState) {
     highScore: gameState.score.highScore,
     level: gameState.level.currentLevel,
     lines: gameState.score.linesCleared,
-    nextPiece: gameState.nextPiece,
+    nextQueue: gameState.nextQueue,
     frameCount: gameState.frameCount
   };
 }
@@ -2,12 +2,13 @@
  * Gravity module - NES Tetris fall speed and frame timing
  * 60 FPS logic, tick-based (no delta time)
  * Frame counter for tracking fall timing
+ * Speeds come from a gravity curve: the NES table, TGM-style 20G or a custom table.
  */
 
 /**
  * NES Tetris fall speed table (frames per cell drop)
  * Source: NES Tetris 1989 NTSC timing
- * Level 0-20 speeds in frames per grid cell
+ * Level 0-29 speeds in frames per grid cell
  */
 export const GRAVITY_TABLE = [
   48,  // Level 0: 48 frames per drop
@@ -30,29 +31,129 @@ export const GRAVITY_TABLE = [
   3,   // Level 17
   3,   // Level 18
   2,   // Level 19
-  2    // Level 20+
+  2,   // Level 20
+  2,   // Level 21
+  2,   // Level 22
+  2,   // Level 23
+  2,   // Level 24
+  2,   // Level 25
+  2,   // Level 26
+  2,   // Level 27
+  2,   // Level 28
+  1    // Level 29+ (killscreen)
 ];
 
+/**
+ * Frames per drop of 20G: the piece falls onto the stack every frame
+ */
+export const INSTANT_GRAVITY = 0;
+
+/**
+ * Built-in gravity curves
+ * A rule set may also hold a custom curve (see isValidCustomGravityCurve).
+ */
+export const GRAVITY_CURVES = {
+  NES: 'nes',
+  TWENTY_G: '20g'
+};
+
+/**
+ * Default gravity curve (NES)
+ */
+export const DEFAULT_GRAVITY_CURVE = GRAVITY_CURVES.NES;
+
+/**
+ * Largest custom curve: one entry per level 0-99
+ */
+export const MAX_CUSTOM_CURVE_LENGTH = 100;
+
+/**
+ * Slowest custom speed in frames per drop
+ */
+export const MAX_FRAMES_PER_DROP = 255;
+
+/**
+ * Speed tables of the built-in curves
+ */
+const CURVE_TABLES = {
+  [GRAVITY_CURVES.NES]: GRAVITY_TABLE,
+  [GRAVITY_CURVES.TWENTY_G]: [INSTANT_GRAVITY]
+};
+
+/**
+ * Checks if a value is a custom gravity curve
+ * A custom curve lists frames per drop by level (INSTANT_GRAVITY for 20G);
+ * its last entry holds for every higher level.
+ * @param {*} curve - Value to check
+ * @returns {boolean} True if curve is 1-MAX_CUSTOM_CURVE_LENGTH integers from 0 to MAX_FRAMES_PER_DROP
+ */
+export function isValidCustomGravityCurve(curve) {
+  return Array.isArray(curve) && curve.length > 0 && curve.length <= MAX_CUSTOM_CURVE_LENGTH &&
+    curve.every(frames => Number.isInteger(frames) && frames >= INSTANT_GRAVITY && frames <= MAX_FRAMES_PER_DROP);
+}
+
+/**
+ * Checks if a gravity curve is supported
+ * @param {string|Array<number>} curve - Built-in curve from GRAVITY_CURVES or a custom curve
+ * @returns {boolean} True if valid
+ */
+export function isValidGravityCurve(curve) {
+  return Object.values(GRAVITY_CURVES).includes(curve) || isValidCustomGravityCurve(curve);
+}
+
+/**
+ * Parses a custom gravity curve from JSON
+ * @param {string} json - JSON array of frames per drop, e.g. "[48, 24, 12, 6, 3, 1, 0]"
+ * @returns {Object} { curve: Array<number>|null, error: string|null }
+ */
+export function parseGravityCurve(json) {
+  let curve;
+  try {
+    curve = JSON.parse(json);
+  } catch (e) {
+    return { curve: null, error: 'Invalid JSON' };
+  }
+
+  if (!isValidCustomGravityCurve(curve)) {
+    return { curve: null, error: 'Invalid gravity curve' };
+  }
+
+  return { curve, error: null };
+}
+
 /**
  * Gets the gravity (frames per drop) for a given level
- * @param {number} level - Game level (0-20+)
- * @returns {number} Frames per cell drop
+ * @param {number} level - Game level (0-29+)
+ * @param {string|Array<number>} curve - Gravity curve (default: NES)
+ * @returns {number} Frames per cell drop (INSTANT_GRAVITY for 20G)
  */
-export function getGravityForLevel(level) {
+export function getGravityForLevel(level, curve = DEFAULT_GRAVITY_CURVE) {
+  const table = Array.isArray(curve) ? curve : CURVE_TABLES[curve];
+
   // Clamp level to valid index range
-  const index = Math.max(0, Math.min(level, GRAVITY_TABLE.length - 1));
-  return GRAVITY_TABLE[index];
+  const index = Math.max(0, Math.min(level, table.length - 1));
+  return table[index];
+}
+
+/**
+ * Checks if gravity drops the piece onto the stack every frame (20G)
+ * @param {Object} gravity - Gravity state
+ * @returns {boolean} True at INSTANT_GRAVITY
+ */
+export function isInstantGravity(gravity) {
+  return gravity.framesPerDrop === INSTANT_GRAVITY;
 }
 
 /**
  * Creates a new gravity state
  * @param {number} level - Initial level
+ * @param {string|Array<number>} curve - Gravity curve (default: NES)
  * @returns {Object} Gravity state
  */
-export function createGravity(level = 0) {
+export function createGravity(level = 0, curve = DEFAULT_GRAVITY_CURVE) {
   return {
     level,
-    framesPerDrop: getGravityForLevel(level),
+    framesPerDrop: getGravityForLevel(level, curve),
     frameCounter: 0
   };
 }
@@ -105,13 +206,14 @@ export function tickMultiple(gravity, count) {
  * Updates the gravity level (e.g., when player levels up)
  * @param {Object} gravity - Current gravity state
  * @param {number} newLevel - New level
+ * @param {string|Array<number>} curve - Gravity curve (default: NES)
  * @returns {Object} New gravity state with updated level and speed
  */
-export function updateLevel(gravity, newLevel) {
+export function updateLevel(gravity, newLevel, curve = DEFAULT_GRAVITY_CURVE) {
   return {
     ...gravity,
     level: newLevel,
-    framesPerDrop: getGravityForLevel(newLevel),
+    framesPerDrop: getGravityForLevel(newLevel, curve),
     frameCounter: 0 // Reset counter on level change
   };
 }
@@ -1,15 +1,21 @@
 // Domain - Pure game logic (immutable)
-// Contains: board, piece, rotation, collision, gravity, randomizer, scoring, gameState
+// Contains: board, piece, rotation systems, rotation, collision, gravity, randomizer, next queue, rules, statistics, game modes, scoring, gameState, serialization
 
 export * from './board.js';
+export * from './rotationSystems.js';
 export * from './piece.js';
 export * from './collision.js';
 export * from './rotation.js';
 export * from './randomizer.js';
+export * from './nextQueue.js';
+export * from './rules.js';
+export * from './gameMode.js';
 export * from './gravity.js';
 export * from './das.js';
 export * from './lock.js';
 export * from './scoring.js';
+export * from './statistics.js';
 export * from './level.js';
 export * from './gameState.js';
 export * from './gameOver.js';
+export * from './serialization.js';
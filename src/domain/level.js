@@ -1,10 +1,11 @@
 /**
  * Level module - NES Tetris level progression
- * Level increases every 10 lines cleared
+ * Level increases every 10 lines cleared, after a first transition that
+ * depends on the start level
  * Level affects gravity speed and scoring multiplier
  */
 
-import { getGravityForLevel, createGravity, updateLevel } from './gravity.js';
+import { createGravity, updateLevel, DEFAULT_GRAVITY_CURVE, INSTANT_GRAVITY } from './gravity.js';
 
 /**
  * Lines required to advance to next level
@@ -17,13 +18,37 @@ export const LINES_PER_LEVEL = 10;
 export const DEFAULT_START_LEVEL = 0;
 
 /**
- * Maximum level (NES display limit, though gravity caps at 20)
+ * Maximum level (NES display limit, though gravity caps at 29)
  */
 export const MAX_LEVEL = 99;
 
+/**
+ * Highest selectable start level (NES: 9, or 19 holding A on Start)
+ */
+export const MAX_START_LEVEL = 19;
+
+/**
+ * Levels added by the NES A+Start modifier
+ */
+export const START_LEVEL_BOOST = 10;
+
+/**
+ * Gets the lines cleared at the first level up
+ * NES: min(startLevel * 10 + 10, max(100, startLevel * 10 - 50))
+ * Starts 0-9 need (startLevel + 1) * 10 lines, 10-15 need 100, 16-19 need 110-140.
+ *
+ * @param {number} startLevel - Starting level
+ * @returns {number} Total lines of the first transition
+ */
+export function getFirstTransitionLines(startLevel = DEFAULT_START_LEVEL) {
+  const linesFromStart = startLevel * LINES_PER_LEVEL;
+  return Math.min(linesFromStart + LINES_PER_LEVEL, Math.max(100, linesFromStart - 50));
+}
+
 /**
  * Calculates level based on lines cleared
- * NES: Level = startLevel + floor(totalLines / 10)
+ * NES: the start level holds until the first transition, then the level
+ * increases every 10 lines
  * 
  * @param {number} totalLines - Total lines cleared
  * @param {number} startLevel - Starting level (default 0)
@@ -38,7 +63,12 @@ export function calculateLevel(totalLines, startLevel = DEFAULT_START_LEVEL) {
     startLevel = 0;
   }
 
-  const levelIncrease = Math.floor(totalLines / LINES_PER_LEVEL);
+  const firstTransition = getFirstTransitionLines(startLevel);
+  if (totalLines < firstTransition) {
+    return Math.min(startLevel, MAX_LEVEL);
+  }
+
+  const levelIncrease = 1 + Math.floor((totalLines - firstTransition) / LINES_PER_LEVEL);
   const level = startLevel + levelIncrease;
 
   return Math.min(level, MAX_LEVEL);
@@ -49,15 +79,20 @@ export function calculateLevel(totalLines, startLevel = DEFAULT_START_LEVEL) {
  * 
  * @param {number} totalLines - Total lines cleared
  * @param {number} startLevel - Starting level
- * @returns {number} Lines needed for next level (0 if just leveled up)
+ * @returns {number} Lines needed for next level
  */
 export function getLinesUntilNextLevel(totalLines, startLevel = DEFAULT_START_LEVEL) {
   if (totalLines < 0) {
     totalLines = 0;
   }
 
+  const firstTransition = getFirstTransitionLines(startLevel);
+  if (totalLines < firstTransition) {
+    return firstTransition - totalLines;
+  }
+
   // Calculate lines into current level
-  const linesInCurrentLevel = totalLines % LINES_PER_LEVEL;
+  const linesInCurrentLevel = (totalLines - firstTransition) % LINES_PER_LEVEL;
 
   return LINES_PER_LEVEL - linesInCurrentLevel;
 }
@@ -80,17 +115,18 @@ export function didLevelIncrease(previousLines, currentLines, startLevel = DEFAU
 /**
  * Creates level state
  * @param {number} startLevel - Starting level (default 0)
+ * @param {string|Array<number>} gravityCurve - Gravity curve (default: NES)
  * @returns {Object} Level state object
  */
-export function createLevelState(startLevel = DEFAULT_START_LEVEL) {
+export function createLevelState(startLevel = DEFAULT_START_LEVEL, gravityCurve = DEFAULT_GRAVITY_CURVE) {
   const validStartLevel = Math.max(0, Math.min(startLevel, MAX_LEVEL));
 
   return {
     currentLevel: validStartLevel,
     startLevel: validStartLevel,
     totalLines: 0,
-    linesUntilNext: LINES_PER_LEVEL,
-    gravity: createGravity(validStartLevel)
+    linesUntilNext: getFirstTransitionLines(validStartLevel),
+    gravity: createGravity(validStartLevel, gravityCurve)
   };
 }
 
@@ -99,13 +135,14 @@ export function createLevelState(startLevel = DEFAULT_START_LEVEL) {
  * 
  * @param {Object} levelState - Current level state
  * @param {number} linesCleared - Lines just cleared
+ * @param {string|Array<number>} gravityCurve - Gravity curve (default: NES)
  * @returns {Object} { 
  *                     levelState: Object, 
  *                     leveledUp: boolean,
  *                     previousLevel: number 
  *                   }
  */
-export function updateAfterClear(levelState, linesCleared) {
+export function updateAfterClear(levelState, linesCleared, gravityCurve = DEFAULT_GRAVITY_CURVE) {
   const previousLevel = levelState.currentLevel;
   const newTotalLines = levelState.totalLines + linesCleared;
   const newLevel = calculateLevel(newTotalLines, levelState.startLevel);
@@ -114,7 +151,7 @@ export function updateAfterClear(levelState, linesCleared) {
   // Update gravity if level changed
   let newGravity = levelState.gravity;
   if (leveledUp) {
-    newGravity = updateLevel(levelState.gravity, newLevel);
+    newGravity = updateLevel(levelState.gravity, newLevel, gravityCurve);
   }
 
   const newLevelState = {
@@ -154,25 +191,27 @@ export function getGravityState(levelState) {
  * Sets level directly (e.g., for level select)
  * @param {Object} levelState - Current level state
  * @param {number} newLevel - New level to set
+ * @param {string|Array<number>} gravityCurve - Gravity curve (default: NES)
  * @returns {Object} New level state
  */
-export function setLevel(levelState, newLevel) {
+export function setLevel(levelState, newLevel, gravityCurve = DEFAULT_GRAVITY_CURVE) {
   const validLevel = Math.max(0, Math.min(newLevel, MAX_LEVEL));
 
   return {
     ...levelState,
     currentLevel: validLevel,
-    gravity: updateLevel(levelState.gravity, validLevel)
+    gravity: updateLevel(levelState.gravity, validLevel, gravityCurve)
   };
 }
 
 /**
  * Resets level state for new game
  * @param {number} startLevel - Starting level
+ * @param {string|Array<number>} gravityCurve - Gravity curve (default: NES)
  * @returns {Object} Fresh level state
  */
-export function resetLevel(startLevel = DEFAULT_START_LEVEL) {
-  return createLevelState(startLevel);
+export function resetLevel(startLevel = DEFAULT_START_LEVEL, gravityCurve = DEFAULT_GRAVITY_CURVE) {
+  return createLevelState(startLevel, gravityCurve);
 }
 
 /**
@@ -193,10 +232,13 @@ export function getLevelInfo(levelState) {
 
 /**
  * Gets human-readable speed label
+ * One frame per cell is 1G (the NES level 29 killscreen); instant gravity is 20G.
  * @param {number} framesPerDrop - Frames per cell drop
  * @returns {string} Speed description
  */
 function getSpeedLabel(framesPerDrop) {
+  if (framesPerDrop === INSTANT_GRAVITY) return '20G';
+  if (framesPerDrop === 1) return '1G';
   if (framesPerDrop >= 48) return 'Very Slow';
   if (framesPerDrop >= 20) return 'Slow';
   if (framesPerDrop >= 10) return 'Normal';
@@ -208,18 +250,33 @@ function getSpeedLabel(framesPerDrop) {
 /**
  * Validates start level
  * @param {number} level - Level to validate
- * @returns {number} Validated level (clamped to 0-MAX_LEVEL)
+ * @returns {number} Validated level (clamped to 0-MAX_START_LEVEL)
  */
 export function validateStartLevel(level) {
-  return Math.max(0, Math.min(level, MAX_LEVEL));
+  return Math.max(0, Math.min(level, MAX_START_LEVEL));
+}
+
+/**
+ * Applies the NES A+Start modifier to a selected start level
+ * @param {number} level - Selected level
+ * @returns {number} Level plus START_LEVEL_BOOST (clamped to 0-MAX_START_LEVEL)
+ */
+export function boostStartLevel(level) {
+  return validateStartLevel(level + START_LEVEL_BOOST);
 }
 
 /**
  * Calculates progress to next level as percentage
+ * Before the first transition progress is measured against its longer span.
  * @param {Object} levelState - Level state
  * @returns {number} Percentage (0-100)
  */
 export function getLevelProgress(levelState) {
-  const linesInLevel = levelState.totalLines % LINES_PER_LEVEL;
+  const firstTransition = getFirstTransitionLines(levelState.startLevel);
+  if (levelState.totalLines < firstTransition) {
+    return (levelState.totalLines / firstTransition) * 100;
+  }
+
+  const linesInLevel = (levelState.totalLines - firstTransition) % LINES_PER_LEVEL;
   return (linesInLevel / LINES_PER_LEVEL) * 100;
 }
@@ -1,12 +1,34 @@
 /**
  * Lock module - NES Tetris piece locking
- * Immediate lock when piece touches floor
- * No modern lock delay or extended placement
+ * Immediate lock when piece touches floor (NES default)
+ * Optional modern lock delay with Guideline extended placement
  */
 
 import { isPieceTouchingFloor, checkCollision } from './collision.js';
 import { placePiece, isRowComplete, clearLines, createEmptyBoard } from './board.js';
 
+/**
+ * Lock delay in frames (0 = NES immediate locking)
+ */
+export const DEFAULT_LOCK_DELAY = 0;
+export const GUIDELINE_LOCK_DELAY = 30;
+export const MAX_LOCK_DELAY = 120;
+
+/**
+ * Extended placement: moves and rotations that may restart the lock delay
+ * before the piece reaches a new lowest row
+ */
+export const MAX_LOCK_RESETS = 15;
+
+/**
+ * Checks if a lock delay is supported
+ * @param {number} frames - Lock delay in frames
+ * @returns {boolean} True if supported
+ */
+export function isValidLockDelay(frames) {
+  return Number.isInteger(frames) && frames >= 0 && frames <= MAX_LOCK_DELAY;
+}
+
 /**
  * Checks if piece should lock (NES: immediate lock on floor touch)
  * @param {Array} board - Game board
@@ -43,7 +65,7 @@ export function lockPiece(board, piece) {
   }
 
   // Check for collision at current position first
-  if (checkCollision(board, piece.type, piece.x, piece.y, piece.rotation)) {
+  if (checkCollision(board, piece.type, piece.x, piece.y, piece.rotation, piece.system)) {
     return {
       board: null,
       locked: false,
@@ -133,7 +155,7 @@ export function canLock(board, piece) {
   }
 
   // Must not be in collision
-  if (checkCollision(board, piece.type, piece.x, piece.y, piece.rotation)) {
+  if (checkCollision(board, piece.type, piece.x, piece.y, piece.rotation, piece.system)) {
     return false;
   }
 
@@ -142,17 +164,66 @@ export function canLock(board, piece) {
 
 /**
  * Creates lock state for tracking lock-related data
- * NES has no lock delay, but we track state for completeness
+ * The delay fields are only used with a lock delay:
+ * timer - frames left before the grounded piece locks (null until it lands on the lowest row)
+ * resets - lock delay restarts used on the current lowest row
+ * lowestY - lowest row the piece has reached (null before the first tick)
  * @returns {Object} Lock state object
  */
 export function createLockState() {
   return {
     isLocked: false,
     lockedAtFrame: null,
-    lockedPiece: null
+    lockedPiece: null,
+    timer: null,
+    resets: 0,
+    lowestY: null
   };
 }
 
+/**
+ * Advances the lock delay by one frame
+ * The timer runs while the piece rests on the stack and keeps its value while
+ * the piece is airborne; only reaching a new lowest row restores the timer and
+ * gives back all resets. The piece is marked locked when the timer runs out,
+ * or on its first grounded frame once the resets are used up.
+ * @param {Object} lockState - Current lock state
+ * @param {Array} board - Game board
+ * @param {Object} piece - Current piece
+ * @param {number} delay - Lock delay in frames
+ * @param {number} frame - Current frame number
+ * @returns {Object} { lockState: Object, lock: boolean }
+ */
+export function tickLockDelay(lockState, board, piece, delay, frame) {
+  const newLowest = lockState.lowestY === null || piece.y > lockState.lowestY;
+  const tracked = newLowest ? { ...lockState, timer: null, resets: 0, lowestY: piece.y } : lockState;
+
+  if (!isPieceTouchingFloor(board, piece)) {
+    return { lockState: tracked, lock: false };
+  }
+
+  const timer = (tracked.timer ?? delay) - 1;
+  if (timer <= 0 || tracked.resets >= MAX_LOCK_RESETS) {
+    return { lockState: markLocked({ ...tracked, timer: 0 }, piece, frame), lock: true };
+  }
+  return { lockState: { ...tracked, timer }, lock: false };
+}
+
+/**
+ * Restarts the lock delay after a successful move or rotation
+ * Only a piece that has landed on its lowest row uses a reset, and at most
+ * MAX_LOCK_RESETS per row.
+ * @param {Object} lockState - Current lock state
+ * @param {number} delay - Lock delay in frames
+ * @returns {Object} New lock state
+ */
+export function resetLockDelay(lockState, delay) {
+  if (lockState.timer === null || lockState.resets >= MAX_LOCK_RESETS) {
+    return lockState;
+  }
+  return { ...lockState, timer: delay, resets: lockState.resets + 1 };
+}
+
 /**
  * Marks a piece as locked in state
  * @param {Object} lockState - Current lock state
@@ -0,0 +1,69 @@
+/**
+ * Next queue module - Upcoming pieces shown in the preview
+ * The NES shows one preview (and none with Select); modern rule sets show up to six.
+ * The queue always holds at least the next piece, even with the preview hidden.
+ */
+
+import { nextPieces } from './randomizer.js';
+
+/**
+ * Default number of previews (NES)
+ */
+export const DEFAULT_PREVIEWS = 1;
+
+/**
+ * Largest number of previews
+ */
+export const MAX_PREVIEWS = 6;
+
+/**
+ * Checks if a preview count is supported
+ * @param {number} previews - Number of previews (0 hides the preview)
+ * @returns {boolean} True if previews is an integer from 0 to MAX_PREVIEWS
+ */
+export function isValidPreviews(previews) {
+  return Number.isInteger(previews) && previews >= 0 && previews <= MAX_PREVIEWS;
+}
+
+/**
+ * Gets how many pieces the queue holds for a preview count
+ * @param {number} previews - Number of previews
+ * @returns {number} Queue length (at least 1)
+ */
+export function getQueueLength(previews) {
+  return Math.max(previews, 1);
+}
+
+/**
+ * Tops the queue up from the randomizer
+ * @param {Array<number>} queue - Piece types in the queue
+ * @param {Object} randomizer - Randomizer state
+ * @param {number} previews - Number of previews
+ * @returns {Object} { queue: Array<number>, randomizer: Object }
+ */
+export function fillNextQueue(queue, randomizer, previews) {
+  const result = nextPieces(randomizer, getQueueLength(previews) - queue.length);
+  return { queue: [...queue, ...result.pieces], randomizer: result.randomizer };
+}
+
+/**
+ * Takes the next piece off the front of the queue and refills the back
+ * @param {Array<number>} queue - Piece types in the queue
+ * @param {Object} randomizer - Randomizer state
+ * @param {number} previews - Number of previews
+ * @returns {Object} { pieceType: number, queue: Array<number>, randomizer: Object }
+ */
+export function takeNextPiece(queue, randomizer, previews) {
+  const [pieceType, ...rest] = queue;
+  return { pieceType, ...fillNextQueue(rest, randomizer, previews) };
+}
+
+/**
+ * Gets the piece types shown in the preview
+ * @param {Array<number>} queue - Piece types in the queue
+ * @param {number} previews - Number of previews
+ * @returns {Array<number>} Previewed piece types, nearest first
+ */
+export function getPreviewPieces(queue, previews) {
+  return queue.slice(0, previews);
+}
@@ -1,14 +1,24 @@
 /**
- * Randomizer module - NES Tetris LCG (Linear Congruential Generator)
- * Deterministic pseudo-random number generator with seed support
+ * Randomizer module - Pluggable, seedable piece randomizers
+ * Deterministic pseudo-random piece generation with seed support
+ *
+ * Strategies:
+ * - lcg:   Plain LCG, any piece at any time (original implementation)
+ * - nes:   NES Tetris 16-bit LFSR with spawn table and single reroll
+ * - bag7:  Modern 7-bag, every piece once per bag
+ * - bag14: 14-bag, every piece twice per bag
+ * - tgm:   TGM 4-history, 4 rerolls
+ * - tgm2:  TGM2 4-history, 6 rerolls
+ *
+ * Every strategy is seedable: a seed fully determines its sequence.
+ * The NES strategy uses the low 16 bits of the seed as LFSR state, the
+ * others draw from the same LCG parameters.
  */
 
+import { PIECE_TYPES, getAllPieceTypes } from './piece.js';
+
 /**
- * NES Tetris uses a simple LCG algorithm.
- * The original uses a sequence that can produce any piece at any time,
- * including repeats (unlike modern 7-bag systems).
- *
- * LCG parameters used by NES Tetris:
+ * LCG parameters:
  * - multiplier: 0x41C64E6D (commonly used in games)
  * - increment: 0x3039
  * - modulus: 2^32 (implicit via 32-bit integer overflow)
@@ -19,19 +29,37 @@ const LCG_INCREMENT = 0x3039;
 const PIECE_COUNT = 7;
 
 /**
- * Creates a new randomizer with optional seed
- * @param {number} seed - Initial seed value (default: random)
- * @returns {Object} Randomizer state object
+ * Available randomizer strategies
  */
-export function createRandomizer(seed = null) {
-  // Use provided seed or generate random one
-  const initialSeed = seed !== null ? seed : Math.floor(Math.random() * 0x7FFFFFFF);
+export const RANDOMIZER_STRATEGIES = {
+  LCG: 'lcg',
+  NES: 'nes',
+  BAG_7: 'bag7',
+  BAG_14: 'bag14',
+  TGM: 'tgm',
+  TGM2: 'tgm2'
+};
 
-  return {
-    seed: initialSeed,
-    current: initialSeed
-  };
-}
+export const DEFAULT_RANDOMIZER_STRATEGY = RANDOMIZER_STRATEGIES.NES;
+
+/**
+ * NES randomizer constants
+ * NES_INITIAL_SEED is the value the cartridge stores at power on.
+ * NES_SPAWN_TABLE holds the spawn orientation IDs of T, J, Z, O, S, L, I
+ * in ROM order; NES_SPAWN_PIECES maps each entry to our piece type.
+ */
+export const NES_INITIAL_SEED = 0x8988;
+export const NES_SPAWN_TABLE = [0x02, 0x07, 0x08, 0x0A, 0x0B, 0x0E, 0x12];
+export const NES_SPAWN_PIECES = [
+  PIECE_TYPES.T, PIECE_TYPES.J, PIECE_TYPES.Z, PIECE_TYPES.O,
+  PIECE_TYPES.S, PIECE_TYPES.L, PIECE_TYPES.I
+];
+
+/**
+ * TGM history settings
+ */
+const TGM_HISTORY_SIZE = 4;
+const TGM_FIRST_PIECES = [PIECE_TYPES.I, PIECE_TYPES.J, PIECE_TYPES.L, PIECE_TYPES.T];
 
 /**
  * Steps the LCG to the next value
@@ -44,6 +72,17 @@ function lcgStep(current) {
   return ((LCG_MULTIPLIER * current + LCG_INCREMENT) >>> 0);
 }
 
+/**
+ * Steps the NES 16-bit Fibonacci LFSR
+ * Bit 9 XOR bit 1 is shifted in at the top while the value shifts right.
+ * @param {number} value - Current 16-bit state
+ * @returns {number} Next 16-bit state
+ */
+export function nesLfsrStep(value) {
+  const feedback = ((value >> 9) ^ (value >> 1)) & 1;
+  return (feedback << 15) | ((value & 0xFFFF) >> 1);
+}
+
 /**
  * Converts LCG value to piece type (1-7)
  * @param {number} lcgValue - LCG state value
@@ -56,6 +95,208 @@ function lcgToPieceType(lcgValue) {
   return (value % PIECE_COUNT) + 1;
 }
 
+/**
+ * Draws a random integer in [0, range) from the LCG
+ * Uses an exact 32-bit multiply; lcgStep keeps its floating point product
+ * so existing lcg sequences stay unchanged.
+ * @param {number} current - Current LCG state
+ * @param {number} range - Exclusive upper bound
+ * @returns {Object} { value: number, current: number }
+ */
+function lcgInt(current, range) {
+  const next = (Math.imul(LCG_MULTIPLIER, current) + LCG_INCREMENT) >>> 0;
+  return {
+    value: (next >>> 16) % range,
+    current: next
+  };
+}
+
+/**
+ * Builds a shuffled bag containing each piece `copies` times
+ * @param {number} current - Current LCG state
+ * @param {number} copies - Copies of each piece
+ * @returns {Object} { bag: Array<number>, current: number }
+ */
+function shuffleBag(current, copies) {
+  const bag = [];
+  for (let i = 0; i < copies; i++) {
+    bag.push(...getAllPieceTypes());
+  }
+
+  // Fisher-Yates shuffle
+  let state = current;
+  for (let i = bag.length - 1; i > 0; i--) {
+    const roll = lcgInt(state, i + 1);
+    state = roll.current;
+    [bag[i], bag[roll.value]] = [bag[roll.value], bag[i]];
+  }
+
+  return { bag, current: state };
+}
+
+/**
+ * Strategy: plain LCG
+ */
+function nextLcg(randomizer) {
+  const current = lcgStep(randomizer.current);
+  return {
+    pieceType: lcgToPieceType(current),
+    randomizer: { ...randomizer, current }
+  };
+}
+
+/**
+ * Strategy: NES pickRandomTetrimino
+ * The cartridge steps the LFSR every frame; here it is stepped once per
+ * piece. The spawn counter (a byte) plus the high LFSR byte picks a slot of
+ * the spawn table. Slot 7 or a repeat of the previous spawn ID rerolls once:
+ * the LFSR steps again and (high byte & 7 + previous spawn ID) mod 7 is used
+ * without further checks, so repeats remain possible.
+ */
+function nextNes(randomizer) {
+  let current = nesLfsrStep(randomizer.current);
+  const spawnCount = (randomizer.spawnCount + 1) & 0xFF;
+  let index = ((current >> 8) + spawnCount) & 7;
+
+  if (index === 7 || NES_SPAWN_TABLE[index] === randomizer.spawnId) {
+    current = nesLfsrStep(current);
+    index = (((current >> 8) & 7) + randomizer.spawnId) % PIECE_COUNT;
+  }
+
+  return {
+    pieceType: NES_SPAWN_PIECES[index],
+    randomizer: { ...randomizer, current, spawnCount, spawnId: NES_SPAWN_TABLE[index] }
+  };
+}
+
+/**
+ * Creates a bag strategy handing out each piece `copies` times per bag
+ */
+function createBagStrategy(copies) {
+  return function nextFromBag(randomizer) {
+    let bag = randomizer.bag;
+    let current = randomizer.current;
+
+    if (bag.length === 0) {
+      const refill = shuffleBag(current, copies);
+      bag = refill.bag;
+      current = refill.current;
+    }
+
+    return {
+      pieceType: bag[0],
+      randomizer: { ...randomizer, current, bag: bag.slice(1) }
+    };
+  };
+}
+
+/**
+ * Creates a TGM history strategy with the given number of rolls
+ * Rolls until the piece is not in the last 4 pieces or rolls run out.
+ * The first piece is never S, Z or O.
+ */
+function createHistoryStrategy(rolls) {
+  return function nextFromHistory(randomizer) {
+    let current = randomizer.current;
+    let pieceType;
+
+    if (randomizer.first) {
+      const roll = lcgInt(current, TGM_FIRST_PIECES.length);
+      current = roll.current;
+      pieceType = TGM_FIRST_PIECES[roll.value];
+    } else {
+      for (let i = 0; i < rolls; i++) {
+        const roll = lcgInt(current, PIECE_COUNT);
+        current = roll.current;
+        pieceType = roll.value + 1;
+        if (!randomizer.history.includes(pieceType)) {
+          break;
+        }
+      }
+    }
+
+    return {
+      pieceType,
+      randomizer: {
+        ...randomizer,
+        current,
+        first: false,
+        history: [...randomizer.history.slice(1), pieceType]
+      }
+    };
+  };
+}
+
+/**
+ * Strategy definitions
+ * init: extra state for a fresh randomizer (may override current)
+ * next: draws one piece, returning { pieceType, randomizer }
+ */
+const STRATEGIES = {
+  [RANDOMIZER_STRATEGIES.LCG]: {
+    init: () => ({}),
+    next: nextLcg
+  },
+  [RANDOMIZER_STRATEGIES.NES]: {
+    // 0 is a fixed point of the LFSR, so it falls back to the power-on seed
+    init: seed => ({ current: (seed & 0xFFFF) || NES_INITIAL_SEED, spawnCount: 0, spawnId: 0 }),
+    next: nextNes
+  },
+  [RANDOMIZER_STRATEGIES.BAG_7]: {
+    init: () => ({ bag: [] }),
+    next: createBagStrategy(1)
+  },
+  [RANDOMIZER_STRATEGIES.BAG_14]: {
+    init: () => ({ bag: [] }),
+    next: createBagStrategy(2)
+  },
+  [RANDOMIZER_STRATEGIES.TGM]: {
+    init: () => ({
+      first: true,
+      history: Array(TGM_HISTORY_SIZE).fill(PIECE_TYPES.Z)
+    }),
+    next: createHistoryStrategy(4)
+  },
+  [RANDOMIZER_STRATEGIES.TGM2]: {
+    init: () => ({
+      first: true,
+      history: [PIECE_TYPES.Z, PIECE_TYPES.S, PIECE_TYPES.S, PIECE_TYPES.Z]
+    }),
+    next: createHistoryStrategy(6)
+  }
+};
+
+/**
+ * Checks if a strategy name is supported
+ * @param {string} strategy - Strategy name
+ * @returns {boolean} True if strategy exists
+ */
+export function isValidRandomizerStrategy(strategy) {
+  return Object.prototype.hasOwnProperty.call(STRATEGIES, strategy);
+}
+
+/**
+ * Creates a new randomizer with optional seed
+ * @param {number} seed - Initial seed value (default: random)
+ * @param {string} strategy - Strategy from RANDOMIZER_STRATEGIES (default: nes)
+ * @returns {Object|null} Randomizer state object, or null if strategy is unknown
+ */
+export function createRandomizer(seed = null, strategy = DEFAULT_RANDOMIZER_STRATEGY) {
+  if (!isValidRandomizerStrategy(strategy)) {
+    return null;
+  }
+
+  // Use provided seed or generate random one
+  const initialSeed = seed !== null ? seed : Math.floor(Math.random() * 0x7FFFFFFF);
+
+  return {
+    strategy,
+    seed: initialSeed,
+    current: initialSeed,
+    ...STRATEGIES[strategy].init(initialSeed)
+  };
+}
+
 /**
  * Gets the next piece from the randomizer
  * @param {Object} randomizer - Randomizer state
@@ -63,16 +304,7 @@ function lcgToPieceType(lcgValue) {
  *                   Returns new randomizer state (immutable)
  */
 export function nextPiece(randomizer) {
-  const newCurrent = lcgStep(randomizer.current);
-  const pieceType = lcgToPieceType(newCurrent);
-
-  return {
-    pieceType,
-    randomizer: {
-      ...randomizer,
-      current: newCurrent
-    }
-  };
+  return STRATEGIES[randomizer.strategy].next(randomizer);
 }
 
 /**
@@ -104,19 +336,17 @@ export function nextPieces(randomizer, count) {
  * @returns {Object} Reset randomizer state
  */
 export function resetRandomizer(randomizer) {
-  return {
-    ...randomizer,
-    current: randomizer.seed
-  };
+  return createRandomizer(randomizer.seed, randomizer.strategy);
 }
 
 /**
  * Creates a new randomizer with specific seed and gets first piece
  * Convenience function for testing determinism
  * @param {number} seed - Seed value
+ * @param {string} strategy - Strategy from RANDOMIZER_STRATEGIES (default: nes)
  * @returns {Object} { pieceType: number, randomizer: Object }
  */
-export function createRandomizerWithFirstPiece(seed) {
-  const randomizer = createRandomizer(seed);
+export function createRandomizerWithFirstPiece(seed, strategy = DEFAULT_RANDOMIZER_STRATEGY) {
+  const randomizer = createRandomizer(seed, strategy);
   return nextPiece(randomizer);
 }
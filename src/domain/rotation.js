@@ -1,41 +1,49 @@
 /**
- * Rotation module - NES Tetris rotation logic
- * Simple rotation without wall kicks - if rotation collides, it's cancelled
+ * Rotation module - Rotation with the piece's rotation system
+ * NES: simple rotation without wall kicks - if rotation collides, it's cancelled
+ * SRS/ARS: kick offsets from rotationSystems.js are tested in order
  */
 
-import { rotatePiece, getPieceCells } from './piece.js';
+import { rotatePiece, getPieceCells, movePiece } from './piece.js';
 import { checkCollision } from './collision.js';
+import { getCell } from './board.js';
+import { getKickOffsets } from './rotationSystems.js';
 
 /**
  * Attempts to rotate a piece on the board
- * NES behavior: If rotation collides, it's cancelled (no wall kicks)
+ * Tests the kick offsets of the piece's rotation system in order and uses
+ * the first one that fits. NES only tests the basic rotation, so a
+ * colliding rotation is cancelled (no wall kicks).
  * @param {Object} board - Game board
  * @param {Object} piece - Current piece
  * @param {number} direction - 1 for clockwise, -1 for counter-clockwise
  * @returns {Object} Object with { success: boolean, piece: Object }
- *                   If successful, piece is the rotated piece
+ *                   If successful, piece is the rotated (and kicked) piece
  *                   If failed, piece is the original piece
  */
 export function tryRotate(board, piece, direction = 1) {
   // Calculate new rotation
   const newRotation = ((piece.rotation + direction) % 4 + 4) % 4;
 
-  // Check if rotation is valid (no collision)
-  const wouldCollide = checkCollision(board, piece.type, piece.x, piece.y, newRotation);
+  // Out of bounds cells read as null, so they count as blocked
+  const isBlocked = (x, y) => getCell(board, x, y) !== 0;
 
-  if (wouldCollide) {
-    // NES behavior: rotation is cancelled
-    return {
-      success: false,
-      piece: piece
-    };
+  for (const kick of getKickOffsets(piece, newRotation, isBlocked)) {
+    const x = piece.x + kick.x;
+    const y = piece.y + kick.y;
+
+    if (!checkCollision(board, piece.type, x, y, newRotation, piece.system)) {
+      return {
+        success: true,
+        piece: movePiece(rotatePiece(piece, direction), kick.x, kick.y)
+      };
+    }
   }
 
-  // Rotation is valid, return rotated piece
-  const rotatedPiece = rotatePiece(piece, direction);
+  // Every test collided: rotation is cancelled
   return {
-    success: true,
-    piece: rotatedPiece
+    success: false,
+    piece: piece
   };
 }
 
@@ -68,5 +76,5 @@ export function rotateCounterClockwise(board, piece) {
  */
 export function getRotatedCells(piece, direction = 1) {
   const newRotation = ((piece.rotation + direction) % 4 + 4) % 4;
-  return getPieceCells(piece.type, piece.x, piece.y, newRotation);
+  return getPieceCells(piece.type, piece.x, piece.y, newRotation, piece.system);
 }
@@ -0,0 +1,368 @@
+/**
+ * Rotation systems module - Interchangeable rotation rules
+ * Each system supplies its rotation states, spawn positions and kick tests:
+ * - nes: NES Tetris 1989, no wall kicks (rotation is cancelled on collision)
+ * - srs: Guideline Super Rotation System with the I and JLSTZ kick tables
+ * - ars: Arika Rotation System (TGM), bottom-aligned states with 1-cell kicks
+ *
+ * Tables are keyed by piece type (1 I, 2 O, 3 T, 4 S, 5 Z, 6 J, 7 L):
+ * piece.js imports this module, so importing PIECE_TYPES back would create
+ * a circular dependency.
+ */
+
+/**
+ * Available rotation systems
+ */
+export const ROTATION_SYSTEMS = {
+  NES: 'nes',
+  SRS: 'srs',
+  ARS: 'ars'
+};
+
+export const DEFAULT_ROTATION_SYSTEM = ROTATION_SYSTEMS.NES;
+
+const PIECE_I = 1;
+const PIECE_O = 2;
+const PIECE_T = 3;
+const PIECE_J = 6;
+const PIECE_L = 7;
+
+/**
+ * NES piece definitions with spawn positions and rotation states
+ * Each piece has 4 rotation states (0, 1, 2, 3)
+ * Coordinates are relative to the piece's position (x, y)
+ * Spawn position is where the piece appears when it enters the board
+ */
+const NES_PIECES = {
+  // I-piece (cyan) - horizontal spawn
+  1: {
+    type: 1,
+    spawnX: 3,
+    spawnY: 0,
+    rotations: [
+      // State 0 (horizontal)
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 3, y: 1 }],
+      // State 1 (vertical)
+      [{ x: 2, y: 0 }, { x: 2, y: 1 }, { x: 2, y: 2 }, { x: 2, y: 3 }],
+      // State 2 (horizontal, mirrored)
+      [{ x: 0, y: 2 }, { x: 1, y: 2 }, { x: 2, y: 2 }, { x: 3, y: 2 }],
+      // State 3 (vertical, mirrored)
+      [{ x: 1, y: 0 }, { x: 1, y: 1 }, { x: 1, y: 2 }, { x: 1, y: 3 }]
+    ]
+  },
+
+  // O-piece (yellow) - no rotation
+  2: {
+    type: 2,
+    spawnX: 4,
+    spawnY: 0,
+    rotations: [
+      // All states are identical for O-piece
+      [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }],
+      [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }],
+      [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }],
+      [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }]
+    ]
+  },
+
+  // T-piece (purple)
+  3: {
+    type: 3,
+    spawnX: 3,
+    spawnY: 0,
+    rotations: [
+      // State 0 (T pointing down)
+      [{ x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }],
+      // State 1 (T pointing left)
+      [{ x: 1, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 1, y: 2 }],
+      // State 2 (T pointing up)
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 1, y: 2 }],
+      // State 3 (T pointing right)
+      [{ x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 2 }]
+    ]
+  },
+
+  // S-piece (green)
+  4: {
+    type: 4,
+    spawnX: 3,
+    spawnY: 0,
+    rotations: [
+      // State 0 (horizontal)
+      [{ x: 1, y: 0 }, { x: 2, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }],
+      // State 1 (vertical)
+      [{ x: 1, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 2, y: 2 }],
+      // State 2 (horizontal, mirrored)
+      [{ x: 1, y: 1 }, { x: 2, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }],
+      // State 3 (vertical, mirrored)
+      [{ x: 0, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 2 }]
+    ]
+  },
+
+  // Z-piece (red)
+  5: {
+    type: 5,
+    spawnX: 3,
+    spawnY: 0,
+    rotations: [
+      // State 0 (horizontal)
+      [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 1 }],
+      // State 1 (vertical)
+      [{ x: 2, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 1, y: 2 }],
+      // State 2 (horizontal, mirrored)
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 2 }, { x: 2, y: 2 }],
+      // State 3 (vertical, mirrored)
+      [{ x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 0, y: 2 }]
+    ]
+  },
+
+  // J-piece (blue)
+  6: {
+    type: 6,
+    spawnX: 3,
+    spawnY: 0,
+    rotations: [
+      // State 0 (J pointing right)
+      [{ x: 0, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }],
+      // State 1 (J pointing down)
+      [{ x: 1, y: 0 }, { x: 2, y: 0 }, { x: 1, y: 1 }, { x: 1, y: 2 }],
+      // State 2 (J pointing left)
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 2, y: 2 }],
+      // State 3 (J pointing up)
+      [{ x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }]
+    ]
+  },
+
+  // L-piece (orange)
+  7: {
+    type: 7,
+    spawnX: 3,
+    spawnY: 0,
+    rotations: [
+      // State 0 (L pointing left)
+      [{ x: 2, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }],
+      // State 1 (L pointing down)
+      [{ x: 1, y: 0 }, { x: 1, y: 1 }, { x: 1, y: 2 }, { x: 2, y: 2 }],
+      // State 2 (L pointing right)
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 0, y: 2 }],
+      // State 3 (L pointing up)
+      [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 1, y: 2 }]
+    ]
+  }
+};
+
+/**
+ * ARS piece definitions
+ * Pieces sit at the bottom of their 3x3 box and T, J, L spawn flat side up.
+ * I, S and Z only have two distinct states.
+ */
+const ARS_PIECES = {
+  // I-piece
+  1: {
+    type: 1,
+    spawnX: 3,
+    spawnY: 0,
+    rotations: [
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 3, y: 1 }],
+      [{ x: 2, y: 0 }, { x: 2, y: 1 }, { x: 2, y: 2 }, { x: 2, y: 3 }],
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 3, y: 1 }],
+      [{ x: 2, y: 0 }, { x: 2, y: 1 }, { x: 2, y: 2 }, { x: 2, y: 3 }]
+    ]
+  },
+
+  // O-piece
+  2: {
+    type: 2,
+    spawnX: 4,
+    spawnY: 0,
+    rotations: [
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }],
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }],
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }],
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }]
+    ]
+  },
+
+  // T-piece
+  3: {
+    type: 3,
+    spawnX: 3,
+    spawnY: 0,
+    rotations: [
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 1, y: 2 }],
+      [{ x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 2 }],
+      [{ x: 1, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }, { x: 2, y: 2 }],
+      [{ x: 1, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 1, y: 2 }]
+    ]
+  },
+
+  // S-piece
+  4: {
+    type: 4,
+    spawnX: 3,
+    spawnY: 0,
+    rotations: [
+      [{ x: 1, y: 1 }, { x: 2, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }],
+      [{ x: 0, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 2 }],
+      [{ x: 1, y: 1 }, { x: 2, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }],
+      [{ x: 0, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 2 }]
+    ]
+  },
+
+  // Z-piece
+  5: {
+    type: 5,
+    spawnX: 3,
+    spawnY: 0,
+    rotations: [
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 2 }, { x: 2, y: 2 }],
+      [{ x: 2, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 1, y: 2 }],
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 2 }, { x: 2, y: 2 }],
+      [{ x: 2, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 1, y: 2 }]
+    ]
+  },
+
+  // J-piece
+  6: {
+    type: 6,
+    spawnX: 3,
+    spawnY: 0,
+    rotations: [
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 2, y: 2 }],
+      [{ x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }],
+      [{ x: 0, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }, { x: 2, y: 2 }],
+      [{ x: 1, y: 0 }, { x: 2, y: 0 }, { x: 1, y: 1 }, { x: 1, y: 2 }]
+    ]
+  },
+
+  // L-piece
+  7: {
+    type: 7,
+    spawnX: 3,
+    spawnY: 0,
+    rotations: [
+      [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 0, y: 2 }],
+      [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 1, y: 2 }],
+      [{ x: 2, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }, { x: 2, y: 2 }],
+      [{ x: 1, y: 0 }, { x: 1, y: 1 }, { x: 1, y: 2 }, { x: 2, y: 2 }]
+    ]
+  }
+};
+
+/**
+ * SRS kick tables as published (x right, y up), keyed by "from>to"
+ * Test 1 is always the basic rotation
+ */
+const SRS_JLSTZ_KICKS = {
+  '0>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  '1>0': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  '1>2': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  '2>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  '2>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+  '3>2': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  '3>0': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  '0>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]]
+};
+
+const SRS_I_KICKS = {
+  '0>1': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  '1>0': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  '1>2': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+  '2>1': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  '2>3': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  '3>2': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  '3>0': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  '0>3': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]]
+};
+
+const BASIC_ROTATION = [{ x: 0, y: 0 }];
+
+/**
+ * NES kicks: only the basic rotation
+ */
+function getNesKicks() {
+  return BASIC_ROTATION;
+}
+
+/**
+ * SRS kicks: the published table, converted to board coordinates (y down)
+ */
+function getSrsKicks(piece, toRotation) {
+  if (piece.type === PIECE_O) {
+    return BASIC_ROTATION;
+  }
+  const table = piece.type === PIECE_I ? SRS_I_KICKS : SRS_JLSTZ_KICKS;
+  // 0 - y flips the axis without producing -0
+  return table[`${piece.rotation}>${toRotation}`].map(([x, y]) => ({ x, y: 0 - y }));
+}
+
+/**
+ * ARS kicks: basic rotation, then one cell right, then one cell left
+ * I never kicks. T, J and L do not kick when the first blocked cell of the
+ * rotated piece (in reading order) is in the center column of its box.
+ */
+function getArsKicks(piece, toRotation, isBlocked) {
+  if (piece.type === PIECE_I || piece.type === PIECE_O) {
+    return BASIC_ROTATION;
+  }
+
+  if (piece.type === PIECE_T || piece.type === PIECE_J || piece.type === PIECE_L) {
+    const cells = [...ARS_PIECES[piece.type].rotations[toRotation]]
+      .sort((a, b) => a.y - b.y || a.x - b.x);
+    const firstBlocked = cells.find(cell => isBlocked(piece.x + cell.x, piece.y + cell.y));
+    if (firstBlocked && firstBlocked.x === 1) {
+      return BASIC_ROTATION;
+    }
+  }
+
+  return [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: -1, y: 0 }];
+}
+
+/**
+ * Rotation system definitions
+ * pieces: piece definitions (spawn position and rotation states)
+ * getKicks(piece, toRotation, isBlocked): offsets to test in order
+ */
+const SYSTEMS = {
+  [ROTATION_SYSTEMS.NES]: { pieces: NES_PIECES, getKicks: getNesKicks },
+  // SRS states match the NES table, only the kicks differ
+  [ROTATION_SYSTEMS.SRS]: { pieces: NES_PIECES, getKicks: getSrsKicks },
+  [ROTATION_SYSTEMS.ARS]: { pieces: ARS_PIECES, getKicks: getArsKicks }
+};
+
+/**
+ * Checks if a rotation system name is supported
+ * @param {string} system - Rotation system name
+ * @returns {boolean} True if system exists
+ */
+export function isValidRotationSystem(system) {
+  return Object.prototype.hasOwnProperty.call(SYSTEMS, system);
+}
+
+/**
+ * Looks up a rotation system definition
+ * Pieces without a system (e.g. built by hand) use the default system
+ */
+function getSystem(system = DEFAULT_ROTATION_SYSTEM) {
+  return SYSTEMS[system];
+}
+
+/**
+ * Gets the piece definitions of a rotation system
+ * @param {string} system - Rotation system from ROTATION_SYSTEMS (default: nes)
+ * @returns {Object} Piece definitions keyed by piece type
+ */
+export function getSystemPieces(system) {
+  return getSystem(system).pieces;
+}
+
+/**
+ * Gets the kick offsets to test when rotating a piece
+ * @param {Object} piece - Piece before rotation (with system)
+ * @param {number} toRotation - Target rotation state (0-3)
+ * @param {Function} isBlocked - (x, y) => true if the board cell is blocked
+ * @returns {Array} Array of {x, y} offsets in board coordinates, tested in order
+ */
+export function getKickOffsets(piece, toRotation, isBlocked) {
+  return getSystem(piece.system).getKicks(piece, toRotation, isBlocked);
+}
@@ -0,0 +1,89 @@
+/**
+ * Rules module - Rule set configuration
+ * Selects the interchangeable systems a game is played with
+ */
+
+import { DEFAULT_RANDOMIZER_STRATEGY, isValidRandomizerStrategy } from './randomizer.js';
+import { DEFAULT_ROTATION_SYSTEM, isValidRotationSystem } from './rotationSystems.js';
+import { DEFAULT_SOFT_DROP_SCORING, isValidSoftDropScoring } from './scoring.js';
+import { DEFAULT_LOCK_DELAY, isValidLockDelay } from './lock.js';
+import { DEFAULT_PREVIEWS, isValidPreviews } from './nextQueue.js';
+import { DEFAULT_GRAVITY_CURVE, isValidGravityCurve } from './gravity.js';
+
+/**
+ * Default rules (NES Tetris 1989 behavior)
+ */
+export const DEFAULT_RULES = {
+  randomizer: DEFAULT_RANDOMIZER_STRATEGY,
+  rotationSystem: DEFAULT_ROTATION_SYSTEM,
+  softDropScoring: DEFAULT_SOFT_DROP_SCORING,
+  lockDelay: DEFAULT_LOCK_DELAY,
+  previews: DEFAULT_PREVIEWS,
+  gravityCurve: DEFAULT_GRAVITY_CURVE,
+  hold: false,
+  hardDrop: false,
+  sonicDrop: false
+};
+
+/**
+ * On/off rules for the optional non-NES actions
+ */
+export const RULE_TOGGLES = ['hold', 'hardDrop', 'sonicDrop'];
+
+/**
+ * Creates a rule set from defaults and overrides
+ * Unknown or invalid values fall back to the defaults
+ * @param {Object} overrides - Rule values to override
+ * @returns {Object} Rules object
+ */
+export function createRules(overrides = {}) {
+  const rules = { ...DEFAULT_RULES, ...overrides };
+
+  if (!isValidRandomizerStrategy(rules.randomizer)) {
+    rules.randomizer = DEFAULT_RULES.randomizer;
+  }
+
+  if (!isValidRotationSystem(rules.rotationSystem)) {
+    rules.rotationSystem = DEFAULT_RULES.rotationSystem;
+  }
+
+  if (!isValidSoftDropScoring(rules.softDropScoring)) {
+    rules.softDropScoring = DEFAULT_RULES.softDropScoring;
+  }
+
+  if (!isValidLockDelay(rules.lockDelay)) {
+    rules.lockDelay = DEFAULT_RULES.lockDelay;
+  }
+
+  if (!isValidPreviews(rules.previews)) {
+    rules.previews = DEFAULT_RULES.previews;
+  }
+
+  if (!isValidGravityCurve(rules.gravityCurve)) {
+    rules.gravityCurve = DEFAULT_RULES.gravityCurve;
+  }
+
+  for (const toggle of RULE_TOGGLES) {
+    if (typeof rules[toggle] !== 'boolean') {
+      rules[toggle] = DEFAULT_RULES[toggle];
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Checks if a rules object only holds supported values
+ * @param {Object} rules - Rules object
+ * @returns {boolean} True if valid
+ */
+export function isValidRules(rules) {
+  return !!rules && typeof rules === 'object' &&
+    isValidRandomizerStrategy(rules.randomizer) &&
+    isValidRotationSystem(rules.rotationSystem) &&
+    isValidSoftDropScoring(rules.softDropScoring) &&
+    isValidLockDelay(rules.lockDelay) &&
+    isValidPreviews(rules.previews) &&
+    isValidGravityCurve(rules.gravityCurve) &&
+    RULE_TOGGLES.every(toggle => typeof rules[toggle] === 'boolean');
+}
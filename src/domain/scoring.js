@@ -1,9 +1,34 @@
 /**
  * Scoring module - NES Tetris scoring system
  * NES scoring table with level multipliers
- * Soft drop scoring: 1 point per cell dropped
+ * Soft drop scoring: NES push-down points at lock, or 1 point per cell dropped
+ * Hard drop scoring (optional rule, not in the NES): 2 points per cell dropped
  */
 
+/**
+ * Soft drop scoring models
+ * PUSH_DOWN: NES, rows held down are credited when the piece locks
+ * PER_CELL: 1 point for every cell soft dropped, as it happens
+ */
+export const SOFT_DROP_SCORING = {
+  PUSH_DOWN: 'pushDown',
+  PER_CELL: 'perCell'
+};
+
+/**
+ * Default soft drop scoring (NES)
+ */
+export const DEFAULT_SOFT_DROP_SCORING = SOFT_DROP_SCORING.PUSH_DOWN;
+
+/**
+ * Checks if a soft drop scoring model is supported
+ * @param {string} scoring - Scoring model name
+ * @returns {boolean} True if supported
+ */
+export function isValidSoftDropScoring(scoring) {
+  return Object.values(SOFT_DROP_SCORING).includes(scoring);
+}
+
 /**
  * NES Tetris base score table (before level multiplication)
  * Source: NES Tetris 1989 scoring
@@ -21,10 +46,10 @@ export const SCORE_TABLE = {
 export const SOFT_DROP_POINTS = 1;
 
 /**
- * Points per cell for hard drop (NES doesn't have hard drop, but defined for completeness)
- * NES Tetris 1989 does NOT have hard drop
+ * Points per cell for hard drop
+ * NES Tetris 1989 does NOT have hard drop; only used with the hardDrop rule
  */
-export const HARD_DROP_POINTS = 0; // Not used in NES
+export const HARD_DROP_POINTS = 2;
 
 /**
  * Calculates score for line clears
@@ -67,6 +92,53 @@ export function calculateSoftDropScore(cellsDropped) {
   return cellsDropped * SOFT_DROP_POINTS;
 }
 
+/**
+ * Calculates hard drop score
+ * 
+ * @param {number} cellsDropped - Number of cells hard dropped
+ * @returns {number} Score earned
+ */
+export function calculateHardDropScore(cellsDropped) {
+  if (cellsDropped <= 0) {
+    return 0;
+  }
+
+  return cellsDropped * HARD_DROP_POINTS;
+}
+
+/**
+ * Applies NES push-down points to a total score
+ * The NES decrements the BCD ones/tens byte, adds the binary row count and
+ * only then corrects each digit once, so a push of 11+ rows can credit
+ * less than rows - 1. Carries past the tens are lost except into hundreds.
+ * 
+ * @param {number} totalScore - Score before the lock
+ * @param {number} heldRows - Rows the piece was pushed down continuously
+ * @returns {number} New total score
+ */
+export function applyPushDownPoints(totalScore, heldRows) {
+  if (heldRows < 2) {
+    return totalScore;
+  }
+
+  const ones = totalScore % 100;
+  const bcd = (Math.floor(ones / 10) << 4) | (ones % 10);
+
+  // dec score; adc holdDownPoints (8-bit, the carry out is dropped)
+  let sum = (bcd - 1 + heldRows) & 0xFF;
+  let hundreds = 0;
+
+  if ((sum & 0x0F) >= 0x0A) {
+    sum = (sum + 0x06) & 0xFF;
+  }
+  if ((sum & 0xF0) >= 0xA0) {
+    sum = (sum + 0x60) & 0xFF;
+    hundreds = 1;
+  }
+
+  return totalScore - ones + (sum >> 4) * 10 + (sum & 0x0F) + hundreds * 100;
+}
+
 /**
  * Creates initial score state
  * @returns {Object} Score state object
@@ -75,9 +147,16 @@ export function createScoreState() {
   return {
     totalScore: 0,
     linesCleared: 0,
+    singles: 0,
+    doubles: 0,
+    triples: 0,
     tetrises: 0,
+    burnLines: 0,
+    tetrisLines: 0,
     softDropCells: 0,
     softDropScore: 0,
+    hardDropCells: 0,
+    hardDropScore: 0,
     lastClearScore: 0,
     highScore: 0
   };
@@ -85,6 +164,8 @@ export function createScoreState() {
 
 /**
  * Adds line clear score to total
+ * Lines cleared by singles, doubles and triples count as burn lines,
+ * the rest as tetris lines.
  * 
  * @param {Object} scoreState - Current score state
  * @param {number} linesCleared - Number of lines cleared (1-4)
@@ -96,13 +177,17 @@ export function addLineClearScore(scoreState, linesCleared, level) {
 
   const newTotalScore = scoreState.totalScore + points;
   const newLinesCleared = scoreState.linesCleared + linesCleared;
-  const newTetrises = scoreState.tetrises + (linesCleared === 4 ? 1 : 0);
 
   return {
     ...scoreState,
     totalScore: newTotalScore,
     linesCleared: newLinesCleared,
-    tetrises: newTetrises,
+    singles: scoreState.singles + (linesCleared === 1 ? 1 : 0),
+    doubles: scoreState.doubles + (linesCleared === 2 ? 1 : 0),
+    triples: scoreState.triples + (linesCleared === 3 ? 1 : 0),
+    tetrises: scoreState.tetrises + (linesCleared === 4 ? 1 : 0),
+    burnLines: scoreState.burnLines + (linesCleared < 4 ? linesCleared : 0),
+    tetrisLines: scoreState.tetrisLines + (linesCleared === 4 ? linesCleared : 0),
     lastClearScore: points,
     highScore: Math.max(newTotalScore, scoreState.highScore)
   };
@@ -127,6 +212,45 @@ export function addSoftDropScore(scoreState, cellsDropped) {
   };
 }
 
+/**
+ * Adds hard drop score to total
+ * 
+ * @param {Object} scoreState - Current score state
+ * @param {number} cellsDropped - Number of cells hard dropped
+ * @returns {Object} New score state with updated totals
+ */
+export function addHardDropScore(scoreState, cellsDropped) {
+  const points = calculateHardDropScore(cellsDropped);
+
+  return {
+    ...scoreState,
+    totalScore: scoreState.totalScore + points,
+    hardDropCells: scoreState.hardDropCells + cellsDropped,
+    hardDropScore: scoreState.hardDropScore + points,
+    highScore: Math.max(scoreState.totalScore + points, scoreState.highScore)
+  };
+}
+
+/**
+ * Adds NES push-down points for a lock to the total
+ * 
+ * @param {Object} scoreState - Current score state
+ * @param {number} heldRows - Rows the piece was pushed down continuously
+ * @returns {Object} New score state with updated totals
+ */
+export function addPushDownScore(scoreState, heldRows) {
+  const newTotalScore = applyPushDownPoints(scoreState.totalScore, heldRows);
+  const points = newTotalScore - scoreState.totalScore;
+
+  return {
+    ...scoreState,
+    totalScore: newTotalScore,
+    softDropCells: scoreState.softDropCells + heldRows,
+    softDropScore: scoreState.softDropScore + points,
+    highScore: Math.max(newTotalScore, scoreState.highScore)
+  };
+}
+
 /**
  * Resets score state (for new game)
  * @returns {Object} Fresh score state
@@ -162,6 +286,30 @@ export function getTetrisCount(scoreState) {
   return scoreState.tetrises;
 }
 
+/**
+ * Gets the tetris rate: the share of lines cleared by tetrises
+ * @param {Object} scoreState - Score state
+ * @returns {number} Tetris rate in percent (0-100, 0 before any line)
+ */
+export function getTetrisRate(scoreState) {
+  if (scoreState.linesCleared === 0) {
+    return 0;
+  }
+  return Math.round(scoreState.tetrisLines * 100 / scoreState.linesCleared);
+}
+
+/**
+ * Gets the average points scored per line cleared
+ * @param {Object} scoreState - Score state
+ * @returns {number} Points per line (0 before any line)
+ */
+export function getPointsPerLine(scoreState) {
+  if (scoreState.linesCleared === 0) {
+    return 0;
+  }
+  return Math.round(scoreState.totalScore / scoreState.linesCleared);
+}
+
 /**
  * Gets score breakdown for display
  * @param {Object} scoreState - Score state
@@ -169,8 +317,9 @@ export function getTetrisCount(scoreState) {
  */
 export function getScoreBreakdown(scoreState) {
   return {
-    lineClears: scoreState.totalScore - scoreState.softDropScore,
+    lineClears: scoreState.totalScore - scoreState.softDropScore - scoreState.hardDropScore,
     softDrops: scoreState.softDropScore,
+    hardDrops: scoreState.hardDropScore,
     total: scoreState.totalScore
   };
 }
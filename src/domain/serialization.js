@@ -0,0 +1,337 @@
+/**
+ * Serialization module - Versioned save/load of full game state
+ * Round-trips rules, game mode, board, pieces, next queue, hold, piece statistics, score, level, gravity, DAS, lock,
+ * play phase, Sprint splits and randomizer state through a validated JSON schema
+ */
+
+import { BOARD_WIDTH, TOTAL_ROWS } from './board.js';
+import { getSystemPieces } from './rotationSystems.js';
+import { createGameState, GAME_STATES, PLAY_PHASES } from './gameState.js';
+import { isValidRandomizerStrategy } from './randomizer.js';
+import { isValidRules } from './rules.js';
+import { getQueueLength } from './nextQueue.js';
+import { calculateLevel, getLinesUntilNextLevel } from './level.js';
+import { isValidGameMode } from './gameMode.js';
+
+/**
+ * Current save schema version
+ */
+export const SAVE_VERSION = 1;
+
+/**
+ * Migration hooks keyed by the version they upgrade from
+ * Each hook receives save data of version N and returns data of a later version
+ */
+export const MIGRATIONS = {};
+
+/**
+ * Checks if value is a finite number
+ */
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Checks if value is a finite non-negative integer
+ */
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Checks if value is a valid piece type (1-7)
+ */
+function isPieceType(value) {
+  return Number.isInteger(value) && value >= 1 && value <= 7;
+}
+
+/**
+ * Checks if every listed field of an object satisfies a predicate
+ */
+function hasFields(object, fields, predicate) {
+  return !!object && typeof object === 'object' && fields.every(field => predicate(object[field]));
+}
+
+/**
+ * Serializes a piece to its minimal form
+ * Cells are rebuilt on load and the rotation system comes from the rules
+ */
+function serializePiece(piece) {
+  if (!piece) {
+    return null;
+  }
+  return {
+    type: piece.type,
+    x: piece.x,
+    y: piece.y,
+    rotation: piece.rotation
+  };
+}
+
+/**
+ * Rebuilds a piece from its serialized form
+ */
+function deserializePiece(data, system) {
+  if (!data) {
+    return null;
+  }
+  return {
+    type: data.type,
+    system,
+    x: data.x,
+    y: data.y,
+    rotation: data.rotation,
+    cells: getSystemPieces(system)[data.type].rotations[data.rotation]
+  };
+}
+
+/**
+ * Serializes game state to a versioned JSON string
+ * @param {Object} gameState - Game state
+ * @returns {string} JSON save data
+ */
+export function serializeGameState(gameState) {
+  return JSON.stringify({
+    version: SAVE_VERSION,
+    state: {
+      state: gameState.state,
+      rules: gameState.rules,
+      mode: gameState.mode,
+      board: gameState.board,
+      currentPiece: serializePiece(gameState.currentPiece),
+      nextQueue: gameState.nextQueue,
+      hold: gameState.hold,
+      pieceStats: gameState.pieceStats,
+      score: gameState.score,
+      level: gameState.level,
+      randomizer: gameState.randomizer,
+      gravity: gameState.gravity,
+      das: gameState.das,
+      lock: {
+        ...gameState.lock,
+        lockedPiece: serializePiece(gameState.lock.lockedPiece)
+      },
+      phase: gameState.phase,
+      pushDownRows: gameState.pushDownRows,
+      splits: gameState.splits,
+      frameCount: gameState.frameCount,
+      gameOverAnimation: gameState.gameOverAnimation
+    }
+  });
+}
+
+/**
+ * Upgrades save data to the current version
+ * Hooks run before validation, so a hook that fails on malformed data
+ * rejects the save instead of throwing; so does a hook that does not raise
+ * the version, which would otherwise never finish.
+ * @param {Object} data - Parsed save data
+ * @param {Object} migrations - Migration hooks (default: MIGRATIONS)
+ * @returns {Object} { data: Object|null, error: string|null }
+ */
+export function migrateSaveData(data, migrations = MIGRATIONS) {
+  let migrated = data;
+
+  while (migrated.version < SAVE_VERSION) {
+    const migrate = migrations[migrated.version];
+    if (!migrate) {
+      return { data: null, error: `No migration from version ${migrated.version}` };
+    }
+    const from = migrated.version;
+    try {
+      migrated = migrate(migrated);
+    } catch (e) {
+      return { data: null, error: `Invalid version ${from} save` };
+    }
+    if (!(migrated?.version > from)) {
+      return { data: null, error: `Migration from version ${from} did not raise the version` };
+    }
+  }
+
+  return { data: migrated, error: null };
+}
+
+/**
+ * Validates a serialized piece
+ */
+function isValidPiece(piece) {
+  return hasFields(piece, ['x', 'y'], Number.isInteger) &&
+    isPieceType(piece.type) &&
+    Number.isInteger(piece.rotation) && piece.rotation >= 0 && piece.rotation <= 3;
+}
+
+/**
+ * Validates randomizer state, including strategy-specific fields
+ */
+function isValidRandomizer(randomizer) {
+  if (!hasFields(randomizer, ['seed', 'current'], isNumber) ||
+      !isValidRandomizerStrategy(randomizer.strategy)) {
+    return false;
+  }
+  return ['bag', 'history'].every(field => randomizer[field] === undefined ||
+    (Array.isArray(randomizer[field]) && randomizer[field].every(isPieceType))) &&
+    ['spawnCount', 'spawnId'].every(field => randomizer[field] === undefined || isCount(randomizer[field]));
+}
+
+/**
+ * Validates serialized game state fields
+ * @param {Object} state - Serialized game state
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateSaveState(state) {
+  if (!state || typeof state !== 'object') {
+    return 'Missing game state';
+  }
+
+  if (!Object.values(GAME_STATES).includes(state.state)) {
+    return 'Invalid game state';
+  }
+
+  if (!isValidRules(state.rules)) {
+    return 'Invalid rules';
+  }
+
+  if (!isValidGameMode(state.mode)) {
+    return 'Invalid mode';
+  }
+
+  const validBoard = Array.isArray(state.board) &&
+    state.board.length === TOTAL_ROWS &&
+    state.board.every(row => Array.isArray(row) && row.length === BOARD_WIDTH &&
+      row.every(cell => cell === 0 || isPieceType(cell)));
+  if (!validBoard) {
+    return 'Invalid board';
+  }
+
+  if (state.currentPiece !== null && !isValidPiece(state.currentPiece)) {
+    return 'Invalid current piece';
+  }
+
+  if (!Array.isArray(state.nextQueue) || state.nextQueue.length > getQueueLength(state.rules.previews) ||
+      !state.nextQueue.every(isPieceType)) {
+    return 'Invalid next queue';
+  }
+
+  const hold = state.hold;
+  if (!hold || (hold.pieceType !== null && !isPieceType(hold.pieceType)) || typeof hold.used !== 'boolean') {
+    return 'Invalid hold';
+  }
+
+  const pieceStats = state.pieceStats;
+  if (!pieceStats || !Array.isArray(pieceStats.counts) || pieceStats.counts.length !== 7 ||
+      !pieceStats.counts.every(isCount) || !hasFields(pieceStats, ['drought', 'longestDrought'], isCount)) {
+    return 'Invalid piece stats';
+  }
+
+  if (!hasFields(state.score, ['totalScore', 'linesCleared', 'singles', 'doubles', 'triples', 'tetrises',
+    'burnLines', 'tetrisLines', 'softDropCells', 'softDropScore', 'hardDropCells', 'hardDropScore', 'lastClearScore', 'highScore'], isCount)) {
+    return 'Invalid score';
+  }
+
+  if (!hasFields(state.gravity, ['level', 'framesPerDrop', 'frameCounter'], isCount)) {
+    return 'Invalid gravity';
+  }
+
+  // The level always follows from the lines cleared (see calculateLevel)
+  const level = state.level;
+  if (!hasFields(level, ['currentLevel', 'startLevel', 'totalLines', 'linesUntilNext'], isCount) ||
+      !hasFields(level.gravity, ['level', 'frameCounter'], isCount) ||
+      level.currentLevel !== calculateLevel(level.totalLines, level.startLevel) ||
+      level.linesUntilNext !== getLinesUntilNextLevel(level.totalLines, level.startLevel)) {
+    return 'Invalid level';
+  }
+
+  if (!isValidRandomizer(state.randomizer)) {
+    return 'Invalid randomizer';
+  }
+
+  const das = state.das;
+  if (!hasFields(das, ['counter', 'lastMoveFrame'], isNumber) ||
+      ![-1, 0, 1].includes(das.direction) || typeof das.isActive !== 'boolean') {
+    return 'Invalid DAS';
+  }
+
+  const lock = state.lock;
+  if (!lock || typeof lock.isLocked !== 'boolean' ||
+      (lock.lockedAtFrame !== null && !isNumber(lock.lockedAtFrame)) ||
+      (lock.lockedPiece !== null && !isValidPiece(lock.lockedPiece)) ||
+      (lock.timer !== null && !isCount(lock.timer)) || !isCount(lock.resets) ||
+      (lock.lowestY !== null && !Number.isInteger(lock.lowestY))) {
+    return 'Invalid lock';
+  }
+
+  const phase = state.phase;
+  if (!hasFields(phase, ['framesLeft', 'entryDelay'], isCount) ||
+      !Object.values(PLAY_PHASES).includes(phase.name) ||
+      !Array.isArray(phase.clearingRows) ||
+      !phase.clearingRows.every(row => isCount(row) && row < TOTAL_ROWS)) {
+    return 'Invalid phase';
+  }
+
+  if (!isCount(state.pushDownRows)) {
+    return 'Invalid push-down rows';
+  }
+
+  if (!Array.isArray(state.splits) || !state.splits.every(isCount)) {
+    return 'Invalid splits';
+  }
+
+  if (!isCount(state.frameCount)) {
+    return 'Invalid frame count';
+  }
+
+  const animation = state.gameOverAnimation;
+  if (animation !== null && (!animation || !Number.isInteger(animation.currentRow) ||
+      typeof animation.active !== 'boolean' || typeof animation.completed !== 'boolean')) {
+    return 'Invalid game over animation';
+  }
+
+  return null;
+}
+
+/**
+ * Restores game state from versioned JSON save data
+ * Runs migrations for older versions and validates every field
+ * @param {string} json - JSON save data from serializeGameState
+ * @param {Object} migrations - Migration hooks (default: MIGRATIONS)
+ * @returns {Object} { success: boolean, gameState: Object|null, error: string|null }
+ */
+export function deserializeGameState(json, migrations = MIGRATIONS) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    return { success: false, gameState: null, error: 'Invalid JSON' };
+  }
+
+  if (!data || !Number.isInteger(data.version)) {
+    return { success: false, gameState: null, error: 'Missing save version' };
+  }
+
+  if (data.version > SAVE_VERSION) {
+    return { success: false, gameState: null, error: `Unsupported save version ${data.version}` };
+  }
+
+  const migration = migrateSaveData(data, migrations);
+  if (migration.error) {
+    return { success: false, gameState: null, error: migration.error };
+  }
+
+  const state = migration.data.state;
+  const error = validateSaveState(state);
+  if (error) {
+    return { success: false, gameState: null, error };
+  }
+
+  const gameState = {
+    ...createGameState(state.level.startLevel, state.rules, state.mode),
+    ...state,
+    currentPiece: deserializePiece(state.currentPiece, state.rules.rotationSystem),
+    lock: {
+      ...state.lock,
+      lockedPiece: deserializePiece(state.lock.lockedPiece, state.rules.rotationSystem)
+    }
+  };
+
+  return { success: true, gameState, error: null };
+}
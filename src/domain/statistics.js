@@ -0,0 +1,81 @@
+/**
+ * Statistics module - NES piece statistics
+ * Counts the spawned pieces of each type and tracks I-piece droughts
+ */
+
+import { PIECE_TYPES } from './piece.js';
+import { FRAMES_PER_MINUTE } from './gameMode.js';
+
+/**
+ * Piece types in the order of the NES STATISTICS column
+ */
+export const STATISTICS_ORDER = [
+  PIECE_TYPES.T,
+  PIECE_TYPES.J,
+  PIECE_TYPES.Z,
+  PIECE_TYPES.O,
+  PIECE_TYPES.S,
+  PIECE_TYPES.L,
+  PIECE_TYPES.I
+];
+
+/**
+ * Creates empty piece statistics
+ * @returns {Object} Statistics { counts, drought, longestDrought }
+ *                   counts: spawns per piece type, indexed by type - 1
+ *                   drought: pieces since the last I
+ */
+export function createPieceStats() {
+  return {
+    counts: [0, 0, 0, 0, 0, 0, 0],
+    drought: 0,
+    longestDrought: 0
+  };
+}
+
+/**
+ * Counts a spawned piece
+ * An I piece ends the drought; any other piece extends it.
+ * @param {Object} stats - Piece statistics
+ * @param {number} pieceType - Spawned piece type (1-7)
+ * @returns {Object} New piece statistics
+ */
+export function countPiece(stats, pieceType) {
+  const counts = stats.counts.map((count, index) => index === pieceType - 1 ? count + 1 : count);
+  const drought = pieceType === PIECE_TYPES.I ? 0 : stats.drought + 1;
+
+  return {
+    counts,
+    drought,
+    longestDrought: Math.max(stats.longestDrought, drought)
+  };
+}
+
+/**
+ * Gets the spawn count of a piece type
+ * @param {Object} stats - Piece statistics
+ * @param {number} pieceType - Piece type (1-7)
+ * @returns {number} Pieces of that type spawned
+ */
+export function getPieceCount(stats, pieceType) {
+  return stats.counts[pieceType - 1];
+}
+
+/**
+ * Gets the number of pieces spawned
+ * @param {Object} stats - Piece statistics
+ * @returns {number} Pieces of every type spawned
+ */
+export function getTotalPieces(stats) {
+  return stats.counts.reduce((total, count) => total + count, 0);
+}
+
+/**
+ * Gets the pieces played per second of game time
+ * @param {Object} stats - Piece statistics
+ * @param {number} frameCount - Frames played
+ * @returns {number} Pieces per second (0 before the first frame)
+ */
+export function getPiecesPerSecond(stats, frameCount) {
+  return frameCount > 0 ? getTotalPieces(stats) * FRAMES_PER_MINUTE / 60 / frameCount : 0;
+}
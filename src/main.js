@@ -4,17 +4,93 @@
  */
 
 import { GAME_STATES } from './domain/gameState.js';
+import { DEFAULT_RULES } from './domain/rules.js';
+import { boostStartLevel } from './domain/level.js';
+import { parseGravityCurve } from './domain/gravity.js';
+import {
+  DEFAULT_GAME_MODE,
+  GAME_MODES,
+  isSprint,
+  getSprintTime,
+  isSprintBest,
+  getScorePerMinute
+} from './domain/gameMode.js';
 import { 
   initGame, 
   startNewGame, 
   updateGame,
+  EVENTS,
   returnToTitle as returnToTitleController
 } from './controller/gameController.js';
 import { createInputState, handleKeyDown, handleKeyUp, clearTransientKeys } from './controller/inputController.js';
-import { createGameLoop, startGameLoop, stopGameLoop } from './controller/gameLoop.js';
-import { createScreens, SCREENS, getSelectedLevel, setSelectedLevel, changeSelectedLevel } from './view/screens.js';
-import { createGameUI, renderGame, renderNextPieceSync, renderStats } from './view/renderer.js';
+import { createRuntime } from './controller/runtime.js';
+import {
+  createReplay,
+  recordFrame,
+  finishReplay,
+  createReplayPlayer,
+  advanceReplay,
+  stepReplayFrame,
+  toggleReplayPause,
+  changeReplaySpeed,
+  getReplayStatus
+} from './controller/replay.js';
+import {
+  createScreens,
+  SCREENS,
+  getSelectedLevel,
+  setSelectedLevel,
+  changeSelectedLevel,
+  changeSelectedModeType,
+  changeSelectedHeight,
+  changeSelectedMinutes,
+  setModeOptionsVisible,
+  toggleRuleSelected,
+  changeSelectedPreviews,
+  changeSelectedGravityCurve,
+  replaceCustomGravityCurve,
+  setThemeOptions,
+  setGhostSetting,
+  getSelectedThemeName,
+  changeSelectedTheme,
+  getThemeJson,
+  setThemeJson,
+  focusThemeJson,
+  setThemeStatus,
+  getGravityCurveJson,
+  setGravityCurveJson,
+  focusGravityCurveJson,
+  setGravityCurveStatus,
+  getSelectedGameMode,
+  getSelectedRules
+} from './view/screens.js';
+import {
+  createGameUI,
+  renderGame,
+  renderNextQueue,
+  renderStats,
+  renderHold,
+  renderPieceStats,
+  renderMetrics,
+  renderSplits,
+  renderUltra,
+  renderPalette,
+  formatFrames
+} from './view/renderer.js';
+import {
+  DEFAULT_THEME,
+  isValidTheme,
+  isBuiltInTheme,
+  parseTheme,
+  exportTheme,
+  getThemes,
+  findTheme,
+  addCustomTheme,
+  removeCustomTheme,
+  applyTheme
+} from './view/theme.js';
 import { advanceGameOverAnimation } from './domain/gameOver.js';
+import { serializeGameState, deserializeGameState } from './domain/serialization.js';
 
 /**
  * High Score Manager - Handles localStorage persistence
@@ -49,6 +125,172 @@ const HighScoreManager = {
   }
 };
 
+/**
+ * Sprint Record Manager - Persists the best 40-line time and its splits
+ */
+const SprintRecordManager = {
+  STORAGE_KEY: 'tetris_nes_sprint_best',
+  
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+      const valid = stored && Number.isInteger(stored.frames) &&
+        Array.isArray(stored.splits) && getSprintTime(stored.splits) === stored.frames;
+      return valid ? stored : null;
+    } catch (e) {
+      return null;
+    }
+  },
+  
+  save(record) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(record));
+    } catch (e) {
+      // Ignore storage errors
+    }
+  },
+  
+  update(splits) {
+    const current = this.load();
+    if (isSprintBest(current, splits)) {
+      const record = { frames: getSprintTime(splits), splits };
+      this.save(record);
+      return record;
+    }
+    return current;
+  }
+};
+
+/**
+ * Save Manager - Persists a game in progress across reloads
+ * A save that fails to load (old, newer or corrupt) is dropped like a missing one.
+ */
+const SaveManager = {
+  STORAGE_KEY: 'tetris_nes_savegame',
+  
+  load() {
+    try {
+      const stored = localStorage.getItem(this.STORAGE_KEY);
+      if (!stored) {
+        return null;
+      }
+      return deserializeGameState(stored).gameState;
+    } catch (e) {
+      return null;
+    }
+  },
+  
+  save(gameState) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, serializeGameState(gameState));
+    } catch (e) {
+      // Ignore storage errors
+    }
+  },
+  
+  clear() {
+    try {
+      localStorage.removeItem(this.STORAGE_KEY);
+    } catch (e) {
+      // Ignore storage errors
+    }
+  }
+};
+
+/**
+ * Gravity Curve Manager - Persists the user-defined gravity curve
+ * The curve is a JSON array of frames per drop by level (0 is 20G), set on
+ * the settings screen; a stored curve that no longer validates is ignored.
+ */
+const GravityCurveManager = {
+  STORAGE_KEY: 'tetris_nes_gravity_curve',
+  
+  load() {
+    try {
+      const stored = localStorage.getItem(this.STORAGE_KEY);
+      return stored ? parseGravityCurve(stored).curve : null;
+    } catch (e) {
+      return null;
+    }
+  },
+  
+  save(curve) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(curve));
+    } catch (e) {
+      // Ignore storage errors
+    }
+  },
+  
+  clear() {
+    try {
+      localStorage.removeItem(this.STORAGE_KEY);
+    } catch (e) {
+      // Ignore storage errors
+    }
+  }
+};
+
+/**
+ * Theme Manager - Persists the chosen theme and the imported themes
+ * Stored as { selected, custom }; custom themes that no longer validate are dropped.
+ */
+const ThemeManager = {
+  STORAGE_KEY: 'tetris_nes_themes',
+  
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+      return {
+        selected: typeof stored?.selected === 'string' ? stored.selected : DEFAULT_THEME.name,
+        custom: Array.isArray(stored?.custom)
+          ? stored.custom.filter(theme => isValidTheme(theme) && !isBuiltInTheme(theme.name))
+          : []
+      };
+    } catch (e) {
+      return { selected: DEFAULT_THEME.name, custom: [] };
+    }
+  },
+  
+  save(settings) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+      // Ignore storage errors
+    }
+  }
+};
+
+/**
+ * Display Manager - Persists the display options of the settings screen
+ * Stored as { ghost }; the ghost piece is off by default, like the NES.
+ */
+const DisplayManager = {
+  STORAGE_KEY: 'tetris_nes_display',
+  
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+      return { ghost: stored?.ghost === true };
+    } catch (e) {
+      return { ghost: false };
+    }
+  },
+  
+  save(display) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(display));
+    } catch (e) {
+      // Ignore storage errors
+    }
+  }
+};
+
+/**
+ * Keys handled on the settings screen
+ */
+const SETTINGS_KEYS = ['ArrowUp', 'ArrowDown', 'e', 'E', 'i', 'I', 'd', 'D', 'g', 'G', 'c', 'C', 'r', 'R', 'Escape'];
+
 /**
  * Game instance
  */
@@ -57,8 +299,17 @@ const game = {
   input: null,
   screens: null,
   ui: null,
-  loop: null,
+  runtime: null,
+  replay: null,
+  lastReplay: null,
+  player: null,
+  replayUI: null,
   selectedLevel: 0,
+  selectedMode: DEFAULT_GAME_MODE,
+  themes: { selected: DEFAULT_THEME.name, custom: [] },
+  theme: DEFAULT_THEME,
+  display: { ghost: false },
+  sprintBest: null,
   isRunning: false
 };
 
@@ -75,26 +326,39 @@ function init() {
   const gameScreen = game.screens.game;
   game.ui = createGameUI(gameScreen);
   
+  // Create replay UI within replay screen
+  game.replayUI = createGameUI(game.screens.replay);
+  
+  // Restore the theme
+  game.themes = ThemeManager.load();
+  useTheme(game.themes.selected);
+  
+  // Restore the display options
+  game.display = DisplayManager.load();
+  setGhostSetting(game.screens.settings, game.display.ghost);
+  
   // Initialize game state
   game.state = initGame(0);
   
   // Initialize input
   game.input = createInputState();
   
-  // Create game loop
-  game.loop = createGameLoop(
-    (frameCount) => update(frameCount),
-    () => render()
-  );
+  // Create runtime driving the game loop
+  game.runtime = createRuntime({
+    update: () => update(),
+    render: alpha => render(alpha)
+  });
   
   // Setup input handlers
   setupInputHandlers();
   
-  // Start at title screen
-  showScreen(SCREENS.TITLE);
+  // Resume a saved game, or start at title screen
+  if (!restoreSavedGame()) {
+    showScreen(SCREENS.TITLE);
+  }
   
   // Start the game loop
-  startGameLoop(game.loop);
+  game.runtime.start();
   game.isRunning = true;
   
   console.log('Tetris NES 1989 initialized');
@@ -105,11 +369,25 @@ function init() {
  */
 function setupInputHandlers() {
   window.addEventListener('keydown', (e) => {
+    // Typing in the settings text boxes is text, not game input
+    if (e.target instanceof HTMLTextAreaElement) {
+      handleSettingsJsonKey(e);
+      return;
+    }
+    // Settings keys are commands; keep them out of the text boxes when they get focus.
+    // Other keys and shortcuts (Ctrl+R, F5, Tab) keep their browser behavior.
+    if (game.screens.current === SCREENS.SETTINGS && SETTINGS_KEYS.includes(e.key) &&
+        !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+    }
     game.input = handleKeyDown(game.input, e.key);
-    handleGlobalInput(e.key);
+    handleGlobalInput(e.key, e.ctrlKey);
   });
   
   window.addEventListener('keyup', (e) => {
+    if (e.target instanceof HTMLTextAreaElement) {
+      return;
+    }
     game.input = handleKeyUp(game.input, e.key);
   });
 }
@@ -117,27 +395,79 @@ function setupInputHandlers() {
 /**
  * Handle global input (screen navigation)
  * @param {string} key - Key pressed
+ * @param {boolean} boostKey - Ctrl held (level select: NES A+Start, +10 levels; Shift is the hold key)
  */
-function handleGlobalInput(key) {
+function handleGlobalInput(key, boostKey = false) {
   const currentScreen = game.screens.current;
   
   switch (currentScreen) {
     case SCREENS.TITLE:
       if (key === 'Enter' || key === ' ') {
+        showScreen(SCREENS.MODE_SELECT);
+      } else if (key === 's' || key === 'S') {
+        showScreen(SCREENS.SETTINGS);
+      }
+      break;
+      
+    case SCREENS.SETTINGS:
+      if (key === 'ArrowUp' || key === 'ArrowDown') {
+        changeSelectedTheme(game.screens.settings, key === 'ArrowUp' ? -1 : 1);
+        useTheme(getSelectedThemeName(game.screens.settings));
+      } else if (key === 'e' || key === 'E') {
+        exportCurrentTheme();
+      } else if (key === 'i' || key === 'I') {
+        setThemeJson(game.screens.settings, '');
+        setThemeStatus(game.screens.settings, 'PASTE A THEME AND PRESS ENTER');
+        focusThemeJson(game.screens.settings);
+      } else if (key === 'd' || key === 'D') {
+        deleteSelectedTheme();
+      } else if (key === 'g' || key === 'G') {
+        toggleGhost();
+      } else if (key === 'c' || key === 'C') {
+        setGravityCurveStatus(game.screens.settings, 'PASTE A GRAVITY CURVE AND PRESS ENTER • EMPTY TO REMOVE');
+        focusGravityCurveJson(game.screens.settings);
+      } else if (key === 'r' || key === 'R' || key === 'Escape') {
+        showScreen(SCREENS.TITLE);
+      }
+      break;
+      
+    case SCREENS.MODE_SELECT:
+      if (key === 'Enter') {
         showScreen(SCREENS.LEVEL_SELECT);
+      } else if (key === 'r' || key === 'R' || key === 'Escape') {
+        showScreen(SCREENS.TITLE);
+      } else if (key === 'ArrowUp') {
+        changeSelectedModeType(game.screens.modeSelect, -1);
+      } else if (key === 'ArrowDown') {
+        changeSelectedModeType(game.screens.modeSelect, 1);
+      } else if (key === 'h' || key === 'H') {
+        toggleRuleSelected(game.screens.modeSelect, 'hold');
+      } else if (key === 'u' || key === 'U') {
+        toggleRuleSelected(game.screens.modeSelect, 'hardDrop');
+      } else if (key === 'w' || key === 'W') {
+        toggleRuleSelected(game.screens.modeSelect, 'sonicDrop');
+      } else if (key === 'l' || key === 'L') {
+        toggleRuleSelected(game.screens.modeSelect, 'lockDelay');
+      } else if (key === 'n' || key === 'N') {
+        changeSelectedPreviews(game.screens.modeSelect, 1);
+      } else if (key === 'v' || key === 'V') {
+        changeSelectedGravityCurve(game.screens.modeSelect, GravityCurveManager.load());
       }
       break;
       
     case SCREENS.LEVEL_SELECT:
       if (key === 'Enter') {
-        const level = getSelectedLevel(game.screens.levelSelect);
-        startGame(level);
+        const selected = getSelectedLevel(game.screens.levelSelect);
+        const level = boostKey ? boostStartLevel(selected) : selected;
+        startGame(level, getSelectedGameMode(game.screens), getSelectedRules(game.screens));
       } else if (key === 'r' || key === 'R' || key === 'Escape') {
-        showScreen(SCREENS.TITLE);
+        showScreen(SCREENS.MODE_SELECT);
       } else if (key === 'ArrowLeft') {
         changeSelectedLevel(game.screens.levelSelect, -1);
       } else if (key === 'ArrowRight') {
         changeSelectedLevel(game.screens.levelSelect, 1);
+      } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+        changeModeOption(key === 'ArrowUp' ? 1 : -1);
       }
       break;
       
@@ -150,12 +480,30 @@ function handleGlobalInput(key) {
       break;
       
     case SCREENS.GAME_OVER:
+    case SCREENS.RESULTS:
       if (key === 'Enter' || key === ' ') {
         showScreen(SCREENS.LEVEL_SELECT);
+      } else if (key === 'v' || key === 'V') {
+        startReplayPlayback();
       } else if (key === 'r' || key === 'R' || key === 'Escape') {
         showScreen(SCREENS.TITLE);
       }
       break;
+      
+    case SCREENS.REPLAY:
+      if (key === ' ' || key === 'p' || key === 'P') {
+        game.player = toggleReplayPause(game.player);
+      } else if (key === 'ArrowRight') {
+        game.player = stepReplayFrame(game.player).player;
+      } else if (key === 'ArrowUp') {
+        game.player = changeReplaySpeed(game.player, 1);
+      } else if (key === 'ArrowDown') {
+        game.player = changeReplaySpeed(game.player, -1);
+      } else if (key === 'r' || key === 'R' || key === 'Escape') {
+        game.player = null;
+        showScreen(game.state.state === GAME_STATES.COMPLETE ? SCREENS.RESULTS : SCREENS.GAME_OVER);
+      }
+      break;
   }
 }
 
@@ -170,7 +518,16 @@ function showScreen(screenName) {
     case SCREENS.TITLE:
       game.screens.showTitle();
       break;
+    case SCREENS.SETTINGS:
+      setThemeStatus(game.screens.settings, '');
+      showGravityCurve();
+      game.screens.showSettings();
+      break;
+    case SCREENS.MODE_SELECT:
+      game.screens.showModeSelect();
+      break;
     case SCREENS.LEVEL_SELECT:
+      setModeOptionsVisible(game.screens.levelSelect, getSelectedGameMode(game.screens).type);
       game.screens.showLevelSelect();
       break;
     case SCREENS.GAME:
@@ -179,35 +536,237 @@ function showScreen(screenName) {
     case SCREENS.GAME_OVER:
       game.screens.showGameOver();
       break;
+    case SCREENS.RESULTS:
+      game.screens.showResults();
+      break;
+    case SCREENS.REPLAY:
+      game.screens.showReplay();
+      break;
+  }
+}
+
+/**
+ * Applies a theme by name and remembers the choice
+ * Unknown names (e.g. a deleted custom theme) fall back to the default theme.
+ * @param {string} name - Theme name
+ */
+function useTheme(name) {
+  const themes = getThemes(game.themes.custom);
+  game.theme = findTheme(themes, name) ?? DEFAULT_THEME;
+  game.themes = { ...game.themes, selected: game.theme.name };
+  
+  applyTheme(document.documentElement, game.theme);
+  setThemeOptions(game.screens.settings, themes, game.theme.name);
+  ThemeManager.save(game.themes);
+}
+
+/**
+ * Handles keys typed in the settings text boxes: ENTER imports, ESC leaves the box
+ * @param {KeyboardEvent} e - Key event
+ */
+function handleSettingsJsonKey(e) {
+  if (e.key === 'Enter' && !e.shiftKey) {
+    e.preventDefault();
+    if (e.target.classList.contains('gravity-curve-json')) {
+      importGravityCurveJson();
+    } else {
+      importThemeJson();
+    }
+  } else if (e.key === 'Escape') {
+    e.target.blur();
+  }
+}
+
+/**
+ * Imports the theme typed in the theme box and switches to it
+ */
+function importThemeJson() {
+  const settings = game.screens.settings;
+  const { theme, error } = parseTheme(getThemeJson(settings));
+  if (error) {
+    setThemeStatus(settings, error.toUpperCase());
+    return;
+  }
+  
+  const result = addCustomTheme(game.themes.custom, theme);
+  if (result.error) {
+    setThemeStatus(settings, result.error.toUpperCase());
+    return;
+  }
+  
+  game.themes = { ...game.themes, custom: result.themes };
+  useTheme(theme.name);
+  setThemeStatus(settings, `IMPORTED ${theme.name}`);
+  document.activeElement.blur();
+}
+
+/**
+ * Shows the current theme as JSON, selected for copying
+ */
+function exportCurrentTheme() {
+  const settings = game.screens.settings;
+  setThemeJson(settings, exportTheme(game.theme));
+  setThemeStatus(settings, `EXPORTED ${game.theme.name} • COPY, THEN ESC`);
+  focusThemeJson(settings);
+}
+
+/**
+ * Shows or hides the ghost piece and remembers the choice
+ */
+function toggleGhost() {
+  game.display = { ...game.display, ghost: !game.display.ghost };
+  setGhostSetting(game.screens.settings, game.display.ghost);
+  DisplayManager.save(game.display);
+}
+
+/**
+ * Shows the saved custom gravity curve in the gravity curve box
+ */
+function showGravityCurve() {
+  const curve = GravityCurveManager.load();
+  setGravityCurveJson(game.screens.settings, curve ? JSON.stringify(curve) : '');
+  setGravityCurveStatus(game.screens.settings, '');
+}
+
+/**
+ * Saves the gravity curve typed in the gravity curve box (an empty box removes it)
+ * The mode select screen switches to the new curve if the old one was selected.
+ */
+function importGravityCurveJson() {
+  const settings = game.screens.settings;
+  const json = getGravityCurveJson(settings).trim();
+  if (json === '') {
+    GravityCurveManager.clear();
+    replaceCustomGravityCurve(game.screens.modeSelect, null);
+    setGravityCurveStatus(settings, 'GRAVITY CURVE REMOVED');
+    document.activeElement.blur();
+    return;
+  }
+  
+  const { curve, error } = parseGravityCurve(json);
+  if (error) {
+    setGravityCurveStatus(settings, error.toUpperCase());
+    return;
+  }
+  
+  GravityCurveManager.save(curve);
+  replaceCustomGravityCurve(game.screens.modeSelect, curve);
+  setGravityCurveJson(settings, JSON.stringify(curve));
+  setGravityCurveStatus(settings, 'GRAVITY CURVE SAVED');
+  document.activeElement.blur();
+}
+
+/**
+ * Deletes the selected custom theme and goes back to the default theme
+ */
+function deleteSelectedTheme() {
+  const settings = game.screens.settings;
+  const name = getSelectedThemeName(settings);
+  if (isBuiltInTheme(name)) {
+    setThemeStatus(settings, 'BUILT-IN THEMES CANNOT BE DELETED');
+    return;
+  }
+  
+  game.themes = { ...game.themes, custom: removeCustomTheme(game.themes.custom, name) };
+  useTheme(DEFAULT_THEME.name);
+  setThemeStatus(settings, `DELETED ${name}`);
+}
+
+/**
+ * Changes the level select row of the selected mode (B-Type height, Ultra time)
+ * @param {number} delta - Change amount (+1 or -1)
+ */
+function changeModeOption(delta) {
+  const modeType = getSelectedGameMode(game.screens).type;
+  
+  if (modeType === GAME_MODES.B_TYPE) {
+    changeSelectedHeight(game.screens.levelSelect, delta);
+  } else if (modeType === GAME_MODES.ULTRA) {
+    changeSelectedMinutes(game.screens.levelSelect, delta);
   }
 }
 
 /**
  * Start a new game
  * @param {number} level - Starting level
+ * @param {Object} mode - Game mode (default: A-Type)
+ * @param {Object} rules - Rule set (default: NES rules)
  */
-function startGame(level) {
+function startGame(level, mode = DEFAULT_GAME_MODE, rules = DEFAULT_RULES) {
   game.selectedLevel = level;
-  game.state = initGame(level);
+  game.selectedMode = mode;
+  game.state = initGame(level, rules, mode);
   game.state = startNewGame(game.state, level);
   
-  // Load high score
+  // Start recording with the seed the randomizer picked
+  game.replay = createReplay(game.state.randomizer.seed, level, game.state.rules, mode);
+  
+  // Load high score and the Sprint personal best
   const highScore = HighScoreManager.load();
   game.state.score.highScore = highScore;
+  game.sprintBest = SprintRecordManager.load();
   
   // Update UI
-  renderNextPieceSync(game.ui.nextPieceCells, game.state.nextPiece);
+  renderNextQueue(game.ui.next, game.state);
   renderStats(game.ui, game.state);
   
   showScreen(SCREENS.GAME);
   console.log('Game started at level', level);
 }
 
+/**
+ * Start playback of the last finished game
+ */
+function startReplayPlayback() {
+  if (!game.lastReplay) {
+    return;
+  }
+  
+  game.player = createReplayPlayer(game.lastReplay);
+  showScreen(SCREENS.REPLAY);
+}
+
+/**
+ * Restores a game saved on the last tab close
+ * The game resumes paused; it has no replay since its inputs were not kept
+ * @returns {boolean} True if a game was restored
+ */
+function restoreSavedGame() {
+  const saved = SaveManager.load();
+  SaveManager.clear();
+  
+  if (!saved || (saved.state !== GAME_STATES.PLAYING && saved.state !== GAME_STATES.PAUSED)) {
+    return false;
+  }
+  
+  game.state = { ...saved, state: GAME_STATES.PAUSED };
+  game.state.score.highScore = HighScoreManager.load();
+  game.sprintBest = SprintRecordManager.load();
+  game.replay = null;
+  
+  renderNextQueue(game.ui.next, game.state);
+  renderStats(game.ui, game.state);
+  
+  showScreen(SCREENS.GAME);
+  game.screens.showPause();
+  return true;
+}
+
+/**
+ * Saves the game in progress (called on tab close)
+ */
+function saveGameInProgress() {
+  if (game.state && (game.state.state === GAME_STATES.PLAYING || game.state.state === GAME_STATES.PAUSED)) {
+    SaveManager.save(game.state);
+  }
+}
+
 /**
  * Return to title screen
  */
 function returnToTitleScreen() {
   game.state = initGame(0);
+  game.replay = null;
   game.screens.hidePause();
   showScreen(SCREENS.TITLE);
 }
@@ -226,30 +785,46 @@ function togglePause() {
 }
 
 /**
- * Update game state (called by game loop)
- * @param {number} frameCount - Current frame
+ * Update game state (called by the runtime once per NES frame)
  */
-function update(frameCount) {
-  if (game.state.state === GAME_STATES.PLAYING) {
+function update() {
+  if (game.screens.current === SCREENS.REPLAY) {
+    game.player = advanceReplay(game.player).player;
+  } else if (game.state.state === GAME_STATES.PLAYING) {
+    if (game.replay) {
+      game.replay = recordFrame(game.replay, game.input);
+    }
     const result = updateGame(game.state, game.input);
     game.state = result.gameState;
     
     // Handle events
     for (const event of result.events) {
       switch (event.type) {
-        case 'PIECE_LOCKED':
+        case EVENTS.PIECE_LOCKED:
           if (event.linesCleared > 0) {
             console.log('Cleared', event.linesCleared, 'lines!');
           }
           break;
           
-        case 'PIECE_SPAWNED':
-          renderNextPieceSync(game.ui.nextPieceCells, game.state.nextPiece);
+        case EVENTS.PIECE_SPAWNED:
+        case EVENTS.PIECE_HELD:
+          renderNextQueue(game.ui.next, game.state);
           break;
           
-        case 'GAME_OVER':
+        case EVENTS.GAME_OVER:
+          game.lastReplay = game.replay ? finishReplay(game.replay) : null;
           handleGameOver();
           break;
+          
+        case EVENTS.GOAL_REACHED:
+          game.lastReplay = game.replay ? finishReplay(game.replay) : null;
+          handleGoalReached();
+          break;
+          
+        case EVENTS.TIME_UP:
+          game.lastReplay = game.replay ? finishReplay(game.replay) : null;
+          handleTimeUp();
+          break;
       }
     }
     
@@ -272,15 +847,34 @@ function update(frameCount) {
 }
 
 /**
- * Render game (called by game loop)
+ * Render game (called by the runtime once per display refresh)
+ * @param {number} alpha - Part of the next NES frame already elapsed (0-1), for the running clocks
  */
-function render() {
+function render(alpha) {
   if (game.screens.current === SCREENS.GAME) {
-    // Render game board
-    renderGame(game.ui.boardCells, game.state);
+    // Render game board in the colors of the level
+    renderPalette(game.ui, game.state, game.theme.palette);
+    renderGame(game.ui.boardCells, game.state, game.display.ghost);
     
     // Render stats
     renderStats(game.ui, game.state);
+    renderHold(game.ui.hold, game.state);
+    renderPieceStats(game.ui.pieceStats, game.state);
+    renderMetrics(game.ui.metrics, game.state);
+    renderSplits(game.ui.splits, game.state, game.sprintBest, alpha);
+    renderUltra(game.ui.ultra, game.state, alpha);
+  } else if (game.screens.current === SCREENS.REPLAY) {
+    const replayState = game.player.gameState;
+    renderPalette(game.replayUI, replayState, game.theme.palette);
+    renderGame(game.replayUI.boardCells, replayState, game.display.ghost);
+    renderNextQueue(game.replayUI.next, replayState);
+    renderStats(game.replayUI, replayState);
+    renderHold(game.replayUI.hold, replayState);
+    renderPieceStats(game.replayUI.pieceStats, replayState);
+    renderMetrics(game.replayUI.metrics, replayState);
+    renderSplits(game.replayUI.splits, replayState);
+    renderUltra(game.replayUI.ultra, replayState);
+    game.screens.updateReplay(getReplayStatus(game.player));
   }
 }
 
@@ -299,18 +893,61 @@ function handleGameOver() {
   showScreen(SCREENS.GAME_OVER);
 }
 
+/**
+ * Handle a won B-Type game or a finished Sprint
+ */
+function handleGoalReached() {
+  const finalHighScore = HighScoreManager.update(game.state.score.totalScore);
+  game.state.score.highScore = finalHighScore;
+  
+  const details = [];
+  if (isSprint(game.state.mode)) {
+    const frames = getSprintTime(game.state.splits);
+    const newBest = isSprintBest(game.sprintBest, game.state.splits);
+    game.sprintBest = SprintRecordManager.update(game.state.splits);
+    details.push(`TIME ${formatFrames(frames)} ${newBest ? 'NEW BEST' : `BEST ${formatFrames(game.sprintBest.frames)}`}`);
+  }
+  
+  game.screens.updateResults(game.state.score.totalScore, finalHighScore, details);
+  showScreen(SCREENS.RESULTS);
+}
+
+/**
+ * Handle the end of an Ultra game
+ * Breaks the score down by clear size
+ */
+function handleTimeUp() {
+  const finalHighScore = HighScoreManager.update(game.state.score.totalScore);
+  game.state.score.highScore = finalHighScore;
+  
+  const { singles, doubles, triples, tetrises, totalScore } = game.state.score;
+  const details = [
+    `SINGLES ${singles}`,
+    `DOUBLES ${doubles}`,
+    `TRIPLES ${triples}`,
+    `TETRISES ${tetrises}`,
+    `SCORE/MIN ${getScorePerMinute(totalScore, game.state.frameCount)}`
+  ];
+  
+  game.screens.updateResults(totalScore, finalHighScore, details, 'TIME UP');
+  showScreen(SCREENS.RESULTS);
+}
+
 /**
  * Cleanup function
  */
 function cleanup() {
-  if (game.loop) {
-    stopGameLoop(game.loop);
+  if (game.runtime) {
+    game.runtime.stop();
   }
   game.isRunning = false;
 }
 
 // Handle page unload
-window.addEventListener('beforeunload', cleanup);
+window.addEventListener('beforeunload', () => {
+  saveGameInProgress();
+  cleanup();
+});
 
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
@@ -0,0 +1,105 @@
+/**
+ * Palette - Piece colors of the NES and modern guideline themes
+ * The NES recolors every piece each level from ten two-color palettes and
+ * draws each piece type with one of three tile styles. Cells always carry
+ * their tile style class; the theme and level colors are applied once on
+ * the game container through CSS custom properties.
+ */
+
+import { PIECE_TYPES } from '../domain/piece.js';
+
+/**
+ * Color themes
+ */
+export const PALETTE_THEMES = {
+  NES: 'nes',
+  GUIDELINE: 'guideline'
+};
+
+/**
+ * Default theme (NES)
+ */
+export const DEFAULT_PALETTE_THEME = PALETTE_THEMES.NES;
+
+/**
+ * NES tile styles: white with a primary border, solid primary, solid secondary
+ */
+export const TILE_STYLES = {
+  HOLLOW: 'hollow',
+  PRIMARY: 'primary',
+  SECONDARY: 'secondary'
+};
+
+/**
+ * NES level palettes, repeating every 10 levels
+ */
+export const NES_LEVEL_PALETTES = [
+  { primary: '#0058f8', secondary: '#3cbcfc' }, // Level 0: blue, light blue
+  { primary: '#00a800', secondary: '#b8f818' }, // Level 1: green, lime
+  { primary: '#d800cc', secondary: '#f878f8' }, // Level 2: purple, pink
+  { primary: '#0058f8', secondary: '#58d854' }, // Level 3: blue, green
+  { primary: '#e40058', secondary: '#58f898' }, // Level 4: magenta, mint
+  { primary: '#58f898', secondary: '#6888fc' }, // Level 5: mint, periwinkle
+  { primary: '#f83800', secondary: '#7c7c7c' }, // Level 6: red, gray
+  { primary: '#6844fc', secondary: '#a80020' }, // Level 7: violet, maroon
+  { primary: '#0058f8', secondary: '#f83800' }, // Level 8: blue, red
+  { primary: '#f83800', secondary: '#fca044' }  // Level 9: red, orange
+];
+
+/**
+ * Tile style of each piece type
+ */
+const PIECE_TILE_STYLES = {
+  [PIECE_TYPES.I]: TILE_STYLES.HOLLOW,
+  [PIECE_TYPES.O]: TILE_STYLES.HOLLOW,
+  [PIECE_TYPES.T]: TILE_STYLES.HOLLOW,
+  [PIECE_TYPES.S]: TILE_STYLES.PRIMARY,
+  [PIECE_TYPES.Z]: TILE_STYLES.SECONDARY,
+  [PIECE_TYPES.J]: TILE_STYLES.PRIMARY,
+  [PIECE_TYPES.L]: TILE_STYLES.SECONDARY
+};
+
+/**
+ * Checks if a theme is supported
+ * @param {string} theme - Theme from PALETTE_THEMES
+ * @returns {boolean} True if valid
+ */
+export function isValidPaletteTheme(theme) {
+  return Object.values(PALETTE_THEMES).includes(theme);
+}
+
+/**
+ * Gets the NES palette of a level
+ * @param {number} level - Game level
+ * @returns {Object} { primary, secondary } CSS colors
+ */
+export function getLevelPalette(level) {
+  return NES_LEVEL_PALETTES[Math.max(0, level) % NES_LEVEL_PALETTES.length];
+}
+
+/**
+ * Gets the CSS classes of a piece cell
+ * piece-N selects the guideline color, tile-* the NES tile style.
+ * @param {number} pieceType - Piece type (0 for an empty cell)
+ * @returns {string} Class names (empty for an empty cell)
+ */
+export function getPieceClass(pieceType) {
+  const tileStyle = PIECE_TILE_STYLES[pieceType];
+  return tileStyle ? `piece-${pieceType} tile-${tileStyle}` : '';
+}
+
+/**
+ * Applies a theme and the level colors to the game container
+ * @param {HTMLElement} container - Game container
+ * @param {string} theme - Theme from PALETTE_THEMES
+ * @param {number} level - Game level
+ */
+export function applyPalette(container, theme, level) {
+  const palette = getLevelPalette(level);
+
+  for (const name of Object.values(PALETTE_THEMES)) {
+    container.classList.toggle(`theme-${name}`, name === theme);
+  }
+  container.style.setProperty('--tile-primary', palette.primary);
+  container.style.setProperty('--tile-secondary', palette.secondary);
+}
@@ -5,21 +5,24 @@
 
 import { BOARD_WIDTH, BOARD_HEIGHT, PIECE_TYPES, PIECE_NAMES } from '../domain/index.js';
 import { getVisibleBoard } from '../domain/board.js';
+import { GAME_STATES } from '../domain/gameState.js';
 import { getAbsoluteCells } from '../domain/piece.js';
-
-/**
- * NES Color mapping for CSS classes
- */
-const PIECE_CLASS_MAP = {
-  0: '',           // Empty
-  1: 'piece-1',    // I - Cyan
-  2: 'piece-2',    // O - Yellow
-  3: 'piece-3',    // T - Purple
-  4: 'piece-4',    // S - Green
-  5: 'piece-5',    // Z - Red
-  6: 'piece-6',    // J - Blue
-  7: 'piece-7'     // L - Orange
-};
+import { getGhostPiece } from '../domain/collision.js';
+import { MAX_PREVIEWS, getPreviewPieces } from '../domain/nextQueue.js';
+import { STATISTICS_ORDER, getPieceCount, getPiecesPerSecond } from '../domain/statistics.js';
+import { getTetrisRate, getPointsPerLine } from '../domain/scoring.js';
+import {
+  getLinesRemaining,
+  isSprint,
+  getSprintTime,
+  isUltra,
+  getFramesRemaining,
+  getScorePerMinute,
+  SPRINT_LINE_GOAL,
+  SPRINT_SPLIT_LINES
+} from '../domain/gameMode.js';
+import { NES_FRAME_DURATION_MS } from '../controller/gameLoop.js';
+import { getPieceClass, applyPalette, DEFAULT_PALETTE_THEME } from './palette.js';
 
 /**
  * Creates the game board grid (10×20 cells)
@@ -81,7 +84,7 @@ export function renderBoard(cells, board) {
       const cellValue = visibleBoard[y][x];
       const cell = getCellAt(cells, x, y);
       if (cell) {
-        cell.className = `board-cell ${PIECE_CLASS_MAP[cellValue] || ''}`.trim();
+        cell.className = `board-cell ${getPieceClass(cellValue)}`.trim();
       }
     }
   }
@@ -91,8 +94,9 @@ export function renderBoard(cells, board) {
  * Renders the current piece on the board
  * @param {Array} cells - Array of cell elements
  * @param {Object} piece - Current piece object
+ * @param {string} extraClass - Extra CSS class for the cells (default: none)
  */
-export function renderCurrentPiece(cells, piece) {
+export function renderCurrentPiece(cells, piece, extraClass = '') {
   if (!piece) return;
   
   const absoluteCells = getAbsoluteCells(piece);
@@ -103,21 +107,38 @@ export function renderCurrentPiece(cells, piece) {
     if (visibleY >= 0 && visibleY < BOARD_HEIGHT) {
       const cell = getCellAt(cells, cellPos.x, visibleY);
       if (cell) {
-        cell.className = `board-cell ${PIECE_CLASS_MAP[piece.type] || ''}`;
+        cell.className = `board-cell ${getPieceClass(piece.type)} ${extraClass}`.trim();
       }
     }
   }
 }
 
 /**
- * Renders both board and current piece
+ * Renders the ghost piece where the current piece would land
+ * @param {Array} cells - Array of cell elements
+ * @param {Array} board - Board state (with hidden rows)
+ * @param {Object} piece - Current piece object
+ */
+export function renderGhostPiece(cells, board, piece) {
+  if (!piece) return;
+  
+  renderCurrentPiece(cells, getGhostPiece(board, piece), 'ghost');
+}
+
+/**
+ * Renders board, ghost piece (when shown) and current piece
+ * The current piece is drawn last so it covers the ghost where they overlap.
  * @param {Array} cells - Array of cell elements
  * @param {Object} gameState - Game state with board and currentPiece
+ * @param {boolean} showGhost - Draw the ghost piece (settings screen option, off like the NES by default)
  */
-export function renderGame(cells, gameState) {
+export function renderGame(cells, gameState, showGhost = false) {
   clearBoardDisplay(cells);
   renderBoard(cells, gameState.board);
   if (gameState.currentPiece) {
+    if (showGhost) {
+      renderGhostPiece(cells, gameState.board, gameState.currentPiece);
+    }
     renderCurrentPiece(cells, gameState.currentPiece);
   }
 }
@@ -165,7 +186,7 @@ export async function renderNextPiece(cells, pieceType) {
   if (!pieceDef) return;
   
   const shape = pieceDef.rotations[0];
-  const className = PIECE_CLASS_MAP[pieceType];
+  const className = getPieceClass(pieceType);
   
   // Center the piece in the 4×4 grid
   const offsetX = pieceType === 1 ? 0 : 1; // I-piece is wider
@@ -206,7 +227,7 @@ export function renderNextPieceSync(cells, pieceType) {
   if (!pieceType || pieceType < 1 || pieceType > 7) return;
   
   const shape = PREVIEW_SHAPES[pieceType];
-  const className = PIECE_CLASS_MAP[pieceType];
+  const className = getPieceClass(pieceType);
   
   for (const cell of shape) {
     const index = cell.y * 4 + cell.x;
@@ -260,8 +281,155 @@ export function renderHighScore(highScoreElement, highScore) {
   }
 }
 
+/**
+ * Formats a frame count as a clock time (m:ss.cc)
+ * @param {number|null} frames - Frames at the NES frame rate, or null
+ * @returns {string} Formatted time ('-:--.--' for null)
+ */
+export function formatFrames(frames) {
+  if (frames === null || frames === undefined) {
+    return '-:--.--';
+  }
+  
+  const centiseconds = Math.floor(frames * NES_FRAME_DURATION_MS / 10);
+  const minutes = Math.floor(centiseconds / 6000);
+  const seconds = Math.floor(centiseconds / 100) % 60;
+  const hundredths = centiseconds % 100;
+  
+  return `${minutes}:${seconds.toString().padStart(2, '0')}.${hundredths.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Gets the frames shown by a running clock
+ * While playing, the part of the next frame already elapsed (the runtime's
+ * render alpha) is added so the clock advances smoothly between NES frames.
+ * @param {Object} gameState - Game state
+ * @param {number} alpha - Render interpolation factor (0-1)
+ * @returns {number} Frames to display
+ */
+function getClockFrames(gameState, alpha) {
+  return gameState.state === GAME_STATES.PLAYING ? gameState.frameCount + alpha : gameState.frameCount;
+}
+
+/**
+ * Updates the Sprint splits panel
+ * Shows the running time, each 10-line split and the personal best splits;
+ * the panel is hidden outside Sprint.
+ * @param {Object} splitsElements - { box, time, rows } from createGameUI
+ * @param {Object} gameState - Game state
+ * @param {Object|null} best - Personal best { frames, splits }, or null
+ * @param {number} alpha - Render interpolation factor (default 0)
+ */
+export function renderSplits(splitsElements, gameState, best = null, alpha = 0) {
+  if (!splitsElements) {
+    return;
+  }
+  
+  const active = !!gameState.mode && isSprint(gameState.mode);
+  splitsElements.box.classList.toggle('active', active);
+  if (!active) {
+    return;
+  }
+  
+  const splits = gameState.splits || [];
+  splitsElements.time.textContent = formatFrames(getSprintTime(splits) ?? getClockFrames(gameState, alpha));
+  
+  splitsElements.rows.forEach((row, i) => {
+    row.current.textContent = formatFrames(splits[i] ?? null);
+    row.best.textContent = formatFrames(best ? best.splits[i] : null);
+  });
+}
+
+/**
+ * Updates the Ultra panel with the countdown and the scoring rate
+ * The panel is hidden outside Ultra.
+ * @param {Object} ultraElements - { box, time, rate } from createGameUI
+ * @param {Object} gameState - Game state
+ * @param {number} alpha - Render interpolation factor (default 0)
+ */
+export function renderUltra(ultraElements, gameState, alpha = 0) {
+  if (!ultraElements) {
+    return;
+  }
+  
+  const active = !!gameState.mode && isUltra(gameState.mode);
+  ultraElements.box.classList.toggle('active', active);
+  if (!active) {
+    return;
+  }
+  
+  ultraElements.time.textContent = formatFrames(getFramesRemaining(gameState.mode, getClockFrames(gameState, alpha)));
+  ultraElements.rate.textContent = getScorePerMinute(gameState.score.totalScore, gameState.frameCount).toString();
+}
+
+/**
+ * Updates the next panel with the previewed pieces of the queue
+ * One box per preview is stacked under NEXT, nearest piece on top. With no
+ * previews (like pressing Select on the NES) the panel is hidden.
+ * @param {Object} nextElements - { box, grids } from createGameUI
+ * @param {Object} gameState - Game state
+ */
+export function renderNextQueue(nextElements, gameState) {
+  const previews = getPreviewPieces(gameState.nextQueue, gameState.rules.previews);
+  nextElements.box.classList.toggle('active', gameState.rules.previews > 0);
+  
+  nextElements.grids.forEach((grid, index) => {
+    grid.box.classList.toggle('active', index < gameState.rules.previews);
+    renderNextPieceSync(grid.cells, previews[index] ?? null);
+  });
+}
+
+/**
+ * Updates the statistics panel with the piece counts and the I-piece drought
+ * @param {Object} statsElements - { box, counts, drought, longestDrought } from createGameUI
+ * @param {Object} gameState - Game state
+ */
+export function renderPieceStats(statsElements, gameState) {
+  for (const pieceType of STATISTICS_ORDER) {
+    statsElements.counts[pieceType].textContent =
+      getPieceCount(gameState.pieceStats, pieceType).toString().padStart(3, '0');
+  }
+  statsElements.drought.textContent = gameState.pieceStats.drought.toString().padStart(2, '0');
+  statsElements.longestDrought.textContent = gameState.pieceStats.longestDrought.toString().padStart(2, '0');
+}
+
+/**
+ * Updates the hold panel with the held piece
+ * The panel is hidden unless the hold rule is enabled, and dimmed once the
+ * current piece has used its hold.
+ * @param {Object} holdElements - { box, cells } from createGameUI
+ * @param {Object} gameState - Game state
+ */
+export function renderHold(holdElements, gameState) {
+  if (!holdElements) {
+    return;
+  }
+  
+  const active = !!gameState.rules?.hold;
+  holdElements.box.classList.toggle('active', active);
+  if (!active) {
+    return;
+  }
+  
+  const hold = gameState.hold || { pieceType: null, used: false };
+  holdElements.box.classList.toggle('used', hold.used);
+  renderNextPieceSync(holdElements.cells, hold.pieceType);
+}
+
+/**
+ * Colors the game UI for the current level
+ * NES pieces change colors every level; the guideline theme keeps fixed colors.
+ * @param {Object} elements - Object from createGameUI
+ * @param {Object} gameState - Game state
+ * @param {string} theme - Theme from PALETTE_THEMES (default: NES)
+ */
+export function renderPalette(elements, gameState, theme = DEFAULT_PALETTE_THEME) {
+  applyPalette(elements.container, theme, gameState.level?.currentLevel || 0);
+}
+
 /**
  * Updates all game stats
+ * B-Type games count the lines down to the goal, like the NES.
  * @param {Object} elements - Object containing stat elements
  * @param {Object} gameState - Game state
  */
@@ -271,10 +439,26 @@ export function renderStats(elements, gameState) {
   
   renderScore(score, info.totalScore || 0);
   renderLevel(level, gameState.level?.currentLevel || 0);
-  renderLines(lines, info.linesCleared || 0);
+  const linesCleared = info.linesCleared || 0;
+  const linesRemaining = gameState.mode ? getLinesRemaining(gameState.mode, linesCleared) : null;
+  renderLines(lines, linesRemaining ?? linesCleared);
   renderHighScore(highScore, info.highScore || 0);
 }
 
+/**
+ * Updates the efficiency metrics watched by classic players
+ * @param {Object} metricsElements - { burn, tetrisRate, pointsPerLine, piecesPerSecond } from createGameUI
+ * @param {Object} gameState - Game state
+ */
+export function renderMetrics(metricsElements, gameState) {
+  const { score, pieceStats, frameCount } = gameState;
+  
+  metricsElements.burn.textContent = score.burnLines.toString().padStart(3, '0');
+  metricsElements.tetrisRate.textContent = `${getTetrisRate(score)}%`;
+  metricsElements.pointsPerLine.textContent = getPointsPerLine(score).toString();
+  metricsElements.piecesPerSecond.textContent = getPiecesPerSecond(pieceStats, frameCount).toFixed(2);
+}
+
 /**
  * Creates all UI elements for the game screen
  * @param {HTMLElement} container - Game screen container
@@ -284,20 +468,24 @@ export function createGameUI(container) {
   const gameContainer = document.createElement('div');
   gameContainer.className = 'game-container';
   
-  // Left panel - Next piece
+  // Left panel - Next queue, hold, mode panels, statistics
   const leftPanel = document.createElement('div');
   leftPanel.className = 'left-panel';
   
-  const nextPieceTitle = document.createElement('div');
-  nextPieceTitle.className = 'panel-title';
-  nextPieceTitle.textContent = 'NEXT';
-  leftPanel.appendChild(nextPieceTitle);
+  const next = createNextPanel();
+  leftPanel.appendChild(next.box);
+  
+  const hold = createHoldPanel();
+  leftPanel.appendChild(hold.box);
+  
+  const splits = createSplitsPanel();
+  leftPanel.appendChild(splits.box);
   
-  const nextPieceBox = document.createElement('div');
-  nextPieceBox.className = 'next-piece-box';
-  leftPanel.appendChild(nextPieceBox);
+  const ultra = createUltraPanel();
+  leftPanel.appendChild(ultra.box);
   
-  const nextPieceCells = createNextPiecePreview(nextPieceBox);
+  const pieceStats = createStatisticsPanel();
+  leftPanel.appendChild(pieceStats.box);
   
   // Center - Board
   const boardContainer = document.createElement('div');
@@ -359,6 +547,10 @@ export function createGameUI(container) {
   linesBox.appendChild(linesValue);
   rightPanel.appendChild(linesBox);
   
+  // Burn, tetris rate and efficiency
+  const metrics = createMetricsPanel();
+  rightPanel.appendChild(metrics.box);
+  
   // High Score
   const highScoreBox = document.createElement('div');
   highScoreBox.className = 'stat-box';
@@ -380,15 +572,226 @@ export function createGameUI(container) {
   container.appendChild(gameContainer);
   
   return {
+    container: gameContainer,
     boardCells,
-    nextPieceCells,
+    next,
     score: scoreValue,
     level: levelValue,
     lines: linesValue,
-    highScore: highScoreValue
+    highScore: highScoreValue,
+    hold,
+    splits,
+    ultra,
+    pieceStats,
+    metrics
   };
 }
 
+/**
+ * Creates the next panel, a stack of preview grids for the next queue
+ * @returns {Object} { box, grids } where each grid is { box, cells }
+ */
+function createNextPanel() {
+  const box = document.createElement('div');
+  box.className = 'next-box';
+  
+  const title = document.createElement('div');
+  title.className = 'panel-title';
+  title.textContent = 'NEXT';
+  box.appendChild(title);
+  
+  const grids = [];
+  for (let i = 0; i < MAX_PREVIEWS; i++) {
+    const previewBox = document.createElement('div');
+    previewBox.className = 'next-piece-box';
+    box.appendChild(previewBox);
+    grids.push({ box: previewBox, cells: createNextPiecePreview(previewBox) });
+  }
+  
+  return { box, grids };
+}
+
+/**
+ * Creates the hold panel, a preview grid like the next piece
+ * @returns {Object} { box, cells }
+ */
+function createHoldPanel() {
+  const box = document.createElement('div');
+  box.className = 'hold-box';
+  
+  const title = document.createElement('div');
+  title.className = 'panel-title';
+  title.textContent = 'HOLD';
+  box.appendChild(title);
+  
+  const previewBox = document.createElement('div');
+  previewBox.className = 'next-piece-box';
+  box.appendChild(previewBox);
+  
+  return { box, cells: createNextPiecePreview(previewBox) };
+}
+
+/**
+ * Creates the Ultra panel (countdown, then score per minute)
+ * @returns {Object} { box, time, rate }
+ */
+function createUltraPanel() {
+  const box = document.createElement('div');
+  box.className = 'stat-box ultra-box';
+  
+  const timeLabel = document.createElement('div');
+  timeLabel.className = 'stat-label';
+  timeLabel.textContent = 'TIME LEFT';
+  box.appendChild(timeLabel);
+  
+  const time = document.createElement('div');
+  time.className = 'stat-value ultra-time';
+  time.textContent = formatFrames(0);
+  box.appendChild(time);
+  
+  const rateLabel = document.createElement('div');
+  rateLabel.className = 'stat-label';
+  rateLabel.textContent = 'SCORE/MIN';
+  box.appendChild(rateLabel);
+  
+  const rate = document.createElement('div');
+  rate.className = 'stat-value ultra-rate';
+  rate.textContent = '0';
+  box.appendChild(rate);
+  
+  return { box, time, rate };
+}
+
+/**
+ * Creates the Sprint splits panel (time, then one row per 10 lines)
+ * @returns {Object} { box, time, rows: [{ current, best }] }
+ */
+function createSplitsPanel() {
+  const box = document.createElement('div');
+  box.className = 'stat-box splits-box';
+  
+  const timeLabel = document.createElement('div');
+  timeLabel.className = 'stat-label';
+  timeLabel.textContent = 'TIME';
+  box.appendChild(timeLabel);
+  
+  const time = document.createElement('div');
+  time.className = 'stat-value splits-time';
+  time.textContent = formatFrames(0);
+  box.appendChild(time);
+  
+  const rows = [];
+  for (let lines = SPRINT_SPLIT_LINES; lines <= SPRINT_LINE_GOAL; lines += SPRINT_SPLIT_LINES) {
+    const row = document.createElement('div');
+    row.className = 'split-row';
+    
+    const label = document.createElement('span');
+    label.className = 'split-label';
+    label.textContent = lines;
+    
+    const current = document.createElement('span');
+    current.className = 'split-current';
+    
+    const best = document.createElement('span');
+    best.className = 'split-best';
+    
+    row.appendChild(label);
+    row.appendChild(current);
+    row.appendChild(best);
+    box.appendChild(row);
+    rows.push({ current, best });
+  }
+  
+  return { box, time, rows };
+}
+
+/**
+ * Creates the metrics panel (burn lines, tetris rate, points per line, pieces per second)
+ * @returns {Object} { box, burn, tetrisRate, pointsPerLine, piecesPerSecond }
+ */
+function createMetricsPanel() {
+  const box = document.createElement('div');
+  box.className = 'stat-box metrics-box';
+  
+  const createMetricRow = (label, initial) => {
+    const row = document.createElement('div');
+    row.className = 'split-row';
+    
+    const name = document.createElement('span');
+    name.className = 'split-label';
+    name.textContent = label;
+    
+    const value = document.createElement('span');
+    value.className = 'metric-value';
+    value.textContent = initial;
+    
+    row.appendChild(name);
+    row.appendChild(value);
+    box.appendChild(row);
+    return value;
+  };
+  
+  return {
+    box,
+    burn: createMetricRow('BRN', '000'),
+    tetrisRate: createMetricRow('TRT', '0%'),
+    pointsPerLine: createMetricRow('PTS/L', '0'),
+    piecesPerSecond: createMetricRow('PPS', '0.00')
+  };
+}
+
+/**
+ * Creates the NES statistics panel (piece icons with counts, then droughts)
+ * @returns {Object} { box, counts, drought, longestDrought } where counts maps piece types to elements
+ */
+function createStatisticsPanel() {
+  const box = document.createElement('div');
+  box.className = 'stat-box stats-box';
+  
+  const title = document.createElement('div');
+  title.className = 'panel-title';
+  title.textContent = 'STATISTICS';
+  box.appendChild(title);
+  
+  const counts = {};
+  for (const pieceType of STATISTICS_ORDER) {
+    const row = document.createElement('div');
+    row.className = 'stats-row';
+    renderNextPieceSync(createNextPiecePreview(row), pieceType);
+    
+    const count = document.createElement('span');
+    count.className = 'stats-count';
+    count.textContent = '000';
+    row.appendChild(count);
+    
+    box.appendChild(row);
+    counts[pieceType] = count;
+  }
+  
+  const createDroughtRow = label => {
+    const row = document.createElement('div');
+    row.className = 'split-row';
+    
+    const name = document.createElement('span');
+    name.className = 'split-label';
+    name.textContent = label;
+    
+    const value = document.createElement('span');
+    value.className = 'stats-drought';
+    value.textContent = '00';
+    
+    row.appendChild(name);
+    row.appendChild(value);
+    box.appendChild(row);
+    return value;
+  };
+  
+  const drought = createDroughtRow('DROUGHT');
+  const longestDrought = createDroughtRow('MAX');
+  
+  return { box, counts, drought, longestDrought };
+}
+
 /**
  * Flashes lines that are about to be cleared
  * @param {Array} cells - Array of board cell elements
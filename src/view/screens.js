@@ -1,18 +1,58 @@
 /**
  * Screens - Screen management for Tetris NES 1989
- * Handles: Title, Level Select, Game, Game Over screens
+ * Handles: Title, Settings, Mode Select, Level Select, Game, Game Over, Results, Replay screens
  */
 
 import { GAME_STATES } from '../domain/gameState.js';
+import {
+  GAME_MODES,
+  MAX_GARBAGE_HEIGHT,
+  ULTRA_MINUTES,
+  DEFAULT_ULTRA_MINUTES,
+  createGameMode
+} from '../domain/gameMode.js';
+import { createRules, RULE_TOGGLES } from '../domain/rules.js';
+import { DEFAULT_LOCK_DELAY, GUIDELINE_LOCK_DELAY } from '../domain/lock.js';
+import { DEFAULT_PREVIEWS, MAX_PREVIEWS } from '../domain/nextQueue.js';
+import { MAX_START_LEVEL, validateStartLevel } from '../domain/level.js';
+import { GRAVITY_CURVES, DEFAULT_GRAVITY_CURVE } from '../domain/gravity.js';
+
+/**
+ * Labels of the optional rules switched on the mode select screen
+ */
+const RULE_LABELS = {
+  hold: 'HOLD',
+  hardDrop: 'HARD DROP',
+  sonicDrop: 'SONIC DROP',
+  lockDelay: 'LOCK DELAY'
+};
+
+/**
+ * Rules switched on the mode select screen; lockDelay switches between
+ * NES immediate locking and the guideline delay
+ */
+const SCREEN_RULE_TOGGLES = [...RULE_TOGGLES, 'lockDelay'];
+
+/**
+ * Labels of the built-in gravity curves; any other curve is a custom one
+ */
+const GRAVITY_CURVE_LABELS = {
+  [GRAVITY_CURVES.NES]: 'NES',
+  [GRAVITY_CURVES.TWENTY_G]: '20G'
+};
 
 /**
  * Screen types
  */
 export const SCREENS = {
   TITLE: 'title',
+  SETTINGS: 'settings',
+  MODE_SELECT: 'modeSelect',
   LEVEL_SELECT: 'levelSelect',
   GAME: 'game',
-  GAME_OVER: 'gameOver'
+  GAME_OVER: 'gameOver',
+  RESULTS: 'results',
+  REPLAY: 'replay'
 };
 
 /**
@@ -25,6 +65,14 @@ export function createScreens(appContainer) {
   const titleScreen = createTitleScreen();
   appContainer.appendChild(titleScreen);
   
+  // Settings Screen
+  const settingsScreen = createSettingsScreen();
+  appContainer.appendChild(settingsScreen);
+  
+  // Mode Select Screen
+  const modeSelectScreen = createModeSelectScreen();
+  appContainer.appendChild(modeSelectScreen);
+  
   // Level Select Screen
   const levelSelectScreen = createLevelSelectScreen();
   appContainer.appendChild(levelSelectScreen);
@@ -37,23 +85,44 @@ export function createScreens(appContainer) {
   const gameOverScreen = createGameOverScreen();
   appContainer.appendChild(gameOverScreen);
   
+  // Results Screen (B-Type goal reached)
+  const resultsScreen = createResultsScreen();
+  appContainer.appendChild(resultsScreen);
+  
+  // Replay Screen
+  const replayScreen = createReplayScreen();
+  appContainer.appendChild(replayScreen);
+  
   // Pause Overlay
   const pauseOverlay = createPauseOverlay();
   appContainer.appendChild(pauseOverlay);
   
+  const allScreens = [
+    titleScreen, settingsScreen, modeSelectScreen, levelSelectScreen, gameScreen, gameOverScreen, resultsScreen, replayScreen
+  ];
+  const showOnly = screen => showScreen(screen, ...allScreens.filter(other => other !== screen));
+  
   return {
     title: titleScreen,
+    settings: settingsScreen,
+    modeSelect: modeSelectScreen,
     levelSelect: levelSelectScreen,
     game: gameScreen,
     gameOver: gameOverScreen,
+    results: resultsScreen,
+    replay: replayScreen,
     pauseOverlay: pauseOverlay,
     current: SCREENS.TITLE,
     
     // Navigation methods
-    showTitle: () => showScreen(titleScreen, levelSelectScreen, gameScreen, gameOverScreen, SCREENS.TITLE),
-    showLevelSelect: () => showScreen(levelSelectScreen, titleScreen, gameScreen, gameOverScreen, SCREENS.LEVEL_SELECT),
-    showGame: () => showScreen(gameScreen, titleScreen, levelSelectScreen, gameOverScreen, SCREENS.GAME),
-    showGameOver: () => showScreen(gameOverScreen, titleScreen, levelSelectScreen, gameScreen, SCREENS.GAME_OVER),
+    showTitle: () => showOnly(titleScreen),
+    showSettings: () => showOnly(settingsScreen),
+    showModeSelect: () => showOnly(modeSelectScreen),
+    showLevelSelect: () => showOnly(levelSelectScreen),
+    showGame: () => showOnly(gameScreen),
+    showGameOver: () => showOnly(gameOverScreen),
+    showResults: () => showOnly(resultsScreen),
+    showReplay: () => showOnly(replayScreen),
     
     // Pause methods
     showPause: () => pauseOverlay.classList.add('active'),
@@ -61,7 +130,10 @@ export function createScreens(appContainer) {
     isPaused: () => pauseOverlay.classList.contains('active'),
     
     // Update methods
-    updateGameOver: (score, highScore) => updateGameOverScreen(gameOverScreen, score, highScore)
+    updateGameOver: (score, highScore) => updateGameOverScreen(gameOverScreen, score, highScore),
+    updateResults: (score, highScore, details = [], title = 'CONGRATULATIONS') =>
+      updateResultsScreen(resultsScreen, score, highScore, details, title),
+    updateReplay: (status) => updateReplayScreen(replayScreen, status)
   };
 }
 
@@ -92,14 +164,139 @@ function createTitleScreen() {
   
   const hint = document.createElement('div');
   hint.className = 'controls-hint';
-  hint.textContent = 'Press ENTER to start';
+  hint.textContent = 'Press ENTER to start • S settings';
   screen.appendChild(hint);
   
   return screen;
 }
 
+/**
+ * Creates the settings screen
+ * Lists the themes, switches the ghost piece and holds text boxes for the theme JSON
+ * and the custom gravity curve
+ * @returns {HTMLElement} Settings screen element
+ */
+function createSettingsScreen() {
+  const screen = document.createElement('div');
+  screen.id = 'settings-screen';
+  screen.className = 'screen';
+  
+  const title = document.createElement('div');
+  title.className = 'title';
+  title.textContent = 'SETTINGS';
+  screen.appendChild(title);
+  
+  const themeList = document.createElement('div');
+  themeList.className = 'menu theme-list';
+  screen.appendChild(themeList);
+  
+  const ghost = document.createElement('div');
+  ghost.className = 'ghost-setting';
+  screen.appendChild(ghost);
+  setGhostSetting(screen, false, ghost);
+  
+  const themeJson = document.createElement('textarea');
+  themeJson.className = 'theme-json';
+  themeJson.rows = 8;
+  themeJson.spellcheck = false;
+  themeJson.placeholder = 'Paste a theme here';
+  screen.appendChild(themeJson);
+  
+  const status = document.createElement('div');
+  status.className = 'theme-status';
+  screen.appendChild(status);
+  
+  const gravityCurveLabel = document.createElement('div');
+  gravityCurveLabel.className = 'gravity-curve-label';
+  gravityCurveLabel.textContent = 'CUSTOM GRAVITY CURVE';
+  screen.appendChild(gravityCurveLabel);
+  
+  const gravityCurveJson = document.createElement('textarea');
+  gravityCurveJson.className = 'gravity-curve-json';
+  gravityCurveJson.rows = 1;
+  gravityCurveJson.spellcheck = false;
+  gravityCurveJson.placeholder = 'e.g. [48, 24, 12, 6, 3, 1, 0]';
+  screen.appendChild(gravityCurveJson);
+  
+  const gravityCurveStatus = document.createElement('div');
+  gravityCurveStatus.className = 'gravity-curve-status';
+  screen.appendChild(gravityCurveStatus);
+  
+  const backHint = document.createElement('div');
+  backHint.className = 'back-hint';
+  backHint.textContent = 'Use ↑/↓ to choose • E export • I import • D delete • G ghost • C gravity curve • R to go back';
+  screen.appendChild(backHint);
+  
+  return screen;
+}
+
+/**
+ * Creates the mode select screen
+ * @returns {HTMLElement} Mode select screen element
+ */
+function createModeSelectScreen() {
+  const screen = document.createElement('div');
+  screen.id = 'mode-select-screen';
+  screen.className = 'screen';
+  
+  const title = document.createElement('div');
+  title.className = 'title';
+  title.textContent = 'GAME TYPE';
+  screen.appendChild(title);
+  
+  const menu = document.createElement('div');
+  menu.className = 'menu';
+  
+  const modes = [
+    [GAME_MODES.A_TYPE, 'A-TYPE'],
+    [GAME_MODES.B_TYPE, 'B-TYPE'],
+    [GAME_MODES.SPRINT, 'SPRINT 40L'],
+    [GAME_MODES.ULTRA, 'ULTRA']
+  ];
+  for (const [mode, label] of modes) {
+    const option = document.createElement('div');
+    option.className = 'menu-item mode-option';
+    option.dataset.mode = mode;
+    option.textContent = label;
+    if (mode === GAME_MODES.A_TYPE) option.classList.add('selected');
+    menu.appendChild(option);
+  }
+  
+  screen.appendChild(menu);
+  
+  // Optional rules are off by default, as on the NES
+  const ruleToggles = document.createElement('div');
+  ruleToggles.className = 'rule-toggles';
+  for (const rule of SCREEN_RULE_TOGGLES) {
+    const toggle = document.createElement('div');
+    toggle.className = 'rule-toggle';
+    toggle.dataset.rule = rule;
+    toggle.textContent = `${RULE_LABELS[rule]} OFF`;
+    ruleToggles.appendChild(toggle);
+  }
+  
+  const previewCount = document.createElement('div');
+  previewCount.className = 'rule-toggle preview-count';
+  ruleToggles.appendChild(previewCount);
+  setSelectedPreviews(screen, DEFAULT_PREVIEWS, previewCount);
+  
+  const gravityCurve = document.createElement('div');
+  gravityCurve.className = 'rule-toggle gravity-curve';
+  ruleToggles.appendChild(gravityCurve);
+  setSelectedGravityCurve(screen, DEFAULT_GRAVITY_CURVE, gravityCurve);
+  screen.appendChild(ruleToggles);
+  
+  const backHint = document.createElement('div');
+  backHint.className = 'back-hint';
+  backHint.textContent = 'Press ENTER to continue • H hold • U hard drop • W sonic drop • L lock delay • N next • V gravity • R to go back';
+  screen.appendChild(backHint);
+  
+  return screen;
+}
+
 /**
  * Creates the level select screen
+ * The height row is only shown for B-Type games, the time row for Ultra
  * @returns {HTMLElement} Level select screen element
  */
 function createLevelSelectScreen() {
@@ -116,8 +313,8 @@ function createLevelSelectScreen() {
   levelGrid.className = 'level-grid';
   levelGrid.id = 'level-grid';
   
-  // Create level options 0-9
-  for (let i = 0; i <= 9; i++) {
+  // Create level options 0-19 (second row: NES A+Start levels)
+  for (let i = 0; i <= MAX_START_LEVEL; i++) {
     const option = document.createElement('div');
     option.className = 'level-option';
     option.dataset.level = i;
@@ -128,9 +325,58 @@ function createLevelSelectScreen() {
   
   screen.appendChild(levelGrid);
   
+  const heightSelect = document.createElement('div');
+  heightSelect.className = 'height-select';
+  heightSelect.id = 'height-select';
+  
+  const heightTitle = document.createElement('div');
+  heightTitle.className = 'title';
+  heightTitle.textContent = 'HEIGHT';
+  heightSelect.appendChild(heightTitle);
+  
+  const heightGrid = document.createElement('div');
+  heightGrid.className = 'height-grid';
+  
+  // Create height options 0-5
+  for (let i = 0; i <= MAX_GARBAGE_HEIGHT; i++) {
+    const option = document.createElement('div');
+    option.className = 'height-option';
+    option.dataset.height = i;
+    option.textContent = i;
+    if (i === 0) option.classList.add('selected');
+    heightGrid.appendChild(option);
+  }
+  
+  heightSelect.appendChild(heightGrid);
+  screen.appendChild(heightSelect);
+  
+  const minutesSelect = document.createElement('div');
+  minutesSelect.className = 'minutes-select';
+  minutesSelect.id = 'minutes-select';
+  
+  const minutesTitle = document.createElement('div');
+  minutesTitle.className = 'title';
+  minutesTitle.textContent = 'TIME';
+  minutesSelect.appendChild(minutesTitle);
+  
+  const minutesGrid = document.createElement('div');
+  minutesGrid.className = 'minutes-grid';
+  
+  for (const minutes of ULTRA_MINUTES) {
+    const option = document.createElement('div');
+    option.className = 'minutes-option';
+    option.dataset.minutes = minutes;
+    option.textContent = `${minutes}:00`;
+    if (minutes === DEFAULT_ULTRA_MINUTES) option.classList.add('selected');
+    minutesGrid.appendChild(option);
+  }
+  
+  minutesSelect.appendChild(minutesGrid);
+  screen.appendChild(minutesSelect);
+  
   const backHint = document.createElement('div');
   backHint.className = 'back-hint';
-  backHint.textContent = 'Press ENTER to start • R to go back';
+  backHint.textContent = 'Press ENTER to start • CTRL+ENTER +10 levels • R to go back';
   screen.appendChild(backHint);
   
   return screen;
@@ -184,6 +430,12 @@ function createGameOverScreen() {
   retryOption.textContent = 'TRY AGAIN';
   menu.appendChild(retryOption);
   
+  const replayOption = document.createElement('div');
+  replayOption.className = 'menu-item';
+  replayOption.id = 'replay-option';
+  replayOption.textContent = 'WATCH REPLAY';
+  menu.appendChild(replayOption);
+  
   const titleOption = document.createElement('div');
   titleOption.className = 'menu-item';
   titleOption.id = 'title-option';
@@ -195,6 +447,69 @@ function createGameOverScreen() {
   return screen;
 }
 
+/**
+ * Creates the results screen shown when a B-Type, Sprint or Ultra game is finished
+ * @returns {HTMLElement} Results screen element
+ */
+function createResultsScreen() {
+  const screen = document.createElement('div');
+  screen.id = 'results-screen';
+  screen.className = 'screen';
+  
+  const resultsText = document.createElement('div');
+  resultsText.className = 'results-text';
+  resultsText.textContent = 'CONGRATULATIONS';
+  screen.appendChild(resultsText);
+  
+  const details = document.createElement('div');
+  details.className = 'results-details';
+  details.id = 'results-details';
+  screen.appendChild(details);
+  
+  const finalScore = document.createElement('div');
+  finalScore.className = 'final-score';
+  finalScore.id = 'results-score';
+  finalScore.textContent = 'SCORE: 0';
+  screen.appendChild(finalScore);
+  
+  const highScore = document.createElement('div');
+  highScore.className = 'high-score';
+  highScore.id = 'results-high-score';
+  highScore.textContent = 'HIGH: 0';
+  screen.appendChild(highScore);
+  
+  const hint = document.createElement('div');
+  hint.className = 'controls-hint';
+  hint.textContent = 'ENTER play again • V replay • R title';
+  screen.appendChild(hint);
+  
+  return screen;
+}
+
+/**
+ * Creates the replay screen
+ * Game UI is created by renderer inside the screen
+ * @returns {HTMLElement} Replay screen element
+ */
+function createReplayScreen() {
+  const screen = document.createElement('div');
+  screen.id = 'replay-screen';
+  screen.className = 'screen';
+  
+  const status = document.createElement('div');
+  status.className = 'replay-status';
+  status.id = 'replay-status';
+  status.textContent = 'REPLAY 1X';
+  screen.appendChild(status);
+  
+  const hint = document.createElement('div');
+  hint.className = 'controls-hint';
+  hint.textContent = 'SPACE pause • → step • ↑↓ speed • R back';
+  screen.appendChild(hint);
+  
+  return screen;
+}
+
 /**
  * Creates the pause overlay
  * @returns {HTMLElement} Pause overlay element
@@ -223,14 +538,14 @@ function showScreen(show, ...hide) {
 }
 
 /**
- * Updates the game over screen with scores
- * @param {HTMLElement} screen - Game over screen element
+ * Updates the game over or results screen with scores
+ * @param {HTMLElement} screen - Game over or results screen element
  * @param {number} score - Final score
  * @param {number} highScore - High score
  */
 function updateGameOverScreen(screen, score, highScore) {
-  const finalScoreEl = screen.querySelector('#final-score');
-  const highScoreEl = screen.querySelector('#high-score-display');
+  const finalScoreEl = screen.querySelector('.final-score');
+  const highScoreEl = screen.querySelector('.high-score');
   
   if (finalScoreEl) {
     finalScoreEl.textContent = `SCORE: ${score.toString().padStart(6, '0')}`;
@@ -240,10 +555,51 @@ function updateGameOverScreen(screen, score, highScore) {
   }
 }
 
+/**
+ * Updates the results screen with its title, mode details and scores
+ * @param {HTMLElement} screen - Results screen element
+ * @param {number} score - Final score
+ * @param {number} highScore - High score
+ * @param {Array} details - Lines of text (e.g. Sprint time, Ultra clear counts)
+ * @param {string} title - Heading text
+ */
+function updateResultsScreen(screen, score, highScore, details, title) {
+  updateGameOverScreen(screen, score, highScore);
+  
+  const titleEl = screen.querySelector('.results-text');
+  if (titleEl) {
+    titleEl.textContent = title;
+  }
+  
+  const detailsEl = screen.querySelector('.results-details');
+  if (detailsEl) {
+    detailsEl.replaceChildren(...details.map(text => {
+      const line = document.createElement('div');
+      line.className = 'results-line';
+      line.textContent = text;
+      return line;
+    }));
+  }
+}
+
+/**
+ * Updates the replay screen status line
+ * @param {HTMLElement} screen - Replay screen element
+ * @param {Object} status - { frame, totalFrames, speed, paused, finished }
+ */
+function updateReplayScreen(screen, status) {
+  const statusEl = screen.querySelector('#replay-status');
+  
+  if (statusEl) {
+    const state = status.finished ? 'END' : status.paused ? 'PAUSED' : `${status.speed}X`;
+    statusEl.textContent = `REPLAY ${state} ${status.frame}/${status.totalFrames}`;
+  }
+}
+
 /**
  * Gets selected level from level select screen
  * @param {HTMLElement} screen - Level select screen
- * @returns {number} Selected level (0-9)
+ * @returns {number} Selected level (0-MAX_START_LEVEL)
  */
 export function getSelectedLevel(screen) {
   const selected = screen.querySelector('.level-option.selected');
@@ -253,7 +609,7 @@ export function getSelectedLevel(screen) {
 /**
  * Sets selected level on level select screen
  * @param {HTMLElement} screen - Level select screen
- * @param {number} level - Level to select (0-9)
+ * @param {number} level - Level to select (0-MAX_START_LEVEL)
  */
 export function setSelectedLevel(screen, level) {
   const options = screen.querySelectorAll('.level-option');
@@ -272,10 +628,379 @@ export function setSelectedLevel(screen, level) {
  */
 export function changeSelectedLevel(screen, delta) {
   const current = getSelectedLevel(screen);
-  const newLevel = Math.max(0, Math.min(9, current + delta));
+  const newLevel = validateStartLevel(current + delta);
   setSelectedLevel(screen, newLevel);
 }
 
+/**
+ * Gets selected game mode type from mode select screen
+ * @param {HTMLElement} screen - Mode select screen
+ * @returns {string} Selected mode from GAME_MODES
+ */
+export function getSelectedModeType(screen) {
+  const selected = screen.querySelector('.mode-option.selected');
+  return selected ? selected.dataset.mode : GAME_MODES.A_TYPE;
+}
+
+/**
+ * Sets selected game mode type on mode select screen
+ * @param {HTMLElement} screen - Mode select screen
+ * @param {string} modeType - Mode from GAME_MODES
+ */
+export function setSelectedModeType(screen, modeType) {
+  const options = screen.querySelectorAll('.mode-option');
+  options.forEach(opt => opt.classList.toggle('selected', opt.dataset.mode === modeType));
+}
+
+/**
+ * Changes selected game mode type (for keyboard navigation)
+ * Wraps around the mode list.
+ * @param {HTMLElement} screen - Mode select screen
+ * @param {number} delta - Change amount (+1 or -1)
+ */
+export function changeSelectedModeType(screen, delta) {
+  const modes = Array.from(screen.querySelectorAll('.mode-option'), opt => opt.dataset.mode);
+  const current = modes.indexOf(getSelectedModeType(screen));
+  setSelectedModeType(screen, modes[(current + delta + modes.length) % modes.length]);
+}
+
+/**
+ * Checks if an optional rule is switched on on the mode select screen
+ * @param {HTMLElement} screen - Mode select screen
+ * @param {string} rule - Rule from RULE_TOGGLES
+ * @returns {boolean} True if the rule is on
+ */
+export function isRuleSelected(screen, rule) {
+  const toggle = screen.querySelector(`.rule-toggle[data-rule="${rule}"]`);
+  return !!toggle && toggle.classList.contains('selected');
+}
+
+/**
+ * Switches an optional rule on or off on the mode select screen
+ * @param {HTMLElement} screen - Mode select screen
+ * @param {string} rule - Rule from RULE_TOGGLES
+ */
+export function toggleRuleSelected(screen, rule) {
+  const toggle = screen.querySelector(`.rule-toggle[data-rule="${rule}"]`);
+  if (!toggle) {
+    return;
+  }
+  
+  const enabled = !isRuleSelected(screen, rule);
+  toggle.classList.toggle('selected', enabled);
+  toggle.textContent = `${RULE_LABELS[rule]} ${enabled ? 'ON' : 'OFF'}`;
+}
+
+/**
+ * Gets the number of previews chosen on the mode select screen
+ * @param {HTMLElement} screen - Mode select screen
+ * @returns {number} Selected previews (0 hides the preview)
+ */
+export function getSelectedPreviews(screen) {
+  const previewCount = screen.querySelector('.preview-count');
+  return previewCount ? parseInt(previewCount.dataset.previews, 10) : DEFAULT_PREVIEWS;
+}
+
+/**
+ * Sets the number of previews on the mode select screen
+ * @param {HTMLElement} screen - Mode select screen
+ * @param {number} previews - Previews to select (0-6)
+ * @param {HTMLElement} previewCount - Preview count element (default: looked up in the screen)
+ */
+function setSelectedPreviews(screen, previews, previewCount = screen.querySelector('.preview-count')) {
+  previewCount.dataset.previews = previews;
+  previewCount.textContent = previews === 0 ? 'NEXT OFF' : `NEXT ${previews}`;
+  previewCount.classList.toggle('selected', previews !== DEFAULT_PREVIEWS);
+}
+
+/**
+ * Cycles the number of previews (for keyboard navigation)
+ * Wraps from 6 previews back to none, like NES Select hiding the preview.
+ * @param {HTMLElement} screen - Mode select screen
+ * @param {number} delta - Change amount (+1 or -1)
+ */
+export function changeSelectedPreviews(screen, delta) {
+  const count = MAX_PREVIEWS + 1;
+  setSelectedPreviews(screen, (getSelectedPreviews(screen) + delta + count) % count);
+}
+
+/**
+ * Gets the gravity curve chosen on the mode select screen
+ * @param {HTMLElement} screen - Mode select screen
+ * @returns {string|Array<number>} Built-in curve from GRAVITY_CURVES or a custom curve
+ */
+export function getSelectedGravityCurve(screen) {
+  const gravityCurve = screen.querySelector('.gravity-curve');
+  return gravityCurve ? JSON.parse(gravityCurve.dataset.curve) : DEFAULT_GRAVITY_CURVE;
+}
+
+/**
+ * Sets the gravity curve on the mode select screen
+ * @param {HTMLElement} screen - Mode select screen
+ * @param {string|Array<number>} curve - Curve to select
+ * @param {HTMLElement} gravityCurve - Gravity curve element (default: looked up in the screen)
+ */
+function setSelectedGravityCurve(screen, curve, gravityCurve = screen.querySelector('.gravity-curve')) {
+  gravityCurve.dataset.curve = JSON.stringify(curve);
+  gravityCurve.textContent = `GRAVITY ${Array.isArray(curve) ? 'CUSTOM' : GRAVITY_CURVE_LABELS[curve]}`;
+  gravityCurve.classList.toggle('selected', curve !== DEFAULT_GRAVITY_CURVE);
+}
+
+/**
+ * Cycles the gravity curve: NES, 20G, then the custom curve if one is defined
+ * @param {HTMLElement} screen - Mode select screen
+ * @param {Array<number>|null} customCurve - User-defined curve (null if none)
+ */
+export function changeSelectedGravityCurve(screen, customCurve = null) {
+  const curves = customCurve ? [...Object.values(GRAVITY_CURVES), customCurve] : Object.values(GRAVITY_CURVES);
+  const current = JSON.stringify(getSelectedGravityCurve(screen));
+  const index = curves.findIndex(curve => JSON.stringify(curve) === current);
+  setSelectedGravityCurve(screen, curves[(index + 1) % curves.length]);
+}
+
+/**
+ * Swaps a selected custom curve for the new one, or back to NES when it was removed
+ * @param {HTMLElement} screen - Mode select screen
+ * @param {Array<number>|null} customCurve - User-defined curve (null if none)
+ */
+export function replaceCustomGravityCurve(screen, customCurve) {
+  if (Array.isArray(getSelectedGravityCurve(screen))) {
+    setSelectedGravityCurve(screen, customCurve ?? DEFAULT_GRAVITY_CURVE);
+  }
+}
+
+/**
+ * Lists the themes on the settings screen
+ * @param {HTMLElement} screen - Settings screen
+ * @param {Array<Object>} themes - Built-in and custom themes
+ * @param {string} selectedName - Name of the theme in use
+ */
+export function setThemeOptions(screen, themes, selectedName) {
+  const themeList = screen.querySelector('.theme-list');
+  
+  themeList.replaceChildren(...themes.map(theme => {
+    const option = document.createElement('div');
+    option.className = 'menu-item theme-option';
+    option.dataset.theme = theme.name;
+    option.textContent = theme.name;
+    if (theme.name === selectedName) option.classList.add('selected');
+    return option;
+  }));
+}
+
+/**
+ * Gets the theme chosen on the settings screen
+ * @param {HTMLElement} screen - Settings screen
+ * @returns {string|null} Theme name (null if none is listed)
+ */
+export function getSelectedThemeName(screen) {
+  const selected = screen.querySelector('.theme-option.selected');
+  return selected ? selected.dataset.theme : null;
+}
+
+/**
+ * Moves the theme selection on the settings screen, wrapping around
+ * @param {HTMLElement} screen - Settings screen
+ * @param {number} delta - Change in position (-1 or 1)
+ */
+export function changeSelectedTheme(screen, delta) {
+  const options = [...screen.querySelectorAll('.theme-option')];
+  if (options.length === 0) return;
+  
+  const index = options.findIndex(option => option.classList.contains('selected'));
+  const next = (index + delta + options.length) % options.length;
+  options.forEach((option, i) => option.classList.toggle('selected', i === next));
+}
+
+/**
+ * Shows whether the ghost piece is drawn on the settings screen
+ * @param {HTMLElement} screen - Settings screen
+ * @param {boolean} enabled - Ghost piece shown
+ * @param {HTMLElement} ghost - Ghost setting element (default: looked up in the screen)
+ */
+export function setGhostSetting(screen, enabled, ghost = screen.querySelector('.ghost-setting')) {
+  ghost.textContent = `GHOST ${enabled ? 'ON' : 'OFF'}`;
+  ghost.classList.toggle('selected', enabled);
+}
+
+/**
+ * Gets the theme JSON typed on the settings screen
+ * @param {HTMLElement} screen - Settings screen
+ * @returns {string} Text of the theme box
+ */
+export function getThemeJson(screen) {
+  return screen.querySelector('.theme-json').value;
+}
+
+/**
+ * Sets the theme JSON shown on the settings screen
+ * @param {HTMLElement} screen - Settings screen
+ * @param {string} json - Theme JSON
+ */
+export function setThemeJson(screen, json) {
+  screen.querySelector('.theme-json').value = json;
+}
+
+/**
+ * Focuses the theme box with its text selected (ready to copy or paste over)
+ * @param {HTMLElement} screen - Settings screen
+ */
+export function focusThemeJson(screen) {
+  const themeJson = screen.querySelector('.theme-json');
+  themeJson.focus();
+  themeJson.select();
+}
+
+/**
+ * Shows a message under the theme box (import errors, export confirmation)
+ * @param {HTMLElement} screen - Settings screen
+ * @param {string} message - Message text
+ */
+export function setThemeStatus(screen, message) {
+  screen.querySelector('.theme-status').textContent = message;
+}
+
+/**
+ * Gets the gravity curve JSON typed on the settings screen
+ * @param {HTMLElement} screen - Settings screen
+ * @returns {string} Text of the gravity curve box
+ */
+export function getGravityCurveJson(screen) {
+  return screen.querySelector('.gravity-curve-json').value;
+}
+
+/**
+ * Sets the gravity curve JSON shown on the settings screen
+ * @param {HTMLElement} screen - Settings screen
+ * @param {string} json - Gravity curve JSON ('' if none)
+ */
+export function setGravityCurveJson(screen, json) {
+  screen.querySelector('.gravity-curve-json').value = json;
+}
+
+/**
+ * Focuses the gravity curve box with its text selected
+ * @param {HTMLElement} screen - Settings screen
+ */
+export function focusGravityCurveJson(screen) {
+  const gravityCurveJson = screen.querySelector('.gravity-curve-json');
+  gravityCurveJson.focus();
+  gravityCurveJson.select();
+}
+
+/**
+ * Shows a message under the gravity curve box (validation errors, save confirmation)
+ * @param {HTMLElement} screen - Settings screen
+ * @param {string} message - Message text
+ */
+export function setGravityCurveStatus(screen, message) {
+  screen.querySelector('.gravity-curve-status').textContent = message;
+}
+
+/**
+ * Gets selected garbage height from level select screen
+ * @param {HTMLElement} screen - Level select screen
+ * @returns {number} Selected height (0-5)
+ */
+export function getSelectedHeight(screen) {
+  const selected = screen.querySelector('.height-option.selected');
+  return selected ? parseInt(selected.dataset.height, 10) : 0;
+}
+
+/**
+ * Sets selected garbage height on level select screen
+ * @param {HTMLElement} screen - Level select screen
+ * @param {number} height - Height to select (0-5)
+ */
+export function setSelectedHeight(screen, height) {
+  const options = screen.querySelectorAll('.height-option');
+  options.forEach(opt => opt.classList.remove('selected'));
+  
+  const target = screen.querySelector(`.height-option[data-height="${height}"]`);
+  if (target) {
+    target.classList.add('selected');
+  }
+}
+
+/**
+ * Changes selected garbage height (for keyboard navigation)
+ * @param {HTMLElement} screen - Level select screen
+ * @param {number} delta - Change amount (+1 or -1)
+ */
+export function changeSelectedHeight(screen, delta) {
+  const current = getSelectedHeight(screen);
+  const newHeight = Math.max(0, Math.min(MAX_GARBAGE_HEIGHT, current + delta));
+  setSelectedHeight(screen, newHeight);
+}
+
+/**
+ * Gets selected Ultra time limit from level select screen
+ * @param {HTMLElement} screen - Level select screen
+ * @returns {number} Selected minutes
+ */
+export function getSelectedMinutes(screen) {
+  const selected = screen.querySelector('.minutes-option.selected');
+  return selected ? parseInt(selected.dataset.minutes, 10) : DEFAULT_ULTRA_MINUTES;
+}
+
+/**
+ * Changes selected Ultra time limit (for keyboard navigation)
+ * @param {HTMLElement} screen - Level select screen
+ * @param {number} delta - Change amount (+1 or -1)
+ */
+export function changeSelectedMinutes(screen, delta) {
+  const current = ULTRA_MINUTES.indexOf(getSelectedMinutes(screen));
+  const next = ULTRA_MINUTES[Math.max(0, Math.min(ULTRA_MINUTES.length - 1, current + delta))];
+  
+  screen.querySelectorAll('.minutes-option').forEach(opt =>
+    opt.classList.toggle('selected', parseInt(opt.dataset.minutes, 10) === next));
+}
+
+/**
+ * Shows the level select rows of a game mode
+ * B-Type shows the height row, Ultra the time row.
+ * @param {HTMLElement} screen - Level select screen
+ * @param {string} modeType - Mode from GAME_MODES
+ */
+export function setModeOptionsVisible(screen, modeType) {
+  const heightSelect = screen.querySelector('.height-select');
+  const minutesSelect = screen.querySelector('.minutes-select');
+  
+  if (heightSelect) {
+    heightSelect.classList.toggle('active', modeType === GAME_MODES.B_TYPE);
+  }
+  if (minutesSelect) {
+    minutesSelect.classList.toggle('active', modeType === GAME_MODES.ULTRA);
+  }
+}
+
+/**
+ * Builds the game mode chosen on the mode and level select screens
+ * @param {Object} screens - Screens object from createScreens
+ * @returns {Object} Game mode from createGameMode
+ */
+export function getSelectedGameMode(screens) {
+  return createGameMode(
+    getSelectedModeType(screens.modeSelect),
+    getSelectedHeight(screens.levelSelect),
+    getSelectedMinutes(screens.levelSelect)
+  );
+}
+
+/**
+ * Builds the rules chosen on the mode select screen
+ * @param {Object} screens - Screens object from createScreens
+ * @returns {Object} Rule set from createRules
+ */
+export function getSelectedRules(screens) {
+  return createRules({
+    ...Object.fromEntries(RULE_TOGGLES.map(rule => [rule, isRuleSelected(screens.modeSelect, rule)])),
+    lockDelay: isRuleSelected(screens.modeSelect, 'lockDelay') ? GUIDELINE_LOCK_DELAY : DEFAULT_LOCK_DELAY,
+    previews: getSelectedPreviews(screens.modeSelect),
+    gravityCurve: getSelectedGravityCurve(screens.modeSelect)
+  });
+}
+
 /**
  * Gets the appropriate screen element for a game state
  * @param {string} gameState - Game state from GAME_STATES
@@ -292,6 +1017,8 @@ export function getScreenForGameState(gameState, screens) {
       return screens.game;
     case GAME_STATES.GAMEOVER:
       return screens.gameOver;
+    case GAME_STATES.COMPLETE:
+      return screens.results;
     default:
       return screens.title;
   }
@@ -310,6 +1037,12 @@ export function transitionScreen(screens, fromScreen, toScreen, onComplete) {
     case SCREENS.TITLE:
       screens.showTitle();
       break;
+    case SCREENS.SETTINGS:
+      screens.showSettings();
+      break;
+    case SCREENS.MODE_SELECT:
+      screens.showModeSelect();
+      break;
     case SCREENS.LEVEL_SELECT:
       screens.showLevelSelect();
       break;
@@ -319,6 +1052,12 @@ export function transitionScreen(screens, fromScreen, toScreen, onComplete) {
     case SCREENS.GAME_OVER:
       screens.showGameOver();
       break;
+    case SCREENS.RESULTS:
+      screens.showResults();
+      break;
+    case SCREENS.REPLAY:
+      screens.showReplay();
+      break;
   }
   
   if (onComplete) {
@@ -0,0 +1,243 @@
+/**
+ * Theme - Skins for the whole UI
+ * A theme sets the style.css custom properties for the screens, panels,
+ * board, fonts and piece colors, and picks the piece palette (NES colors
+ * per level or the theme's own piece colors). Themes round-trip through
+ * JSON so players can share them; only known fields are kept.
+ */
+
+import { PALETTE_THEMES, isValidPaletteTheme } from './palette.js';
+
+/**
+ * Custom properties set by each theme color
+ */
+export const THEME_COLOR_PROPERTIES = {
+  background: '--bg-color',
+  text: '--text-color',
+  label: '--label-color',
+  highlight: '--highlight-color',
+  selection: '--selection-bg',
+  border: '--border-color',
+  panel: '--panel-bg',
+  board: '--board-bg',
+  grid: '--grid-line'
+};
+
+/**
+ * Custom properties of the piece colors, in piece type order (I, O, T, S, Z, J, L)
+ */
+export const PIECE_COLOR_PROPERTIES = [
+  '--color-i',
+  '--color-o',
+  '--color-t',
+  '--color-s',
+  '--color-z',
+  '--color-j',
+  '--color-l'
+];
+
+/**
+ * Font stacks a theme can choose from
+ */
+export const THEME_FONTS = {
+  mono: "'Courier New', Courier, monospace",
+  sans: 'Verdana, Arial, sans-serif',
+  serif: "Georgia, 'Times New Roman', serif"
+};
+
+/**
+ * Longest theme name
+ */
+export const MAX_THEME_NAME_LENGTH = 16;
+
+/**
+ * Most custom themes kept at once
+ */
+export const MAX_CUSTOM_THEMES = 8;
+
+/**
+ * Built-in themes, NES first
+ */
+export const BUILT_IN_THEMES = [
+  {
+    name: 'NES',
+    palette: PALETTE_THEMES.NES,
+    font: 'mono',
+    colors: {
+      background: '#000000', text: '#ffffff', label: '#b8b8b8', highlight: '#ffffff', selection: '#333333',
+      border: '#ffffff', panel: '#000000', board: '#000000', grid: '#333333'
+    },
+    pieces: ['#00f0f0', '#f0f000', '#a000f0', '#00f000', '#f00000', '#0000f0', '#f0a000']
+  },
+  {
+    name: 'MODERN',
+    palette: PALETTE_THEMES.GUIDELINE,
+    font: 'sans',
+    colors: {
+      background: '#101018', text: '#ffffff', label: '#9090a8', highlight: '#00f0f0', selection: '#2a2a44',
+      border: '#5a5a78', panel: '#181828', board: '#000000', grid: '#22223a'
+    },
+    pieces: ['#00f0f0', '#f0f000', '#a000f0', '#00f000', '#f00000', '#0000f0', '#f0a000']
+  },
+  {
+    name: 'GAME BOY',
+    palette: PALETTE_THEMES.GUIDELINE,
+    font: 'mono',
+    colors: {
+      background: '#9bbc0f', text: '#0f380f', label: '#306230', highlight: '#0f380f', selection: '#8bac0f',
+      border: '#0f380f', panel: '#8bac0f', board: '#8bac0f', grid: '#9bbc0f'
+    },
+    pieces: ['#0f380f', '#306230', '#0f380f', '#306230', '#0f380f', '#306230', '#0f380f']
+  },
+  {
+    name: 'HIGH CONTRAST',
+    palette: PALETTE_THEMES.GUIDELINE,
+    font: 'mono',
+    colors: {
+      background: '#000000', text: '#ffff00', label: '#ffffff', highlight: '#ffff00', selection: '#333300',
+      border: '#ffff00', panel: '#000000', board: '#000000', grid: '#555555'
+    },
+    pieces: ['#00ffff', '#ffff00', '#ff00ff', '#00ff00', '#ff0000', '#4080ff', '#ff8000']
+  }
+];
+
+/**
+ * Default theme (NES)
+ */
+export const DEFAULT_THEME = BUILT_IN_THEMES[0];
+
+/**
+ * Checks if a value is a #rrggbb color
+ * @param {*} color - Value to check
+ * @returns {boolean} True if valid
+ */
+function isHexColor(color) {
+  return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+}
+
+/**
+ * Checks if a theme only holds supported values
+ * @param {Object} theme - Theme object
+ * @returns {boolean} True if valid
+ */
+export function isValidTheme(theme) {
+  return !!theme && typeof theme === 'object' &&
+    typeof theme.name === 'string' && theme.name.length <= MAX_THEME_NAME_LENGTH &&
+    /^[A-Z0-9][A-Z0-9 _-]*$/.test(theme.name) &&
+    isValidPaletteTheme(theme.palette) &&
+    Object.hasOwn(THEME_FONTS, theme.font ?? '') &&
+    !!theme.colors && Object.keys(THEME_COLOR_PROPERTIES).every(key => isHexColor(theme.colors[key])) &&
+    Array.isArray(theme.pieces) && theme.pieces.length === PIECE_COLOR_PROPERTIES.length &&
+    theme.pieces.every(isHexColor);
+}
+
+/**
+ * Parses a theme from JSON
+ * Names are upper-cased like the rest of the UI; unknown fields are dropped.
+ * @param {string} json - JSON string from exportTheme
+ * @returns {Object} { theme: Object|null, error: string|null }
+ */
+export function parseTheme(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    return { theme: null, error: 'Invalid JSON' };
+  }
+
+  const theme = data && typeof data === 'object' ? {
+    name: typeof data.name === 'string' ? data.name.trim().toUpperCase() : data.name,
+    palette: data.palette,
+    font: data.font,
+    colors: data.colors && Object.fromEntries(Object.keys(THEME_COLOR_PROPERTIES).map(key => [key, data.colors[key]])),
+    pieces: data.pieces
+  } : null;
+
+  if (!isValidTheme(theme)) {
+    return { theme: null, error: 'Invalid theme' };
+  }
+
+  return { theme, error: null };
+}
+
+/**
+ * Serializes a theme to a JSON string (for sharing)
+ * @param {Object} theme - Theme object
+ * @returns {string} JSON string
+ */
+export function exportTheme(theme) {
+  return JSON.stringify(theme, null, 2);
+}
+
+/**
+ * Gets the built-in themes followed by the custom ones
+ * @param {Array<Object>} customThemes - Custom themes
+ * @returns {Array<Object>} All themes
+ */
+export function getThemes(customThemes) {
+  return [...BUILT_IN_THEMES, ...customThemes];
+}
+
+/**
+ * Finds a theme by name
+ * @param {Array<Object>} themes - Themes to search
+ * @param {string} name - Theme name
+ * @returns {Object|null} Theme, or null if none has that name
+ */
+export function findTheme(themes, name) {
+  return themes.find(theme => theme.name === name) ?? null;
+}
+
+/**
+ * Checks if a theme name belongs to a built-in theme
+ * @param {string} name - Theme name
+ * @returns {boolean} True for built-in themes
+ */
+export function isBuiltInTheme(name) {
+  return findTheme(BUILT_IN_THEMES, name) !== null;
+}
+
+/**
+ * Adds a custom theme, replacing a custom theme with the same name
+ * @param {Array<Object>} customThemes - Custom themes
+ * @param {Object} theme - Valid theme to add
+ * @returns {Object} { themes: Array<Object>, error: string|null }
+ */
+export function addCustomTheme(customThemes, theme) {
+  if (isBuiltInTheme(theme.name)) {
+    return { themes: customThemes, error: 'Name of a built-in theme' };
+  }
+
+  const others = customThemes.filter(custom => custom.name !== theme.name);
+  if (others.length >= MAX_CUSTOM_THEMES) {
+    return { themes: customThemes, error: 'Too many themes' };
+  }
+
+  return { themes: [...others, theme], error: null };
+}
+
+/**
+ * Removes a custom theme
+ * @param {Array<Object>} customThemes - Custom themes
+ * @param {string} name - Theme name
+ * @returns {Array<Object>} Custom themes without that theme
+ */
+export function removeCustomTheme(customThemes, name) {
+  return customThemes.filter(theme => theme.name !== name);
+}
+
+/**
+ * Sets the custom properties of a theme on an element
+ * Applied to the document root so the body font follows the theme.
+ * @param {HTMLElement} element - Element holding the custom properties
+ * @param {Object} theme - Theme object
+ */
+export function applyTheme(element, theme) {
+  for (const [key, property] of Object.entries(THEME_COLOR_PROPERTIES)) {
+    element.style.setProperty(property, theme.colors[key]);
+  }
+  PIECE_COLOR_PROPERTIES.forEach((property, index) => {
+    element.style.setProperty(property, theme.pieces[index]);
+  });
+  element.style.setProperty('--font-family', THEME_FONTS[theme.font]);
+}
@@ -118,8 +118,8 @@ describe('Integration - Determinism Verification', () => {
       expect(gameState.currentPiece.type).toBeLessThanOrEqual(7);
       
       // Verify next piece is valid
-      expect(gameState.nextPiece).toBeGreaterThanOrEqual(1);
-      expect(gameState.nextPiece).toBeLessThanOrEqual(7);
+      expect(gameState.nextQueue[0]).toBeGreaterThanOrEqual(1);
+      expect(gameState.nextQueue[0]).toBeLessThanOrEqual(7);
     });
   });
 
@@ -25,8 +25,9 @@ describe('Integration - Game Simulation', () => {
       
       expect(gameState.state).toBe(GAME_STATES.PLAYING);
       expect(gameState.currentPiece).not.toBeNull();
-      expect(gameState.nextPiece).toBeGreaterThanOrEqual(1);
-      expect(gameState.nextPiece).toBeLessThanOrEqual(7);
+      expect(gameState.nextQueue).toHaveLength(1);
+      expect(gameState.nextQueue[0]).toBeGreaterThanOrEqual(1);
+      expect(gameState.nextQueue[0]).toBeLessThanOrEqual(7);
     });
 
     it('should update game state over multiple frames', () => {
@@ -62,7 +63,7 @@ describe('Integration - Game Simulation', () => {
 
     it('should handle piece locking and spawning sequence', () => {
       const initialPiece = gameState.currentPiece;
-      const nextPieceType = gameState.nextPiece;
+      const nextPieceType = gameState.nextQueue[0];
       
       // Force lock the piece
       const lockResult = lockCurrentPiece(gameState);
@@ -3,11 +3,12 @@ import {
   createGameState,
   startGame,
   setGameOver,
+  setGameComplete,
   pauseGame,
   resumeGame,
   returnToTitle,
   spawnPiece,
-  setNextPiece,
+  setNextQueue,
   updateBoard,
   updateCurrentPiece,
   updateScore,
@@ -20,11 +21,26 @@ import {
   isPlaying,
   isGameOver,
   isPaused,
+  isComplete,
   isAtTitle,
   getGameInfo,
+  getEntryDelay,
+  createPhase,
+  startLineClear,
+  startEntryDelay,
+  tickPhase,
+  isInPhase,
+  createHoldState,
+  updateHold,
+  releaseHold,
+  PLAY_PHASES,
+  LINE_CLEAR_FRAMES,
+  MIN_ENTRY_DELAY,
+  MAX_ENTRY_DELAY,
   GAME_STATES
 } from '../../src/domain/gameState.js';
-import { createEmptyBoard } from '../../src/domain/board.js';
+import { createEmptyBoard, TOTAL_ROWS } from '../../src/domain/board.js';
+import { createGameMode, DEFAULT_GAME_MODE, GAME_MODES } from '../../src/domain/gameMode.js';
 import { createScoreState } from '../../src/domain/scoring.js';
 import { createLevelState } from '../../src/domain/level.js';
 import { createRandomizer } from '../../src/domain/randomizer.js';
@@ -32,6 +48,7 @@ import { createGravity } from '../../src/domain/gravity.js';
 import { createDAS } from '../../src/domain/das.js';
 import { createLockState } from '../../src/domain/lock.js';
 import { createPiece } from '../../src/domain/piece.js';
+import { createRules } from '../../src/domain/rules.js';
 
 describe('Game State Integration', () => {
   let gameState;
@@ -45,7 +62,7 @@ describe('Game State Integration', () => {
       expect(gameState.state).toBe(GAME_STATES.TITLE);
       expect(gameState.board).toBeDefined();
       expect(gameState.currentPiece).toBeNull();
-      expect(gameState.nextPiece).toBeNull();
+      expect(gameState.nextQueue).toEqual([]);
       expect(gameState.score).toBeDefined();
       expect(gameState.level).toBeDefined();
       expect(gameState.randomizer).toBeDefined();
@@ -59,6 +76,15 @@ describe('Game State Integration', () => {
       const state = createGameState(5);
       expect(state.level.currentLevel).toBe(5);
     });
+
+    it('should default to A-Type', () => {
+      expect(gameState.mode).toEqual(DEFAULT_GAME_MODE);
+    });
+
+    it('should start with an empty hold slot', () => {
+      expect(gameState.hold).toEqual(createHoldState());
+      expect(createHoldState()).toEqual({ pieceType: null, used: false });
+    });
   });
 
   describe('State Transitions', () => {
@@ -67,6 +93,35 @@ describe('Game State Integration', () => {
       expect(playing.state).toBe(GAME_STATES.PLAYING);
     });
 
+    it('should start with the given seed', () => {
+      const first = startGame(gameState, 0, 4242);
+      const second = startGame(gameState, 0, 4242);
+      expect(first.randomizer.seed).toBe(4242);
+      expect(second.nextQueue).toEqual(first.nextQueue);
+      expect(second.randomizer).toEqual(first.randomizer);
+    });
+
+    it('should start A-Type on an empty board', () => {
+      expect(startGame(gameState, 0, 4242).board).toEqual(createEmptyBoard());
+    });
+
+    it('should start B-Type with seeded garbage', () => {
+      const bType = createGameState(0, undefined, createGameMode(GAME_MODES.B_TYPE, 2));
+      const first = startGame(bType, 0, 4242);
+      const second = startGame(bType, 0, 4242);
+
+      expect(first.board).toEqual(second.board);
+      expect(first.board[TOTAL_ROWS - 5].some(cell => cell !== 0)).toBe(true);
+      expect(first.board[TOTAL_ROWS - 6].every(cell => cell === 0)).toBe(true);
+    });
+
+    it('should set game complete', () => {
+      gameState = startGame(gameState, 0);
+      const complete = setGameComplete(gameState);
+      expect(complete.state).toBe(GAME_STATES.COMPLETE);
+      expect(complete.currentPiece).toBeNull();
+    });
+
     it('should set game over', () => {
       gameState = startGame(gameState, 0);
       const over = setGameOver(gameState);
@@ -103,7 +158,7 @@ describe('Game State Integration', () => {
       const title = returnToTitle(gameState);
       expect(title.state).toBe(GAME_STATES.TITLE);
       expect(title.currentPiece).toBeNull();
-      expect(title.nextPiece).toBeNull();
+      expect(title.nextQueue).toEqual([]);
     });
   });
 
@@ -121,9 +176,63 @@ describe('Game State Integration', () => {
       expect(spawned.lock.isLocked).toBe(false);
     });
 
-    it('should set next piece', () => {
-      const updated = setNextPiece(gameState, 3);
-      expect(updated.nextPiece).toBe(3);
+    it('should set the next queue', () => {
+      const updated = setNextQueue(gameState, [3, 1]);
+      expect(updated.nextQueue).toEqual([3, 1]);
+    });
+
+    it('should fill the queue for the previews of the rules', () => {
+      const started = startGame(createGameState(0, createRules({ previews: 5 })), 0, 77);
+      expect(started.nextQueue).toHaveLength(5);
+      expect(startGame(createGameState(0, createRules({ previews: 0 })), 0, 77).nextQueue).toHaveLength(1);
+    });
+  });
+
+  describe('Play Phases', () => {
+    it('should start in the active phase', () => {
+      expect(gameState.phase).toEqual(createPhase());
+      expect(isInPhase(startGame(gameState, 0, 1), PLAY_PHASES.ACTIVE)).toBe(true);
+    });
+
+    it.each([
+      [21, 10], [20, 10], [19, 12], [16, 12], [15, 14], [12, 14],
+      [11, 16], [8, 16], [7, 18], [0, 18]
+    ])('should give lock row %i an entry delay of %i frames', (row, frames) => {
+      expect(getEntryDelay(row)).toBe(frames);
+    });
+
+    it('should keep entry delays within NES bounds', () => {
+      expect(getEntryDelay(99)).toBe(MIN_ENTRY_DELAY);
+      expect(getEntryDelay(-5)).toBe(MAX_ENTRY_DELAY);
+    });
+
+    it('should start a line clear with the pending entry delay', () => {
+      const clearing = startLineClear(gameState, [20, 21], 12);
+
+      expect(clearing.phase).toEqual({
+        name: PLAY_PHASES.LINE_CLEAR,
+        framesLeft: LINE_CLEAR_FRAMES,
+        clearingRows: [20, 21],
+        entryDelay: 12
+      });
+    });
+
+    it('should count down the entry delay', () => {
+      let result = { gameState: startEntryDelay(gameState, 2), finished: false };
+
+      result = tickPhase(result.gameState);
+      expect(result.finished).toBe(false);
+      expect(result.gameState.phase.framesLeft).toBe(1);
+
+      result = tickPhase(result.gameState);
+      expect(result.finished).toBe(true);
+      expect(isInPhase(result.gameState, PLAY_PHASES.ARE)).toBe(true);
+    });
+
+    it('should return to the active phase on spawn', () => {
+      const spawned = spawnPiece(startEntryDelay(gameState, 10), createPiece(1));
+
+      expect(spawned.phase).toEqual(createPhase());
     });
   });
 
@@ -177,6 +286,18 @@ describe('Game State Integration', () => {
       expect(updated.randomizer).toEqual(newRandomizer);
     });
 
+    it('should update and release the hold slot', () => {
+      const held = updateHold(gameState, { pieceType: 3, used: true });
+      expect(held.hold).toEqual({ pieceType: 3, used: true });
+      expect(releaseHold(held).hold).toEqual({ pieceType: 3, used: false });
+      expect(releaseHold(gameState)).toBe(gameState);
+    });
+
+    it('should empty the hold slot for a new game', () => {
+      const held = updateHold(gameState, { pieceType: 3, used: true });
+      expect(startGame(held, 0, 1).hold).toEqual(createHoldState());
+    });
+
     it('should increment frame', () => {
       const incremented = incrementFrame(gameState);
       expect(incremented.frameCount).toBe(1);
@@ -204,6 +325,12 @@ describe('Game State Integration', () => {
       expect(isGameOver(gameState)).toBe(true);
     });
 
+    it('should check if complete', () => {
+      expect(isComplete(gameState)).toBe(false);
+      gameState = setGameComplete(startGame(gameState, 0));
+      expect(isComplete(gameState)).toBe(true);
+    });
+
     it('should check if paused', () => {
       expect(isPaused(gameState)).toBe(false);
       gameState = startGame(gameState, 0);
@@ -222,13 +349,13 @@ describe('Game State Integration', () => {
     it('should get game info for display', () => {
       gameState = startGame(gameState, 5);
       gameState = spawnPiece(gameState, createPiece(1));
-      gameState = setNextPiece(gameState, 2);
+      gameState = setNextQueue(gameState, [2]);
       
       const info = getGameInfo(gameState);
       
       expect(info.state).toBe(GAME_STATES.PLAYING);
       expect(info.level).toBe(5);
-      expect(info.nextPiece).toBe(2);
+      expect(info.nextQueue).toEqual([2]);
       expect(info).toHaveProperty('score');
       expect(info).toHaveProperty('highScore');
       expect(info).toHaveProperty('lines');
@@ -241,7 +368,7 @@ describe('Game State Integration', () => {
       expect(info.state).toBe(GAME_STATES.TITLE);
       expect(info.score).toBe(0);
       expect(info.lines).toBe(0);
-      expect(info.nextPiece).toBeNull();
+      expect(info.nextQueue).toEqual([]);
     });
   });
 
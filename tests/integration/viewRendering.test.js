@@ -11,10 +11,80 @@ import {
   renderScore,
   renderLevel,
   renderLines,
+  renderStats,
+  renderSplits,
+  renderUltra,
+  renderHold,
+  renderNextQueue,
+  renderPieceStats,
+  renderMetrics,
+  renderPalette,
+  formatFrames,
+  createGameUI,
   clearBoardDisplay
 } from '../../src/view/renderer.js';
+import {
+  PALETTE_THEMES,
+  DEFAULT_PALETTE_THEME,
+  NES_LEVEL_PALETTES,
+  isValidPaletteTheme,
+  getLevelPalette,
+  getPieceClass
+} from '../../src/view/palette.js';
+import {
+  BUILT_IN_THEMES,
+  DEFAULT_THEME,
+  MAX_CUSTOM_THEMES,
+  isValidTheme,
+  parseTheme,
+  exportTheme,
+  getThemes,
+  findTheme,
+  addCustomTheme,
+  removeCustomTheme,
+  applyTheme
+} from '../../src/view/theme.js';
+import {
+  createScreens,
+  SCREENS,
+  getSelectedModeType,
+  changeSelectedModeType,
+  getSelectedLevel,
+  changeSelectedLevel,
+  getSelectedHeight,
+  changeSelectedHeight,
+  getSelectedMinutes,
+  changeSelectedMinutes,
+  setModeOptionsVisible,
+  getSelectedGameMode,
+  isRuleSelected,
+  toggleRuleSelected,
+  getSelectedPreviews,
+  changeSelectedPreviews,
+  getSelectedGravityCurve,
+  changeSelectedGravityCurve,
+  setThemeOptions,
+  setGhostSetting,
+  getSelectedThemeName,
+  changeSelectedTheme,
+  getThemeJson,
+  setThemeJson,
+  setThemeStatus,
+  getGravityCurveJson,
+  setGravityCurveJson,
+  setGravityCurveStatus,
+  replaceCustomGravityCurve,
+  getSelectedRules,
+  getScreenForGameState,
+  transitionScreen
+} from '../../src/view/screens.js';
+import { createGameState, GAME_STATES } from '../../src/domain/gameState.js';
+import { createGameMode, GAME_MODES } from '../../src/domain/gameMode.js';
+import { createRules } from '../../src/domain/rules.js';
+import { GUIDELINE_LOCK_DELAY } from '../../src/domain/lock.js';
+import { GRAVITY_CURVES } from '../../src/domain/gravity.js';
 import { createEmptyBoard, BOARD_WIDTH, BOARD_HEIGHT } from '../../src/domain/board.js';
-import { createPiece } from '../../src/domain/piece.js';
+import { createPiece, PIECE_TYPES } from '../../src/domain/piece.js';
 
 describe('Integration - View Rendering', () => {
   let dom;
@@ -163,6 +233,21 @@ describe('Integration - View Rendering', () => {
       
       expect(linesEl.textContent).toBe('123');
     });
+
+    it('should count lines down in Sprint', () => {
+      const lines = document.createElement('div');
+      renderStats({ lines }, createGameState(0, undefined, createGameMode(GAME_MODES.SPRINT)));
+
+      expect(lines.textContent).toBe('040');
+    });
+
+    it('should count lines down in B-Type', () => {
+      const lines = document.createElement('div');
+      const state = createGameState(0, undefined, createGameMode(GAME_MODES.B_TYPE, 1));
+      renderStats({ lines }, { ...state, score: { ...state.score, linesCleared: 7 } });
+
+      expect(lines.textContent).toBe('018');
+    });
   });
 
   describe('Game State Rendering', () => {
@@ -178,5 +263,618 @@ describe('Integration - View Rendering', () => {
       // Should not throw
       expect(() => renderGame(cells, gameState)).not.toThrow();
     });
+
+    it('should draw the ghost piece under the current piece when shown', () => {
+      const boardContainer = document.createElement('div');
+      const cells = createGameBoard(boardContainer);
+      const piece = { ...createPiece(2), y: 2 }; // O-piece in the top visible rows
+      const gameState = { board: createEmptyBoard(), currentPiece: piece, rules: createRules() };
+
+      renderGame(cells, gameState, true);
+
+      const ghostCells = cells.filter(cell => cell.classList.contains('ghost'));
+      expect(ghostCells).toHaveLength(4);
+      expect(ghostCells.every(cell => cell.dataset.y >= 18 && cell.classList.contains('piece-2'))).toBe(true);
+      expect(cells.filter(cell => cell.className === 'board-cell piece-2 tile-hollow')).toHaveLength(4);
+    });
+
+    it('should let the current piece cover an overlapping ghost', () => {
+      const boardContainer = document.createElement('div');
+      const cells = createGameBoard(boardContainer);
+      const piece = { ...createPiece(2), y: 20 }; // O-piece resting on the floor
+
+      renderGame(cells, { board: createEmptyBoard(), currentPiece: piece, rules: createRules() }, true);
+
+      expect(cells.some(cell => cell.classList.contains('ghost'))).toBe(false);
+    });
+
+    it('should not draw the ghost piece by default', () => {
+      const boardContainer = document.createElement('div');
+      const cells = createGameBoard(boardContainer);
+      const piece = { ...createPiece(2), y: 2 };
+
+      renderGame(cells, { board: createEmptyBoard(), currentPiece: piece, rules: createRules() });
+
+      expect(cells.some(cell => cell.classList.contains('ghost'))).toBe(false);
+    });
+  });
+
+  describe('Sprint Splits', () => {
+    const sprint = createGameMode(GAME_MODES.SPRINT);
+
+    it('should format frames as clock time', () => {
+      expect(formatFrames(0)).toBe('0:00.00');
+      expect(formatFrames(60)).toBe('0:00.99');
+      expect(formatFrames(3606)).toBe('1:00.00');
+      expect(formatFrames(null)).toBe('-:--.--');
+    });
+
+    it('should hide the panel outside Sprint', () => {
+      const ui = createGameUI(container);
+      renderSplits(ui.splits, createGameState());
+
+      expect(ui.splits.box.classList.contains('active')).toBe(false);
+    });
+
+    it('should show the running time, splits and best splits', () => {
+      const ui = createGameUI(container);
+      const state = { ...createGameState(0, undefined, sprint), splits: [601], frameCount: 900 };
+      renderSplits(ui.splits, state, { frames: 2404, splits: [600, 1202, 1803, 2404] });
+
+      expect(ui.splits.box.classList.contains('active')).toBe(true);
+      expect(ui.splits.time.textContent).toBe(formatFrames(900));
+      expect(ui.splits.rows[0].current.textContent).toBe(formatFrames(601));
+      expect(ui.splits.rows[1].current.textContent).toBe('-:--.--');
+      expect(ui.splits.rows[3].best.textContent).toBe(formatFrames(2404));
+    });
+
+    it('should stop the clock at the completion time', () => {
+      const ui = createGameUI(container);
+      const state = { ...createGameState(0, undefined, sprint), splits: [600, 1200, 1800, 2400], frameCount: 2500 };
+      renderSplits(ui.splits, state);
+
+      expect(ui.splits.time.textContent).toBe(formatFrames(2400));
+      expect(ui.splits.rows[0].best.textContent).toBe('-:--.--');
+    });
+
+    it('should advance the running clock by the render alpha while playing', () => {
+      const ui = createGameUI(container);
+      const state = { ...createGameState(0, undefined, sprint), state: GAME_STATES.PLAYING, frameCount: 59 };
+      renderSplits(ui.splits, state, null, 0.9);
+
+      expect(ui.splits.time.textContent).toBe(formatFrames(59.9));
+      expect(formatFrames(59.9)).not.toBe(formatFrames(59));
+
+      renderSplits(ui.splits, { ...state, state: GAME_STATES.PAUSED }, null, 0.9);
+      expect(ui.splits.time.textContent).toBe(formatFrames(59));
+    });
+  });
+
+  describe('Ultra Panel', () => {
+    it('should hide the panel outside Ultra', () => {
+      const ui = createGameUI(container);
+      renderUltra(ui.ultra, createGameState());
+
+      expect(ui.ultra.box.classList.contains('active')).toBe(false);
+    });
+
+    it('should count down and show the scoring rate', () => {
+      const ui = createGameUI(container);
+      const state = createGameState(0, undefined, createGameMode(GAME_MODES.ULTRA, 0, 2));
+      renderUltra(ui.ultra, { ...state, frameCount: 3606, score: { ...state.score, totalScore: 12000 } });
+
+      expect(ui.ultra.box.classList.contains('active')).toBe(true);
+      expect(ui.ultra.time.textContent).toBe(formatFrames(3606));
+      expect(ui.ultra.rate.textContent).toBe('12000');
+    });
+
+    it('should count down between frames while playing', () => {
+      const ui = createGameUI(container);
+      const state = { ...createGameState(0, undefined, createGameMode(GAME_MODES.ULTRA, 0, 2)), state: GAME_STATES.PLAYING };
+      renderUltra(ui.ultra, { ...state, frameCount: 60 }, 0.9);
+
+      expect(ui.ultra.time.textContent).toBe(formatFrames(2 * 3606 - 60.9));
+    });
+  });
+
+  describe('Next Queue Panel', () => {
+    it('should stack one preview per queued piece', () => {
+      const ui = createGameUI(container);
+      const state = { ...createGameState(0, createRules({ previews: 3 })), nextQueue: [1, 2, 3] };
+      renderNextQueue(ui.next, state);
+
+      const shown = ui.next.grids.filter(grid => grid.box.classList.contains('active'));
+      expect(ui.next.grids).toHaveLength(6);
+      expect(ui.next.box.classList.contains('active')).toBe(true);
+      expect(shown).toHaveLength(3);
+      shown.forEach((grid, index) => {
+        expect(grid.cells.filter(cell => cell.classList.contains(`piece-${index + 1}`))).toHaveLength(4);
+      });
+      expect(ui.next.grids[3].cells.every(cell => cell.className === 'next-piece-cell')).toBe(true);
+    });
+
+    it('should show a single preview under NES rules', () => {
+      const ui = createGameUI(container);
+      renderNextQueue(ui.next, { ...createGameState(), nextQueue: [5] });
+
+      expect(ui.next.grids.filter(grid => grid.box.classList.contains('active'))).toHaveLength(1);
+      expect(ui.next.grids[0].cells.filter(cell => cell.classList.contains('piece-5'))).toHaveLength(4);
+    });
+
+    it('should hide the panel with no previews', () => {
+      const ui = createGameUI(container);
+      renderNextQueue(ui.next, { ...createGameState(0, createRules({ previews: 0 })), nextQueue: [5] });
+
+      expect(ui.next.box.classList.contains('active')).toBe(false);
+      expect(ui.next.grids.every(grid => grid.cells.every(cell => cell.className === 'next-piece-cell'))).toBe(true);
+    });
+  });
+
+  describe('Statistics Panel', () => {
+    it('should show an icon and a count for every piece in NES order', () => {
+      const ui = createGameUI(container);
+      const rows = ui.pieceStats.box.querySelectorAll('.stats-row');
+
+      expect(rows).toHaveLength(7);
+      expect(rows[0].querySelectorAll('.piece-3')).toHaveLength(4);
+      expect(rows[6].querySelectorAll('.piece-1')).toHaveLength(4);
+    });
+
+    it('should render the counts and droughts', () => {
+      const ui = createGameUI(container);
+      const state = { ...createGameState(), pieceStats: { counts: [2, 0, 15, 0, 0, 0, 0], drought: 7, longestDrought: 21 } };
+      renderPieceStats(ui.pieceStats, state);
+
+      expect(ui.pieceStats.counts[1].textContent).toBe('002');
+      expect(ui.pieceStats.counts[3].textContent).toBe('015');
+      expect(ui.pieceStats.drought.textContent).toBe('07');
+      expect(ui.pieceStats.longestDrought.textContent).toBe('21');
+    });
+  });
+
+  describe('Metrics Panel', () => {
+    it('should start at zero', () => {
+      const ui = createGameUI(container);
+      renderMetrics(ui.metrics, createGameState());
+
+      expect(ui.metrics.burn.textContent).toBe('000');
+      expect(ui.metrics.tetrisRate.textContent).toBe('0%');
+      expect(ui.metrics.pointsPerLine.textContent).toBe('0');
+      expect(ui.metrics.piecesPerSecond.textContent).toBe('0.00');
+    });
+
+    it('should render burn, tetris rate, points per line and pieces per second', () => {
+      const ui = createGameUI(container);
+      const base = createGameState();
+      const state = {
+        ...base,
+        score: { ...base.score, totalScore: 2600, linesCleared: 10, burnLines: 2, tetrisLines: 8 },
+        pieceStats: { ...base.pieceStats, counts: [10, 10, 5, 0, 0, 0, 0] },
+        frameCount: 1803
+      };
+      renderMetrics(ui.metrics, state);
+
+      expect(ui.metrics.burn.textContent).toBe('002');
+      expect(ui.metrics.tetrisRate.textContent).toBe('80%');
+      expect(ui.metrics.pointsPerLine.textContent).toBe('260');
+      expect(ui.metrics.piecesPerSecond.textContent).toBe('0.83');
+      expect(ui.metrics.box.parentElement.className).toBe('right-panel');
+    });
+  });
+
+  describe('Palettes', () => {
+    it('should default to the NES theme', () => {
+      expect(DEFAULT_PALETTE_THEME).toBe(PALETTE_THEMES.NES);
+      expect(isValidPaletteTheme(PALETTE_THEMES.GUIDELINE)).toBe(true);
+      expect(isValidPaletteTheme('gameboy')).toBe(false);
+      expect(isValidPaletteTheme(null)).toBe(false);
+    });
+
+    it('should repeat the ten NES palettes every 10 levels', () => {
+      expect(NES_LEVEL_PALETTES).toHaveLength(10);
+      expect(getLevelPalette(0)).toEqual({ primary: '#0058f8', secondary: '#3cbcfc' });
+      expect(getLevelPalette(19)).toBe(NES_LEVEL_PALETTES[9]);
+      expect(getLevelPalette(29)).toBe(NES_LEVEL_PALETTES[9]);
+    });
+
+    it('should draw each piece in one of the three NES tile styles', () => {
+      expect(getPieceClass(PIECE_TYPES.T)).toBe('piece-3 tile-hollow');
+      expect(getPieceClass(PIECE_TYPES.O)).toBe('piece-2 tile-hollow');
+      expect(getPieceClass(PIECE_TYPES.I)).toBe('piece-1 tile-hollow');
+      expect(getPieceClass(PIECE_TYPES.J)).toBe('piece-6 tile-primary');
+      expect(getPieceClass(PIECE_TYPES.S)).toBe('piece-4 tile-primary');
+      expect(getPieceClass(PIECE_TYPES.Z)).toBe('piece-5 tile-secondary');
+      expect(getPieceClass(PIECE_TYPES.L)).toBe('piece-7 tile-secondary');
+      expect(getPieceClass(0)).toBe('');
+    });
+
+    it('should color the game UI for the level', () => {
+      const ui = createGameUI(container);
+      const state = createGameState(18);
+      renderPalette(ui, state);
+
+      expect(ui.container.classList.contains('theme-nes')).toBe(true);
+      expect(ui.container.style.getPropertyValue('--tile-primary')).toBe('#0058f8');
+      expect(ui.container.style.getPropertyValue('--tile-secondary')).toBe('#f83800');
+    });
+
+    it('should switch to the modern guideline theme', () => {
+      const ui = createGameUI(container);
+      renderPalette(ui, createGameState(), PALETTE_THEMES.NES);
+      renderPalette(ui, createGameState(), PALETTE_THEMES.GUIDELINE);
+
+      expect(ui.container.classList.contains('theme-guideline')).toBe(true);
+      expect(ui.container.classList.contains('theme-nes')).toBe(false);
+    });
+
+    it('should give preview cells their tile style', () => {
+      const cells = createNextPiecePreview(document.createElement('div'));
+      renderNextPieceSync(cells, PIECE_TYPES.L);
+
+      expect(cells.filter(cell => cell.classList.contains('tile-secondary'))).toHaveLength(4);
+    });
+  });
+
+  describe('Themes', () => {
+    const custom = { ...BUILT_IN_THEMES[1], name: 'PLAYER ONE' };
+
+    it('should ship valid built-in themes, NES first', () => {
+      expect(BUILT_IN_THEMES.length).toBeGreaterThanOrEqual(3);
+      expect(BUILT_IN_THEMES.every(isValidTheme)).toBe(true);
+      expect(DEFAULT_THEME.name).toBe('NES');
+      expect(DEFAULT_THEME.palette).toBe(PALETTE_THEMES.NES);
+    });
+
+    it('should reject themes with unsupported values', () => {
+      expect(isValidTheme({ ...custom, name: '' })).toBe(false);
+      expect(isValidTheme({ ...custom, name: 'A VERY LONG THEME NAME' })).toBe(false);
+      expect(isValidTheme({ ...custom, palette: 'gameboy' })).toBe(false);
+      expect(isValidTheme({ ...custom, font: 'comic' })).toBe(false);
+      expect(isValidTheme({ ...custom, font: 'toString' })).toBe(false);
+      expect(isValidTheme({ ...custom, colors: { ...custom.colors, board: 'red' } })).toBe(false);
+      expect(isValidTheme({ ...custom, colors: { ...custom.colors, text: 'url(x)' } })).toBe(false);
+      expect(isValidTheme({ ...custom, pieces: custom.pieces.slice(1) })).toBe(false);
+      expect(isValidTheme(null)).toBe(false);
+    });
+
+    it('should round-trip a theme through JSON', () => {
+      const result = parseTheme(exportTheme(custom));
+
+      expect(result.error).toBeNull();
+      expect(result.theme).toEqual(custom);
+    });
+
+    it('should clean up imported themes', () => {
+      const json = JSON.stringify({ ...custom, name: ' player one ', extra: 'ignored' });
+      const result = parseTheme(json);
+
+      expect(result.theme.name).toBe('PLAYER ONE');
+      expect(result.theme).not.toHaveProperty('extra');
+    });
+
+    it('should report bad theme JSON', () => {
+      expect(parseTheme('{not json')).toEqual({ theme: null, error: 'Invalid JSON' });
+      expect(parseTheme('"NES"')).toEqual({ theme: null, error: 'Invalid theme' });
+      expect(parseTheme(JSON.stringify({ ...custom, colors: null }))).toEqual({ theme: null, error: 'Invalid theme' });
+    });
+
+    it('should add, replace and remove custom themes', () => {
+      const added = addCustomTheme([], custom);
+      expect(added.error).toBeNull();
+      expect(getThemes(added.themes)).toHaveLength(BUILT_IN_THEMES.length + 1);
+      expect(findTheme(getThemes(added.themes), 'PLAYER ONE')).toBe(custom);
+
+      const recolored = { ...custom, font: 'serif' };
+      const replaced = addCustomTheme(added.themes, recolored);
+      expect(replaced.themes).toEqual([recolored]);
+
+      expect(removeCustomTheme(replaced.themes, 'PLAYER ONE')).toEqual([]);
+      expect(findTheme(getThemes([]), 'PLAYER ONE')).toBeNull();
+    });
+
+    it('should keep built-in theme names and cap the custom themes', () => {
+      expect(addCustomTheme([], { ...custom, name: 'NES' })).toEqual({ themes: [], error: 'Name of a built-in theme' });
+
+      const full = Array.from({ length: MAX_CUSTOM_THEMES }, (_, i) => ({ ...custom, name: `PLAYER ${i}` }));
+      expect(addCustomTheme(full, custom).error).toBe('Too many themes');
+      expect(addCustomTheme(full, { ...custom, name: 'PLAYER 0' }).error).toBeNull();
+    });
+
+    it('should set the theme custom properties', () => {
+      const theme = BUILT_IN_THEMES[2];
+      applyTheme(container, theme);
+
+      expect(container.style.getPropertyValue('--bg-color')).toBe(theme.colors.background);
+      expect(container.style.getPropertyValue('--board-bg')).toBe(theme.colors.board);
+      expect(container.style.getPropertyValue('--panel-bg')).toBe(theme.colors.panel);
+      expect(container.style.getPropertyValue('--color-i')).toBe(theme.pieces[0]);
+      expect(container.style.getPropertyValue('--color-l')).toBe(theme.pieces[6]);
+      expect(container.style.getPropertyValue('--font-family')).toContain('monospace');
+    });
+  });
+
+  describe('Hold Panel', () => {
+    it('should hide the panel without the hold rule', () => {
+      const ui = createGameUI(container);
+      renderHold(ui.hold, createGameState());
+
+      expect(ui.hold.box.classList.contains('active')).toBe(false);
+      expect(ui.hold.cells).toHaveLength(16);
+    });
+
+    it('should preview the held piece and dim a used hold', () => {
+      const ui = createGameUI(container);
+      const state = { ...createGameState(0, createRules({ hold: true })), hold: { pieceType: 3, used: true } };
+      renderHold(ui.hold, state);
+
+      expect(ui.hold.box.classList.contains('active')).toBe(true);
+      expect(ui.hold.box.classList.contains('used')).toBe(true);
+      expect(ui.hold.cells.filter(cell => cell.classList.contains('piece-3'))).toHaveLength(4);
+
+      renderHold(ui.hold, { ...state, hold: { pieceType: null, used: false } });
+      expect(ui.hold.box.classList.contains('used')).toBe(false);
+      expect(ui.hold.cells.every(cell => cell.className === 'next-piece-cell')).toBe(true);
+    });
+  });
+
+  describe('Screens', () => {
+    let screens;
+
+    beforeEach(() => {
+      screens = createScreens(container);
+    });
+
+    it('should cycle through the game types', () => {
+      expect(getSelectedModeType(screens.modeSelect)).toBe(GAME_MODES.A_TYPE);
+      changeSelectedModeType(screens.modeSelect, 1);
+      expect(getSelectedModeType(screens.modeSelect)).toBe(GAME_MODES.B_TYPE);
+      changeSelectedModeType(screens.modeSelect, 1);
+      expect(getSelectedModeType(screens.modeSelect)).toBe(GAME_MODES.SPRINT);
+      changeSelectedModeType(screens.modeSelect, 1);
+      expect(getSelectedModeType(screens.modeSelect)).toBe(GAME_MODES.ULTRA);
+      changeSelectedModeType(screens.modeSelect, 1);
+      expect(getSelectedModeType(screens.modeSelect)).toBe(GAME_MODES.A_TYPE);
+      changeSelectedModeType(screens.modeSelect, -1);
+      expect(getSelectedModeType(screens.modeSelect)).toBe(GAME_MODES.ULTRA);
+    });
+
+    it('should offer start levels 0-19 in two rows', () => {
+      const options = screens.levelSelect.querySelectorAll('.level-option');
+
+      expect(options).toHaveLength(20);
+      expect(options[10].dataset.level).toBe('10');
+      expect(options[19].textContent).toBe('19');
+    });
+
+    it('should clamp the selected level to 0-19', () => {
+      changeSelectedLevel(screens.levelSelect, -1);
+      expect(getSelectedLevel(screens.levelSelect)).toBe(0);
+      for (let i = 0; i < 25; i++) {
+        changeSelectedLevel(screens.levelSelect, 1);
+      }
+      expect(getSelectedLevel(screens.levelSelect)).toBe(19);
+    });
+
+    it('should clamp the selected height to 0-5', () => {
+      changeSelectedHeight(screens.levelSelect, -1);
+      expect(getSelectedHeight(screens.levelSelect)).toBe(0);
+      for (let i = 0; i < 8; i++) {
+        changeSelectedHeight(screens.levelSelect, 1);
+      }
+      expect(getSelectedHeight(screens.levelSelect)).toBe(5);
+    });
+
+    it('should switch the Ultra time between 2 and 3 minutes', () => {
+      expect(getSelectedMinutes(screens.levelSelect)).toBe(3);
+      changeSelectedMinutes(screens.levelSelect, -1);
+      changeSelectedMinutes(screens.levelSelect, -1);
+      expect(getSelectedMinutes(screens.levelSelect)).toBe(2);
+      changeSelectedMinutes(screens.levelSelect, 1);
+      expect(getSelectedMinutes(screens.levelSelect)).toBe(3);
+    });
+
+    it('should show the level select rows of the mode', () => {
+      const heightSelect = screens.levelSelect.querySelector('.height-select');
+      const minutesSelect = screens.levelSelect.querySelector('.minutes-select');
+
+      setModeOptionsVisible(screens.levelSelect, GAME_MODES.B_TYPE);
+      expect(heightSelect.classList.contains('active')).toBe(true);
+      expect(minutesSelect.classList.contains('active')).toBe(false);
+
+      setModeOptionsVisible(screens.levelSelect, GAME_MODES.ULTRA);
+      expect(heightSelect.classList.contains('active')).toBe(false);
+      expect(minutesSelect.classList.contains('active')).toBe(true);
+
+      setModeOptionsVisible(screens.levelSelect, GAME_MODES.A_TYPE);
+      expect(minutesSelect.classList.contains('active')).toBe(false);
+    });
+
+    it('should build the selected game mode', () => {
+      changeSelectedHeight(screens.levelSelect, 2);
+      expect(getSelectedGameMode(screens)).toEqual(createGameMode());
+
+      changeSelectedModeType(screens.modeSelect, 1);
+      expect(getSelectedGameMode(screens)).toEqual(createGameMode(GAME_MODES.B_TYPE, 2));
+
+      changeSelectedModeType(screens.modeSelect, -2);
+      changeSelectedMinutes(screens.levelSelect, -1);
+      expect(getSelectedGameMode(screens)).toEqual(createGameMode(GAME_MODES.ULTRA, 0, 2));
+    });
+
+    it('should toggle the optional rules', () => {
+      expect(isRuleSelected(screens.modeSelect, 'hold')).toBe(false);
+      expect(getSelectedRules(screens)).toEqual(createRules());
+
+      toggleRuleSelected(screens.modeSelect, 'hold');
+      toggleRuleSelected(screens.modeSelect, 'hardDrop');
+      expect(isRuleSelected(screens.modeSelect, 'hold')).toBe(true);
+      expect(screens.modeSelect.querySelector('.rule-toggle[data-rule="hardDrop"]').textContent).toBe('HARD DROP ON');
+      expect(getSelectedRules(screens)).toEqual(createRules({ hold: true, hardDrop: true }));
+
+      toggleRuleSelected(screens.modeSelect, 'lockDelay');
+      expect(screens.modeSelect.querySelector('.rule-toggle[data-rule="lockDelay"]').textContent).toBe('LOCK DELAY ON');
+      expect(getSelectedRules(screens).lockDelay).toBe(GUIDELINE_LOCK_DELAY);
+      toggleRuleSelected(screens.modeSelect, 'lockDelay');
+
+      toggleRuleSelected(screens.modeSelect, 'hold');
+      toggleRuleSelected(screens.modeSelect, 'unknown');
+      expect(isRuleSelected(screens.modeSelect, 'hold')).toBe(false);
+    });
+
+    it('should cycle the number of previews', () => {
+      const previewCount = screens.modeSelect.querySelector('.preview-count');
+      expect(getSelectedPreviews(screens.modeSelect)).toBe(1);
+      expect(previewCount.textContent).toBe('NEXT 1');
+
+      changeSelectedPreviews(screens.modeSelect, 5);
+      expect(getSelectedRules(screens).previews).toBe(6);
+      expect(previewCount.classList.contains('selected')).toBe(true);
+
+      changeSelectedPreviews(screens.modeSelect, 1);
+      expect(getSelectedPreviews(screens.modeSelect)).toBe(0);
+      expect(previewCount.textContent).toBe('NEXT OFF');
+
+      changeSelectedPreviews(screens.modeSelect, -1);
+      expect(getSelectedPreviews(screens.modeSelect)).toBe(6);
+    });
+
+    it('should cycle the built-in gravity curves', () => {
+      const gravityCurve = screens.modeSelect.querySelector('.gravity-curve');
+      expect(getSelectedGravityCurve(screens.modeSelect)).toBe(GRAVITY_CURVES.NES);
+      expect(gravityCurve.textContent).toBe('GRAVITY NES');
+
+      changeSelectedGravityCurve(screens.modeSelect);
+      expect(getSelectedRules(screens).gravityCurve).toBe(GRAVITY_CURVES.TWENTY_G);
+      expect(gravityCurve.textContent).toBe('GRAVITY 20G');
+      expect(gravityCurve.classList.contains('selected')).toBe(true);
+
+      changeSelectedGravityCurve(screens.modeSelect);
+      expect(getSelectedGravityCurve(screens.modeSelect)).toBe(GRAVITY_CURVES.NES);
+    });
+
+    it('should offer a custom gravity curve when one is defined', () => {
+      const gravityCurve = screens.modeSelect.querySelector('.gravity-curve');
+      changeSelectedGravityCurve(screens.modeSelect, [30, 10, 0]);
+      changeSelectedGravityCurve(screens.modeSelect, [30, 10, 0]);
+
+      expect(getSelectedRules(screens).gravityCurve).toEqual([30, 10, 0]);
+      expect(gravityCurve.textContent).toBe('GRAVITY CUSTOM');
+
+      changeSelectedGravityCurve(screens.modeSelect, [30, 10, 0]);
+      expect(getSelectedGravityCurve(screens.modeSelect)).toBe(GRAVITY_CURVES.NES);
+    });
+
+    it('should list the themes on the settings screen', () => {
+      setThemeOptions(screens.settings, BUILT_IN_THEMES, 'MODERN');
+
+      const options = screens.settings.querySelectorAll('.theme-option');
+      expect(options).toHaveLength(BUILT_IN_THEMES.length);
+      expect(options[0].textContent).toBe('NES');
+      expect(getSelectedThemeName(screens.settings)).toBe('MODERN');
+    });
+
+    it('should move the theme selection with wrap-around', () => {
+      setThemeOptions(screens.settings, BUILT_IN_THEMES, 'NES');
+
+      changeSelectedTheme(screens.settings, -1);
+      expect(getSelectedThemeName(screens.settings)).toBe(BUILT_IN_THEMES.at(-1).name);
+      changeSelectedTheme(screens.settings, 1);
+      expect(getSelectedThemeName(screens.settings)).toBe('NES');
+      expect(screens.settings.querySelectorAll('.theme-option.selected')).toHaveLength(1);
+    });
+
+    it('should show the ghost setting on the settings screen, off by default', () => {
+      const ghost = screens.settings.querySelector('.ghost-setting');
+      expect(ghost.textContent).toBe('GHOST OFF');
+
+      setGhostSetting(screens.settings, true);
+      expect(ghost.textContent).toBe('GHOST ON');
+      expect(ghost.classList.contains('selected')).toBe(true);
+      expect(screens.modeSelect.querySelector('.rule-toggle[data-rule="ghost"]')).toBeNull();
+    });
+
+    it('should hold the theme JSON and status on the settings screen', () => {
+      setThemeJson(screens.settings, '{"name":"X"}');
+      setThemeStatus(screens.settings, 'INVALID THEME');
+
+      expect(getThemeJson(screens.settings)).toBe('{"name":"X"}');
+      expect(screens.settings.querySelector('.theme-status').textContent).toBe('INVALID THEME');
+    });
+
+    it('should hold the gravity curve JSON and status on the settings screen', () => {
+      setGravityCurveJson(screens.settings, '[30, 300]');
+      setGravityCurveStatus(screens.settings, 'INVALID GRAVITY CURVE');
+
+      expect(getGravityCurveJson(screens.settings)).toBe('[30, 300]');
+      expect(screens.settings.querySelector('.gravity-curve-status').textContent).toBe('INVALID GRAVITY CURVE');
+      expect(screens.settings.querySelector('.theme-status').textContent).toBe('');
+    });
+
+    it('should swap a selected custom curve for the saved one', () => {
+      changeSelectedGravityCurve(screens.modeSelect, [30, 10, 0]);
+      changeSelectedGravityCurve(screens.modeSelect, [30, 10, 0]);
+
+      replaceCustomGravityCurve(screens.modeSelect, [20, 5]);
+      expect(getSelectedGravityCurve(screens.modeSelect)).toEqual([20, 5]);
+
+      replaceCustomGravityCurve(screens.modeSelect, null);
+      expect(getSelectedGravityCurve(screens.modeSelect)).toBe(GRAVITY_CURVES.NES);
+    });
+
+    it('should keep a built-in curve when the custom curve changes', () => {
+      changeSelectedGravityCurve(screens.modeSelect);
+
+      replaceCustomGravityCurve(screens.modeSelect, [20, 5]);
+      expect(getSelectedGravityCurve(screens.modeSelect)).toBe(GRAVITY_CURVES.TWENTY_G);
+    });
+
+    it('should open the settings screen', () => {
+      transitionScreen(screens, SCREENS.TITLE, SCREENS.SETTINGS);
+
+      expect(container.querySelectorAll('.screen.active')).toHaveLength(1);
+      expect(screens.settings.classList.contains('active')).toBe(true);
+    });
+
+    it('should skip a custom curve that was removed', () => {
+      changeSelectedGravityCurve(screens.modeSelect, [30, 10, 0]);
+      changeSelectedGravityCurve(screens.modeSelect, [30, 10, 0]);
+      changeSelectedGravityCurve(screens.modeSelect);
+
+      expect(getSelectedGravityCurve(screens.modeSelect)).toBe(GRAVITY_CURVES.NES);
+    });
+
+    it('should show exactly one screen', () => {
+      transitionScreen(screens, SCREENS.TITLE, SCREENS.MODE_SELECT);
+      expect(container.querySelectorAll('.screen.active')).toHaveLength(1);
+      expect(screens.modeSelect.classList.contains('active')).toBe(true);
+
+      transitionScreen(screens, SCREENS.GAME, SCREENS.RESULTS);
+      expect(container.querySelectorAll('.screen.active')).toHaveLength(1);
+      expect(screens.results.classList.contains('active')).toBe(true);
+    });
+
+    it('should show results for a won game', () => {
+      expect(getScreenForGameState(GAME_STATES.COMPLETE, screens)).toBe(screens.results);
+    });
+
+    it('should write scores to the results screen', () => {
+      screens.updateResults(1500, 9000);
+
+      expect(screens.results.querySelector('.final-score').textContent).toBe('SCORE: 001500');
+      expect(screens.results.querySelector('.high-score').textContent).toBe('HIGH: 009000');
+    });
+
+    it('should list the mode details on the results screen', () => {
+      const details = screens.results.querySelector('.results-details');
+      const title = screens.results.querySelector('.results-text');
+
+      screens.updateResults(0, 0, ['SINGLES 4', 'TETRISES 2'], 'TIME UP');
+      expect(Array.from(details.children, line => line.textContent)).toEqual(['SINGLES 4', 'TETRISES 2']);
+      expect(title.textContent).toBe('TIME UP');
+
+      screens.updateResults(0, 0);
+      expect(details.children).toHaveLength(0);
+      expect(title.textContent).toBe('CONGRATULATIONS');
+    });
   });
 });
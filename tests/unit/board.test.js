@@ -10,10 +10,12 @@ import {
   getCell,
   setCell,
   isRowComplete,
+  getCompletedRows,
   clearLines,
   placePiece,
   getVisibleBoard,
-  isSpawnAreaClear
+  isSpawnAreaClear,
+  createGarbageBoard
 } from '../../src/domain/board.js';
 
 describe('Board Domain', () => {
@@ -140,6 +142,22 @@ describe('Board Domain', () => {
     });
   });
 
+  describe('getCompletedRows', () => {
+    it('should return no rows for an empty board', () => {
+      expect(getCompletedRows(createEmptyBoard())).toEqual([]);
+    });
+
+    it('should list completed rows top to bottom', () => {
+      const board = createEmptyBoard();
+      board[21].fill(1);
+      board[18].fill(2);
+      board[20].fill(3);
+      board[20][4] = 0;
+
+      expect(getCompletedRows(board)).toEqual([18, 21]);
+    });
+  });
+
   describe('isRowComplete', () => {
     let board;
 
@@ -359,6 +377,48 @@ describe('Board Domain', () => {
     });
   });
 
+  describe('createGarbageBoard', () => {
+    it('should fill the requested rows from the bottom', () => {
+      const board = createGarbageBoard(5, 1234);
+
+      for (let y = TOTAL_ROWS - 5; y < TOTAL_ROWS; y++) {
+        expect(board[y].some(cell => cell !== 0)).toBe(true);
+      }
+    });
+
+    it('should leave every garbage row with a hole', () => {
+      const board = createGarbageBoard(12, 99);
+
+      for (let y = TOTAL_ROWS - 12; y < TOTAL_ROWS; y++) {
+        expect(board[y].some(cell => cell === 0)).toBe(true);
+        expect(isRowComplete(board, y)).toBe(false);
+      }
+    });
+
+    it('should keep the rows above the garbage empty', () => {
+      const board = createGarbageBoard(8, 7);
+
+      for (let y = 0; y < TOTAL_ROWS - 8; y++) {
+        expect(board[y].every(cell => cell === 0)).toBe(true);
+      }
+    });
+
+    it('should be deterministic for a seed', () => {
+      expect(createGarbageBoard(10, 4242)).toEqual(createGarbageBoard(10, 4242));
+      expect(createGarbageBoard(10, 4242)).not.toEqual(createGarbageBoard(10, 1234));
+    });
+
+    it('should return an empty board for no rows', () => {
+      expect(createGarbageBoard(0, 1)).toEqual(createEmptyBoard());
+    });
+
+    it('should only use piece colors', () => {
+      const board = createGarbageBoard(12, 0);
+
+      expect(board.flat().every(cell => cell >= 0 && cell <= 7)).toBe(true);
+    });
+  });
+
   describe('Immutability', () => {
     it('should never mutate previous board state', () => {
       const board1 = createEmptyBoard();
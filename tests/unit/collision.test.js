@@ -4,6 +4,8 @@ import {
   canMovePiece,
   canRotatePiece,
   isPieceTouchingFloor,
+  getDropDistance,
+  getGhostPiece,
   canSpawnPiece
 } from '../../src/domain/collision.js';
 import { createEmptyBoard, BOARD_WIDTH, TOTAL_ROWS, setCell } from '../../src/domain/board.js';
@@ -231,6 +233,40 @@ describe('Collision Domain', () => {
     });
   });
 
+  describe('getGhostPiece', () => {
+    it('should move the piece down to where it lands', () => {
+      const piece = { ...createPiece(PIECE_TYPES.T), x: 4, y: 0 };
+      board = setCell(board, 5, 18, 1);
+      const ghost = getGhostPiece(board, piece);
+
+      expect(ghost).toEqual({ ...piece, y: 16 });
+      expect(ghost.y - piece.y).toBe(getDropDistance(board, piece));
+    });
+
+    it('should return the piece itself when it is resting', () => {
+      const piece = { ...createPiece(PIECE_TYPES.O), y: 20 };
+      expect(getGhostPiece(board, piece)).toBe(piece);
+    });
+  });
+
+  describe('getDropDistance', () => {
+    it('should measure the fall to the floor', () => {
+      const piece = { ...createPiece(PIECE_TYPES.O), y: 0 };
+      expect(getDropDistance(board, piece)).toBe(20);
+    });
+
+    it('should stop on top of blocks', () => {
+      const piece = { ...createPiece(PIECE_TYPES.O), x: 4, y: 0 };
+      board = setCell(board, 5, 20, 1);
+      expect(getDropDistance(board, piece)).toBe(18);
+    });
+
+    it('should be 0 for a resting piece', () => {
+      const piece = { ...createPiece(PIECE_TYPES.O), y: 20 };
+      expect(getDropDistance(board, piece)).toBe(0);
+    });
+  });
+
   describe('canSpawnPiece', () => {
     it('should return true when spawn area is clear', () => {
       expect(canSpawnPiece(board, PIECE_TYPES.I)).toBe(true);
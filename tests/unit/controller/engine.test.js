@@ -0,0 +1,172 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { createEngine, applyInputFrame } from '../../../src/controller/engine.js';
+import { createInputState, clearTransientKeys, ACTIONS } from '../../../src/controller/inputController.js';
+import { GAME_STATES } from '../../../src/domain/gameState.js';
+import { createRules } from '../../../src/domain/rules.js';
+import { RANDOMIZER_STRATEGIES } from '../../../src/domain/randomizer.js';
+import { createGameMode, GAME_MODES } from '../../../src/domain/gameMode.js';
+import { TOTAL_ROWS } from '../../../src/domain/board.js';
+
+function runFrames(engine, frames, inputFrame = {}) {
+  let result;
+  for (let i = 0; i < frames; i++) {
+    result = engine.step(inputFrame);
+  }
+  return result;
+}
+
+function runToGameOver(engine, maxFrames) {
+  for (let frame = 1; frame <= maxFrames; frame++) {
+    const { events } = engine.step();
+    if (events.some(event => event.type === 'GAME_OVER')) {
+      return frame;
+    }
+  }
+  return null;
+}
+
+describe('Engine', () => {
+  describe('createEngine', () => {
+    it('should run without a DOM', () => {
+      expect(typeof document).toBe('undefined');
+      expect(typeof requestAnimationFrame).toBe('undefined');
+
+      const engine = createEngine({ seed: 1 });
+      expect(engine.step().state.state).toBe(GAME_STATES.PLAYING);
+    });
+
+    it('should start a game with the given options', () => {
+      const rules = createRules({ randomizer: RANDOMIZER_STRATEGIES.BAG_7 });
+      const state = createEngine({ seed: 42, startLevel: 5, rules }).getState();
+
+      expect(state.state).toBe(GAME_STATES.PLAYING);
+      expect(state.randomizer.seed).toBe(42);
+      expect(state.level.currentLevel).toBe(5);
+      expect(state.rules).toBe(rules);
+      expect(state.currentPiece).not.toBeNull();
+    });
+
+    it('should start a B-Type game on garbage', () => {
+      const mode = createGameMode(GAME_MODES.B_TYPE, 5);
+      const state = createEngine({ seed: 42, mode }).getState();
+
+      expect(state.mode).toBe(mode);
+      expect(state.board[TOTAL_ROWS - 12].some(cell => cell !== 0)).toBe(true);
+    });
+
+    it('should pick a random seed when none is given', () => {
+      expect(typeof createEngine().getState().randomizer.seed).toBe('number');
+    });
+  });
+
+  describe('step', () => {
+    it('should apply gravity without input', () => {
+      const engine = createEngine({ seed: 7 });
+      const startY = engine.getState().currentPiece.y;
+
+      // Level 0 drops one row every 48 frames
+      const { state } = runFrames(engine, 48 * 3);
+
+      expect(state.currentPiece.y).toBe(startY + 3);
+      expect(state.frameCount).toBe(48 * 3);
+    });
+
+    it('should return the current state and events', () => {
+      const engine = createEngine({ seed: 7 });
+      const result = engine.step();
+
+      expect(result.state).toBe(engine.getState());
+      expect(Array.isArray(result.events)).toBe(true);
+    });
+
+    it('should not mutate states returned by earlier steps', () => {
+      const engine = createEngine({ seed: 7 });
+      const first = engine.step().state;
+      const snapshot = JSON.stringify(first);
+      runFrames(engine, 100);
+
+      expect(JSON.stringify(first)).toBe(snapshot);
+    });
+
+    it('should rotate once per press of a held action', () => {
+      const engine = createEngine({ seed: 7 });
+      const rotation = engine.getState().currentPiece.rotation;
+      const { state } = runFrames(engine, 5, { [ACTIONS.ROTATE_CW]: true });
+
+      expect(state.currentPiece.rotation).toBe((rotation + 1) % 4);
+    });
+
+    it('should auto-shift while a direction is held', () => {
+      const engine = createEngine({ seed: 7 });
+      const { state } = runFrames(engine, 40, { [ACTIONS.MOVE_LEFT]: true });
+
+      const minX = Math.min(...state.currentPiece.cells.map(cell => state.currentPiece.x + cell.x));
+      expect(minX).toBe(0);
+    });
+
+    it('should soft drop while held', () => {
+      const engine = createEngine({ seed: 7 });
+      const { state } = runFrames(engine, 5, { [ACTIONS.SOFT_DROP]: true });
+
+      expect(state.pushDownRows).toBe(5);
+    });
+
+    it('should play a full game to game over', () => {
+      const frames = runToGameOver(createEngine({ seed: 3, startLevel: 19 }), 20000);
+
+      expect(frames).not.toBeNull();
+    });
+  });
+
+  describe('Determinism', () => {
+    it('should produce identical games for the same seed and inputs', () => {
+      const inputs = frame => ({
+        [ACTIONS.MOVE_LEFT]: frame % 90 < 20,
+        [ACTIONS.ROTATE_CW]: frame % 50 === 0,
+        [ACTIONS.SOFT_DROP]: frame % 200 > 150
+      });
+      const a = createEngine({ seed: 99, startLevel: 9 });
+      const b = createEngine({ seed: 99, startLevel: 9 });
+
+      for (let frame = 0; frame < 1500; frame++) {
+        a.step(inputs(frame));
+        b.step(inputs(frame));
+      }
+
+      expect(a.getState()).toEqual(b.getState());
+    });
+
+    it('should run many headless games quickly', () => {
+      for (let seed = 0; seed < 20; seed++) {
+        expect(runToGameOver(createEngine({ seed, startLevel: 19 }), 20000)).not.toBeNull();
+      }
+    });
+  });
+
+  describe('applyInputFrame', () => {
+    it('should press newly held actions and queue them', () => {
+      const input = applyInputFrame(createInputState(), { [ACTIONS.ROTATE_CCW]: true });
+
+      expect(input.keysJustPressed.size).toBe(1);
+      expect(input.actionQueue).toEqual([ACTIONS.ROTATE_CCW]);
+    });
+
+    it('should keep held actions without pressing them again', () => {
+      const held = clearTransientKeys(applyInputFrame(createInputState(), { [ACTIONS.MOVE_RIGHT]: true }));
+      const input = applyInputFrame(held, { [ACTIONS.MOVE_RIGHT]: true });
+
+      expect(input.keysJustPressed.size).toBe(0);
+      expect(input.keysPressed.size).toBe(1);
+    });
+
+    it('should release actions no longer held', () => {
+      const held = clearTransientKeys(applyInputFrame(createInputState(), { [ACTIONS.SOFT_DROP]: true }));
+      const input = applyInputFrame(held, {});
+
+      expect(input.keysPressed.size).toBe(0);
+      expect(input.keysJustReleased.size).toBe(1);
+      expect(input.softDropActive).toBe(false);
+    });
+  });
+});
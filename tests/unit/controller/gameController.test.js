@@ -3,23 +3,53 @@ import {
   initGame,
   startNewGame,
   spawnNewPiece,
+  holdPiece,
   movePieceLeft,
   movePieceRight,
   rotatePieceClockwise,
   rotatePieceCounterClockwise,
   softDrop,
+  hardDrop,
+  sonicDrop,
   applyGravity,
   lockCurrentPiece,
   processInput,
   updateGame,
+  createFrame,
+  inputStage,
+  dasStage,
+  rotateStage,
+  dropStage,
+  lockStage,
+  lineClearStage,
+  areStage,
+  timeLimitStage,
+  FRAME_STAGES,
+  EVENTS,
   togglePause,
   returnToTitle,
   getGameStatus
 } from '../../../src/controller/gameController.js';
-import { createGameState, GAME_STATES } from '../../../src/domain/gameState.js';
+import {
+  createGameState,
+  updateBoard,
+  updateCurrentPiece,
+  startLineClear,
+  startEntryDelay,
+  createPhase,
+  getEntryDelay,
+  PLAY_PHASES,
+  LINE_CLEAR_FRAMES,
+  GAME_STATES
+} from '../../../src/domain/gameState.js';
 import { createInputState, handleKeyDown, ACTIONS } from '../../../src/controller/inputController.js';
-import { PIECE_TYPES } from '../../../src/domain/piece.js';
+import { PIECE_TYPES, createPiece, rotatePiece } from '../../../src/domain/piece.js';
+import { createRules } from '../../../src/domain/rules.js';
+import { SOFT_DROP_SCORING } from '../../../src/domain/scoring.js';
 import { createEmptyBoard, setCell, BOARD_WIDTH } from '../../../src/domain/board.js';
+import { createGameMode, GAME_MODES } from '../../../src/domain/gameMode.js';
+import { GRAVITY_CURVES } from '../../../src/domain/gravity.js';
+import { getDropDistance } from '../../../src/domain/collision.js';
 
 describe('Game Controller', () => {
   let gameState;
@@ -35,7 +65,7 @@ describe('Game Controller', () => {
       
       expect(state.state).toBe(GAME_STATES.TITLE);
       expect(state.currentPiece).toBeNull();
-      expect(state.nextPiece).toBeNull();
+      expect(state.nextQueue).toEqual([]);
     });
 
     it('should accept start level', () => {
@@ -62,13 +92,29 @@ describe('Game Controller', () => {
       expect(result.currentPiece.type).toBeLessThanOrEqual(7);
     });
 
-    it('should set next piece', () => {
+    it('should fill the next queue', () => {
       gameState = createGameState();
       const result = startNewGame(gameState);
       
-      expect(result.nextPiece).not.toBeNull();
-      expect(result.nextPiece).toBeGreaterThanOrEqual(1);
-      expect(result.nextPiece).toBeLessThanOrEqual(7);
+      expect(result.nextQueue).toHaveLength(1);
+      expect(result.nextQueue[0]).toBeGreaterThanOrEqual(1);
+      expect(result.nextQueue[0]).toBeLessThanOrEqual(7);
+    });
+
+    it('should count the first piece', () => {
+      const result = startNewGame(createGameState(), 0, 5);
+      
+      expect(result.pieceStats.counts[result.currentPiece.type - 1]).toBe(1);
+      expect(result.pieceStats.counts.reduce((sum, count) => sum + count, 0)).toBe(1);
+    });
+
+    it('should fill the queue for every preview', () => {
+      const result = startNewGame(createGameState(0, createRules({ previews: 6 })), 0, 5);
+      const hidden = startNewGame(createGameState(0, createRules({ previews: 0 })), 0, 5);
+      
+      expect(result.nextQueue).toHaveLength(6);
+      expect(result.nextQueue.every(type => type >= 1 && type <= 7)).toBe(true);
+      expect(hidden.nextQueue).toHaveLength(1);
     });
 
     it('should reset score', () => {
@@ -89,8 +135,6 @@ describe('Game Controller', () => {
 
     it('should spawn new piece', () => {
       const originalPiece = gameState.currentPiece;
-      const originalNextPiece = gameState.nextPiece;
-      
       const result = spawnNewPiece(gameState);
       
       expect(result.gameOver).toBe(false);
@@ -98,7 +142,7 @@ describe('Game Controller', () => {
     });
 
     it('should advance next piece to current', () => {
-      const originalNextPiece = gameState.nextPiece;
+      const originalNextPiece = gameState.nextQueue[0];
       
       const result = spawnNewPiece(gameState);
       
@@ -108,9 +152,27 @@ describe('Game Controller', () => {
     it('should get new next piece from randomizer', () => {
       const result = spawnNewPiece(gameState);
       
-      expect(result.gameState.nextPiece).not.toBeNull();
-      expect(result.gameState.nextPiece).toBeGreaterThanOrEqual(1);
-      expect(result.gameState.nextPiece).toBeLessThanOrEqual(7);
+      expect(result.gameState.nextQueue).toHaveLength(1);
+      expect(result.gameState.nextQueue[0]).toBeGreaterThanOrEqual(1);
+      expect(result.gameState.nextQueue[0]).toBeLessThanOrEqual(7);
+    });
+
+    it('should count the spawned piece in the statistics', () => {
+      const result = spawnNewPiece(gameState);
+      const type = gameState.nextQueue[0];
+      
+      expect(result.gameState.pieceStats.counts[type - 1]).toBe(gameState.pieceStats.counts[type - 1] + 1);
+      expect(result.gameState.pieceStats.counts.reduce((sum, count) => sum + count, 0)).toBe(2);
+      expect(result.gameState.pieceStats.drought).toBe(type === PIECE_TYPES.I ? 0 : gameState.pieceStats.drought + 1);
+    });
+
+    it('should shift the queue forward and draw one piece at the back', () => {
+      const queueGame = startNewGame(createGameState(0, createRules({ previews: 3 })), 0, 5);
+      const result = spawnNewPiece(queueGame);
+      
+      expect(result.gameState.currentPiece.type).toBe(queueGame.nextQueue[0]);
+      expect(result.gameState.nextQueue.slice(0, 2)).toEqual(queueGame.nextQueue.slice(1));
+      expect(result.gameState.nextQueue).toHaveLength(3);
     });
 
     it('should trigger game over when spawn blocked', () => {
@@ -130,6 +192,83 @@ describe('Game Controller', () => {
     });
   });
 
+  describe('holdPiece', () => {
+    const holdRules = createRules({ hold: true });
+
+    beforeEach(() => {
+      gameState = startNewGame(createGameState(0, holdRules), 0, 5);
+    });
+
+    it('should do nothing without the hold rule', () => {
+      const nesGame = startNewGame(createGameState(), 0, 5);
+      const result = holdPiece(nesGame);
+
+      expect(result.held).toBe(false);
+      expect(result.gameState).toBe(nesGame);
+    });
+
+    it('should hold the piece and bring in the next one from the queue', () => {
+      const { currentPiece, nextQueue } = gameState;
+      const result = holdPiece(gameState);
+
+      expect(result.held).toBe(true);
+      expect(result.gameState.hold).toEqual({ pieceType: currentPiece.type, used: true });
+      expect(result.gameState.currentPiece.type).toBe(nextQueue[0]);
+      expect(result.gameState.randomizer).not.toBe(gameState.randomizer);
+    });
+
+    it('should swap with the held piece at its spawn position', () => {
+      const held = { ...gameState, hold: { pieceType: PIECE_TYPES.T, used: false } };
+      const moved = updateCurrentPiece(held, { ...held.currentPiece, y: 10 });
+      const result = holdPiece(moved);
+
+      expect(result.gameState.currentPiece).toEqual(createPiece(PIECE_TYPES.T));
+      expect(result.gameState.hold.pieceType).toBe(gameState.currentPiece.type);
+      expect(result.gameState.nextQueue).toBe(gameState.nextQueue);
+      expect(result.gameState.randomizer).toBe(gameState.randomizer);
+    });
+
+    it('should allow one hold per piece', () => {
+      const once = holdPiece(gameState).gameState;
+      const twice = holdPiece(once);
+
+      expect(twice.held).toBe(false);
+      expect(twice.gameState).toBe(once);
+    });
+
+    it('should keep the DAS charge and drop the push-down streak', () => {
+      const charged = { ...gameState, das: { ...gameState.das, counter: 12, direction: 1 }, pushDownRows: 4 };
+      const result = holdPiece(charged);
+
+      expect(result.gameState.das).toEqual(charged.das);
+      expect(result.gameState.pushDownRows).toBe(0);
+    });
+
+    it('should end the game when the held piece cannot spawn', () => {
+      let board = createEmptyBoard();
+      for (let y = 0; y < 4; y++) {
+        for (let x = 0; x < BOARD_WIDTH; x++) {
+          board = setCell(board, x, y, 1);
+        }
+      }
+      const blocked = { ...updateBoard(gameState, board), hold: { pieceType: PIECE_TYPES.I, used: false } };
+      const result = holdPiece(blocked);
+
+      expect(result.gameOver).toBe(true);
+      expect(result.gameState.state).toBe(GAME_STATES.GAMEOVER);
+      expect(result.gameState.currentPiece).toBeNull();
+    });
+
+    it('should free the slot when the piece locks', () => {
+      const held = holdPiece(gameState).gameState;
+      const resting = { ...held, currentPiece: { ...held.currentPiece, y: 20 } };
+      const result = lockCurrentPiece(resting);
+
+      expect(result.locked).toBe(true);
+      expect(result.gameState.hold.used).toBe(false);
+    });
+  });
+
   describe('movePieceLeft', () => {
     beforeEach(() => {
       gameState = startNewGame(createGameState());
@@ -271,12 +410,23 @@ describe('Game Controller', () => {
       expect(result.gameState.currentPiece.y).toBe(originalY + 1);
     });
 
-    it('should add soft drop score', () => {
+    it('should extend the push-down streak instead of scoring', () => {
       const originalScore = gameState.score.totalScore;
       
       const result = softDrop(gameState);
       
-      expect(result.gameState.score.totalScore).toBe(originalScore + 1);
+      expect(result.gameState.score.totalScore).toBe(originalScore);
+      expect(result.gameState.pushDownRows).toBe(1);
+    });
+
+    it('should add soft drop score per cell with per-cell rules', () => {
+      const rules = createRules({ softDropScoring: SOFT_DROP_SCORING.PER_CELL });
+      gameState = startNewGame(createGameState(0, rules));
+      
+      const result = softDrop(gameState);
+      
+      expect(result.gameState.score.totalScore).toBe(1);
+      expect(result.gameState.pushDownRows).toBe(0);
     });
 
     it('should not drop when on floor', () => {
@@ -306,6 +456,68 @@ describe('Game Controller', () => {
     });
   });
 
+  describe('hardDrop', () => {
+    beforeEach(() => {
+      gameState = startNewGame(createGameState(0, createRules({ hardDrop: true })), 0, 5);
+    });
+
+    it('should do nothing without the hard drop rule', () => {
+      const nesGame = startNewGame(createGameState(), 0, 5);
+      const result = hardDrop(nesGame);
+
+      expect(result.dropped).toBe(false);
+      expect(result.gameState).toBe(nesGame);
+    });
+
+    it('should move the piece to its landing position and score 2 per cell', () => {
+      const piece = { ...createPiece(PIECE_TYPES.O), y: 0 };
+      const result = hardDrop(updateCurrentPiece(gameState, piece));
+
+      expect(result.dropped).toBe(true);
+      expect(result.cellsDropped).toBe(20);
+      expect(result.gameState.currentPiece.y).toBe(20);
+      expect(result.gameState.score.totalScore).toBe(40);
+      expect(result.gameState.score.hardDropCells).toBe(20);
+    });
+
+    it('should still drop a resting piece so it locks', () => {
+      const piece = { ...createPiece(PIECE_TYPES.O), y: 20 };
+      const result = hardDrop(updateCurrentPiece(gameState, piece));
+
+      expect(result.dropped).toBe(true);
+      expect(result.cellsDropped).toBe(0);
+    });
+  });
+
+  describe('sonicDrop', () => {
+    beforeEach(() => {
+      gameState = startNewGame(createGameState(0, createRules({ sonicDrop: true })), 0, 5);
+    });
+
+    it('should do nothing without the sonic drop rule', () => {
+      const nesGame = startNewGame(createGameState(), 0, 5);
+
+      expect(sonicDrop(nesGame).gameState).toBe(nesGame);
+    });
+
+    it('should move the piece to its landing position without scoring', () => {
+      const piece = { ...createPiece(PIECE_TYPES.O), y: 0 };
+      const result = sonicDrop(updateCurrentPiece(gameState, piece));
+
+      expect(result.cellsDropped).toBe(20);
+      expect(result.gameState.currentPiece.y).toBe(20);
+      expect(result.gameState.score.totalScore).toBe(0);
+    });
+
+    it('should not drop a resting piece', () => {
+      const resting = updateCurrentPiece(gameState, { ...createPiece(PIECE_TYPES.O), y: 20 });
+      const result = sonicDrop(resting);
+
+      expect(result.dropped).toBe(false);
+      expect(result.gameState).toBe(resting);
+    });
+  });
+
   describe('applyGravity', () => {
     beforeEach(() => {
       gameState = startNewGame(createGameState());
@@ -344,6 +556,26 @@ describe('Game Controller', () => {
       
       expect(result.fell).toBe(false);
     });
+
+    describe('20G', () => {
+      beforeEach(() => {
+        gameState = startNewGame(createGameState(0, createRules({ gravityCurve: GRAVITY_CURVES.TWENTY_G })), 0, 1);
+      });
+
+      it('should drop the piece onto the stack at once', () => {
+        const result = applyGravity(gameState);
+
+        expect(result.fell).toBe(true);
+        expect(getDropDistance(result.gameState.board, result.gameState.currentPiece)).toBe(0);
+        expect(result.gameState.currentPiece.y).toBeGreaterThan(gameState.currentPiece.y + 1);
+      });
+
+      it('should not fall once resting', () => {
+        const rested = applyGravity(gameState).gameState;
+
+        expect(applyGravity(rested)).toEqual({ gameState: rested, fell: false });
+      });
+    });
   });
 
   describe('lockCurrentPiece', () => {
@@ -479,7 +711,7 @@ describe('Game Controller', () => {
       // Set gravity to trigger immediately for testing
       gameState = {
         ...gameState,
-        gravity: { ...gameState.gravity, frameCounter: 0 },
+        gravity: { ...gameState.gravity, frameCounter: gameState.gravity.framesPerDrop - 1 },
         frameCount: 1
       };
     });
@@ -500,15 +732,45 @@ describe('Game Controller', () => {
       expect(lockEvent).toBeDefined();
     });
 
-    it('should spawn new piece after locking', () => {
+    it('should spawn new piece after the entry delay', () => {
       gameState.currentPiece.y = 20;
       
-      const result = updateGame(gameState, inputState);
+      let result = updateGame(gameState, inputState);
+      const entryDelay = result.gameState.phase.framesLeft;
+      expect(result.gameState.currentPiece).toBeNull();
+      
+      for (let i = 1; i < entryDelay; i++) {
+        result = updateGame(result.gameState, inputState);
+        expect(result.events).toEqual([]);
+      }
+      result = updateGame(result.gameState, inputState);
       
       const spawnEvent = result.events.find(e => e.type === 'PIECE_SPAWNED');
       expect(spawnEvent).toBeDefined();
     });
 
+    it('should lock a hard dropped piece in the same frame', () => {
+      const dropGame = startNewGame(createGameState(0, createRules({ hardDrop: true })), 0, 5);
+      const result = updateGame(dropGame, handleKeyDown(inputState, 'ArrowUp'));
+      const types = result.events.map(e => e.type);
+
+      expect(types).toEqual([EVENTS.HARD_DROP, EVENTS.PIECE_LOCKED]);
+      expect(result.gameState.currentPiece).toBeNull();
+      expect(result.gameState.phase.name).toBe(PLAY_PHASES.ARE);
+      expect(result.gameState.score.totalScore).toBe(2 * result.events[0].cells);
+    });
+
+    it('should leave a sonic dropped piece to lock through gravity', () => {
+      const dropGame = startNewGame(createGameState(0, createRules({ sonicDrop: true })), 0, 5);
+      let result = updateGame(dropGame, handleKeyDown(inputState, 'w'));
+
+      expect(result.gameState.currentPiece).not.toBeNull();
+      while (!result.events.some(e => e.type === EVENTS.PIECE_LOCKED)) {
+        result = updateGame(result.gameState, inputState);
+      }
+      expect(result.gameState.currentPiece).toBeNull();
+    });
+
     it('should not update when not playing', () => {
       gameState = { ...gameState, state: GAME_STATES.GAMEOVER };
       const originalPiece = gameState.currentPiece;
@@ -533,6 +795,606 @@ describe('Game Controller', () => {
     });
   });
 
+  describe('frame pipeline', () => {
+    /**
+     * Builds a board whose bottom row is full except for the given columns
+     * @param {Array} holes - Columns left empty
+     * @returns {Array} Board
+     */
+    function boardWithBottomRow(holes) {
+      let board = createEmptyBoard();
+      for (let x = 0; x < BOARD_WIDTH; x++) {
+        if (!holes.includes(x)) {
+          board = setCell(board, x, 21, PIECE_TYPES.O);
+        }
+      }
+      return board;
+    }
+
+    /**
+     * Puts a vertical I piece into the hole at column 0
+     * @param {Object} state - Playing game state
+     * @returns {Object} Game state with the I piece resting in the hole
+     */
+    function withIInHole(state) {
+      const piece = rotatePiece(createPiece(PIECE_TYPES.I), 1);
+      const minX = Math.min(...piece.cells.map(cell => cell.x));
+      const maxY = Math.max(...piece.cells.map(cell => cell.y));
+      return updateCurrentPiece(state, { ...piece, x: -minX, y: 21 - maxY });
+    }
+
+    beforeEach(() => {
+      gameState = startNewGame(createGameState(), 0, 5);
+    });
+
+    it('should run the stages in NES order', () => {
+      expect(FRAME_STAGES).toEqual([
+        inputStage,
+        dasStage,
+        rotateStage,
+        dropStage,
+        lockStage,
+        areStage,
+        lineClearStage,
+        timeLimitStage
+      ]);
+    });
+
+    it('should expose typed events', () => {
+      expect(EVENTS.PIECE_LOCKED).toBe('PIECE_LOCKED');
+      expect(Object.isFrozen(EVENTS)).toBe(true);
+    });
+
+    describe('inputStage', () => {
+      it('should count the frame and latch the held direction', () => {
+        const input = handleKeyDown(inputState, 'a');
+        const frame = inputStage(createFrame(gameState, input));
+
+        expect(frame.gameState.frameCount).toBe(1);
+        expect(frame.gameState.das.direction).toBe(-1);
+        expect(frame.events).toEqual([]);
+      });
+    });
+
+    describe('dasStage', () => {
+      it('should shift the piece on the first held frame', () => {
+        const input = handleKeyDown(inputState, 'a');
+        const frame = dasStage(inputStage(createFrame(gameState, input)));
+
+        expect(frame.gameState.currentPiece.x).toBe(gameState.currentPiece.x - 1);
+        expect(frame.events).toEqual([{ type: EVENTS.PIECE_SHIFTED, direction: -1 }]);
+      });
+
+      it('should not emit when the piece is against the wall', () => {
+        const atWall = updateCurrentPiece(gameState, { ...gameState.currentPiece, x: -5 });
+        const blocked = movePieceLeft(atWall);
+        const input = handleKeyDown(inputState, 'a');
+        const frame = dasStage(inputStage(createFrame(blocked, input)));
+
+        expect(frame.events).toEqual([]);
+        expect(frame.gameState.das.counter).toBe(1);
+      });
+
+      it('should only tick DAS without a direction', () => {
+        const frame = dasStage(inputStage(createFrame(gameState, inputState)));
+
+        expect(frame.gameState.currentPiece).toBe(gameState.currentPiece);
+        expect(frame.events).toEqual([]);
+      });
+    });
+
+    describe('rotateStage', () => {
+      it('should rotate the piece and consume the action', () => {
+        const input = handleKeyDown(inputState, 'ArrowRight');
+        const frame = rotateStage(createFrame(gameState, input));
+
+        expect(frame.gameState.currentPiece.rotation).toBe(1);
+        expect(frame.inputState.actionQueue).toHaveLength(0);
+        expect(frame.events).toEqual([{ type: EVENTS.PIECE_ROTATED, rotation: 1 }]);
+      });
+
+      it('should not emit without a rotation', () => {
+        const frame = rotateStage(createFrame(gameState, inputState));
+
+        expect(frame.events).toEqual([]);
+      });
+
+      it('should hold the piece without a rotation event', () => {
+        const holdGame = startNewGame(createGameState(0, createRules({ hold: true })), 0, 5);
+        const rotated = updateCurrentPiece(holdGame, rotatePiece(holdGame.currentPiece, 1));
+        const frame = rotateStage(createFrame(rotated, handleKeyDown(inputState, 'c')));
+
+        expect(frame.gameState.hold.pieceType).toBe(holdGame.currentPiece.type);
+        expect(frame.events).toEqual([{ type: EVENTS.PIECE_HELD, pieceType: holdGame.currentPiece.type }]);
+      });
+
+      it('should land a hard dropped piece for the lock stage', () => {
+        const dropGame = startNewGame(createGameState(0, createRules({ hardDrop: true })), 0, 5);
+        const frame = rotateStage(createFrame(dropGame, handleKeyDown(inputState, 'ArrowUp')));
+
+        expect(frame.landed).toBe(true);
+        expect(frame.events).toEqual([{ type: EVENTS.HARD_DROP, cells: frame.gameState.currentPiece.y - dropGame.currentPiece.y }]);
+      });
+
+      it('should not land a sonic dropped piece', () => {
+        const dropGame = startNewGame(createGameState(0, createRules({ sonicDrop: true })), 0, 5);
+        const frame = rotateStage(createFrame(dropGame, handleKeyDown(inputState, 'w')));
+
+        expect(frame.landed).toBe(false);
+        expect(frame.events[0].type).toBe(EVENTS.SONIC_DROP);
+      });
+
+      it('should emit game over when the swapped piece is blocked', () => {
+        const holdGame = startNewGame(createGameState(0, createRules({ hold: true })), 0, 5);
+        const full = holdGame.board.map(row => row.map(() => PIECE_TYPES.O));
+        const blocked = { ...updateBoard(holdGame, full), hold: { pieceType: PIECE_TYPES.T, used: false } };
+        const frame = rotateStage(createFrame(blocked, handleKeyDown(inputState, 'Shift')));
+
+        expect(frame.events).toEqual([
+          { type: EVENTS.PIECE_HELD, pieceType: holdGame.currentPiece.type },
+          { type: EVENTS.GAME_OVER }
+        ]);
+      });
+    });
+
+    describe('dropStage', () => {
+      it('should soft drop the piece', () => {
+        const input = handleKeyDown(inputState, 'ArrowDown');
+        const frame = dropStage(inputStage(createFrame(gameState, input)));
+
+        expect(frame.gameState.currentPiece.y).toBe(gameState.currentPiece.y + 1);
+        expect(frame.events).toEqual([{ type: EVENTS.SOFT_DROP, cells: 1 }]);
+      });
+
+      it('should apply gravity when it elapses', () => {
+        const due = { ...gameState, gravity: { ...gameState.gravity, frameCounter: gameState.gravity.framesPerDrop - 1 } };
+        const frame = dropStage(inputStage(createFrame(due, inputState)));
+
+        expect(frame.gameState.currentPiece.y).toBe(gameState.currentPiece.y + 1);
+        expect(frame.events).toEqual([{ type: EVENTS.PIECE_FELL }]);
+        expect(frame.landed).toBe(false);
+      });
+
+      it('should mark the frame landed when the piece rests', () => {
+        const resting = withIInHole(gameState);
+        const due = { ...resting, gravity: { ...resting.gravity, frameCounter: resting.gravity.framesPerDrop - 1 } };
+        const frame = dropStage(inputStage(createFrame(due, inputState)));
+
+        expect(frame.landed).toBe(true);
+        expect(frame.events).toEqual([]);
+      });
+    });
+
+    describe('lockStage', () => {
+      it('should ignore frames where the piece did not land', () => {
+        const frame = createFrame(withIInHole(gameState), inputState);
+
+        expect(lockStage(frame)).toBe(frame);
+      });
+
+      it('should lock the piece and leave the rows for the line clear stage', () => {
+        const state = withIInHole(updateBoard(gameState, boardWithBottomRow([0])));
+        const frame = lockStage({ ...createFrame(state, inputState), landed: true });
+
+        expect(frame.gameState.currentPiece).toBeNull();
+        expect(frame.gameState.board[21].every(cell => cell !== 0)).toBe(true);
+        expect(frame.events).toEqual([{ type: EVENTS.PIECE_LOCKED, linesCleared: 1, pushDownPoints: 0 }]);
+      });
+
+      it('should free the hold slot', () => {
+        const held = { ...gameState, hold: { pieceType: PIECE_TYPES.T, used: true } };
+        const frame = lockStage({ ...createFrame(withIInHole(held), inputState), landed: true });
+
+        expect(frame.gameState.hold).toEqual({ pieceType: PIECE_TYPES.T, used: false });
+      });
+    });
+
+    describe('lockStage lock delay', () => {
+      const withDelay = state => ({ ...state, rules: createRules({ lockDelay: 3, hardDrop: true }) });
+
+      it('should wait out the delay before locking a resting piece', () => {
+        let frame = lockStage({ ...createFrame(withDelay(withIInHole(gameState)), inputState), landed: true });
+
+        expect(frame.locked).toBe(false);
+        expect(frame.gameState.lock.timer).toBe(2);
+        frame = lockStage(createFrame(frame.gameState, inputState));
+        frame = lockStage(createFrame(frame.gameState, inputState));
+
+        expect(frame.locked).toBe(true);
+        expect(frame.gameState.lock.isLocked).toBe(true);
+        expect(frame.gameState.currentPiece).toBeNull();
+      });
+
+      it('should restart the delay when the piece shifts', () => {
+        const state = withDelay(updateCurrentPiece(gameState, { ...createPiece(PIECE_TYPES.O), y: 20 }));
+        const ticking = lockStage(createFrame(state, inputState)).gameState;
+        const frame = dasStage(inputStage(createFrame(ticking, handleKeyDown(inputState, 'a'))));
+
+        expect(ticking.lock.timer).toBe(2);
+        expect(frame.gameState.lock).toMatchObject({ timer: 3, resets: 1 });
+      });
+
+      it('should restart the delay when the piece rotates', () => {
+        const state = withDelay(updateCurrentPiece(gameState, { ...rotatePiece(createPiece(PIECE_TYPES.T), 2), y: 19 }));
+        const ticking = lockStage(createFrame(state, inputState)).gameState;
+        const frame = rotateStage(createFrame(ticking, handleKeyDown(inputState, 'ArrowRight')));
+
+        expect(frame.gameState.lock).toMatchObject({ timer: 3, resets: 1 });
+      });
+
+      it('should lock a hard dropped piece without the delay', () => {
+        const dropGame = withDelay(startNewGame(createGameState(0), 0, 5));
+        const frame = lockStage(rotateStage(createFrame(dropGame, handleKeyDown(inputState, 'ArrowUp'))));
+
+        expect(frame.hardDropped).toBe(true);
+        expect(frame.locked).toBe(true);
+      });
+
+      it('should leave the timer alone while the piece is airborne', () => {
+        const frame = lockStage(createFrame(withDelay(gameState), inputState));
+
+        expect(frame.locked).toBe(false);
+        expect(frame.gameState.lock.timer).toBeNull();
+      });
+    });
+
+    describe('lockStage phases', () => {
+      it('should start the entry delay for the lock height', () => {
+        const state = withIInHole(gameState);
+        const frame = lockStage({ ...createFrame(state, inputState), landed: true });
+
+        expect(frame.locked).toBe(true);
+        expect(frame.gameState.phase.name).toBe(PLAY_PHASES.ARE);
+        expect(frame.gameState.phase.framesLeft).toBe(getEntryDelay(21));
+      });
+
+      it('should start the line clear when rows complete', () => {
+        const state = withIInHole(updateBoard(gameState, boardWithBottomRow([0])));
+        const frame = lockStage({ ...createFrame(state, inputState), landed: true });
+
+        expect(frame.gameState.phase).toEqual({
+          name: PLAY_PHASES.LINE_CLEAR,
+          framesLeft: LINE_CLEAR_FRAMES,
+          clearingRows: [21],
+          entryDelay: getEntryDelay(21)
+        });
+      });
+    });
+
+    describe('lineClearStage', () => {
+      /**
+       * Puts the game at the end of a line clear of the full bottom row
+       * @param {number} framesLeft - Frames left in the animation
+       * @returns {Object} Game state in the line clear phase
+       */
+      function clearingState(framesLeft) {
+        const state = updateCurrentPiece(updateBoard(gameState, boardWithBottomRow([])), null);
+        const clearing = startLineClear(state, [21], 12);
+        return { ...clearing, phase: { ...clearing.phase, framesLeft } };
+      }
+
+      it('should keep the rows while animating', () => {
+        const frame = lineClearStage(createFrame(clearingState(5), inputState));
+
+        expect(frame.gameState.phase.framesLeft).toBe(4);
+        expect(frame.gameState.board[21].every(cell => cell !== 0)).toBe(true);
+        expect(frame.events).toEqual([]);
+      });
+
+      it('should clear rows, score them and start the entry delay', () => {
+        const frame = lineClearStage(createFrame(clearingState(1), inputState));
+
+        expect(frame.gameState.board[21].every(cell => cell === 0)).toBe(true);
+        expect(frame.gameState.score.linesCleared).toBe(1);
+        expect(frame.gameState.phase.name).toBe(PLAY_PHASES.ARE);
+        expect(frame.gameState.phase.framesLeft).toBe(12);
+        expect(frame.events).toEqual([{ type: EVENTS.LINES_CLEARED, lines: 1 }]);
+      });
+
+      it('should level up along the gravity curve of the rules', () => {
+        gameState = startNewGame(createGameState(0, createRules({ gravityCurve: [40, 7] })), 0, 5);
+        const state = clearingState(1);
+        const frame = lineClearStage(createFrame({ ...state, level: { ...state.level, totalLines: 9 } }, inputState));
+
+        expect(frame.gameState.level.currentLevel).toBe(1);
+        expect(frame.gameState.gravity.framesPerDrop).toBe(7);
+      });
+
+      describe('B-Type', () => {
+        /**
+         * Puts a B-Type game at the end of a line clear
+         * @param {number} linesCleared - Lines cleared before this clear
+         * @returns {Object} Game state in the line clear phase
+         */
+        function bTypeClearing(linesCleared) {
+          gameState = startNewGame(createGameState(0, undefined, createGameMode(GAME_MODES.B_TYPE, 0)), 0, 5);
+          const state = clearingState(1);
+          return {
+            ...state,
+            score: { ...state.score, linesCleared },
+            level: { ...state.level, totalLines: linesCleared, linesUntilNext: 1 }
+          };
+        }
+
+        it('should win when the 25th line is cleared', () => {
+          const frame = lineClearStage(createFrame(bTypeClearing(24), inputState));
+
+          expect(frame.gameState.state).toBe(GAME_STATES.COMPLETE);
+          expect(frame.gameState.currentPiece).toBeNull();
+          expect(frame.events).toEqual([
+            { type: EVENTS.LINES_CLEARED, lines: 1 },
+            { type: EVENTS.GOAL_REACHED }
+          ]);
+        });
+
+        it('should keep playing before the goal', () => {
+          const frame = lineClearStage(createFrame(bTypeClearing(10), inputState));
+
+          expect(frame.gameState.state).toBe(GAME_STATES.PLAYING);
+          expect(frame.gameState.phase.name).toBe(PLAY_PHASES.ARE);
+        });
+
+        it('should stay at the start level', () => {
+          const state = bTypeClearing(9);
+          const frame = lineClearStage(createFrame(state, inputState));
+
+          expect(frame.gameState.level).toEqual(state.level);
+          expect(frame.gameState.gravity).toEqual(state.gravity);
+        });
+      });
+
+      describe('Sprint', () => {
+        /**
+         * Puts a Sprint at the end of a line clear
+         * @param {number} linesCleared - Lines cleared before this clear
+         * @param {Array} splits - Splits recorded before this clear
+         * @returns {Object} Game state in the line clear phase
+         */
+        function sprintClearing(linesCleared, splits) {
+          gameState = startNewGame(createGameState(0, undefined, createGameMode(GAME_MODES.SPRINT)), 0, 5);
+          const state = clearingState(1);
+          return { ...state, score: { ...state.score, linesCleared }, splits, frameCount: 3000 };
+        }
+
+        it('should time a split on the frame the lines disappear', () => {
+          const frame = lineClearStage(createFrame(sprintClearing(9, []), inputState));
+
+          expect(frame.gameState.splits).toEqual([3000]);
+          expect(frame.gameState.state).toBe(GAME_STATES.PLAYING);
+        });
+
+        it('should finish at 40 lines', () => {
+          const frame = lineClearStage(createFrame(sprintClearing(39, [700, 1400, 2100]), inputState));
+
+          expect(frame.gameState.splits).toEqual([700, 1400, 2100, 3000]);
+          expect(frame.gameState.state).toBe(GAME_STATES.COMPLETE);
+          expect(frame.events).toContainEqual({ type: EVENTS.GOAL_REACHED });
+        });
+      });
+
+      it('should not count the frame the piece locked', () => {
+        const frame = { ...createFrame(clearingState(LINE_CLEAR_FRAMES), inputState), locked: true };
+
+        expect(lineClearStage(frame)).toBe(frame);
+      });
+
+      it('should do nothing while a piece is active', () => {
+        const frame = createFrame(gameState, inputState);
+
+        expect(lineClearStage(frame)).toBe(frame);
+      });
+    });
+
+    describe('timeLimitStage', () => {
+      /**
+       * Starts an Ultra game at the given frame
+       * @param {number} frameCount - Frames played
+       * @returns {Object} Playing game state
+       */
+      function ultraAt(frameCount) {
+        const mode = createGameMode(GAME_MODES.ULTRA, 0, 2);
+        return { ...startNewGame(createGameState(0, undefined, mode), 0, 5), frameCount };
+      }
+
+      it('should end the game on the deadline', () => {
+        const frame = timeLimitStage(createFrame(ultraAt(7212), inputState));
+
+        expect(frame.gameState.state).toBe(GAME_STATES.COMPLETE);
+        expect(frame.events).toEqual([{ type: EVENTS.TIME_UP }]);
+      });
+
+      it('should keep playing before the deadline', () => {
+        const frame = createFrame(ultraAt(7211), inputState);
+
+        expect(timeLimitStage(frame)).toBe(frame);
+      });
+
+      it('should not end a game that topped out this frame', () => {
+        const state = { ...ultraAt(7212), state: GAME_STATES.GAMEOVER };
+        const frame = createFrame(state, inputState);
+
+        expect(timeLimitStage(frame)).toBe(frame);
+      });
+
+      it('should time out through updateGame', () => {
+        const result = updateGame(ultraAt(7211), inputState);
+
+        expect(result.gameState.frameCount).toBe(7212);
+        expect(result.events).toContainEqual({ type: EVENTS.TIME_UP });
+      });
+    });
+
+    describe('areStage', () => {
+      /**
+       * Puts the game in the entry delay with no active piece
+       * @param {Object} state - Game state
+       * @param {number} framesLeft - Frames left in the entry delay
+       * @returns {Object} Game state in the ARE phase
+       */
+      function entryState(state, framesLeft) {
+        return startEntryDelay(updateCurrentPiece(state, null), framesLeft);
+      }
+
+      it('should count down the entry delay', () => {
+        const frame = areStage(createFrame(entryState(gameState, 3), inputState));
+
+        expect(frame.gameState.currentPiece).toBeNull();
+        expect(frame.gameState.phase.framesLeft).toBe(2);
+        expect(frame.events).toEqual([]);
+      });
+
+      it('should spawn the next piece when the delay ends', () => {
+        const frame = areStage(createFrame(entryState(gameState, 1), inputState));
+
+        expect(frame.gameState.currentPiece.type).toBe(gameState.nextQueue[0]);
+        expect(frame.gameState.phase).toEqual(createPhase());
+        expect(frame.events).toEqual([{ type: EVENTS.PIECE_SPAWNED }]);
+      });
+
+      it('should keep the DAS charge for the new piece', () => {
+        const charged = { ...entryState(gameState, 1), das: { direction: -1, counter: 20, isActive: true, lastMoveFrame: 3 } };
+        const frame = areStage(createFrame(charged, inputState));
+
+        expect(frame.gameState.das).toBe(charged.das);
+      });
+
+      it('should end the game when the spawn is blocked', () => {
+        let board = createEmptyBoard();
+        for (let x = 0; x < BOARD_WIDTH; x++) {
+          board = setCell(board, x, 1, PIECE_TYPES.O);
+        }
+        const state = entryState(updateBoard(gameState, board), 1);
+        const frame = areStage(createFrame(state, inputState));
+
+        expect(frame.events).toEqual([{ type: EVENTS.GAME_OVER }]);
+        expect(frame.gameState.state).toBe(GAME_STATES.GAMEOVER);
+      });
+
+      it('should leave an active piece alone', () => {
+        const frame = createFrame(gameState, inputState);
+
+        expect(areStage(frame)).toBe(frame);
+      });
+    });
+
+    it('should tick timers each frame', () => {
+      const result = updateGame(gameState, inputState);
+
+      expect(result.gameState.frameCount).toBe(1);
+      expect(result.gameState.gravity.frameCounter).toBe(1);
+    });
+
+    it('should drop the piece when gravity elapses', () => {
+      let state = gameState;
+      for (let i = 0; i < state.gravity.framesPerDrop; i++) {
+        state = updateGame(state, inputState).gameState;
+      }
+
+      expect(state.currentPiece.y).toBe(gameState.currentPiece.y + 1);
+    });
+
+    it('should freeze timers while paused', () => {
+      const paused = togglePause(gameState);
+      const result = updateGame(paused, inputState);
+
+      expect(result.gameState).toBe(paused);
+    });
+
+    it('should clear lines and spawn after NES delays', () => {
+      const resting = withIInHole(updateBoard(gameState, boardWithBottomRow([0])));
+      let state = { ...resting, gravity: { ...resting.gravity, frameCounter: resting.gravity.framesPerDrop - 1 } };
+      const timeline = [];
+
+      for (let frame = 0; frame < 60 && timeline.length < 3; frame++) {
+        const result = updateGame(state, inputState);
+        state = result.gameState;
+        result.events.forEach(event => timeline.push([event.type, frame]));
+      }
+
+      expect(timeline).toEqual([
+        [EVENTS.PIECE_LOCKED, 0],
+        [EVENTS.LINES_CLEARED, LINE_CLEAR_FRAMES],
+        [EVENTS.PIECE_SPAWNED, LINE_CLEAR_FRAMES + getEntryDelay(21)]
+      ]);
+      expect(state.score.linesCleared).toBe(1);
+    });
+
+    /**
+     * Soft drops an I piece six rows into the hole, then lets gravity lock it
+     * @param {Object} state - Playing game state
+     * @param {boolean} releaseBeforeLock - Release down for the locking frame
+     * @returns {Object} { gameState: Object, lockEvent: Object }
+     */
+    function pushAndLock(state, releaseBeforeLock) {
+      const resting = withIInHole(state);
+      let current = { ...resting, currentPiece: { ...resting.currentPiece, y: resting.currentPiece.y - 6 } };
+      const held = handleKeyDown(inputState, 'ArrowDown');
+
+      for (let i = 0; i < 6; i++) {
+        current = updateGame(current, held).gameState;
+      }
+
+      const due = { ...current, gravity: { ...current.gravity, frameCounter: current.gravity.framesPerDrop - 1 } };
+      const result = updateGame(due, releaseBeforeLock ? inputState : held);
+      return {
+        gameState: result.gameState,
+        lockEvent: result.events.find(event => event.type === EVENTS.PIECE_LOCKED)
+      };
+    }
+
+    it('should credit push-down points when the piece locks', () => {
+      const { gameState: state, lockEvent } = pushAndLock(gameState, false);
+
+      expect(lockEvent.pushDownPoints).toBe(5);
+      expect(state.score.totalScore).toBe(5);
+      expect(state.pushDownRows).toBe(0);
+    });
+
+    it('should end the push when down is released', () => {
+      const { gameState: state, lockEvent } = pushAndLock(gameState, true);
+
+      expect(lockEvent.pushDownPoints).toBe(0);
+      expect(state.score.totalScore).toBe(0);
+    });
+
+    it('should score per cell and not at lock with per-cell rules', () => {
+      const rules = createRules({ softDropScoring: SOFT_DROP_SCORING.PER_CELL });
+      const { gameState: state, lockEvent } = pushAndLock({ ...gameState, rules }, false);
+
+      expect(lockEvent.pushDownPoints).toBe(0);
+      expect(state.score.totalScore).toBe(6);
+    });
+
+    it('should lock with lockCurrentPiece and credit the push', () => {
+      const state = { ...withIInHole(gameState), pushDownRows: 4 };
+      const result = lockCurrentPiece(state);
+
+      expect(result.locked).toBe(true);
+      expect(result.gameState.score.totalScore).toBe(3);
+      expect(result.gameState.pushDownRows).toBe(0);
+    });
+
+    it('should charge DAS during the entry delay', () => {
+      let state = updateCurrentPiece(startEntryDelay(gameState, getEntryDelay(21)), null);
+      const held = handleKeyDown(inputState, 'a');
+
+      for (let i = 0; i < getEntryDelay(21); i++) {
+        state = updateGame(state, held).gameState;
+      }
+
+      expect(state.currentPiece).not.toBeNull();
+      expect(state.das.counter).toBe(getEntryDelay(21));
+    });
+
+    it('should run custom stages', () => {
+      const marker = frame => ({ ...frame, events: [...frame.events, { type: 'MARK' }] });
+      const result = updateGame(gameState, inputState, [marker]);
+
+      expect(result.events).toEqual([{ type: 'MARK' }]);
+      expect(result.gameState).toBe(gameState);
+    });
+  });
+
   describe('togglePause', () => {
     it('should pause when playing', () => {
       gameState = { ...createGameState(), state: GAME_STATES.PLAYING };
@@ -581,7 +1443,7 @@ describe('Game Controller', () => {
       
       const result = returnToTitle(gameState);
       
-      expect(result.nextPiece).toBeNull();
+      expect(result.nextQueue).toEqual([]);
     });
   });
 
@@ -597,7 +1459,7 @@ describe('Game Controller', () => {
       expect(status.score).toBeDefined();
       expect(status.level).toBeDefined();
       expect(status.lines).toBeDefined();
-      expect(status.nextPiece).toBeDefined();
+      expect(status.nextQueue).toEqual(gameState.nextQueue);
     });
 
     it('should reflect current score', () => {
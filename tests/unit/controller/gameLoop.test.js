@@ -3,7 +3,9 @@ import {
   createGameLoop,
   startGameLoop,
   stopGameLoop,
-  updateFrame,
+  advanceLoop,
+  getRenderAlpha,
+  getDroppedFrames,
   shouldApplyGravity,
   shouldApplyDAS,
   getDASMoveDirection,
@@ -12,7 +14,10 @@ import {
   getFrameCount,
   isRunning,
   TARGET_FPS,
-  FRAME_DURATION_MS
+  FRAME_DURATION_MS,
+  NES_FRAME_RATE,
+  NES_FRAME_DURATION_MS,
+  MAX_CATCHUP_FRAMES
 } from '../../../src/controller/gameLoop.js';
 import { createGameState, incrementFrame } from '../../../src/domain/gameState.js';
 import { createInputState } from '../../../src/controller/inputController.js';
@@ -86,128 +91,87 @@ describe('Game Loop', () => {
     });
   });
 
-  describe('updateFrame', () => {
-    it('should not update if not running', () => {
-      const result = updateFrame(gameLoop, gameState, inputState);
-      
+  describe('advanceLoop', () => {
+    /**
+     * Runs a loop at a display refresh rate and counts simulation frames
+     * @param {number} hz - Display refresh rate
+     * @param {number} durationMs - Time to run
+     * @returns {Object} Final game loop state
+     */
+    function runAtRefreshRate(hz, durationMs) {
+      let loop = startGameLoop(gameLoop, null, 0);
+      for (let t = 1000 / hz; t <= durationMs; t += 1000 / hz) {
+        loop = advanceLoop(loop, t).gameLoop;
+      }
+      return advanceLoop(loop, durationMs).gameLoop;
+    }
+
+    it('should not advance a stopped loop', () => {
+      const result = advanceLoop(gameLoop, 1000);
+
+      expect(result.frames).toBe(0);
       expect(result.gameLoop).toBe(gameLoop);
-      expect(result.gameState).toBe(gameState);
     });
 
-    it('should update frame count', () => {
-      gameLoop = startGameLoop(gameLoop, () => {});
-      
-      // Simulate time passing
-      vi.setSystemTime(Date.now() + FRAME_DURATION_MS);
-      
-      const result = updateFrame(gameLoop, gameState, inputState);
-      
-      expect(result.gameLoop.frameCount).toBeGreaterThan(0);
+    it('should run one frame per NES frame duration', () => {
+      gameLoop = startGameLoop(gameLoop, null, 0);
+
+      expect(advanceLoop(gameLoop, NES_FRAME_DURATION_MS - 0.01).frames).toBe(0);
+      expect(advanceLoop(gameLoop, NES_FRAME_DURATION_MS).frames).toBe(1);
+      expect(advanceLoop(gameLoop, NES_FRAME_DURATION_MS * 3.5).frames).toBe(3);
     });
 
-    it('should update accumulator', () => {
-      gameLoop = startGameLoop(gameLoop, () => {});
-      
-      // Simulate time passing
-      const timePassed = FRAME_DURATION_MS * 2;
-      vi.setSystemTime(Date.now() + timePassed);
-      
-      const result = updateFrame(gameLoop, gameState, inputState);
-      
-      // After processing one frame, accumulator should have remaining time
-      expect(result.gameLoop.accumulator).toBeGreaterThanOrEqual(0);
+    it('should carry the remainder in the accumulator', () => {
+      gameLoop = startGameLoop(gameLoop, null, 0);
+      const result = advanceLoop(gameLoop, NES_FRAME_DURATION_MS * 1.5);
+
+      expect(result.gameLoop.lastFrameTime).toBe(NES_FRAME_DURATION_MS * 1.5);
+      expect(result.gameLoop.accumulator).toBeCloseTo(NES_FRAME_DURATION_MS / 2);
+      expect(result.gameLoop.frameCount).toBe(1);
     });
 
-    it('should tick DAS each frame', () => {
-      // This test verifies that DAS is properly handled in the update loop
-      // The actual DAS ticking happens when frames are processed
-      
-      // Create a gameLoop with pre-set accumulated time
-      gameLoop = {
-        ...startGameLoop(gameLoop, () => {}),
-        lastFrameTime: 0, // Forces FRAME_DURATION_MS to be used as delta
-        accumulator: FRAME_DURATION_MS * 2 // Ensure at least one frame processes
-      };
-      
-      // Set up DAS with left direction
-      gameState = {
-        ...gameState,
-        das: setDirection(createDAS(), DIRECTION_LEFT)
-      };
-      
-      const result = updateFrame(gameLoop, gameState, inputState);
-      
-      // The updateFrame should process at least one frame
-      // which should tick DAS and increment gameState.frameCount
-      expect(result.gameLoop.frameCount).toBeGreaterThanOrEqual(1);
+    it('should cap catch-up frames and report the dropped ones', () => {
+      gameLoop = startGameLoop(gameLoop, null, 0);
+      const result = advanceLoop(gameLoop, NES_FRAME_DURATION_MS * 20);
+
+      expect(result.frames).toBe(MAX_CATCHUP_FRAMES);
+      expect(result.droppedFrames).toBe(20 - MAX_CATCHUP_FRAMES);
+      expect(getDroppedFrames(result.gameLoop)).toBe(20 - MAX_CATCHUP_FRAMES);
+      expect(result.gameLoop.accumulator).toBeLessThan(NES_FRAME_DURATION_MS);
     });
 
-    it('should tick gravity each frame', () => {
-      gameLoop = startGameLoop(gameLoop, () => {});
-      
-      const initialFrameCounter = gameState.gravity.frameCounter;
-      
-      vi.setSystemTime(Date.now() + FRAME_DURATION_MS);
-      
-      const result = updateFrame(gameLoop, gameState, inputState);
-      
-      // Gravity frame counter should have incremented (or reset if it triggered a fall)
-      const counterChanged = result.gameState.gravity.frameCounter !== initialFrameCounter ||
-                              result.gameState.gravity.frameCounter === 0;
-      expect(counterChanged).toBe(true);
+    it('should accept a custom catch-up cap', () => {
+      gameLoop = startGameLoop(gameLoop, null, 0);
+
+      expect(advanceLoop(gameLoop, NES_FRAME_DURATION_MS * 3, 1).frames).toBe(1);
     });
 
-    it('should clear transient keys', () => {
-      // Start the game loop at a specific time
-      const startTime = 1000;
-      vi.setSystemTime(startTime);
-      gameLoop = startGameLoop(gameLoop, () => {});
-      
-      // Manually set up the gameLoop to have accumulated time
-      gameLoop = {
-        ...gameLoop,
-        lastFrameTime: startTime - FRAME_DURATION_MS,
-        accumulator: FRAME_DURATION_MS
-      };
-      
-      // Set up input with just pressed keys
-      inputState = {
-        ...createInputState(),
-        keysJustPressed: new Set(['a']),
-        keysJustReleased: new Set(['b']),
-        keysPressed: new Set(['a'])
-      };
-      
-      const result = updateFrame(gameLoop, gameState, inputState);
-      
-      // After processing a frame, transient keys should be cleared
-      // clearTransientKeys is called within the updateFrame function
-      expect(result.inputState.keysJustPressed.size).toBe(0);
-      expect(result.inputState.keysJustReleased.size).toBe(0);
+    it('should ignore a clock stepping backwards', () => {
+      gameLoop = startGameLoop(gameLoop, null, 500);
+      const result = advanceLoop(gameLoop, 400);
+
+      expect(result.frames).toBe(0);
+      expect(result.gameLoop.accumulator).toBe(0);
     });
 
-    it('should handle multiple accumulated frames', () => {
-      // Start the game loop and set an initial lastFrameTime
-      const startTime = 1000;
-      vi.setSystemTime(startTime);
-      gameLoop = startGameLoop(gameLoop, () => {});
-      
-      // Now simulate time passing by updating lastFrameTime manually
-      // and setting system time forward
-      const framesToAccumulate = 3;
-      const timePassed = FRAME_DURATION_MS * framesToAccumulate;
-      vi.setSystemTime(startTime + timePassed);
-      
-      // Update the gameLoop to simulate time passing
-      gameLoop = {
-        ...gameLoop,
-        lastFrameTime: startTime
-      };
-      
-      const result = updateFrame(gameLoop, gameState, inputState);
-      
-      // Should have processed multiple frames worth of game state updates
-      expect(result.gameLoop.frameCount).toBeGreaterThanOrEqual(1);
+    it.each([60, 120, 144, 75])('should run the NES frame count at %i Hz', (hz) => {
+      const loop = runAtRefreshRate(hz, 10000);
+
+      expect(loop.frameCount).toBe(Math.floor(10 * NES_FRAME_RATE));
+      expect(loop.droppedFrames).toBe(0);
+    });
+  });
+
+  describe('getRenderAlpha', () => {
+    it('should give the fraction of the next frame elapsed', () => {
+      gameLoop = startGameLoop(gameLoop, null, 0);
+      const loop = advanceLoop(gameLoop, NES_FRAME_DURATION_MS * 2.25).gameLoop;
+
+      expect(getRenderAlpha(loop)).toBeCloseTo(0.25);
+    });
+
+    it('should be 0 for a new loop', () => {
+      expect(getRenderAlpha(gameLoop)).toBe(0);
     });
   });
 
@@ -383,6 +347,11 @@ describe('Game Loop', () => {
       expect(TARGET_FPS).toBe(60);
     });
 
+    it('should time the simulation at the NTSC NES rate', () => {
+      expect(NES_FRAME_RATE).toBe(60.0988);
+      expect(NES_FRAME_DURATION_MS).toBeCloseTo(16.639, 3);
+    });
+
     it('should have correct frame duration', () => {
       expect(FRAME_DURATION_MS).toBe(1000 / 60);
     });
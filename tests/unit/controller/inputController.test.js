@@ -74,6 +74,16 @@ describe('Input Controller', () => {
       expect(result.actionQueue).toContain(ACTIONS.ROTATE_CW);
     });
 
+    it('should queue hold action for C and Shift', () => {
+      expect(handleKeyDown(inputState, 'c').actionQueue).toEqual([ACTIONS.HOLD]);
+      expect(handleKeyDown(inputState, 'Shift').actionQueue).toEqual([ACTIONS.HOLD]);
+    });
+
+    it('should queue hard drop for up arrow and sonic drop for W', () => {
+      expect(handleKeyDown(inputState, 'ArrowUp').actionQueue).toEqual([ACTIONS.HARD_DROP]);
+      expect(handleKeyDown(inputState, 'w').actionQueue).toEqual([ACTIONS.SONIC_DROP]);
+    });
+
     it('should queue pause action for P key', () => {
       const result = handleKeyDown(inputState, 'p');
       
@@ -358,10 +368,15 @@ describe('Input Controller', () => {
       expect(KEY_MAPPINGS.ROTATE_CCW).toContain('ArrowLeft');
       expect(KEY_MAPPINGS.ROTATE_CW).toContain('ArrowRight');
       expect(KEY_MAPPINGS.SOFT_DROP).toContain('ArrowDown');
+      expect(KEY_MAPPINGS.HOLD).toContain('c');
       expect(KEY_MAPPINGS.PAUSE).toContain('p');
       expect(KEY_MAPPINGS.START).toContain('Enter');
       expect(KEY_MAPPINGS.RESET).toContain('r');
     });
+
+    it('should map keys to game actions only', () => {
+      expect(Object.keys(KEY_MAPPINGS).every(name => name in ACTIONS)).toBe(true);
+    });
   });
 
   describe('Simultaneous key handling', () => {
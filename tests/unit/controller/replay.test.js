@@ -0,0 +1,346 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createReplay,
+  recordFrame,
+  finishReplay,
+  exportReplay,
+  importReplay,
+  createReplayPlayer,
+  stepReplay,
+  advanceReplay,
+  stepReplayFrame,
+  toggleReplayPause,
+  setReplaySpeed,
+  changeReplaySpeed,
+  isReplayFinished,
+  getReplayStatus,
+  REPLAY_VERSION,
+  PLAYBACK_SPEEDS
+} from '../../../src/controller/replay.js';
+import { initGame, startNewGame, updateGame } from '../../../src/controller/gameController.js';
+import {
+  createInputState,
+  handleKeyDown,
+  handleKeyUp,
+  clearTransientKeys
+} from '../../../src/controller/inputController.js';
+import { DEFAULT_RULES, createRules } from '../../../src/domain/rules.js';
+import { RANDOMIZER_STRATEGIES } from '../../../src/domain/randomizer.js';
+import { DEFAULT_GAME_MODE, createGameMode, GAME_MODES } from '../../../src/domain/gameMode.js';
+
+/**
+ * Records a game driven by a script of { frame: [action, key] } entries
+ */
+function recordGame(seed, startLevel, frames, script, rules = DEFAULT_RULES, mode = DEFAULT_GAME_MODE) {
+  let gameState = startNewGame(initGame(startLevel, rules, mode), startLevel, seed);
+  let inputState = createInputState();
+  let replay = createReplay(seed, startLevel, rules, mode);
+
+  for (let frame = 0; frame < frames; frame++) {
+    for (const [action, key] of script[frame] || []) {
+      inputState = action === 'down' ? handleKeyDown(inputState, key) : handleKeyUp(inputState, key);
+    }
+    replay = recordFrame(replay, inputState);
+    gameState = updateGame(gameState, inputState).gameState;
+    inputState = clearTransientKeys(inputState);
+  }
+
+  return { replay: finishReplay(replay), gameState };
+}
+
+function playToEnd(replay) {
+  let player = createReplayPlayer(replay);
+  while (!isReplayFinished(player)) {
+    player = stepReplay(player).player;
+  }
+  return player;
+}
+
+describe('Replay', () => {
+  describe('createReplay', () => {
+    it('should store seed, start level and version', () => {
+      const replay = createReplay(1234, 5);
+
+      expect(replay.version).toBe(REPLAY_VERSION);
+      expect(replay.rules).toEqual(DEFAULT_RULES);
+      expect(replay.mode).toEqual(DEFAULT_GAME_MODE);
+      expect(replay.seed).toBe(1234);
+      expect(replay.startLevel).toBe(5);
+      expect(replay.length).toBe(0);
+      expect(replay.frames).toHaveLength(0);
+    });
+  });
+
+  describe('recordFrame', () => {
+    it('should count frames without input but not store them', () => {
+      let replay = createReplay(1, 0);
+      replay = recordFrame(replay, createInputState());
+      replay = recordFrame(replay, createInputState());
+
+      expect(replay.length).toBe(2);
+      expect(replay.frames).toHaveLength(0);
+    });
+
+    it('should not record keys without a game action', () => {
+      let replay = createReplay(1, 0);
+      replay = recordFrame(replay, handleKeyDown(createInputState(), 'x'));
+
+      expect(replay.frames).toHaveLength(0);
+      expect(replay.held).toEqual([]);
+    });
+
+    it('should store key presses and releases with their frame', () => {
+      let replay = createReplay(1, 0);
+      let input = handleKeyDown(createInputState(), 'ArrowRight');
+      replay = recordFrame(replay, input);
+      input = handleKeyUp(clearTransientKeys(input), 'ArrowRight');
+      replay = recordFrame(replay, input);
+
+      expect(replay.frames).toEqual([
+        { frame: 0, pressed: ['ArrowRight'], released: [] },
+        { frame: 1, pressed: [], released: ['ArrowRight'] }
+      ]);
+    });
+
+    it('should reconcile keys changed between recorded frames', () => {
+      let replay = createReplay(1, 0);
+      let input = handleKeyDown(createInputState(), 'a');
+      replay = recordFrame(replay, input);
+
+      // Release happened while not recording (e.g. paused), transient keys lost
+      input = clearTransientKeys(handleKeyUp(clearTransientKeys(input), 'a'));
+      replay = recordFrame(replay, input);
+
+      expect(replay.frames[1]).toEqual({ frame: 1, pressed: [], released: ['a'] });
+    });
+
+    it('should append frames to the recorder without copying them', () => {
+      const replay = createReplay(1, 0);
+      const next = recordFrame(replay, handleKeyDown(createInputState(), 'a'));
+
+      expect(replay.length).toBe(0);
+      expect(next.length).toBe(1);
+      expect(next.frames).toBe(replay.frames);
+      expect(next.frames).toHaveLength(1);
+    });
+  });
+
+  describe('finishReplay', () => {
+    it('should drop recorder bookkeeping', () => {
+      const replay = recordFrame(createReplay(1, 0), handleKeyDown(createInputState(), 'a'));
+      const finished = finishReplay(replay);
+
+      expect(finished.held).toBeUndefined();
+      expect(finished.length).toBe(1);
+    });
+
+    it('should freeze a copy of the recorded frames', () => {
+      const replay = recordFrame(createReplay(1, 0), handleKeyDown(createInputState(), 'a'));
+      const finished = finishReplay(replay);
+      recordFrame(replay, handleKeyDown(createInputState(), 'd'));
+
+      expect(Object.isFrozen(finished.frames)).toBe(true);
+      expect(finished.frames).toHaveLength(1);
+    });
+  });
+
+  describe('exportReplay / importReplay', () => {
+    it('should round-trip through JSON', () => {
+      const { replay } = recordGame(42, 3, 30, { 2: [['down', 'd']], 10: [['up', 'd']] });
+      const result = importReplay(exportReplay(replay));
+
+      expect(result.error).toBeNull();
+      expect(result.replay).toEqual(replay);
+    });
+
+    it('should require valid rules and a valid game mode', () => {
+      const { replay } = recordGame(42, 0, 5, {});
+      const { rules, ...withoutRules } = replay;
+      const { mode, ...withoutMode } = replay;
+      const { rotationSystem, ...partialRules } = replay.rules;
+
+      expect(importReplay(JSON.stringify(withoutRules)).error).toBe('Malformed replay');
+      expect(importReplay(JSON.stringify(withoutMode)).error).toBe('Malformed replay');
+      expect(importReplay(JSON.stringify({ ...replay, rules: partialRules })).error).toBe('Malformed replay');
+      expect(importReplay(JSON.stringify({ ...replay, rules: { randomizer: 'dice' } })).error)
+        .toBe('Malformed replay');
+      expect(importReplay(JSON.stringify({ ...replay, mode: { type: 'cType', garbageHeight: 0 } })).error)
+        .toBe('Malformed replay');
+    });
+
+    it('should reject invalid JSON', () => {
+      const result = importReplay('not json');
+
+      expect(result.replay).toBeNull();
+      expect(result.error).toBe('Invalid JSON');
+    });
+
+    it('should reject other versions', () => {
+      const result = importReplay(JSON.stringify({ version: 99 }));
+
+      expect(result.error).toBe('Unsupported replay version');
+    });
+
+    it('should reject malformed replays', () => {
+      const result = importReplay(JSON.stringify({ version: REPLAY_VERSION, seed: 'x' }));
+
+      expect(result.error).toBe('Malformed replay');
+    });
+
+    it.each([
+      ['an empty entry', [{}]],
+      ['a null entry', [null]],
+      ['a negative frame', [{ frame: -1, pressed: ['a'], released: [] }]],
+      ['a fractional frame', [{ frame: 1.5, pressed: ['a'], released: [] }]],
+      ['a frame past the end', [{ frame: 30, pressed: ['a'], released: [] }]],
+      ['frames out of order', [{ frame: 4, pressed: ['a'], released: [] }, { frame: 2, pressed: [], released: ['a'] }]],
+      ['a repeated frame', [{ frame: 2, pressed: ['a'], released: [] }, { frame: 2, pressed: [], released: ['a'] }]],
+      ['missing key lists', [{ frame: 2 }]],
+      ['an unknown key', [{ frame: 2, pressed: ['x'], released: [] }]],
+      ['a non-string key', [{ frame: 2, pressed: [null], released: [] }]]
+    ])('should reject replays with %s', (_, frames) => {
+      const { replay } = recordGame(42, 0, 30, {});
+      const result = importReplay(JSON.stringify({ ...replay, frames }));
+
+      expect(result.replay).toBeNull();
+      expect(result.error).toBe('Malformed replay');
+    });
+
+    it.each([
+      ['a negative start level', { startLevel: -1 }],
+      ['a start level past the maximum', { startLevel: 20 }],
+      ['a fractional start level', { startLevel: 2.5 }],
+      ['a fractional length', { length: 29.5 }],
+      ['a negative length', { length: -1 }]
+    ])('should reject replays with %s', (_, fields) => {
+      const { replay } = recordGame(42, 0, 30, {});
+
+      expect(importReplay(JSON.stringify({ ...replay, ...fields })).error).toBe('Malformed replay');
+    });
+  });
+
+  describe('Playback', () => {
+    it('should start from the recorded seed and level', () => {
+      const { replay } = recordGame(42, 4, 1, {});
+      const player = createReplayPlayer(replay);
+      const original = startNewGame(initGame(4), 4, 42);
+
+      expect(player.gameState.currentPiece).toEqual(original.currentPiece);
+      expect(player.gameState.nextQueue).toEqual(original.nextQueue);
+      expect(player.gameState.level.startLevel).toBe(4);
+    });
+
+    it('should reproduce the recorded game frame-exactly', () => {
+      const script = {
+        0: [['down', 'ArrowRight']],
+        1: [['up', 'ArrowRight']],
+        5: [['down', 'ArrowDown']],
+        60: [['up', 'ArrowDown'], ['down', 'ArrowLeft']],
+        61: [['up', 'ArrowLeft']],
+        80: [['down', 'ArrowDown']],
+        // Tap within a single frame
+        120: [['down', 'ArrowRight'], ['up', 'ArrowRight']],
+        200: [['up', 'ArrowDown']]
+      };
+      const { replay, gameState } = recordGame(777, 0, 240, script);
+      const player = playToEnd(replay);
+
+      expect(player.gameState.board).toEqual(gameState.board);
+      expect(player.gameState.currentPiece).toEqual(gameState.currentPiece);
+      expect(player.gameState.score).toEqual(gameState.score);
+      expect(player.gameState.randomizer).toEqual(gameState.randomizer);
+    });
+
+    it('should replay with the recorded rules', () => {
+      const rules = createRules({ randomizer: RANDOMIZER_STRATEGIES.BAG_7 });
+      const { replay, gameState } = recordGame(5, 0, 10, {}, rules);
+      const player = playToEnd(replay);
+
+      expect(player.gameState.rules).toEqual(rules);
+      expect(player.gameState.randomizer).toEqual(gameState.randomizer);
+    });
+
+    it('should replay B-Type games with their garbage', () => {
+      const mode = createGameMode(GAME_MODES.B_TYPE, 4);
+      const { replay, gameState } = recordGame(9, 0, 10, {}, DEFAULT_RULES, mode);
+      const player = playToEnd(importReplay(exportReplay(replay)).replay);
+
+      expect(player.gameState.mode).toEqual(mode);
+      expect(player.gameState.board).toEqual(gameState.board);
+    });
+
+    it('should stop at the end of the replay', () => {
+      const { replay } = recordGame(1, 0, 3, {});
+      const player = playToEnd(replay);
+      const result = stepReplay(player);
+
+      expect(result.player).toBe(player);
+      expect(result.events).toHaveLength(0);
+    });
+  });
+
+  describe('Playback controls', () => {
+    it('should simulate `speed` frames per advance', () => {
+      const { replay } = recordGame(1, 0, 20, {});
+      let player = setReplaySpeed(createReplayPlayer(replay), 4);
+      player = advanceReplay(player).player;
+
+      expect(player.frame).toBe(4);
+    });
+
+    it('should not advance while paused', () => {
+      const { replay } = recordGame(1, 0, 20, {});
+      const player = toggleReplayPause(createReplayPlayer(replay));
+
+      expect(advanceReplay(player).player.frame).toBe(0);
+    });
+
+    it('should frame-step only while paused', () => {
+      const { replay } = recordGame(1, 0, 20, {});
+      const playing = createReplayPlayer(replay);
+      const paused = toggleReplayPause(playing);
+
+      expect(stepReplayFrame(playing).player.frame).toBe(0);
+      expect(stepReplayFrame(paused).player.frame).toBe(1);
+    });
+
+    it('should not advance past the end at high speed', () => {
+      const { replay } = recordGame(1, 0, 5, {});
+      const player = setReplaySpeed(createReplayPlayer(replay), 8);
+
+      expect(advanceReplay(player).player.frame).toBe(5);
+    });
+
+    it('should only accept supported speeds', () => {
+      const player = createReplayPlayer(createReplay(1, 0));
+
+      expect(setReplaySpeed(player, 3).speed).toBe(1);
+      expect(setReplaySpeed(player, 8).speed).toBe(8);
+    });
+
+    it('should cycle speeds and clamp at the ends', () => {
+      let player = createReplayPlayer(createReplay(1, 0));
+
+      player = changeReplaySpeed(player, -1);
+      expect(player.speed).toBe(PLAYBACK_SPEEDS[0]);
+
+      for (let i = 0; i < 10; i++) {
+        player = changeReplaySpeed(player, 1);
+      }
+      expect(player.speed).toBe(8);
+    });
+
+    it('should report playback status', () => {
+      const { replay } = recordGame(1, 0, 10, {});
+      const player = toggleReplayPause(createReplayPlayer(replay));
+
+      expect(getReplayStatus(player)).toEqual({
+        frame: 0,
+        totalFrames: 10,
+        speed: 1,
+        paused: true,
+        finished: false
+      });
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createRuntime } from '../../../src/controller/runtime.js';
+import { NES_FRAME_DURATION_MS, MAX_CATCHUP_FRAMES } from '../../../src/controller/gameLoop.js';
+
+/**
+ * Creates a fake clock and animation frame scheduler
+ * @returns {Object} { now, schedule, cancel, runFrame(t), pending() }
+ */
+function createFakeDisplay() {
+  let time = 0;
+  let nextId = 1;
+  let scheduled = new Map();
+
+  return {
+    now: () => time,
+    schedule: (callback) => {
+      const id = nextId++;
+      scheduled.set(id, callback);
+      return id;
+    },
+    cancel: (id) => {
+      scheduled.delete(id);
+    },
+    runFrame(t) {
+      time = t;
+      const callbacks = [...scheduled.values()];
+      scheduled = new Map();
+      callbacks.forEach(callback => callback(t));
+    },
+    pending: () => scheduled.size
+  };
+}
+
+describe('Runtime', () => {
+  let display;
+  let update;
+  let render;
+  let runtime;
+
+  beforeEach(() => {
+    display = createFakeDisplay();
+    update = vi.fn();
+    render = vi.fn();
+    runtime = createRuntime({ update, render, ...display });
+  });
+
+  it('should not schedule frames before start', () => {
+    expect(runtime.isRunning()).toBe(false);
+    expect(display.pending()).toBe(0);
+  });
+
+  it('should schedule the first frame on start', () => {
+    runtime.start();
+
+    expect(runtime.isRunning()).toBe(true);
+    expect(display.pending()).toBe(1);
+  });
+
+  it('should keep scheduling itself', () => {
+    runtime.start();
+    display.runFrame(16);
+    display.runFrame(32);
+
+    expect(display.pending()).toBe(1);
+    expect(render).toHaveBeenCalledTimes(2);
+  });
+
+  it('should run one update per elapsed NES frame', () => {
+    runtime.start();
+    display.runFrame(NES_FRAME_DURATION_MS * 3);
+
+    expect(update).toHaveBeenCalledTimes(3);
+    expect(runtime.getLoop().frameCount).toBe(3);
+  });
+
+  it('should render every refresh with the interpolation factor', () => {
+    runtime.start();
+    display.runFrame(NES_FRAME_DURATION_MS / 2);
+
+    expect(update).not.toHaveBeenCalled();
+    expect(render).toHaveBeenCalledTimes(1);
+    expect(render.mock.calls[0][0]).toBeCloseTo(0.5);
+  });
+
+  it('should count dropped frames after a long stall', () => {
+    runtime.start();
+    display.runFrame(NES_FRAME_DURATION_MS * 60);
+
+    expect(update).toHaveBeenCalledTimes(MAX_CATCHUP_FRAMES);
+    expect(runtime.getLoop().droppedFrames).toBe(60 - MAX_CATCHUP_FRAMES);
+  });
+
+  it('should not count frames when none are dropped', () => {
+    runtime.start();
+    display.runFrame(NES_FRAME_DURATION_MS * 2);
+
+    expect(runtime.getLoop().droppedFrames).toBe(0);
+  });
+
+  it('should stop scheduling on stop', () => {
+    runtime.start();
+    runtime.stop();
+    display.runFrame(1000);
+
+    expect(runtime.isRunning()).toBe(false);
+    expect(update).not.toHaveBeenCalled();
+    expect(display.pending()).toBe(0);
+  });
+
+  it('should stop when stopped from inside a frame', () => {
+    update.mockImplementation(() => runtime.stop());
+    runtime.start();
+    display.runFrame(NES_FRAME_DURATION_MS);
+
+    expect(display.pending()).toBe(0);
+  });
+
+  it('should ignore a second start', () => {
+    runtime.start();
+    runtime.start();
+
+    expect(display.pending()).toBe(1);
+  });
+
+  it.each([60, 120, 144])('should run the same frames at %i Hz', (hz) => {
+    runtime.start();
+    for (let i = 1; i <= hz * 5; i++) {
+      display.runFrame(i * 1000 / hz);
+    }
+
+    expect(update).toHaveBeenCalledTimes(Math.floor(5000 / NES_FRAME_DURATION_MS));
+  });
+
+  it('should default to the browser clock and scheduler', () => {
+    const raf = vi.spyOn(window, 'requestAnimationFrame').mockReturnValue(7);
+    const caf = vi.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {});
+    const browserRuntime = createRuntime({ update, render });
+
+    browserRuntime.start();
+    browserRuntime.stop();
+
+    expect(raf).toHaveBeenCalledTimes(1);
+    expect(caf).toHaveBeenCalledWith(7);
+    raf.mockRestore();
+    caf.mockRestore();
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, expect } from 'vitest';
+import {
+  GAME_MODES,
+  B_TYPE_LINE_GOAL,
+  SPRINT_LINE_GOAL,
+  FRAMES_PER_MINUTE,
+  DEFAULT_ULTRA_MINUTES,
+  GARBAGE_HEIGHTS,
+  MAX_GARBAGE_HEIGHT,
+  DEFAULT_GAME_MODE,
+  createGameMode,
+  isValidGameMode,
+  isBType,
+  isSprint,
+  getLineGoal,
+  addSplits,
+  getSprintTime,
+  isSprintBest,
+  isUltra,
+  getTimeLimit,
+  getFramesRemaining,
+  isTimeUp,
+  getScorePerMinute,
+  getGarbageRows,
+  getLinesRemaining,
+  hasReachedGoal
+} from '../../src/domain/gameMode.js';
+
+describe('Game Mode Domain', () => {
+  describe('createGameMode', () => {
+    it('should default to A-Type without garbage', () => {
+      expect(createGameMode()).toEqual({ type: GAME_MODES.A_TYPE, garbageHeight: 0 });
+      expect(DEFAULT_GAME_MODE).toEqual(createGameMode());
+    });
+
+    it('should keep the height of a B-Type mode', () => {
+      expect(createGameMode(GAME_MODES.B_TYPE, 3)).toEqual({ type: GAME_MODES.B_TYPE, garbageHeight: 3 });
+    });
+
+    it('should clamp the height to 0-5', () => {
+      expect(createGameMode(GAME_MODES.B_TYPE, 9).garbageHeight).toBe(MAX_GARBAGE_HEIGHT);
+      expect(createGameMode(GAME_MODES.B_TYPE, -2).garbageHeight).toBe(0);
+      expect(createGameMode(GAME_MODES.B_TYPE, 2.5).garbageHeight).toBe(0);
+    });
+
+    it('should create a Sprint without garbage', () => {
+      expect(createGameMode(GAME_MODES.SPRINT, 3)).toEqual({ type: GAME_MODES.SPRINT, garbageHeight: 0 });
+      expect(isValidGameMode(createGameMode(GAME_MODES.SPRINT))).toBe(true);
+    });
+
+    it('should drop the height for A-Type and fall back for unknown types', () => {
+      expect(createGameMode(GAME_MODES.A_TYPE, 4).garbageHeight).toBe(0);
+      expect(createGameMode('cType', 4)).toEqual(DEFAULT_GAME_MODE);
+    });
+  });
+
+  describe('isValidGameMode', () => {
+    it('should accept modes from createGameMode', () => {
+      expect(isValidGameMode(DEFAULT_GAME_MODE)).toBe(true);
+      expect(isValidGameMode(createGameMode(GAME_MODES.B_TYPE, 5))).toBe(true);
+    });
+
+    it('should reject unknown types, bad heights and A-Type garbage', () => {
+      expect(isValidGameMode(null)).toBe(false);
+      expect(isValidGameMode({ type: 'cType', garbageHeight: 0 })).toBe(false);
+      expect(isValidGameMode({ type: GAME_MODES.B_TYPE, garbageHeight: 6 })).toBe(false);
+      expect(isValidGameMode({ type: GAME_MODES.B_TYPE, garbageHeight: '2' })).toBe(false);
+      expect(isValidGameMode({ type: GAME_MODES.A_TYPE, garbageHeight: 2 })).toBe(false);
+    });
+  });
+
+  describe('getGarbageRows', () => {
+    it('should map heights to NES garbage rows', () => {
+      expect(GARBAGE_HEIGHTS).toEqual([0, 3, 5, 8, 10, 12]);
+      expect(getGarbageRows(createGameMode(GAME_MODES.B_TYPE, 0))).toBe(0);
+      expect(getGarbageRows(createGameMode(GAME_MODES.B_TYPE, 5))).toBe(12);
+    });
+
+    it('should give A-Type no garbage', () => {
+      expect(getGarbageRows(DEFAULT_GAME_MODE)).toBe(0);
+    });
+  });
+
+  describe('goal', () => {
+    const bType = createGameMode(GAME_MODES.B_TYPE, 2);
+
+    it('should identify B-Type', () => {
+      expect(isBType(bType)).toBe(true);
+      expect(isBType(DEFAULT_GAME_MODE)).toBe(false);
+    });
+
+    it('should count B-Type lines down to zero', () => {
+      expect(getLinesRemaining(bType, 0)).toBe(B_TYPE_LINE_GOAL);
+      expect(getLinesRemaining(bType, 24)).toBe(1);
+      expect(getLinesRemaining(bType, 27)).toBe(0);
+    });
+
+    it('should have no remaining lines for A-Type', () => {
+      expect(getLinesRemaining(DEFAULT_GAME_MODE, 10)).toBeNull();
+    });
+
+    it('should reach the goal at 25 lines', () => {
+      expect(hasReachedGoal(bType, 24)).toBe(false);
+      expect(hasReachedGoal(bType, 25)).toBe(true);
+      expect(hasReachedGoal(DEFAULT_GAME_MODE, 500)).toBe(false);
+    });
+  });
+
+  describe('Sprint', () => {
+    const sprint = createGameMode(GAME_MODES.SPRINT);
+
+    it('should identify Sprint', () => {
+      expect(isSprint(sprint)).toBe(true);
+      expect(isSprint(DEFAULT_GAME_MODE)).toBe(false);
+    });
+
+    it('should have a 40-line goal', () => {
+      expect(getLineGoal(sprint)).toBe(SPRINT_LINE_GOAL);
+      expect(getLineGoal(createGameMode(GAME_MODES.B_TYPE))).toBe(B_TYPE_LINE_GOAL);
+      expect(getLineGoal(DEFAULT_GAME_MODE)).toBeNull();
+      expect(getLinesRemaining(sprint, 12)).toBe(28);
+      expect(hasReachedGoal(sprint, 39)).toBe(false);
+      expect(hasReachedGoal(sprint, 40)).toBe(true);
+    });
+
+    describe('addSplits', () => {
+      it('should record a split every 10 lines', () => {
+        expect(addSplits(sprint, [], 9, 500)).toEqual([]);
+        expect(addSplits(sprint, [], 10, 500)).toEqual([500]);
+        expect(addSplits(sprint, [500], 13, 700)).toEqual([500]);
+      });
+
+      it('should record every split a clear crosses', () => {
+        expect(addSplits(sprint, [], 21, 900)).toEqual([900, 900]);
+      });
+
+      it('should stop at the goal', () => {
+        expect(addSplits(sprint, [1, 2, 3], 43, 2000)).toEqual([1, 2, 3, 2000]);
+      });
+
+      it('should not record outside Sprint', () => {
+        const splits = [];
+        expect(addSplits(DEFAULT_GAME_MODE, splits, 40, 10)).toBe(splits);
+      });
+    });
+
+    it('should take the completion time from the last split', () => {
+      expect(getSprintTime([600, 1200, 1800, 2400])).toBe(2400);
+      expect(getSprintTime([600, 1200])).toBeNull();
+    });
+
+    it('should compare finished runs with the personal best', () => {
+      const best = { frames: 2400, splits: [600, 1200, 1800, 2400] };
+
+      expect(isSprintBest(null, [600, 1200, 1800, 3000])).toBe(true);
+      expect(isSprintBest(best, [500, 1000, 1500, 2000])).toBe(true);
+      expect(isSprintBest(best, [600, 1200, 1800, 2400])).toBe(false);
+      expect(isSprintBest(null, [600])).toBe(false);
+    });
+  });
+
+  describe('Ultra', () => {
+    const ultra = createGameMode(GAME_MODES.ULTRA, 0, 2);
+
+    it('should create an Ultra with a 2 or 3 minute limit', () => {
+      expect(ultra).toEqual({ type: GAME_MODES.ULTRA, garbageHeight: 0, minutes: 2 });
+      expect(createGameMode(GAME_MODES.ULTRA).minutes).toBe(DEFAULT_ULTRA_MINUTES);
+      expect(createGameMode(GAME_MODES.ULTRA, 4, 5)).toEqual(createGameMode(GAME_MODES.ULTRA));
+      expect(isUltra(ultra)).toBe(true);
+      expect(isUltra(DEFAULT_GAME_MODE)).toBe(false);
+    });
+
+    it('should validate the time limit', () => {
+      expect(isValidGameMode(ultra)).toBe(true);
+      expect(isValidGameMode({ ...ultra, minutes: 4 })).toBe(false);
+      expect(isValidGameMode({ ...DEFAULT_GAME_MODE, minutes: 2 })).toBe(false);
+    });
+
+    it('should have no line goal', () => {
+      expect(getLineGoal(ultra)).toBeNull();
+      expect(hasReachedGoal(ultra, 100)).toBe(false);
+    });
+
+    it('should end on a frame deadline', () => {
+      expect(getTimeLimit(ultra)).toBe(2 * FRAMES_PER_MINUTE);
+      expect(getTimeLimit(DEFAULT_GAME_MODE)).toBeNull();
+      expect(getFramesRemaining(ultra, 7000)).toBe(212);
+      expect(getFramesRemaining(DEFAULT_GAME_MODE, 7000)).toBeNull();
+      expect(isTimeUp(ultra, 7211)).toBe(false);
+      expect(isTimeUp(ultra, 7212)).toBe(true);
+      expect(isTimeUp(DEFAULT_GAME_MODE, 1e6)).toBe(false);
+    });
+
+    it('should compute the score per minute', () => {
+      expect(getScorePerMinute(5000, 0)).toBe(0);
+      expect(getScorePerMinute(5000, FRAMES_PER_MINUTE / 2)).toBe(10000);
+    });
+  });
+});
@@ -2,6 +2,9 @@ import { describe, it, expect, beforeEach } from 'vitest';
 import {
   checkGameOver,
   triggerGameOver,
+  checkGoalReached,
+  checkTimeUp,
+  triggerGameComplete,
   advanceGameOverAnimation,
   isGameOverAnimationActive,
   isGameOverAnimationComplete,
@@ -17,6 +20,7 @@ import {
 } from '../../src/domain/gameState.js';
 import { createEmptyBoard, setCell, BOARD_WIDTH } from '../../src/domain/board.js';
 import { PIECE_TYPES } from '../../src/domain/piece.js';
+import { createGameMode, GAME_MODES } from '../../src/domain/gameMode.js';
 
 describe('Game Over Domain', () => {
   let gameState;
@@ -60,6 +64,43 @@ describe('Game Over Domain', () => {
     });
   });
 
+  describe('checkGoalReached', () => {
+    const withLines = (state, linesCleared) => ({ ...state, score: { ...state.score, linesCleared } });
+
+    it('should be reached after 25 B-Type lines', () => {
+      const bType = createGameState(0, undefined, createGameMode(GAME_MODES.B_TYPE, 1));
+
+      expect(checkGoalReached(withLines(bType, 24))).toBe(false);
+      expect(checkGoalReached(withLines(bType, 25))).toBe(true);
+    });
+
+    it('should never be reached in A-Type', () => {
+      expect(checkGoalReached(withLines(gameState, 300))).toBe(false);
+    });
+  });
+
+  describe('checkTimeUp', () => {
+    it('should be up when an Ultra game reaches its deadline', () => {
+      const ultra = createGameState(0, undefined, createGameMode(GAME_MODES.ULTRA, 0, 2));
+
+      expect(checkTimeUp({ ...ultra, frameCount: 7211 })).toBe(false);
+      expect(checkTimeUp({ ...ultra, frameCount: 7212 })).toBe(true);
+    });
+
+    it('should never be up without a deadline', () => {
+      expect(checkTimeUp({ ...gameState, frameCount: 100000 })).toBe(false);
+    });
+  });
+
+  describe('triggerGameComplete', () => {
+    it('should set game state to complete without animation', () => {
+      const result = triggerGameComplete(startGame(gameState));
+
+      expect(result.state).toBe(GAME_STATES.COMPLETE);
+      expect(result.gameOverAnimation).toBeNull();
+    });
+  });
+
   describe('triggerGameOver', () => {
     it('should set game state to gameover', () => {
       gameState = startGame(gameState);
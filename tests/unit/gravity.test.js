@@ -9,6 +9,15 @@ import {
   resetCounter,
   getCurrentSpeed,
   getFramesUntilFall,
+  isInstantGravity,
+  isValidCustomGravityCurve,
+  isValidGravityCurve,
+  parseGravityCurve,
+  GRAVITY_CURVES,
+  DEFAULT_GRAVITY_CURVE,
+  INSTANT_GRAVITY,
+  MAX_CUSTOM_CURVE_LENGTH,
+  MAX_FRAMES_PER_DROP,
   FPS
 } from '../../src/domain/gravity.js';
 
@@ -18,8 +27,8 @@ describe('Gravity Domain (NES)', () => {
       expect(FPS).toBe(60);
     });
 
-    it('should have gravity table with 21 entries (levels 0-20)', () => {
-      expect(GRAVITY_TABLE).toHaveLength(21);
+    it('should have gravity table with 30 entries (levels 0-29)', () => {
+      expect(GRAVITY_TABLE).toHaveLength(30);
     });
 
     it('should have correct level 0 gravity (48 frames)', () => {
@@ -56,9 +65,75 @@ describe('Gravity Domain (NES)', () => {
       expect(getGravityForLevel(-10)).toBe(48);
     });
 
-    it('should clamp levels above 20 to 20', () => {
-      expect(getGravityForLevel(21)).toBe(2);
-      expect(getGravityForLevel(100)).toBe(2);
+    it('should drop 1 row per frame from level 29 (killscreen)', () => {
+      expect(getGravityForLevel(28)).toBe(2);
+      expect(getGravityForLevel(29)).toBe(1);
+    });
+
+    it('should clamp levels above 29 to 29', () => {
+      expect(getGravityForLevel(30)).toBe(1);
+      expect(getGravityForLevel(100)).toBe(1);
+    });
+
+    it('should use the NES curve by default', () => {
+      expect(DEFAULT_GRAVITY_CURVE).toBe(GRAVITY_CURVES.NES);
+      expect(getGravityForLevel(15, GRAVITY_CURVES.NES)).toBe(getGravityForLevel(15));
+    });
+
+    it('should be instant at every level of the 20G curve', () => {
+      expect(getGravityForLevel(0, GRAVITY_CURVES.TWENTY_G)).toBe(INSTANT_GRAVITY);
+      expect(getGravityForLevel(29, GRAVITY_CURVES.TWENTY_G)).toBe(INSTANT_GRAVITY);
+    });
+
+    it('should read a custom curve and hold its last entry', () => {
+      const curve = [30, 20, 10, 0];
+
+      expect(getGravityForLevel(1, curve)).toBe(20);
+      expect(getGravityForLevel(3, curve)).toBe(0);
+      expect(getGravityForLevel(50, curve)).toBe(0);
+    });
+  });
+
+  describe('Gravity curves', () => {
+    it('should accept the built-in curves', () => {
+      expect(isValidGravityCurve(GRAVITY_CURVES.NES)).toBe(true);
+      expect(isValidGravityCurve(GRAVITY_CURVES.TWENTY_G)).toBe(true);
+      expect(isValidGravityCurve('tgm')).toBe(false);
+    });
+
+    it('should accept custom curves of frames per drop', () => {
+      expect(isValidCustomGravityCurve([48, 24, 12, 6, 3, 1, 0])).toBe(true);
+      expect(isValidCustomGravityCurve([MAX_FRAMES_PER_DROP])).toBe(true);
+      expect(isValidGravityCurve([1])).toBe(true);
+    });
+
+    it('should reject malformed custom curves', () => {
+      expect(isValidCustomGravityCurve([])).toBe(false);
+      expect(isValidCustomGravityCurve([10, -1])).toBe(false);
+      expect(isValidCustomGravityCurve([1.5])).toBe(false);
+      expect(isValidCustomGravityCurve([MAX_FRAMES_PER_DROP + 1])).toBe(false);
+      expect(isValidCustomGravityCurve(new Array(MAX_CUSTOM_CURVE_LENGTH + 1).fill(1))).toBe(false);
+      expect(isValidCustomGravityCurve(GRAVITY_CURVES.NES)).toBe(false);
+    });
+
+    it('should parse a custom curve from JSON', () => {
+      expect(parseGravityCurve('[48, 24, 0]')).toEqual({ curve: [48, 24, 0], error: null });
+    });
+
+    it('should report invalid JSON', () => {
+      expect(parseGravityCurve('[48,')).toEqual({ curve: null, error: 'Invalid JSON' });
+    });
+
+    it('should report JSON that is not a curve', () => {
+      expect(parseGravityCurve('{"level": 0}')).toEqual({ curve: null, error: 'Invalid gravity curve' });
+      expect(parseGravityCurve('"nes"')).toEqual({ curve: null, error: 'Invalid gravity curve' });
+    });
+  });
+
+  describe('isInstantGravity', () => {
+    it('should be true only for 20G', () => {
+      expect(isInstantGravity(createGravity(0, GRAVITY_CURVES.TWENTY_G))).toBe(true);
+      expect(isInstantGravity(createGravity(29))).toBe(false);
     });
   });
 
@@ -340,10 +415,15 @@ describe('Gravity Domain (NES)', () => {
       expect(createGravity(18).framesPerDrop).toBe(3);
     });
 
-    it('level 19+ should be 2 frames', () => {
+    it('levels 19-28 should be 2 frames', () => {
       expect(createGravity(19).framesPerDrop).toBe(2);
       expect(createGravity(20).framesPerDrop).toBe(2);
-      expect(createGravity(99).framesPerDrop).toBe(2);
+      expect(createGravity(28).framesPerDrop).toBe(2);
+    });
+
+    it('level 29+ should be 1 frame', () => {
+      expect(createGravity(29).framesPerDrop).toBe(1);
+      expect(createGravity(99).framesPerDrop).toBe(1);
     });
   });
 
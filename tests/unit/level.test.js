@@ -3,6 +3,9 @@ import {
   LINES_PER_LEVEL,
   DEFAULT_START_LEVEL,
   MAX_LEVEL,
+  MAX_START_LEVEL,
+  START_LEVEL_BOOST,
+  getFirstTransitionLines,
   calculateLevel,
   getLinesUntilNextLevel,
   didLevelIncrease,
@@ -14,9 +17,10 @@ import {
   resetLevel,
   getLevelInfo,
   validateStartLevel,
+  boostStartLevel,
   getLevelProgress
 } from '../../src/domain/level.js';
-import { GRAVITY_TABLE } from '../../src/domain/gravity.js';
+import { GRAVITY_TABLE, GRAVITY_CURVES } from '../../src/domain/gravity.js';
 
 describe('Level Domain (NES)', () => {
   describe('Constants', () => {
@@ -28,6 +32,11 @@ describe('Level Domain (NES)', () => {
       expect(DEFAULT_START_LEVEL).toBe(0);
     });
 
+    it('should allow start levels up to 19 with a boost of 10', () => {
+      expect(MAX_START_LEVEL).toBe(19);
+      expect(START_LEVEL_BOOST).toBe(10);
+    });
+
     it('should have max level of 99', () => {
       expect(MAX_LEVEL).toBe(99);
     });
@@ -63,8 +72,9 @@ describe('Level Domain (NES)', () => {
     it('should handle custom start level', () => {
       expect(calculateLevel(0, 5)).toBe(5);
       expect(calculateLevel(5, 5)).toBe(5);
-      expect(calculateLevel(10, 5)).toBe(6);
-      expect(calculateLevel(20, 5)).toBe(7);
+      expect(calculateLevel(59, 5)).toBe(5);
+      expect(calculateLevel(60, 5)).toBe(6);
+      expect(calculateLevel(70, 5)).toBe(7);
     });
 
     it('should cap at MAX_LEVEL', () => {
@@ -84,8 +94,32 @@ describe('Level Domain (NES)', () => {
 
     it('should handle high start levels correctly', () => {
       expect(calculateLevel(0, 9)).toBe(9);
-      expect(calculateLevel(10, 9)).toBe(10);
-      expect(calculateLevel(90, 9)).toBe(18);
+      expect(calculateLevel(99, 9)).toBe(9);
+      expect(calculateLevel(100, 9)).toBe(10);
+      expect(calculateLevel(180, 9)).toBe(18);
+    });
+  });
+
+  describe('getFirstTransitionLines', () => {
+    it('should need (startLevel + 1) * 10 lines from levels 0-9', () => {
+      expect(getFirstTransitionLines(0)).toBe(10);
+      expect(getFirstTransitionLines(5)).toBe(60);
+      expect(getFirstTransitionLines(9)).toBe(100);
+    });
+
+    it('should need 100 lines from levels 10-15', () => {
+      expect(getFirstTransitionLines(10)).toBe(100);
+      expect(getFirstTransitionLines(15)).toBe(100);
+    });
+
+    it('should need startLevel * 10 - 50 lines from levels 16-19', () => {
+      expect(getFirstTransitionLines(16)).toBe(110);
+      expect(getFirstTransitionLines(18)).toBe(130);
+      expect(getFirstTransitionLines(19)).toBe(140);
+    });
+
+    it('should default to level 0', () => {
+      expect(getFirstTransitionLines()).toBe(10);
     });
   });
 
@@ -106,8 +140,9 @@ describe('Level Domain (NES)', () => {
     });
 
     it('should handle custom start level', () => {
-      expect(getLinesUntilNextLevel(0, 5)).toBe(10);
-      expect(getLinesUntilNextLevel(52, 5)).toBe(8); // Level 5 + 2 lines
+      expect(getLinesUntilNextLevel(0, 5)).toBe(60);
+      expect(getLinesUntilNextLevel(52, 5)).toBe(8);
+      expect(getLinesUntilNextLevel(62, 5)).toBe(8); // Level 6 + 2 lines
     });
 
     it('should handle negative lines', () => {
@@ -154,6 +189,11 @@ describe('Level Domain (NES)', () => {
       expect(level.gravity.level).toBe(5);
     });
 
+    it('should count down to the NES first transition of a high start', () => {
+      expect(createLevelState(5).linesUntilNext).toBe(60);
+      expect(createLevelState(18).linesUntilNext).toBe(130);
+    });
+
     it('should clamp negative start level to 0', () => {
       const level = createLevelState(-5);
 
@@ -229,6 +269,23 @@ describe('Level Domain (NES)', () => {
       expect(result.leveledUp).toBe(true);
       expect(result.levelState.totalLines).toBe(33);
     });
+
+    it('should level up a level 18 start at 130 lines', () => {
+      let level = { ...createLevelState(18), totalLines: 128 };
+      const result = updateAfterClear(level, 2);
+
+      expect(result.leveledUp).toBe(true);
+      expect(result.levelState.currentLevel).toBe(19);
+      expect(result.levelState.linesUntilNext).toBe(10);
+    });
+
+    it('should reach level 29 speed from a level 19 start at 230 lines', () => {
+      let level = { ...createLevelState(19), totalLines: 229 };
+      const result = updateAfterClear(level, 1);
+
+      expect(result.levelState.currentLevel).toBe(29);
+      expect(result.levelState.gravity.level).toBe(29);
+    });
   });
 
   describe('getCurrentSpeed', () => {
@@ -258,6 +315,28 @@ describe('Level Domain (NES)', () => {
     });
   });
 
+  describe('Gravity curves', () => {
+    it('should start at the speed of the curve', () => {
+      expect(getCurrentSpeed(createLevelState(5, [40, 30, 20]))).toBe(20);
+      expect(getCurrentSpeed(createLevelState(5, GRAVITY_CURVES.TWENTY_G))).toBe(0);
+    });
+
+    it('should level up along the curve', () => {
+      const level = { ...createLevelState(0, [40, 30, 20]), totalLines: 9 };
+      const result = updateAfterClear(level, 1, [40, 30, 20]);
+
+      expect(result.leveledUp).toBe(true);
+      expect(getCurrentSpeed(result.levelState)).toBe(30);
+    });
+
+    it('should set and reset levels on the curve', () => {
+      const level = setLevel(createLevelState(0, [40, 30, 20]), 2, [40, 30, 20]);
+
+      expect(getCurrentSpeed(level)).toBe(20);
+      expect(getCurrentSpeed(resetLevel(1, [40, 30, 20]))).toBe(30);
+    });
+  });
+
   describe('setLevel', () => {
     it('should set level directly', () => {
       let level = createLevelState(0);
@@ -341,9 +420,23 @@ describe('Level Domain (NES)', () => {
       let level13 = createLevelState(13);
       expect(getLevelInfo(level13).speedLabel).toBe('Very Fast');
 
-      // Extreme (0-3 frames) - Level 19 has 2 frames
+      // Extreme (2-3 frames) - Level 19 has 2 frames
       let level19 = createLevelState(19);
       expect(getLevelInfo(level19).speedLabel).toBe('Extreme');
+
+      // 1G (1 frame) - Level 29 killscreen
+      let level29 = createLevelState(29);
+      expect(getLevelInfo(level29).speedLabel).toBe('1G');
+    });
+
+    it('should label the 20G curve', () => {
+      const level = createLevelState(0, GRAVITY_CURVES.TWENTY_G);
+      expect(getLevelInfo(level).speedLabel).toBe('20G');
+    });
+
+    it('should label custom curve speeds by frames per drop', () => {
+      const level = createLevelState(1, [48, 1]);
+      expect(getLevelInfo(level).speedLabel).toBe('1G');
     });
   });
 
@@ -352,7 +445,7 @@ describe('Level Domain (NES)', () => {
       expect(validateStartLevel(0)).toBe(0);
       expect(validateStartLevel(5)).toBe(5);
       expect(validateStartLevel(9)).toBe(9);
-      expect(validateStartLevel(99)).toBe(99);
+      expect(validateStartLevel(19)).toBe(19);
     });
 
     it('should clamp negative levels', () => {
@@ -360,9 +453,22 @@ describe('Level Domain (NES)', () => {
       expect(validateStartLevel(-10)).toBe(0);
     });
 
-    it('should clamp levels above MAX_LEVEL', () => {
-      expect(validateStartLevel(100)).toBe(99);
-      expect(validateStartLevel(999)).toBe(99);
+    it('should clamp levels above MAX_START_LEVEL', () => {
+      expect(validateStartLevel(20)).toBe(19);
+      expect(validateStartLevel(99)).toBe(19);
+    });
+  });
+
+  describe('boostStartLevel', () => {
+    it('should add 10 to levels 0-9', () => {
+      expect(boostStartLevel(0)).toBe(10);
+      expect(boostStartLevel(8)).toBe(18);
+      expect(boostStartLevel(9)).toBe(19);
+    });
+
+    it('should clamp boosted levels to MAX_START_LEVEL', () => {
+      expect(boostStartLevel(10)).toBe(19);
+      expect(boostStartLevel(19)).toBe(19);
     });
   });
 
@@ -399,6 +505,20 @@ describe('Level Domain (NES)', () => {
 
       expect(getLevelProgress(level)).toBe(50); // 5 lines into level 1
     });
+
+    it('should measure the first transition of a high start', () => {
+      let level = createLevelState(18);
+      level = { ...level, totalLines: 65 };
+
+      expect(getLevelProgress(level)).toBe(50);
+    });
+
+    it('should return to 10-line levels after the first transition', () => {
+      let level = createLevelState(18);
+      level = { ...level, totalLines: 135 };
+
+      expect(getLevelProgress(level)).toBe(50); // 5 lines into level 19
+    });
   });
 
   describe('NES level progression accuracy', () => {
@@ -419,22 +539,30 @@ describe('Level Domain (NES)', () => {
     it('should match NES level select behavior', () => {
       // Starting at level 9 (common for competitive play)
       expect(calculateLevel(0, 9)).toBe(9);
-      expect(calculateLevel(10, 9)).toBe(10);
+      expect(calculateLevel(100, 9)).toBe(10);
+
+      // Starting at level 18 (A+Start on 8)
+      expect(calculateLevel(129, 18)).toBe(18);
+      expect(calculateLevel(130, 18)).toBe(19);
+      expect(calculateLevel(140, 18)).toBe(20);
 
       // Starting at level 19 (killscreen practice)
       expect(calculateLevel(0, 19)).toBe(19);
-      expect(calculateLevel(10, 19)).toBe(20);
+      expect(calculateLevel(139, 19)).toBe(19);
+      expect(calculateLevel(140, 19)).toBe(20);
     });
 
-    it('should cap gravity at level 20', () => {
-      // Gravity table caps at level 20
+    it('should cap gravity at level 29', () => {
+      // Gravity table caps at level 29
       const level0 = createLevelState(0);
       const level20 = createLevelState(20);
+      const level29 = createLevelState(29);
       const level50 = createLevelState(50);
 
       expect(getCurrentSpeed(level0)).toBe(48);
       expect(getCurrentSpeed(level20)).toBe(2);
-      expect(getCurrentSpeed(level50)).toBe(2); // Still 2 frames
+      expect(getCurrentSpeed(level29)).toBe(1);
+      expect(getCurrentSpeed(level50)).toBe(1); // Still 1 frame
     });
   });
 
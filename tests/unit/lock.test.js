@@ -8,7 +8,13 @@ import {
   markLocked,
   resetLockState,
   isLocked,
-  countCompletedLines
+  countCompletedLines,
+  tickLockDelay,
+  resetLockDelay,
+  isValidLockDelay,
+  DEFAULT_LOCK_DELAY,
+  GUIDELINE_LOCK_DELAY,
+  MAX_LOCK_RESETS
 } from '../../src/domain/lock.js';
 import { createEmptyBoard, setCell, BOARD_WIDTH, TOTAL_ROWS } from '../../src/domain/board.js';
 import { createPiece, PIECE_TYPES, movePiece } from '../../src/domain/piece.js';
@@ -236,6 +242,98 @@ describe('Lock Domain (NES)', () => {
       expect(lockState.isLocked).toBe(false);
       expect(lockState.lockedAtFrame).toBeNull();
       expect(lockState.lockedPiece).toBeNull();
+      expect(lockState).toMatchObject({ timer: null, resets: 0, lowestY: null });
+    });
+  });
+
+  describe('lock delay', () => {
+    const grounded = { ...createPiece(PIECE_TYPES.O), y: 20 };
+    const airborne = { ...createPiece(PIECE_TYPES.O), y: 10 };
+
+    /**
+     * Ticks the lock delay for a number of frames
+     * @param {Object} lockState - Starting lock state
+     * @param {Object} piece - Piece to tick
+     * @param {number} frames - Frames to tick
+     * @returns {Object} Last tick result
+     */
+    function tickFor(lockState, piece, frames) {
+      let result = { lockState, lock: false };
+      for (let i = 0; i < frames; i++) {
+        result = tickLockDelay(result.lockState, board, piece, 4, i);
+      }
+      return result;
+    }
+
+    it('should default to NES immediate locking', () => {
+      expect(DEFAULT_LOCK_DELAY).toBe(0);
+      expect(isValidLockDelay(GUIDELINE_LOCK_DELAY)).toBe(true);
+      expect(isValidLockDelay(-1)).toBe(false);
+      expect(isValidLockDelay(1.5)).toBe(false);
+      expect(isValidLockDelay(121)).toBe(false);
+    });
+
+    it('should lock a grounded piece when the delay runs out', () => {
+      expect(tickFor(createLockState(), grounded, 3).lock).toBe(false);
+
+      const result = tickFor(createLockState(), grounded, 4);
+      expect(result.lock).toBe(true);
+      expect(result.lockState.isLocked).toBe(true);
+      expect(result.lockState.lockedAtFrame).toBe(3);
+    });
+
+    it('should not run the timer in the air', () => {
+      const result = tickFor(createLockState(), airborne, 10);
+
+      expect(result.lock).toBe(false);
+      expect(result.lockState.timer).toBeNull();
+    });
+
+    it('should restart the timer on a move or rotation while grounded', () => {
+      const almost = tickFor(createLockState(), grounded, 3).lockState;
+      const reset = resetLockDelay(almost, 4);
+
+      expect(reset).toMatchObject({ timer: 4, resets: 1 });
+      expect(tickFor(reset, grounded, 3).lock).toBe(false);
+      expect(resetLockDelay(createLockState(), 4)).toEqual(createLockState());
+    });
+
+    it('should cap the resets at 15 per row', () => {
+      let lockState = tickFor(createLockState(), grounded, 1).lockState;
+      for (let i = 0; i < MAX_LOCK_RESETS + 5; i++) {
+        lockState = resetLockDelay(lockState, 4);
+      }
+
+      expect(lockState.resets).toBe(MAX_LOCK_RESETS);
+      expect(resetLockDelay({ ...lockState, timer: 1 }, 4).timer).toBe(1);
+    });
+
+    it('should keep the timer while the piece is kicked up', () => {
+      const landed = tickFor(createLockState(), grounded, 2).lockState;
+      const kicked = tickLockDelay(landed, board, { ...grounded, y: 19 }, 4, 2).lockState;
+
+      expect(kicked).toMatchObject({ timer: 2, lowestY: 20 });
+      expect(tickLockDelay(kicked, board, grounded, 4, 3).lockState.timer).toBe(1);
+    });
+
+    it('should lock on the next grounded frame after the resets run out', () => {
+      let lockState = tickFor(createLockState(), grounded, 1).lockState;
+      for (let i = 0; i < MAX_LOCK_RESETS; i++) {
+        lockState = resetLockDelay(lockState, 4);
+      }
+      const kicked = tickLockDelay(lockState, board, { ...grounded, y: 19 }, 4, 1);
+      const relanded = tickLockDelay(kicked.lockState, board, grounded, 4, 2);
+
+      expect(kicked.lock).toBe(false);
+      expect(relanded.lock).toBe(true);
+      expect(relanded.lockState.isLocked).toBe(true);
+    });
+
+    it('should give the resets back on a new lowest row', () => {
+      const used = { ...tickFor(createLockState(), airborne, 1).lockState, resets: MAX_LOCK_RESETS };
+      const result = tickLockDelay(used, board, grounded, 4, 0);
+
+      expect(result.lockState).toMatchObject({ resets: 0, lowestY: 20, timer: 3 });
     });
   });
 
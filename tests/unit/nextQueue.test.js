@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_PREVIEWS,
+  MAX_PREVIEWS,
+  isValidPreviews,
+  getQueueLength,
+  fillNextQueue,
+  takeNextPiece,
+  getPreviewPieces
+} from '../../src/domain/nextQueue.js';
+import { createRandomizer, nextPieces, RANDOMIZER_STRATEGIES } from '../../src/domain/randomizer.js';
+
+describe('Next Queue Domain', () => {
+  const randomizer = createRandomizer(1234, RANDOMIZER_STRATEGIES.BAG_7);
+
+  describe('isValidPreviews', () => {
+    it('should accept 0 to 6 previews', () => {
+      expect(DEFAULT_PREVIEWS).toBe(1);
+      expect(MAX_PREVIEWS).toBe(6);
+      expect(isValidPreviews(0)).toBe(true);
+      expect(isValidPreviews(6)).toBe(true);
+    });
+
+    it('should reject other counts', () => {
+      expect(isValidPreviews(-1)).toBe(false);
+      expect(isValidPreviews(7)).toBe(false);
+      expect(isValidPreviews(2.5)).toBe(false);
+      expect(isValidPreviews('3')).toBe(false);
+    });
+  });
+
+  describe('getQueueLength', () => {
+    it('should keep the next piece with the preview hidden', () => {
+      expect(getQueueLength(0)).toBe(1);
+      expect(getQueueLength(1)).toBe(1);
+      expect(getQueueLength(6)).toBe(6);
+    });
+  });
+
+  describe('fillNextQueue', () => {
+    it('should draw pieces in randomizer order', () => {
+      const result = fillNextQueue([], randomizer, 5);
+
+      expect(result.queue).toEqual(nextPieces(randomizer, 5).pieces);
+      expect(result.randomizer).toEqual(nextPieces(randomizer, 5).randomizer);
+    });
+
+    it('should leave a full queue alone', () => {
+      const queue = [1, 2, 3];
+      const result = fillNextQueue(queue, randomizer, 3);
+
+      expect(result.queue).toEqual(queue);
+      expect(result.randomizer).toBe(randomizer);
+    });
+  });
+
+  describe('takeNextPiece', () => {
+    it('should take the front piece and draw one at the back', () => {
+      const { queue, randomizer: drawn } = fillNextQueue([], randomizer, 3);
+      const result = takeNextPiece(queue, drawn, 3);
+
+      expect(result.pieceType).toBe(queue[0]);
+      expect(result.queue).toEqual([...queue.slice(1), nextPieces(drawn, 1).pieces[0]]);
+      expect(result.randomizer).toEqual(nextPieces(drawn, 1).randomizer);
+    });
+
+    it('should follow the randomizer sequence piece by piece', () => {
+      let state = fillNextQueue([], randomizer, 6);
+      const taken = [];
+      for (let i = 0; i < 10; i++) {
+        state = takeNextPiece(state.queue, state.randomizer, 6);
+        taken.push(state.pieceType);
+      }
+
+      expect(taken).toEqual(nextPieces(randomizer, 10).pieces);
+    });
+  });
+
+  describe('getPreviewPieces', () => {
+    it('should show the nearest pieces of the queue', () => {
+      expect(getPreviewPieces([4, 5, 6], 2)).toEqual([4, 5]);
+      expect(getPreviewPieces([4], 0)).toEqual([]);
+    });
+  });
+});
@@ -4,8 +4,33 @@ import {
   nextPiece,
   nextPieces,
   resetRandomizer,
-  createRandomizerWithFirstPiece
+  createRandomizerWithFirstPiece,
+  nesLfsrStep,
+  NES_INITIAL_SEED,
+  NES_SPAWN_TABLE,
+  NES_SPAWN_PIECES,
+  isValidRandomizerStrategy,
+  RANDOMIZER_STRATEGIES,
+  DEFAULT_RANDOMIZER_STRATEGY
 } from '../../src/domain/randomizer.js';
+import { PIECE_TYPES } from '../../src/domain/piece.js';
+
+/**
+ * Known NES sequences, traced by running the cartridge's 6502
+ * generateNextPseudorandomNumber and pickRandomTetrimino routines (as in the
+ * Nintendo Tetris disassembly, spawn table at $993B) on the jsnes CPU, with
+ * one `ldx #rng_seed / ldy #2 / jsr generateNextPseudorandomNumber` before
+ * each pick. `current` is rng_seed ($17-$18) and `spawnId` is $19 after 30 picks.
+ */
+const NES_FIXTURES = [
+  { seed: NES_INITIAL_SEED, pieces: 'LSSTOISTJILSLISTLSSJLSZJSZLTLZ', current: 31784, spawnId: 0x08 },
+  { seed: 0x1234, pieces: 'ZILTJSZJLSJISISOTLSTTTJSOZIJLS', current: 3764, spawnId: 0x0B },
+  { seed: 0xBEEF, pieces: 'TJZILIOZISJZTOJSSLSJOLZLOZSJJZ', current: 11450, spawnId: 0x08 },
+  { seed: 0x4D2E, pieces: 'OTLJJIOISOTZSLIOITZOTZOISOZOSJ', current: 56268, spawnId: 0x07 }
+];
+
+const PIECE_LETTERS = { I: PIECE_TYPES.I, O: PIECE_TYPES.O, T: PIECE_TYPES.T, S: PIECE_TYPES.S,
+  Z: PIECE_TYPES.Z, J: PIECE_TYPES.J, L: PIECE_TYPES.L };
 
 describe('Randomizer Domain (NES LCG)', () => {
   describe('createRandomizer', () => {
@@ -27,10 +52,11 @@ describe('Randomizer Domain (NES LCG)', () => {
     });
 
     it('should accept seed of 0', () => {
-      const randomizer = createRandomizer(0);
+      const randomizer = createRandomizer(0, RANDOMIZER_STRATEGIES.LCG);
 
       expect(randomizer.seed).toBe(0);
       expect(randomizer.current).toBe(0);
+      expect(createRandomizer(0).current).toBe(NES_INITIAL_SEED);
     });
   });
 
@@ -336,4 +362,169 @@ describe('Randomizer Domain (NES LCG)', () => {
       });
     });
   });
+
+  describe('Strategies', () => {
+    const ALL_STRATEGIES = Object.values(RANDOMIZER_STRATEGIES);
+
+    it('should default to the NES strategy', () => {
+      expect(createRandomizer(1).strategy).toBe(DEFAULT_RANDOMIZER_STRATEGY);
+      expect(DEFAULT_RANDOMIZER_STRATEGY).toBe(RANDOMIZER_STRATEGIES.NES);
+    });
+
+    it('should return null for unknown strategies', () => {
+      expect(createRandomizer(1, 'dice')).toBeNull();
+      expect(isValidRandomizerStrategy('dice')).toBe(false);
+      expect(isValidRandomizerStrategy('toString')).toBe(false);
+    });
+
+    it.each(ALL_STRATEGIES)('%s should be deterministic for a seed', (strategy) => {
+      const a = nextPieces(createRandomizer(2024, strategy), 50).pieces;
+      const b = nextPieces(createRandomizer(2024, strategy), 50).pieces;
+
+      expect(a).toEqual(b);
+      a.forEach(p => {
+        expect(p).toBeGreaterThanOrEqual(1);
+        expect(p).toBeLessThanOrEqual(7);
+      });
+    });
+
+    it.each(ALL_STRATEGIES)('%s should restart its sequence on reset', (strategy) => {
+      const randomizer = createRandomizer(77, strategy);
+      const advanced = nextPieces(randomizer, 13).randomizer;
+
+      expect(resetRandomizer(advanced)).toEqual(randomizer);
+    });
+
+    it('should keep the original LCG sequence', () => {
+      const { pieces } = nextPieces(createRandomizer(12345, RANDOMIZER_STRATEGIES.LCG), 20);
+
+      expect(pieces).toEqual([6, 4, 6, 2, 1, 2, 3, 4, 5, 6, 7, 2, 6, 4, 7, 4, 2, 7, 5, 5]);
+    });
+
+    it('nes should reroll repeats', () => {
+      let repeats = 0;
+      const { pieces } = nextPieces(createRandomizer(5, RANDOMIZER_STRATEGIES.NES), 1000);
+      for (let i = 1; i < pieces.length; i++) {
+        if (pieces[i] === pieces[i - 1]) repeats++;
+      }
+
+      // Plain uniform draws repeat 1/7 of the time, one reroll brings it to 1/49
+      expect(repeats).toBeGreaterThan(0);
+      expect(repeats).toBeLessThan(1000 / 14);
+    });
+
+    it('bag7 should deal every piece once per bag', () => {
+      const { pieces } = nextPieces(createRandomizer(9, RANDOMIZER_STRATEGIES.BAG_7), 70);
+
+      for (let i = 0; i < pieces.length; i += 7) {
+        expect([...pieces.slice(i, i + 7)].sort()).toEqual([1, 2, 3, 4, 5, 6, 7]);
+      }
+    });
+
+    it('bag14 should deal every piece twice per bag', () => {
+      const { pieces } = nextPieces(createRandomizer(9, RANDOMIZER_STRATEGIES.BAG_14), 42);
+
+      for (let i = 0; i < pieces.length; i += 14) {
+        const counts = {};
+        pieces.slice(i, i + 14).forEach(p => { counts[p] = (counts[p] || 0) + 1; });
+        expect(Object.values(counts)).toEqual(Array(7).fill(2));
+      }
+    });
+
+    it.each([RANDOMIZER_STRATEGIES.TGM, RANDOMIZER_STRATEGIES.TGM2])(
+      '%s should never start with S, Z or O',
+      (strategy) => {
+        for (let seed = 0; seed < 50; seed++) {
+          const { pieceType } = createRandomizerWithFirstPiece(seed, strategy);
+          expect([PIECE_TYPES.S, PIECE_TYPES.Z, PIECE_TYPES.O]).not.toContain(pieceType);
+        }
+      }
+    );
+
+    it('tgm should track the last 4 pieces', () => {
+      const { pieces, randomizer } = nextPieces(createRandomizer(3, RANDOMIZER_STRATEGIES.TGM), 10);
+
+      expect(randomizer.history).toEqual(pieces.slice(-4));
+      expect(randomizer.first).toBe(false);
+    });
+
+    it('tgm2 should rarely repeat recent pieces', () => {
+      let recentRepeats = 0;
+      const { pieces } = nextPieces(createRandomizer(11, RANDOMIZER_STRATEGIES.TGM2), 1000);
+      for (let i = 4; i < pieces.length; i++) {
+        if (pieces.slice(i - 4, i).includes(pieces[i])) recentRepeats++;
+      }
+
+      expect(recentRepeats).toBeLessThan(100);
+    });
+  });
+
+  describe('NES LFSR', () => {
+    it('should shift right feeding bit 9 XOR bit 1 into bit 15', () => {
+      expect(nesLfsrStep(NES_INITIAL_SEED)).toBe(0x44C4);
+      expect(nesLfsrStep(0x0002)).toBe(0x8001);
+      expect(nesLfsrStep(0x0202)).toBe(0x0101);
+      expect(nesLfsrStep(0)).toBe(0);
+    });
+
+    it('should map the spawn table to T, J, Z, O, S, L, I', () => {
+      expect(NES_SPAWN_TABLE).toEqual([0x02, 0x07, 0x08, 0x0A, 0x0B, 0x0E, 0x12]);
+      expect(NES_SPAWN_PIECES).toEqual([
+        PIECE_TYPES.T, PIECE_TYPES.J, PIECE_TYPES.Z, PIECE_TYPES.O,
+        PIECE_TYPES.S, PIECE_TYPES.L, PIECE_TYPES.I
+      ]);
+    });
+
+    it('should use the low 16 bits of the seed as LFSR state', () => {
+      const randomizer = createRandomizer(0x12345678, RANDOMIZER_STRATEGIES.NES);
+
+      expect(randomizer.seed).toBe(0x12345678);
+      expect(randomizer.current).toBe(0x5678);
+      expect(randomizer.spawnCount).toBe(0);
+      expect(randomizer.spawnId).toBe(0);
+    });
+
+    it('should start from the power-on seed when the low 16 bits are 0', () => {
+      const randomizer = createRandomizer(0x10000, RANDOMIZER_STRATEGIES.NES);
+      const result = nextPieces(randomizer, 30);
+
+      expect(randomizer.current).toBe(NES_INITIAL_SEED);
+      expect(result.pieces).toEqual([...NES_FIXTURES[0].pieces].map(letter => PIECE_LETTERS[letter]));
+      expect(new Set(result.pieces).size).toBe(7);
+    });
+
+    it.each(NES_FIXTURES)('should reproduce the known sequence for seed $seed', (fixture) => {
+      const result = nextPieces(createRandomizer(fixture.seed, RANDOMIZER_STRATEGIES.NES), 30);
+
+      expect(result.pieces).toEqual([...fixture.pieces].map(letter => PIECE_LETTERS[letter]));
+      expect(result.randomizer.current).toBe(fixture.current);
+      expect(result.randomizer.spawnCount).toBe(30);
+      expect(result.randomizer.spawnId).toBe(fixture.spawnId);
+    });
+
+    it('should wrap the spawn counter at one byte', () => {
+      const randomizer = { ...createRandomizer(NES_INITIAL_SEED, RANDOMIZER_STRATEGIES.NES), spawnCount: 255 };
+
+      expect(nextPiece(randomizer).randomizer.spawnCount).toBe(0);
+    });
+
+    it('should reroll when the spawn table slot is 7', () => {
+      // High byte 0x00 after stepping 0x0001 and spawn count 7 -> slot 7
+      const randomizer = { ...createRandomizer(0x0001, RANDOMIZER_STRATEGIES.NES), spawnCount: 6, spawnId: 0x02 };
+      const result = nextPiece(randomizer);
+
+      // Reroll: ((0 & 7) + 0x02) % 7 = 2 -> Z
+      expect(result.pieceType).toBe(PIECE_TYPES.Z);
+      expect(result.randomizer.spawnId).toBe(0x08);
+    });
+
+    it('should reroll a repeated spawn ID once and accept the result', () => {
+      // Slot (0 + 1) & 7 = 1 is J, which repeats the previous spawn ID
+      const randomizer = { ...createRandomizer(1, RANDOMIZER_STRATEGIES.NES), current: 0, spawnId: 0x07 };
+      const result = nextPiece(randomizer);
+
+      // Reroll: (0 + 0x07) % 7 = 0 -> T
+      expect(result.pieceType).toBe(PIECE_TYPES.T);
+    });
+  });
 });
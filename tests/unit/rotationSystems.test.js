@@ -0,0 +1,228 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  ROTATION_SYSTEMS,
+  DEFAULT_ROTATION_SYSTEM,
+  isValidRotationSystem,
+  getSystemPieces,
+  getKickOffsets
+} from '../../src/domain/rotationSystems.js';
+import { tryRotate } from '../../src/domain/rotation.js';
+import { createEmptyBoard, setCell } from '../../src/domain/board.js';
+import { createPiece, getPieceCells, PIECES, PIECE_TYPES } from '../../src/domain/piece.js';
+import { canSpawnPiece, checkCollision } from '../../src/domain/collision.js';
+import { createRules } from '../../src/domain/rules.js';
+import { initGame, startNewGame, spawnNewPiece } from '../../src/controller/gameController.js';
+
+const noBlocks = () => false;
+
+function pieceAt(type, system, x, y, rotation) {
+  const piece = createPiece(type, system);
+  return { ...piece, x, y, rotation, cells: getSystemPieces(system)[type].rotations[rotation] };
+}
+
+describe('Rotation Systems Domain', () => {
+  let board;
+
+  beforeEach(() => {
+    board = createEmptyBoard();
+  });
+
+  describe('Registry', () => {
+    it('should default to NES rotation', () => {
+      expect(DEFAULT_ROTATION_SYSTEM).toBe(ROTATION_SYSTEMS.NES);
+      expect(getSystemPieces()).toBe(PIECES);
+    });
+
+    it('should validate system names', () => {
+      Object.values(ROTATION_SYSTEMS).forEach(system => {
+        expect(isValidRotationSystem(system)).toBe(true);
+      });
+      expect(isValidRotationSystem('dtet')).toBe(false);
+      expect(isValidRotationSystem('toString')).toBe(false);
+    });
+
+    it.each(Object.values(ROTATION_SYSTEMS))('%s should define 4 states of 4 cells for every piece', (system) => {
+      const pieces = getSystemPieces(system);
+
+      for (let type = 1; type <= 7; type++) {
+        expect(pieces[type].type).toBe(type);
+        expect(pieces[type].rotations).toHaveLength(4);
+        pieces[type].rotations.forEach(cells => expect(cells).toHaveLength(4));
+      }
+    });
+  });
+
+  describe('Pieces', () => {
+    it('should record the rotation system on created pieces', () => {
+      expect(createPiece(PIECE_TYPES.T).system).toBe(ROTATION_SYSTEMS.NES);
+      expect(createPiece(PIECE_TYPES.T, ROTATION_SYSTEMS.ARS).system).toBe(ROTATION_SYSTEMS.ARS);
+    });
+
+    it('should use the system rotation states', () => {
+      const ars = createPiece(PIECE_TYPES.T, ROTATION_SYSTEMS.ARS);
+
+      // ARS pieces spawn flat side up at the bottom of their box
+      expect(ars.cells).toEqual([{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 1, y: 2 }]);
+      expect(getPieceCells(PIECE_TYPES.T, 0, 0, 0, ROTATION_SYSTEMS.ARS)).toEqual(ars.cells);
+    });
+
+    it('should check collisions and spawns with the system states', () => {
+      // NES T occupies row 0 at spawn, ARS T does not
+      const blocked = setCell(board, 4, 0, PIECE_TYPES.I);
+
+      expect(canSpawnPiece(blocked, PIECE_TYPES.T)).toBe(false);
+      expect(canSpawnPiece(blocked, PIECE_TYPES.T, ROTATION_SYSTEMS.ARS)).toBe(true);
+      expect(checkCollision(blocked, PIECE_TYPES.T, 3, 0, 0, ROTATION_SYSTEMS.ARS)).toBe(false);
+    });
+  });
+
+  describe('NES', () => {
+    it('should only test the basic rotation', () => {
+      const piece = createPiece(PIECE_TYPES.T);
+
+      expect(getKickOffsets(piece, 1, noBlocks)).toEqual([{ x: 0, y: 0 }]);
+    });
+
+    it('should cancel a rotation into the wall', () => {
+      const piece = pieceAt(PIECE_TYPES.T, ROTATION_SYSTEMS.NES, -1, 5, 1);
+
+      expect(tryRotate(board, piece, 1).success).toBe(false);
+    });
+  });
+
+  describe('SRS', () => {
+    it('should convert the JLSTZ table to board coordinates', () => {
+      const piece = createPiece(PIECE_TYPES.T, ROTATION_SYSTEMS.SRS);
+
+      expect(getKickOffsets(piece, 1, noBlocks)).toEqual([
+        { x: 0, y: 0 }, { x: -1, y: 0 }, { x: -1, y: -1 }, { x: 0, y: 2 }, { x: -1, y: 2 }
+      ]);
+    });
+
+    it('should use the I table for I pieces', () => {
+      const piece = createPiece(PIECE_TYPES.I, ROTATION_SYSTEMS.SRS);
+
+      expect(getKickOffsets(piece, 3, noBlocks)).toEqual([
+        { x: 0, y: 0 }, { x: -1, y: 0 }, { x: 2, y: 0 }, { x: -1, y: -2 }, { x: 2, y: 1 }
+      ]);
+    });
+
+    it('should never kick the O piece', () => {
+      const piece = createPiece(PIECE_TYPES.O, ROTATION_SYSTEMS.SRS);
+
+      expect(getKickOffsets(piece, 1, noBlocks)).toEqual([{ x: 0, y: 0 }]);
+    });
+
+    it('should kick a T off the left wall', () => {
+      const piece = pieceAt(PIECE_TYPES.T, ROTATION_SYSTEMS.SRS, -1, 5, 1);
+      const result = tryRotate(board, piece, 1);
+
+      expect(result.success).toBe(true);
+      expect(result.piece.rotation).toBe(2);
+      expect(result.piece.x).toBe(0);
+      expect(result.piece.y).toBe(5);
+    });
+
+    it('should kick an I two cells off the left wall', () => {
+      const piece = pieceAt(PIECE_TYPES.I, ROTATION_SYSTEMS.SRS, -2, 5, 1);
+      const result = tryRotate(board, piece, -1);
+
+      expect(result.success).toBe(true);
+      expect(result.piece.x).toBe(0);
+      expect(result.piece.rotation).toBe(0);
+    });
+
+    it('should use vertical kicks when horizontal tests fail', () => {
+      // T resting on a filled row inside a 3-wide well, rotating clockwise
+      let walled = board;
+      for (let y = 16; y < 22; y++) {
+        walled = setCell(setCell(walled, 2, y, PIECE_TYPES.I), 6, y, PIECE_TYPES.I);
+      }
+      for (let x = 3; x <= 5; x++) {
+        walled = setCell(walled, x, 21, PIECE_TYPES.I);
+      }
+      const piece = pieceAt(PIECE_TYPES.T, ROTATION_SYSTEMS.SRS, 3, 19, 0);
+      const result = tryRotate(walled, piece, 1);
+
+      // Tests 1 and 2 hit the floor, test 3 moves left and up
+      expect(result.success).toBe(true);
+      expect(result.piece.x).toBe(2);
+      expect(result.piece.y).toBe(18);
+    });
+
+    it('should cancel the rotation when every test fails', () => {
+      let filled = board;
+      for (let x = 0; x < 10; x++) {
+        for (let y = 0; y < 22; y++) {
+          if (!(y === 10 && x >= 3 && x <= 5) && !(y === 9 && x === 4)) {
+            filled = setCell(filled, x, y, PIECE_TYPES.I);
+          }
+        }
+      }
+      const piece = pieceAt(PIECE_TYPES.T, ROTATION_SYSTEMS.SRS, 3, 9, 0);
+      const result = tryRotate(filled, piece, 1);
+
+      expect(result.success).toBe(false);
+      expect(result.piece).toBe(piece);
+    });
+  });
+
+  describe('ARS', () => {
+    it('should kick one cell right off the left wall', () => {
+      const piece = pieceAt(PIECE_TYPES.T, ROTATION_SYSTEMS.ARS, -1, 5, 3);
+      const result = tryRotate(board, piece, 1);
+
+      expect(result.success).toBe(true);
+      expect(result.piece.x).toBe(0);
+      expect(result.piece.rotation).toBe(0);
+    });
+
+    it('should kick one cell left off the right wall', () => {
+      const piece = pieceAt(PIECE_TYPES.T, ROTATION_SYSTEMS.ARS, 8, 5, 1);
+      const result = tryRotate(board, piece, -1);
+
+      expect(result.success).toBe(true);
+      expect(result.piece.x).toBe(7);
+    });
+
+    it('should never kick the I piece', () => {
+      const piece = pieceAt(PIECE_TYPES.I, ROTATION_SYSTEMS.ARS, -2, 5, 1);
+
+      expect(getKickOffsets(piece, 0, noBlocks)).toEqual([{ x: 0, y: 0 }]);
+      expect(tryRotate(board, piece, -1).success).toBe(false);
+    });
+
+    it('should kick when the first blocked cell is outside the center column', () => {
+      const blocked = setCell(board, 3, 7, PIECE_TYPES.I);
+      const piece = pieceAt(PIECE_TYPES.J, ROTATION_SYSTEMS.ARS, 3, 5, 0);
+      const result = tryRotate(blocked, piece, 1);
+
+      expect(result.success).toBe(true);
+      expect(result.piece.x).toBe(4);
+    });
+
+    it('should not kick T, J or L when the center column is blocked first', () => {
+      const blocked = setCell(board, 4, 5, PIECE_TYPES.I);
+      const piece = pieceAt(PIECE_TYPES.J, ROTATION_SYSTEMS.ARS, 3, 5, 0);
+
+      expect(getKickOffsets(piece, 1, (x, y) => x === 4 && y === 5)).toEqual([{ x: 0, y: 0 }]);
+      expect(tryRotate(blocked, piece, 1).success).toBe(false);
+    });
+
+    it('should kick S and Z regardless of the center column', () => {
+      const piece = pieceAt(PIECE_TYPES.S, ROTATION_SYSTEMS.ARS, 3, 5, 0);
+
+      expect(getKickOffsets(piece, 1, () => true)).toHaveLength(3);
+    });
+  });
+
+  describe('Game integration', () => {
+    it('should spawn pieces with the rules rotation system', () => {
+      const rules = createRules({ rotationSystem: ROTATION_SYSTEMS.SRS });
+      const state = startNewGame(initGame(0, rules), 0, 7);
+
+      expect(state.currentPiece.system).toBe(ROTATION_SYSTEMS.SRS);
+      expect(spawnNewPiece(state).gameState.currentPiece.system).toBe(ROTATION_SYSTEMS.SRS);
+    });
+  });
+});
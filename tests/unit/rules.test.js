@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { createRules, isValidRules, DEFAULT_RULES, RULE_TOGGLES } from '../../src/domain/rules.js';
+import { RANDOMIZER_STRATEGIES } from '../../src/domain/randomizer.js';
+import { ROTATION_SYSTEMS } from '../../src/domain/rotationSystems.js';
+import { SOFT_DROP_SCORING } from '../../src/domain/scoring.js';
+import { GRAVITY_CURVES } from '../../src/domain/gravity.js';
+import { createGameState, startGame } from '../../src/domain/gameState.js';
+
+describe('Rules Domain', () => {
+  describe('createRules', () => {
+    it('should return the defaults without overrides', () => {
+      expect(createRules()).toEqual(DEFAULT_RULES);
+    });
+
+    it('should apply valid overrides', () => {
+      const rules = createRules({ randomizer: RANDOMIZER_STRATEGIES.TGM });
+
+      expect(rules.randomizer).toBe(RANDOMIZER_STRATEGIES.TGM);
+    });
+
+    it('should fall back to defaults for invalid values', () => {
+      const rules = createRules({ randomizer: 'dice', rotationSystem: 'dtet' });
+
+      expect(rules.randomizer).toBe(DEFAULT_RULES.randomizer);
+      expect(rules.rotationSystem).toBe(DEFAULT_RULES.rotationSystem);
+    });
+
+    it('should select the soft drop scoring', () => {
+      expect(createRules().softDropScoring).toBe(SOFT_DROP_SCORING.PUSH_DOWN);
+      expect(createRules({ softDropScoring: 'hardDrop' }).softDropScoring).toBe(SOFT_DROP_SCORING.PUSH_DOWN);
+      expect(createRules({ softDropScoring: SOFT_DROP_SCORING.PER_CELL }).softDropScoring)
+        .toBe(SOFT_DROP_SCORING.PER_CELL);
+    });
+
+    it('should leave hold and drops disabled unless enabled', () => {
+      expect(RULE_TOGGLES).toEqual(['hold', 'hardDrop', 'sonicDrop']);
+      for (const toggle of RULE_TOGGLES) {
+        expect(createRules()[toggle]).toBe(false);
+        expect(createRules({ [toggle]: 'yes' })[toggle]).toBe(false);
+        expect(createRules({ [toggle]: true })[toggle]).toBe(true);
+      }
+    });
+
+    it('should select the lock delay', () => {
+      expect(createRules().lockDelay).toBe(0);
+      expect(createRules({ lockDelay: 30 }).lockDelay).toBe(30);
+      expect(createRules({ lockDelay: -4 }).lockDelay).toBe(0);
+    });
+
+    it('should select the number of previews', () => {
+      expect(createRules().previews).toBe(1);
+      expect(createRules({ previews: 0 }).previews).toBe(0);
+      expect(createRules({ previews: 6 }).previews).toBe(6);
+      expect(createRules({ previews: 9 }).previews).toBe(1);
+    });
+
+    it('should select the gravity curve', () => {
+      expect(createRules().gravityCurve).toBe(GRAVITY_CURVES.NES);
+      expect(createRules({ gravityCurve: GRAVITY_CURVES.TWENTY_G }).gravityCurve).toBe(GRAVITY_CURVES.TWENTY_G);
+      expect(createRules({ gravityCurve: [30, 10, 0] }).gravityCurve).toEqual([30, 10, 0]);
+      expect(createRules({ gravityCurve: [-1] }).gravityCurve).toBe(GRAVITY_CURVES.NES);
+    });
+
+    it('should select the rotation system', () => {
+      expect(createRules().rotationSystem).toBe(ROTATION_SYSTEMS.NES);
+      expect(createRules({ rotationSystem: ROTATION_SYSTEMS.ARS }).rotationSystem).toBe(ROTATION_SYSTEMS.ARS);
+    });
+  });
+
+  describe('isValidRules', () => {
+    it('should accept created rules', () => {
+      expect(isValidRules(createRules())).toBe(true);
+    });
+
+    it('should reject missing or invalid rules', () => {
+      expect(isValidRules(null)).toBe(false);
+      expect(isValidRules('lcg')).toBe(false);
+      expect(isValidRules({ randomizer: 'dice' })).toBe(false);
+      expect(isValidRules({ ...createRules(), rotationSystem: 'dtet' })).toBe(false);
+      expect(isValidRules({ ...createRules(), softDropScoring: undefined })).toBe(false);
+      expect(isValidRules({ ...createRules(), hold: 1 })).toBe(false);
+      expect(isValidRules({ ...createRules(), sonicDrop: undefined })).toBe(false);
+      expect(isValidRules({ ...createRules(), lockDelay: '30' })).toBe(false);
+      expect(isValidRules({ ...createRules(), previews: undefined })).toBe(false);
+      expect(isValidRules({ ...createRules(), gravityCurve: 'tgm' })).toBe(false);
+    });
+  });
+
+  describe('Game state integration', () => {
+    it('should use the rules randomizer strategy', () => {
+      const rules = createRules({ randomizer: RANDOMIZER_STRATEGIES.BAG_7 });
+      const state = startGame(createGameState(0, rules), 0, 1);
+
+      expect(state.rules).toBe(rules);
+      expect(state.randomizer.strategy).toBe(RANDOMIZER_STRATEGIES.BAG_7);
+    });
+
+    it('should use the rules gravity curve', () => {
+      const rules = createRules({ gravityCurve: [40, 30, 20] });
+      const state = startGame(createGameState(2, rules), 2, 1);
+
+      expect(state.gravity.framesPerDrop).toBe(20);
+      expect(state.level.gravity.framesPerDrop).toBe(20);
+    });
+  });
+});
@@ -5,13 +5,22 @@ import {
   HARD_DROP_POINTS,
   calculateLineClearScore,
   calculateSoftDropScore,
+  calculateHardDropScore,
+  addHardDropScore,
   createScoreState,
   addLineClearScore,
   addSoftDropScore,
+  addPushDownScore,
+  applyPushDownPoints,
+  isValidSoftDropScoring,
+  SOFT_DROP_SCORING,
+  DEFAULT_SOFT_DROP_SCORING,
   resetScore,
   getTotalScore,
   getTotalLines,
   getTetrisCount,
+  getTetrisRate,
+  getPointsPerLine,
   getScoreBreakdown,
   createHighScoreState,
   addHighScore,
@@ -31,8 +40,8 @@ describe('Scoring Domain (NES)', () => {
       expect(SOFT_DROP_POINTS).toBe(1);
     });
 
-    it('should have hard drop points set to 0 (NES does not have hard drop)', () => {
-      expect(HARD_DROP_POINTS).toBe(0);
+    it('should have hard drop points (2 per cell, optional rule)', () => {
+      expect(HARD_DROP_POINTS).toBe(2);
     });
   });
 
@@ -106,7 +115,12 @@ describe('Scoring Domain (NES)', () => {
 
       expect(score.totalScore).toBe(0);
       expect(score.linesCleared).toBe(0);
+      expect(score.singles).toBe(0);
+      expect(score.doubles).toBe(0);
+      expect(score.triples).toBe(0);
       expect(score.tetrises).toBe(0);
+      expect(score.burnLines).toBe(0);
+      expect(score.tetrisLines).toBe(0);
       expect(score.softDropCells).toBe(0);
       expect(score.softDropScore).toBe(0);
       expect(score.lastClearScore).toBe(0);
@@ -146,6 +160,29 @@ describe('Scoring Domain (NES)', () => {
       expect(score.tetrises).toBe(1);
     });
 
+    it('should count clears by size', () => {
+      let score = createScoreState();
+      for (const lines of [1, 1, 2, 3, 3, 3, 4]) {
+        score = addLineClearScore(score, lines, 0);
+      }
+
+      expect(score.singles).toBe(2);
+      expect(score.doubles).toBe(1);
+      expect(score.triples).toBe(3);
+      expect(score.tetrises).toBe(1);
+    });
+
+    it('should split the lines into burn and tetris lines', () => {
+      let score = createScoreState();
+      for (const lines of [1, 2, 3, 4, 4]) {
+        score = addLineClearScore(score, lines, 0);
+      }
+
+      expect(score.burnLines).toBe(6);
+      expect(score.tetrisLines).toBe(8);
+      expect(score.burnLines + score.tetrisLines).toBe(score.linesCleared);
+    });
+
     it('should update high score when total increases', () => {
       let score = createScoreState();
       score = addLineClearScore(score, 4, 0);
@@ -161,6 +198,51 @@ describe('Scoring Domain (NES)', () => {
     });
   });
 
+  describe('applyPushDownPoints', () => {
+    it('should credit rows minus one', () => {
+      expect(applyPushDownPoints(0, 2)).toBe(1);
+      expect(applyPushDownPoints(1200, 8)).toBe(1207);
+    });
+
+    it('should credit nothing below two rows', () => {
+      expect(applyPushDownPoints(340, 0)).toBe(340);
+      expect(applyPushDownPoints(340, 1)).toBe(340);
+    });
+
+    it('should carry into the hundreds', () => {
+      expect(applyPushDownPoints(95, 10)).toBe(104);
+      expect(applyPushDownPoints(4090, 12)).toBe(4101);
+    });
+
+    it.each([
+      [9, 10, 12],
+      [50, 11, 60],
+      [199, 20, 212],
+      [0, 17, 10]
+    ])('should keep the NES BCD quirk (%i + %i rows = %i)', (total, rows, expected) => {
+      expect(applyPushDownPoints(total, rows)).toBe(expected);
+    });
+  });
+
+  describe('addPushDownScore', () => {
+    it('should add the credited points to the totals', () => {
+      const score = addPushDownScore({ ...createScoreState(), totalScore: 40 }, 6);
+
+      expect(score.totalScore).toBe(45);
+      expect(score.softDropScore).toBe(5);
+      expect(score.softDropCells).toBe(6);
+      expect(score.highScore).toBe(45);
+    });
+  });
+
+  describe('isValidSoftDropScoring', () => {
+    it('should accept the scoring models and default to push-down', () => {
+      expect(Object.values(SOFT_DROP_SCORING).every(isValidSoftDropScoring)).toBe(true);
+      expect(isValidSoftDropScoring('hardDrop')).toBe(false);
+      expect(DEFAULT_SOFT_DROP_SCORING).toBe(SOFT_DROP_SCORING.PUSH_DOWN);
+    });
+  });
+
   describe('addSoftDropScore', () => {
     it('should add soft drop score', () => {
       let score = createScoreState();
@@ -190,6 +272,22 @@ describe('Scoring Domain (NES)', () => {
     });
   });
 
+  describe('addHardDropScore', () => {
+    it('should score 2 points per cell', () => {
+      expect(calculateHardDropScore(0)).toBe(0);
+      expect(calculateHardDropScore(18)).toBe(36);
+    });
+
+    it('should add hard drop score to the totals', () => {
+      const score = addHardDropScore(addHardDropScore(createScoreState(), 10), 4);
+
+      expect(score.totalScore).toBe(28);
+      expect(score.hardDropCells).toBe(14);
+      expect(score.hardDropScore).toBe(28);
+      expect(score.highScore).toBe(28);
+    });
+  });
+
   describe('resetScore', () => {
     it('should reset score to initial state', () => {
       let score = createScoreState();
@@ -233,6 +331,35 @@ describe('Scoring Domain (NES)', () => {
     });
   });
 
+  describe('getTetrisRate', () => {
+    it('should give the share of lines cleared by tetrises', () => {
+      let score = createScoreState();
+      score = addLineClearScore(score, 4, 0);
+      score = addLineClearScore(score, 2, 0);
+
+      expect(getTetrisRate(score)).toBe(67);
+      expect(getTetrisRate(addLineClearScore(createScoreState(), 4, 0))).toBe(100);
+    });
+
+    it('should be 0 before any line', () => {
+      expect(getTetrisRate(createScoreState())).toBe(0);
+    });
+  });
+
+  describe('getPointsPerLine', () => {
+    it('should average the score over the lines cleared', () => {
+      let score = createScoreState();
+      score = addLineClearScore(score, 4, 0);
+      score = addLineClearScore(score, 1, 0);
+
+      expect(getPointsPerLine(score)).toBe(248);
+    });
+
+    it('should be 0 before any line', () => {
+      expect(getPointsPerLine(createScoreState())).toBe(0);
+    });
+  });
+
   describe('getScoreBreakdown', () => {
     it('should return score breakdown', () => {
       let score = createScoreState();
@@ -243,8 +370,17 @@ describe('Scoring Domain (NES)', () => {
 
       expect(breakdown.lineClears).toBe(40);
       expect(breakdown.softDrops).toBe(5);
+      expect(breakdown.hardDrops).toBe(0);
       expect(breakdown.total).toBe(45);
     });
+
+    it('should keep hard drops out of the line clear score', () => {
+      const score = addHardDropScore(addLineClearScore(createScoreState(), 1, 0), 6);
+      const breakdown = getScoreBreakdown(score);
+
+      expect(breakdown.lineClears).toBe(40);
+      expect(breakdown.hardDrops).toBe(12);
+    });
   });
 
   describe('createHighScoreState', () => {
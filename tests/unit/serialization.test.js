@@ -0,0 +1,326 @@
+import { describe, it, expect } from 'vitest';
+import {
+  serializeGameState,
+  deserializeGameState,
+  migrateSaveData,
+  validateSaveState,
+  SAVE_VERSION
+} from '../../src/domain/serialization.js';
+import {
+  createGameState,
+  startGame,
+  spawnPiece,
+  setGameOver,
+  updateCurrentPiece,
+  startLineClear,
+  GAME_STATES,
+  PLAY_PHASES
+} from '../../src/domain/gameState.js';
+import { createPiece, rotatePiece, movePiece, PIECE_TYPES } from '../../src/domain/piece.js';
+import { setCell } from '../../src/domain/board.js';
+import { markLocked } from '../../src/domain/lock.js';
+import { nextPieces, RANDOMIZER_STRATEGIES } from '../../src/domain/randomizer.js';
+import { createRules } from '../../src/domain/rules.js';
+import { ROTATION_SYSTEMS } from '../../src/domain/rotationSystems.js';
+import { createGameMode, GAME_MODES } from '../../src/domain/gameMode.js';
+
+function createPlayingState() {
+  let state = startGame(createGameState(3), 3, 2024);
+  const piece = movePiece(rotatePiece(createPiece(PIECE_TYPES.T), 1), 2, 5);
+  state = spawnPiece(state, piece);
+  state = { ...state, board: setCell(state.board, 0, 21, PIECE_TYPES.I) };
+  state = { ...state, score: { ...state.score, totalScore: 1200, linesCleared: 4, tetrises: 1 } };
+  state = { ...state, das: { ...state.das, direction: 1, counter: 5 } };
+  state = { ...state, lock: markLocked(state.lock, piece, 40) };
+  return { ...state, frameCount: 123 };
+}
+
+function corrupt(path, value) {
+  const data = JSON.parse(serializeGameState(createPlayingState()));
+  let target = data.state;
+  for (const key of path.slice(0, -1)) {
+    target = target[key];
+  }
+  target[path[path.length - 1]] = value;
+  return JSON.stringify(data);
+}
+
+describe('Serialization', () => {
+  describe('serializeGameState', () => {
+    it('should produce versioned JSON', () => {
+      const data = JSON.parse(serializeGameState(createGameState()));
+
+      expect(data.version).toBe(SAVE_VERSION);
+      expect(data.state.state).toBe(GAME_STATES.TITLE);
+    });
+
+    it('should store pieces without cells', () => {
+      const data = JSON.parse(serializeGameState(createPlayingState()));
+
+      expect(data.state.currentPiece).toEqual({ type: PIECE_TYPES.T, x: 5, y: 5, rotation: 1 });
+      expect(data.state.lock.lockedPiece.cells).toBeUndefined();
+    });
+  });
+
+  describe('deserializeGameState', () => {
+    it('should round-trip a game in progress', () => {
+      const original = createPlayingState();
+      const result = deserializeGameState(serializeGameState(original));
+
+      expect(result.success).toBe(true);
+      expect(result.error).toBeNull();
+      expect(result.gameState).toEqual(original);
+    });
+
+    it('should round-trip the initial state', () => {
+      const original = createGameState(7);
+      const result = deserializeGameState(serializeGameState(original));
+
+      expect(result.gameState).toEqual(original);
+    });
+
+    it('should round-trip a game over state', () => {
+      const original = setGameOver(createPlayingState());
+      const result = deserializeGameState(serializeGameState(original));
+
+      expect(result.gameState).toEqual(original);
+    });
+
+    it('should continue the same piece sequence after loading', () => {
+      const original = createPlayingState();
+      const loaded = deserializeGameState(serializeGameState(original)).gameState;
+
+      expect(nextPieces(loaded.randomizer, 10).pieces).toEqual(nextPieces(original.randomizer, 10).pieces);
+    });
+
+    it('should reject invalid JSON', () => {
+      const result = deserializeGameState('{');
+
+      expect(result.success).toBe(false);
+      expect(result.gameState).toBeNull();
+      expect(result.error).toBe('Invalid JSON');
+    });
+
+    it('should reject data without version', () => {
+      expect(deserializeGameState('{}').error).toBe('Missing save version');
+      expect(deserializeGameState('null').error).toBe('Missing save version');
+    });
+
+    it('should reject newer versions', () => {
+      const result = deserializeGameState(JSON.stringify({ version: SAVE_VERSION + 1, state: {} }));
+
+      expect(result.error).toBe(`Unsupported save version ${SAVE_VERSION + 1}`);
+    });
+
+    it('should round-trip rules and strategy state', () => {
+      const rules = createRules({ randomizer: RANDOMIZER_STRATEGIES.BAG_7 });
+      const original = startGame(createGameState(0, rules), 0, 99);
+      const result = deserializeGameState(serializeGameState(original));
+
+      expect(result.gameState).toEqual(original);
+      expect(result.gameState.randomizer.bag.length).toBeGreaterThan(0);
+    });
+
+    it('should restore pieces with the rules rotation system', () => {
+      const rules = createRules({ rotationSystem: ROTATION_SYSTEMS.ARS });
+      const piece = rotatePiece(createPiece(PIECE_TYPES.J, ROTATION_SYSTEMS.ARS), 1);
+      const original = spawnPiece(startGame(createGameState(0, rules), 0, 8), piece);
+      const result = deserializeGameState(serializeGameState(original));
+
+      expect(result.gameState).toEqual(original);
+      expect(result.gameState.currentPiece.cells).toEqual(piece.cells);
+    });
+
+    it('should round-trip a line clear in progress', () => {
+      const original = startLineClear(updateCurrentPiece(createPlayingState(), null), [20, 21], 12);
+      const result = deserializeGameState(serializeGameState(original));
+
+      expect(result.gameState).toEqual(original);
+      expect(result.gameState.phase.name).toBe(PLAY_PHASES.LINE_CLEAR);
+    });
+
+    it('should round-trip a B-Type game', () => {
+      const mode = createGameMode(GAME_MODES.B_TYPE, 3);
+      const original = startGame(createGameState(0, undefined, mode), 0, 31);
+      const result = deserializeGameState(serializeGameState(original));
+
+      expect(result.gameState).toEqual(original);
+      expect(result.gameState.mode).toEqual(mode);
+    });
+
+    it('should round-trip Sprint splits', () => {
+      const original = { ...createPlayingState(), splits: [640, 1320] };
+      const result = deserializeGameState(serializeGameState(original));
+
+      expect(result.gameState.splits).toEqual([640, 1320]);
+    });
+
+    it('should round-trip an Ultra game', () => {
+      const mode = createGameMode(GAME_MODES.ULTRA, 0, 2);
+      const original = startGame(createGameState(0, undefined, mode), 0, 12);
+      const result = deserializeGameState(serializeGameState(original));
+
+      expect(result.gameState).toEqual(original);
+    });
+
+    it('should round-trip a held piece', () => {
+      const rules = createRules({ hold: true });
+      const original = { ...startGame(createGameState(0, rules), 0, 5), hold: { pieceType: PIECE_TYPES.T, used: true } };
+      const result = deserializeGameState(serializeGameState(original));
+
+      expect(result.gameState).toEqual(original);
+    });
+
+    it('should round-trip a running lock delay', () => {
+      const original = startGame(createGameState(0, createRules({ lockDelay: 30 })), 0, 6);
+      const delayed = { ...original, lock: { ...original.lock, timer: 12, resets: 3, lowestY: 18 } };
+      const result = deserializeGameState(serializeGameState(delayed));
+
+      expect(result.gameState).toEqual(delayed);
+    });
+
+    it('should round-trip a custom gravity curve at 20G', () => {
+      const original = startGame(createGameState(1, createRules({ gravityCurve: [20, 0] })), 1, 4);
+      const result = deserializeGameState(serializeGameState(original));
+
+      expect(original.gravity.framesPerDrop).toBe(0);
+      expect(result.gameState).toEqual(original);
+    });
+
+    it('should round-trip piece statistics', () => {
+      const original = { ...createPlayingState(), pieceStats: { counts: [3, 1, 4, 1, 5, 9, 2], drought: 6, longestDrought: 14 } };
+      const result = deserializeGameState(serializeGameState(original));
+
+      expect(result.gameState).toEqual(original);
+    });
+
+    it('should round-trip a six-piece next queue', () => {
+      const original = startGame(createGameState(0, createRules({ previews: 6 })), 0, 9);
+      const result = deserializeGameState(serializeGameState(original));
+
+      expect(original.nextQueue).toHaveLength(6);
+      expect(result.gameState).toEqual(original);
+    });
+
+    it('should apply migrations from older versions', () => {
+      const current = JSON.parse(serializeGameState(createPlayingState()));
+      const old = { version: 0, legacy: current.state };
+      const migrations = {
+        0: data => ({ version: SAVE_VERSION, state: data.legacy })
+      };
+
+      const result = deserializeGameState(JSON.stringify(old), migrations);
+
+      expect(result.success).toBe(true);
+      expect(result.gameState.frameCount).toBe(123);
+    });
+
+    it('should fail when a migration is missing', () => {
+      const result = deserializeGameState(JSON.stringify({ version: 0, state: {} }), {});
+
+      expect(result.error).toBe('No migration from version 0');
+    });
+
+    it('should reject old saves a migration fails on', () => {
+      const migrations = { 0: data => ({ version: SAVE_VERSION, state: data.legacy.state }) };
+      const result = deserializeGameState(JSON.stringify({ version: 0 }), migrations);
+
+      expect(result).toEqual({ success: false, gameState: null, error: 'Invalid version 0 save' });
+    });
+
+    it('should reject a migration that does not raise the version', () => {
+      const migrations = { 0: data => ({ ...data, state: {} }) };
+      const result = deserializeGameState(JSON.stringify({ version: 0, state: {} }), migrations);
+
+      expect(result.error).toBe('Migration from version 0 did not raise the version');
+    });
+
+    it.each([
+      [['state'], 'bogus', 'Invalid game state'],
+      [['rules'], null, 'Invalid rules'],
+      [['rules', 'randomizer'], 'dice', 'Invalid rules'],
+      [['rules', 'rotationSystem'], 'dtet', 'Invalid rules'],
+      [['mode'], null, 'Invalid mode'],
+      [['mode', 'garbageHeight'], 6, 'Invalid mode'],
+      [['mode', 'minutes'], 2, 'Invalid mode'],
+      [['score', 'triples'], -1, 'Invalid score'],
+      [['score', 'burnLines'], null, 'Invalid score'],
+      [['board'], [], 'Invalid board'],
+      [['board', 0], [0, 0], 'Invalid board'],
+      [['board', 21, 0], 9, 'Invalid board'],
+      [['currentPiece'], { type: 8, x: 0, y: 0, rotation: 0 }, 'Invalid current piece'],
+      [['currentPiece', 'rotation'], 4, 'Invalid current piece'],
+      [['nextQueue'], null, 'Invalid next queue'],
+      [['nextQueue', 0], 0, 'Invalid next queue'],
+      [['nextQueue'], [1, 2], 'Invalid next queue'],
+      [['rules', 'previews'], 7, 'Invalid rules'],
+      [['hold'], null, 'Invalid hold'],
+      [['pieceStats'], null, 'Invalid piece stats'],
+      [['pieceStats', 'counts'], [0, 0], 'Invalid piece stats'],
+      [['pieceStats', 'counts', 6], -1, 'Invalid piece stats'],
+      [['pieceStats', 'drought'], 1.5, 'Invalid piece stats'],
+      [['hold', 'pieceType'], 8, 'Invalid hold'],
+      [['hold', 'used'], 0, 'Invalid hold'],
+      [['rules', 'hold'], 'yes', 'Invalid rules'],
+      [['rules', 'hardDrop'], null, 'Invalid rules'],
+      [['score', 'hardDropScore'], -2, 'Invalid score'],
+      [['score', 'totalScore'], -5, 'Invalid score'],
+      [['gravity', 'framesPerDrop'], -1, 'Invalid gravity'],
+      [['level', 'totalLines'], 'ten', 'Invalid level'],
+      [['level', 'gravity'], null, 'Invalid level'],
+      [['level', 'currentLevel'], 4, 'Invalid level'],
+      [['level', 'linesUntilNext'], 10, 'Invalid level'],
+      [['randomizer', 'current'], null, 'Invalid randomizer'],
+      [['randomizer', 'strategy'], 'dice', 'Invalid randomizer'],
+      [['randomizer', 'bag'], [1, 9], 'Invalid randomizer'],
+      [['randomizer', 'history'], 'ZZZZ', 'Invalid randomizer'],
+      [['randomizer', 'spawnId'], -1, 'Invalid randomizer'],
+      [['das', 'direction'], 2, 'Invalid DAS'],
+      [['das', 'isActive'], 'yes', 'Invalid DAS'],
+      [['lock', 'isLocked'], 1, 'Invalid lock'],
+      [['lock', 'lockedAtFrame'], 'later', 'Invalid lock'],
+      [['lock', 'lockedPiece'], { type: 3 }, 'Invalid lock'],
+      [['lock', 'timer'], -1, 'Invalid lock'],
+      [['lock', 'resets'], null, 'Invalid lock'],
+      [['lock', 'lowestY'], 'top', 'Invalid lock'],
+      [['rules', 'lockDelay'], 500, 'Invalid rules'],
+      [['phase'], null, 'Invalid phase'],
+      [['phase', 'name'], 'entry', 'Invalid phase'],
+      [['phase', 'framesLeft'], -1, 'Invalid phase'],
+      [['phase', 'clearingRows'], [22], 'Invalid phase'],
+      [['pushDownRows'], -2, 'Invalid push-down rows'],
+      [['rules', 'softDropScoring'], 'hardDrop', 'Invalid rules'],
+      [['splits'], null, 'Invalid splits'],
+      [['splits'], [600, -1], 'Invalid splits'],
+      [['frameCount'], 1.5, 'Invalid frame count'],
+      [['gameOverAnimation'], { active: true }, 'Invalid game over animation']
+    ])('should reject corrupted %j', (path, value, error) => {
+      const result = deserializeGameState(corrupt(path, value));
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(error);
+    });
+
+    it('should reject a missing state', () => {
+      const result = deserializeGameState(JSON.stringify({ version: SAVE_VERSION }));
+
+      expect(result.error).toBe('Missing game state');
+    });
+  });
+
+  describe('migrateSaveData', () => {
+    it('should return current data unchanged', () => {
+      const data = { version: SAVE_VERSION, state: {} };
+
+      expect(migrateSaveData(data)).toEqual({ data, error: null });
+    });
+  });
+
+  describe('validateSaveState', () => {
+    it('should accept a serialized state', () => {
+      const data = JSON.parse(serializeGameState(createPlayingState()));
+
+      expect(validateSaveState(data.state)).toBeNull();
+    });
+  });
+});
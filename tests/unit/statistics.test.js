@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  STATISTICS_ORDER,
+  createPieceStats,
+  countPiece,
+  getPieceCount,
+  getTotalPieces,
+  getPiecesPerSecond
+} from '../../src/domain/statistics.js';
+import { PIECE_TYPES } from '../../src/domain/piece.js';
+import { FRAMES_PER_MINUTE } from '../../src/domain/gameMode.js';
+
+describe('Statistics Domain', () => {
+  describe('createPieceStats', () => {
+    it('should start every count and drought at zero', () => {
+      expect(createPieceStats()).toEqual({ counts: [0, 0, 0, 0, 0, 0, 0], drought: 0, longestDrought: 0 });
+    });
+
+    it('should list the seven pieces in NES order', () => {
+      expect(STATISTICS_ORDER).toEqual([
+        PIECE_TYPES.T, PIECE_TYPES.J, PIECE_TYPES.Z, PIECE_TYPES.O, PIECE_TYPES.S, PIECE_TYPES.L, PIECE_TYPES.I
+      ]);
+    });
+  });
+
+  describe('countPiece', () => {
+    it('should count the spawned type', () => {
+      const stats = countPiece(countPiece(createPieceStats(), PIECE_TYPES.T), PIECE_TYPES.T);
+
+      expect(getPieceCount(stats, PIECE_TYPES.T)).toBe(2);
+      expect(getPieceCount(stats, PIECE_TYPES.J)).toBe(0);
+    });
+
+    it('should extend the drought until an I spawns', () => {
+      let stats = createPieceStats();
+      for (const type of [PIECE_TYPES.S, PIECE_TYPES.Z, PIECE_TYPES.O]) {
+        stats = countPiece(stats, type);
+      }
+      expect(stats.drought).toBe(3);
+
+      stats = countPiece(stats, PIECE_TYPES.I);
+      expect(stats.drought).toBe(0);
+      expect(stats.longestDrought).toBe(3);
+      expect(getPieceCount(stats, PIECE_TYPES.I)).toBe(1);
+    });
+
+    it('should keep the longest drought', () => {
+      let stats = { ...createPieceStats(), longestDrought: 12 };
+      stats = countPiece(stats, PIECE_TYPES.L);
+
+      expect(stats.drought).toBe(1);
+      expect(stats.longestDrought).toBe(12);
+    });
+
+    it('should total the pieces of every type', () => {
+      const stats = { ...createPieceStats(), counts: [1, 2, 3, 4, 5, 6, 7] };
+
+      expect(getTotalPieces(stats)).toBe(28);
+      expect(getTotalPieces(createPieceStats())).toBe(0);
+    });
+
+    it('should not mutate the input', () => {
+      const stats = createPieceStats();
+      countPiece(stats, PIECE_TYPES.J);
+
+      expect(stats).toEqual(createPieceStats());
+    });
+  });
+
+  describe('getPiecesPerSecond', () => {
+    it('should divide the pieces by the game time', () => {
+      const stats = { ...createPieceStats(), counts: [30, 30, 30, 0, 0, 0, 0] };
+
+      expect(getPiecesPerSecond(stats, FRAMES_PER_MINUTE)).toBe(1.5);
+    });
+
+    it('should be 0 before the first frame', () => {
+      expect(getPiecesPerSecond(createPieceStats(), 0)).toBe(0);
+    });
+  });
+});